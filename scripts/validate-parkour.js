@@ -0,0 +1,71 @@
+/**
+ * validate-parkour - Offline reachability check for generated parkour courses
+ *
+ * Generates courses for many seeds (built-in patterns plus the JSON templates
+ * in public/patterns) and reports how often the jump validator had to
+ * regenerate a layout, fall back to a straight layout, or gave up.
+ *
+ * Usage: node scripts/validate-parkour.js [seeds=1000] [chunks=40] [preset=normal]
+ */
+
+import { readFile } from 'node:fs/promises';
+import * as THREE from 'three';
+import { ChunkManager } from '../src/world/parkour/ChunkManager.js';
+import { loadPatternTemplates } from '../src/world/parkour/PatternTemplates.js';
+
+const seedCount = parseInt(process.argv[2], 10) || 1000;
+const chunksPerSeed = parseInt(process.argv[3], 10) || 40;
+const preset = process.argv[4] || 'normal';
+
+// Templates are served from public/ in the browser; read the same files here
+// (before silencing the console, so broken templates are reported)
+const readJson = async path => JSON.parse(await readFile(new URL(`../public/${path}`, import.meta.url), 'utf8'));
+const templates = await loadPatternTemplates(readJson);
+
+// Generation logs once per course, which would drown the report
+const log = console.log;
+const warn = console.warn;
+console.log = () => {};
+console.warn = () => {};
+
+const manager = new ChunkManager(new THREE.Scene(), 1);
+manager.setDifficulty(preset);
+manager.registerTemplates(templates);
+
+const startTime = Date.now();
+
+for (let seed = 1; seed <= seedCount; seed++) {
+    manager.reset(seed);
+
+    for (let i = 0; i < chunksPerSeed; i++) {
+        manager.generateNextChunk();
+
+        // Only the generator state matters here, so keep the scene small
+        while (manager.chunks.length > 4) {
+            manager.disposeChunk(0);
+        }
+    }
+}
+
+manager.dispose();
+
+console.log = log;
+console.warn = warn;
+
+const stats = manager.generator.validationStats;
+const percent = (count, total) => total > 0 ? (100 * count / total).toFixed(2) + '%' : '-';
+
+console.log(`[validate-parkour] ${seedCount} seeds x ${chunksPerSeed} chunks, preset "${preset}" (${((Date.now() - startTime) / 1000).toFixed(1)}s)`);
+console.log(`  chunks validated:   ${stats.chunks}`);
+console.log(`  retries:            ${stats.retries} (${percent(stats.retries, stats.chunks)} of chunks)`);
+console.log(`  straight fallbacks: ${stats.fallbacks} (${percent(stats.fallbacks, stats.chunks)})`);
+console.log(`  unresolved:         ${stats.unresolved} (${percent(stats.unresolved, stats.chunks)})`);
+console.log('  failed layouts by pattern:');
+
+Object.entries(stats.failuresByPattern)
+    .sort((a, b) => b[1] - a[1])
+    .forEach(([pattern, count]) => {
+        console.log(`    ${pattern.padEnd(16)} ${count}`);
+    });
+
+process.exitCode = stats.unresolved > 0 ? 1 : 0;
@@ -8,6 +8,10 @@ export const PHYSICS = {
     TERMINAL_VELOCITY: -50,
     GROUND_FRICTION: 10,
     AIR_RESISTANCE: 2,
+    
+    // Simulation runs in fixed steps; rendering interpolates between them
+    FIXED_TIMESTEP: 1 / 60,     // Seconds per physics step
+    MAX_FRAME_TIME: 0.1,        // Longest frame simulated (avoids a spiral of catch-up steps)
 };
 
 export const PLAYER = {
@@ -15,6 +19,12 @@ export const PLAYER = {
     EYE_HEIGHT: 3.75,
     RADIUS: 0.4,
     
+    // Collision capsule (CharacterController)
+    STEP_HEIGHT: 1.0,            // Tallest ledge walked straight up onto
+    CROUCH_STEP_HEIGHT: 0.25,    // ...while crouched or sliding
+    MAX_SLOPE: 50,               // Steepest walkable ground (degrees) - steeper slopes act as walls
+    GROUND_SNAP: 0.1,            // Ground this close below the feet is landed on
+    
     // Movement speeds (units per second)
     WALK_SPEED: 8,
     RUN_SPEED: 15,
@@ -41,6 +51,106 @@ export const PLAYER = {
     SLIDE_MIN_SPEED: 3,          // Speed at which slide ends and crouch begins
     SLIDE_COOLDOWN: 0.5,         // Cooldown before can slide again
     SLIDE_MIN_SPRINT_TIME: 0.3,  // Minimum sprint duration before slide allowed (seconds)
+    
+    // Wall running
+    WALL_RUN_SPEED: 10,          // Speed along the wall
+    WALL_RUN_MAX_TIME: 5.0,      // Max wall run duration (seconds)
+    WALL_RUN_DRIFT: -1,          // Downward velocity while wall running
+    WALL_JUMP_FORCE: 0.9,        // Wall jump upward force (multiplier of JUMP_FORCE)
+    WALL_JUMP_PUSH: 8,           // Velocity pushed away from the wall on wall jump
+    
+    // Wall climb (sprinting head-on into a wall)
+    WALL_CLIMB_SPEED: 8,         // Upward speed while climbing
+    WALL_CLIMB_MAX_TIME: 0.6,    // Max climb duration (seconds)
+    WALL_CLIMB_MIN_SPEED: 11,    // Horizontal speed needed to start a climb (faster than walking)
+    WALL_CLIMB_FACING: 0.8,      // How squarely the player must face the wall (dot with its normal)
+    WALL_KICK_PUSH: 10,          // Velocity pushed back off the wall on a kick-off jump
+    
+    // Ledge grab and mantle
+    LEDGE_REACH: 0.8,            // How far past the body a ledge can be caught
+    LEDGE_GRAB_MIN: 0.8,         // Lowest ledge caught, above the feet (lower ones are stepped onto)
+    LEDGE_GRAB_MAX: 4.4,         // Highest ledge caught, above the feet (arms' reach)
+    LEDGE_HANG_TIME: 0.25,       // Seconds hanging before pulling up (jump pulls up straight away)
+    LEDGE_GRAB_COOLDOWN: 0.4,    // After dropping off a ledge, before another can be caught
+    MANTLE_DURATION: 0.5,        // Seconds the pull-up takes
+    
+    // Momentum (speed above the move speed is carried, not clamped)
+    MOMENTUM_GROUND_DECAY: 10,   // Extra speed bleeds off this fast on the ground (units/s²)
+    MOMENTUM_AIR_DECAY: 1,       // ...and this fast in the air
+    SOFT_TOP_SPEED: 28,          // Above this, drag grows with the excess
+    TOP_SPEED_DRAG: 2,           // Extra decay per unit of speed above SOFT_TOP_SPEED (per second)
+    SLIDE_JUMP_KEEP: 1.0,        // Share of horizontal speed kept jumping out of a slide
+    BHOP_WINDOW: 0.08,           // Jump pressed and landed within this of each other = perfectly timed
+    BHOP_BOOST: 1.5,             // Speed added by a perfectly timed jump on landing
+    SLIDE_SLOPE_ACCEL: 2,        // Scales gravity pulling a slide down slopes (and slowing it uphill)
+    WALL_RUN_MOMENTUM_KEEP: 0.9, // Share of entry speed carried into a wall run (never below WALL_RUN_SPEED)
+    
+    // Grappling hook
+    GRAPPLE_RANGE: 40,           // Furthest hook target
+    GRAPPLE_AIM_ASSIST: 0.08,    // Grapple points this close to the reticle count as aimed at (radians)
+    GRAPPLE_MIN_LENGTH: 3,       // Rope never reels in shorter than this
+    GRAPPLE_REEL_SPEED: 6,       // Rope shortens this fast while hooked (units per second)
+    GRAPPLE_SWING_ACCEL: 12,     // Acceleration from movement input while swinging
+    GRAPPLE_COOLDOWN: 0.3,       // After letting go, before the hook can fire again
+    
+    // Health (PlayerHealth)
+    MAX_HEALTH: 100,
+    HEALTH_REGEN_DELAY: 4,       // Seconds after the last hit before health comes back
+    HEALTH_REGEN_RATE: 10,       // Health regained per second
+    FALL_DAMAGE_SPEED: 30,       // Landing faster than this hurts (a drop of about 15 units)
+    FALL_DAMAGE_PER_SPEED: 5,    // Damage per unit of landing speed above FALL_DAMAGE_SPEED
+    HAZARD_DAMAGE: 25,           // Damage per second from sandbox hazard pads
+    HIT_SHAKE: 0.8,              // Camera shake from an enemy hit (0-1)
+    CAUGHT_SCREEN_TIME: 3,       // Seconds the caught screen shows before the game starts over
+    
+    // Stamina (PlayerStamina)
+    MAX_STAMINA: 100,
+    STAMINA_REGEN_RATE: 25,      // Stamina regained per second on the ground
+    STAMINA_REGEN_DELAY: 0.6,    // Seconds after the last use before it comes back
+    SPRINT_STAMINA_COST: 12,     // Per second of sprinting on the ground
+    WALL_RUN_STAMINA_COST: 25,   // Per second of wall running (an empty tank ends the run)
+    WALL_JUMP_STAMINA_COST: 15,  // Per wall jump or kick-off
+    SLIDE_STAMINA_COST: 20,      // Per slide
+    LOW_STAMINA: 0.25,           // Below this share of the tank, sprint speed drops toward walking
+    // Modes that use stamina (elsewhere every move is free). Parkour courses are
+    // validated with unlimited sprinting, so it stays off there
+    STAMINA_MODES: {
+        sandbox: true,
+        parkour: false,
+    },
+};
+
+// Extra moves managed by PlayerAbilities. Each has CHARGES uses, a COOLDOWN
+// between uses, and RESET_ON_LAND refills its charges on touching the ground
+// (otherwise one charge comes back every RECHARGE_TIME seconds).
+export const ABILITIES = {
+    DOUBLE_JUMP: {
+        CHARGES: 1,
+        COOLDOWN: 0,
+        RESET_ON_LAND: true,
+        FORCE: 0.85,             // Upward force (multiplier of JUMP_FORCE)
+    },
+    AIR_DASH: {
+        CHARGES: 1,
+        COOLDOWN: 0.5,
+        RESET_ON_LAND: true,
+        SPEED: 24,               // Horizontal speed during the dash
+        DURATION: 0.18,          // Seconds of dash (no gravity)
+        END_SPEED: 15,           // Speed kept when the dash ends
+    },
+    GROUND_POUND: {
+        CHARGES: 1,
+        COOLDOWN: 0.3,
+        RESET_ON_LAND: true,
+        SPEED: -45,              // Downward speed of the slam
+    },
+    
+    // Abilities each game mode starts with (keys above; others can be granted)
+    // Parkour courses are validated without the air moves, so they stay off there
+    MODES: {
+        sandbox: ['DOUBLE_JUMP', 'AIR_DASH', 'GROUND_POUND'],
+        parkour: ['GROUND_POUND'],
+    },
 };
 
 export const CAMERA = {
@@ -55,6 +165,12 @@ export const CAMERA = {
     // Head bob (future feature)
     BOB_FREQUENCY: 2,
     BOB_AMPLITUDE: 0.05,
+    
+    // Shake (hits) - strength 0-1 fades out at SHAKE_DECAY per second
+    SHAKE_DECAY: 1.5,
+    SHAKE_ANGLE: 0.05,           // Radians of jolt at full strength
+    SHAKE_OFFSET: 0.12,          // Units of jolt at full strength
+    SHAKE_FREQUENCY: 25,
 };
 
 export const WORLD = {
@@ -98,6 +214,8 @@ export const INPUT = {
         SPRINT: 'ShiftLeft',
         CROUCH: 'KeyC',
         INTERACT: 'KeyE',
+        GRAPPLE: 'Mouse0',      // Mouse buttons are 'Mouse' + MouseEvent.button
+        DASH: 'KeyF',
     },
     
     // Alternative bindings
@@ -107,6 +225,8 @@ export const INPUT = {
         LEFT: 'ArrowLeft',
         RIGHT: 'ArrowRight',
         SPRINT: 'ShiftRight',
+        GRAPPLE: 'KeyQ',
+        DASH: 'Mouse2',
     },
 };
 
@@ -114,6 +234,8 @@ export const DEBUG = {
     SHOW_FPS: true,
     SHOW_POSITION: true,
     SHOW_VELOCITY: true,
+    SHOW_ALLOCATIONS: true,     // Parkour platform allocations per chunk (should settle at 0)
+    SHOW_AI_STATE: true,        // Enemy behaviour state over each enemy's head
 };
 
 export const RENDER = {
@@ -123,6 +245,29 @@ export const RENDER = {
     ENABLE_SHADOWS: true,
 };
 
+// Enemy navigation (NavGrid, PathFollower)
+export const NAVIGATION = {
+    CELL_SIZE: 1,                // Grid spacing (smaller = tighter paths, slower to build)
+    JUMP_COST: 3,                // Extra path cost of a jump (a short walk round is preferred)
+    DROP_COST: 1,                // Extra path cost of dropping off a ledge
+    MAX_SEARCH_NODES: 5000,      // A* gives up after this many nodes (returning the closest partial path)
+    NEAREST_SEARCH_CELLS: 3,     // How far around an agent off the grid to look for a node
+    REPLAN_INTERVAL: 0.5,        // Seconds between re-plans while the goal keeps moving
+    REPLAN_DISTANCE: 1.5,        // The goal has to move this far from the planned one to re-plan
+    WAYPOINT_RADIUS: 0.6,        // A waypoint counts as reached this close (horizontally)
+    OFF_PATH_DISTANCE: 3,        // Further than this from the next waypoint's leg = knocked off the path
+};
+
+// Enemy perception (Perception) - how far each noise the player makes carries
+export const AI = {
+    JUMP_NOISE: 10,
+    LAND_NOISE: 4,               // Plus LAND_NOISE_PER_SPEED per unit of landing speed
+    LAND_NOISE_PER_SPEED: 0.5,
+    SPRINT_NOISE: 16,            // Footfalls, heard every step while sprinting on the ground
+    GROUND_POUND_NOISE: 30,
+    CROUCH_NOISE_SCALE: 0.4,     // Noises made crouching carry this much as far
+};
+
 // Parkour infinite world settings
 export const PARKOUR = {
     // Chunk settings
@@ -150,6 +295,7 @@ export const PARKOUR = {
     // Curve settings
     MAX_CURVE_ANGLE: 15,        // Max degrees per chunk
     CURVE_FREQUENCY: 0.4,       // Chance of curve per chunk
+    MAX_HEADING_ANGLE: 60,      // Max degrees the path may turn away from +Z (keeps it from looping back)
     
     // Special platforms
     BOUNCE_PAD_CHANCE: 0.12,
@@ -157,9 +303,50 @@ export const PARKOUR = {
     RAMP_CHANCE: 0.2,
     WALL_RUN_CHANCE: 0.15,
     
+    // Moving platforms
+    SHUTTLE_SPEED: 4,           // Units per second along the path
+    ELEVATOR_SPEED: 2.5,
+    MOVING_PLATFORM_PAUSE: 1.0, // Seconds spent waiting at each end of the path
+    DISK_SPIN_SPEED: 0.8,       // Radians per second
+    
+    // Crumbling and blinking platforms
+    CRUMBLE_DELAY: 0.7,         // Seconds of shaking after the player lands before it falls
+    CRUMBLE_FALL_TIME: 1.0,     // Seconds the falling animation lasts
+    CRUMBLE_RESPAWN_TIME: 4.0,  // Seconds after falling before it reappears
+    BLINK_SOLID_TIME: 2.0,      // Seconds solid per cycle
+    BLINK_GHOST_TIME: 1.5,      // Seconds ghosted (no collision) per cycle
+    BLINK_WARNING_TIME: 0.5,    // Flicker this long before ghosting
+    
+    // Grapple gaps (too wide to jump, swung across from a grapple point)
+    GRAPPLE_GAP_MIN: 16,        // Edge to edge
+    GRAPPLE_GAP_MAX: 22,
+    GRAPPLE_POINT_HEIGHT: 9,    // Above the takeoff platform
+    
+    // Branching routes (lanes split for a few chunks, then merge)
+    BRANCH_CHANCE: 0.15,        // Chance a chunk splits the route
+    
+    // Data-driven pattern templates (served from public/, see PatternTemplates.js)
+    PATTERN_MANIFEST: 'patterns/manifest.json',
+    
     // Death settings
     DEATH_Y_THRESHOLD: -30,
-    
+
+    // The Senator (pursuer that follows the course behind the player, see Senator.js)
+    SENATOR_START_GAP: 50,          // Path distance behind the start at the beginning of a run
+    SENATOR_START_DELAY: 3,         // Seconds before he sets off (and before stalling counts)
+    SENATOR_BASE_SPEED: 6,          // Units per second along the path at first (slower than walking)
+    SENATOR_ACCELERATION: 0.04,     // Speed gained per second of the run
+    SENATOR_MAX_SPEED: 12,          // Tops out short of a sprint
+    SENATOR_MAX_GAP: 80,            // Never drops further behind than this (stays on loaded chunks)
+    SENATOR_STALL_TIME: 4,          // Seconds without progress before it surges
+    SENATOR_STALL_DISTANCE: 3,      // Path distance the player must gain to count as progress
+    SENATOR_SURGE_MULTIPLIER: 2,    // Speed multiplier while the player is stalling
+    SENATOR_DEATH_SURGE: 25,        // Path distance it gains each time the player dies...
+    SENATOR_RESPAWN_GAP: 15,        // ...but never ending up closer than this behind the respawn point
+    SENATOR_CLOSE_RANGE: 12,        // Leaves the course line and goes straight for the player inside this
+    SENATOR_CATCH_DISTANCE: 1.5,    // Catches the player (ending the run) this close
+    SENATOR_WARNING_GAP: 20,        // HUD indicator warns inside this
+
     // Start platform
     START_PLATFORM_LENGTH: 10,
     START_PLATFORM_WIDTH: 8,
@@ -170,5 +357,144 @@ export const PARKOUR = {
     BOUNCE_PAD_COLOR: 0xff00ff,
     RAMP_COLOR: 0x2a2a4e,
     WALL_COLOR: 0x0a0a1a,
+    MOVING_PLATFORM_COLOR: 0x00aaff,
+    CRUMBLE_COLOR: 0xff8800,
+    BLINK_COLOR: 0x00ffff,
+    GRAPPLE_POINT_COLOR: 0xff3366,
+    
+    // Rendering (shared assets and the instanced edge glow, see PlatformAssets.js)
+    GLOW_THICKNESS: 0.08,       // Edge glow bar thickness
+    GLOW_BATCH_CAPACITY: 4096,  // Max glow bars alive at once
 };
 
+
+/**
+ * Parkour difficulty curve
+ * Each preset is a list of tiers keyed by course distance. Values are
+ * linearly interpolated between tiers and hold at the last tier.
+ * Pattern weights are relative (keys match ChunkGenerator pattern types).
+ * Running jump reach is ~12 units (RUN_SPEED * 2 * JUMP_FORCE / -GRAVITY),
+ * so keep GAP_MAX comfortably below that.
+ */
+export const PARKOUR_DIFFICULTY = {
+    DEFAULT_PRESET: 'normal',
+    
+    PRESETS: {
+        easy: [
+            {
+                DISTANCE: 0,
+                GAP_MIN: 4.5, GAP_MAX: 7.5,
+                PLATFORM_SCALE: 1.1,
+                HEIGHT_SCALE: 0.8,
+                CHECKPOINT_INTERVAL: 2,
+                PATTERN_WEIGHTS: { STRAIGHT: 3, STEPPING_STONES: 2, RAMP_UP: 2, RAMP_DOWN: 2, BOUNCE_JUMP: 1, WALL_RUN: 0.5, CLIMB_WALL: 0.3, GRAPPLE_GAP: 0.3, ZIGZAG: 1, SHUTTLE: 0.5, ELEVATOR: 0.5, ROTATING_DISKS: 0, CRUMBLE_RUN: 0.5, BLINK_SEQUENCE: 0 },
+            },
+            {
+                DISTANCE: 2000,
+                GAP_MIN: 5.0, GAP_MAX: 9.0,
+                PLATFORM_SCALE: 1.0,
+                HEIGHT_SCALE: 1.0,
+                CHECKPOINT_INTERVAL: 3,
+                PATTERN_WEIGHTS: { STRAIGHT: 2, STEPPING_STONES: 2, RAMP_UP: 1.5, RAMP_DOWN: 1.5, BOUNCE_JUMP: 1.5, WALL_RUN: 1, CLIMB_WALL: 0.8, GRAPPLE_GAP: 0.8, ZIGZAG: 1.5, SHUTTLE: 1, ELEVATOR: 1, ROTATING_DISKS: 0.5, CRUMBLE_RUN: 1, BLINK_SEQUENCE: 0.5 },
+            },
+        ],
+        normal: [
+            {
+                DISTANCE: 0,
+                GAP_MIN: 5.0, GAP_MAX: 9.0,
+                PLATFORM_SCALE: 1.0,
+                HEIGHT_SCALE: 1.0,
+                CHECKPOINT_INTERVAL: 3,
+                PATTERN_WEIGHTS: { STRAIGHT: 1, STEPPING_STONES: 1, RAMP_UP: 1, RAMP_DOWN: 1, BOUNCE_JUMP: 1, WALL_RUN: 1, CLIMB_WALL: 0.8, GRAPPLE_GAP: 0.8, ZIGZAG: 1, SHUTTLE: 0.5, ELEVATOR: 0.5, ROTATING_DISKS: 0.3, CRUMBLE_RUN: 0.5, BLINK_SEQUENCE: 0.3 },
+            },
+            {
+                DISTANCE: 1000,
+                GAP_MIN: 5.5, GAP_MAX: 9.5,
+                PLATFORM_SCALE: 0.9,
+                HEIGHT_SCALE: 1.2,
+                CHECKPOINT_INTERVAL: 4,
+                PATTERN_WEIGHTS: { STRAIGHT: 0.6, STEPPING_STONES: 1, RAMP_UP: 1, RAMP_DOWN: 1, BOUNCE_JUMP: 1.5, WALL_RUN: 1.5, CLIMB_WALL: 1.5, GRAPPLE_GAP: 1.5, ZIGZAG: 1.5, SHUTTLE: 1, ELEVATOR: 1, ROTATING_DISKS: 1, CRUMBLE_RUN: 1, BLINK_SEQUENCE: 1 },
+            },
+            {
+                DISTANCE: 3000,
+                GAP_MIN: 6.0, GAP_MAX: 10.0,
+                PLATFORM_SCALE: 0.8,
+                HEIGHT_SCALE: 1.4,
+                CHECKPOINT_INTERVAL: 5,
+                PATTERN_WEIGHTS: { STRAIGHT: 0.3, STEPPING_STONES: 0.8, RAMP_UP: 0.8, RAMP_DOWN: 0.8, BOUNCE_JUMP: 2, WALL_RUN: 2, CLIMB_WALL: 2, GRAPPLE_GAP: 2, ZIGZAG: 2, SHUTTLE: 1.5, ELEVATOR: 1.5, ROTATING_DISKS: 1.5, CRUMBLE_RUN: 1.5, BLINK_SEQUENCE: 1.5 },
+            },
+        ],
+        hard: [
+            {
+                DISTANCE: 0,
+                GAP_MIN: 5.5, GAP_MAX: 9.5,
+                PLATFORM_SCALE: 0.9,
+                HEIGHT_SCALE: 1.2,
+                CHECKPOINT_INTERVAL: 4,
+                PATTERN_WEIGHTS: { STRAIGHT: 0.5, STEPPING_STONES: 1, RAMP_UP: 1, RAMP_DOWN: 1, BOUNCE_JUMP: 1.5, WALL_RUN: 1.5, CLIMB_WALL: 1.5, GRAPPLE_GAP: 1.5, ZIGZAG: 1.5, SHUTTLE: 1, ELEVATOR: 1, ROTATING_DISKS: 1, CRUMBLE_RUN: 1, BLINK_SEQUENCE: 1 },
+            },
+            {
+                DISTANCE: 2000,
+                GAP_MIN: 6.5, GAP_MAX: 10.5,
+                PLATFORM_SCALE: 0.7,
+                HEIGHT_SCALE: 1.6,
+                CHECKPOINT_INTERVAL: 6,
+                PATTERN_WEIGHTS: { STRAIGHT: 0.2, STEPPING_STONES: 0.6, RAMP_UP: 0.6, RAMP_DOWN: 0.6, BOUNCE_JUMP: 2.5, WALL_RUN: 2.5, CLIMB_WALL: 2.5, GRAPPLE_GAP: 2.5, ZIGZAG: 2.5, SHUTTLE: 2, ELEVATOR: 2, ROTATING_DISKS: 2, CRUMBLE_RUN: 2, BLINK_SEQUENCE: 2 },
+            },
+        ],
+    },
+};
+
+/**
+ * Parkour zone themes
+ * The course cycles through these every CHUNKS_PER_ZONE chunks. Platforms take
+ * the palette of the zone they were generated in; fog, lights and particles
+ * blend over BLEND_DISTANCE units of path centred on each zone boundary.
+ * PATTERN_WEIGHTS multiply the difficulty curve's weights while in the zone.
+ */
+export const PARKOUR_ZONES = {
+    CHUNKS_PER_ZONE: 10,
+    BLEND_DISTANCE: 80,
+    THEMES: [
+        {
+            NAME: 'Neon District',
+            PLATFORM_COLOR: 0x1a1a2e, EDGE_COLOR: 0x00ff88, RAMP_COLOR: 0x2a2a4e, WALL_COLOR: 0x0a0a1a,
+            FOG_COLOR: 0x050510, FOG_NEAR: 20, FOG_FAR: 120,
+            AMBIENT_COLOR: 0x404060, AMBIENT_INTENSITY: 0.4,
+            DIRECTIONAL_COLOR: 0xffffff, DIRECTIONAL_INTENSITY: 0.8,
+            HEMISPHERE_SKY: 0x6688cc, HEMISPHERE_GROUND: 0x1a1a2e,
+            PARTICLE_COLORS: [0x00ff88, 0xff00ff, 0x00d4ff],
+            PATTERN_WEIGHTS: {},
+        },
+        {
+            NAME: 'Rooftop Dusk',
+            PLATFORM_COLOR: 0x3a2a30, EDGE_COLOR: 0xffaa44, RAMP_COLOR: 0x4a3238, WALL_COLOR: 0x24181c,
+            FOG_COLOR: 0x2a1420, FOG_NEAR: 30, FOG_FAR: 150,
+            AMBIENT_COLOR: 0x805048, AMBIENT_INTENSITY: 0.5,
+            DIRECTIONAL_COLOR: 0xffb070, DIRECTIONAL_INTENSITY: 1.0,
+            HEMISPHERE_SKY: 0xff8860, HEMISPHERE_GROUND: 0x2a1420,
+            PARTICLE_COLORS: [0xffaa44, 0xff6688, 0xffe0a0],
+            PATTERN_WEIGHTS: { WALL_RUN: 1.5, CLIMB_WALL: 1.5, RAMP_UP: 1.3, RAMP_DOWN: 1.3, ROTATING_DISKS: 0.5 },
+        },
+        {
+            NAME: 'Industrial',
+            PLATFORM_COLOR: 0x2a2a2a, EDGE_COLOR: 0xffcc00, RAMP_COLOR: 0x3a3a36, WALL_COLOR: 0x1a1a18,
+            FOG_COLOR: 0x12110c, FOG_NEAR: 15, FOG_FAR: 100,
+            AMBIENT_COLOR: 0x606050, AMBIENT_INTENSITY: 0.45,
+            DIRECTIONAL_COLOR: 0xfff0d0, DIRECTIONAL_INTENSITY: 0.7,
+            HEMISPHERE_SKY: 0x9a9070, HEMISPHERE_GROUND: 0x1a1a18,
+            PARTICLE_COLORS: [0xffcc00, 0xff7722, 0xbbbbaa],
+            PATTERN_WEIGHTS: { SHUTTLE: 2, ELEVATOR: 2, ROTATING_DISKS: 1.5, GRAPPLE_GAP: 1.5, BLINK_SEQUENCE: 0.5 },
+        },
+        {
+            NAME: 'Void',
+            PLATFORM_COLOR: 0x100818, EDGE_COLOR: 0xaa66ff, RAMP_COLOR: 0x1c1028, WALL_COLOR: 0x08040c,
+            FOG_COLOR: 0x000000, FOG_NEAR: 10, FOG_FAR: 90,
+            AMBIENT_COLOR: 0x302040, AMBIENT_INTENSITY: 0.3,
+            DIRECTIONAL_COLOR: 0xc0a0ff, DIRECTIONAL_INTENSITY: 0.5,
+            HEMISPHERE_SKY: 0x5030a0, HEMISPHERE_GROUND: 0x000000,
+            PARTICLE_COLORS: [0xaa66ff, 0x6633cc, 0xffffff],
+            PATTERN_WEIGHTS: { BLINK_SEQUENCE: 2, CRUMBLE_RUN: 1.5, STEPPING_STONES: 1.5, STRAIGHT: 0.5 },
+        },
+    ],
+};
@@ -5,16 +5,19 @@
  */
 
 import * as THREE from 'three';
-import { CAMERA, WORLD, RENDER, PARKOUR } from '../config/Constants.js';
+import { CAMERA, WORLD, RENDER, PARKOUR, PHYSICS, PLAYER, DEBUG } from '../config/Constants.js';
 import { inputManager } from '../systems/InputManager.js';
 import { globalEvents, Events } from '../systems/EventBus.js';
 import { gameStateManager, GameState, GameMode } from '../systems/GameStateManager.js';
 import { Player } from '../entities/Player.js';
+import { GrappleRope } from '../entities/GrappleRope.js';
+import { DamageSource } from '../entities/PlayerHealth.js';
 import { World } from '../world/World.js';
 import { HUD } from '../ui/HUD.js';
 import { MainMenu } from '../ui/MainMenu.js';
 import { PauseMenu } from '../ui/PauseMenu.js';
 import { SandboxUI } from '../ui/SandboxUI.js';
+import { AIDebugOverlay } from '../ui/AIDebugOverlay.js';
 
 // InfiniteWorld loaded dynamically to prevent blocking main menu if parkour fails
 let InfiniteWorldClass = null;
@@ -36,12 +39,14 @@ export class Engine {
         this.mainMenu = null;
         this.pauseMenu = null;
         this.sandboxUI = null;
+        this.aiDebugOverlay = null;
         
         // Time tracking
         this.clock = new THREE.Clock();
         this.deltaTime = 0;
         this.elapsedTime = 0;
         this.frameCount = 0;
+        this.accumulator = 0;   // Frame time not yet simulated (less than one fixed step)
         
         // Performance tracking
         this.fps = 0;
@@ -52,6 +57,7 @@ export class Engine {
         this.isRunning = false;
         this.isPaused = false;
         this.deathCooldown = 0; // Prevent rapid death/respawn cycles
+        this.caughtTime = 0;    // Caught screen time left (the game holds until it's over)
         
         // Bound methods
         this._update = this._update.bind(this);
@@ -77,9 +83,11 @@ export class Engine {
         
         // Create game systems
         this.player = new Player(this.camera);
+        this.grappleRope = new GrappleRope(this.scene, this.camera);
         this.world = new World(this.scene);
         this.infiniteWorld = null; // Created on demand
         this.hud = new HUD();
+        this.aiDebugOverlay = new AIDebugOverlay(this.camera);
         
         // Initialize menus
         this.mainMenu = new MainMenu();
@@ -193,10 +201,70 @@ export class Engine {
             this.hud.showSprintIndicator(false);
         });
         
+        // Crosshair shows when a ledge is held
+        globalEvents.on(Events.PLAYER_LEDGE_GRAB, () => {
+            this.hud.setCrosshairState('ledge');
+        });
+        
+        globalEvents.on(Events.PLAYER_MANTLE_END, () => {
+            this.hud.setCrosshairState('default');
+        });
+        
+        globalEvents.on(Events.PLAYER_LEDGE_DROP, () => {
+            this.hud.setCrosshairState('default');
+        });
+        
+        // Crosshair shows what the grappling hook would catch, and the swing itself
+        globalEvents.on(Events.PLAYER_GRAPPLE_TARGET, ({ valid }) => {
+            this.hud.setCrosshairState(valid ? 'grapple' : 'default');
+        });
+        
+        globalEvents.on(Events.PLAYER_GRAPPLE_ATTACH, () => {
+            this.hud.setCrosshairState('grappling');
+        });
+        
+        globalEvents.on(Events.PLAYER_GRAPPLE_RELEASE, () => {
+            this.hud.setCrosshairState('default');
+        });
+        
+        // Ability charge pips
+        globalEvents.on(Events.PLAYER_ABILITIES_CHANGE, ({ abilities }) => {
+            this.hud.setAbilities(abilities);
+        });
+        
+        // Health bar, and a red flash for each hit (hazards hurt every step, so small hits flash faintly)
+        globalEvents.on(Events.PLAYER_HEALTH_CHANGE, ({ health, maxHealth }) => {
+            this.hud.setHealth(health, maxHealth);
+        });
+        
+        globalEvents.on(Events.PLAYER_DAMAGE, ({ amount }) => {
+            this.hud.flashDamage(0.3 + amount / 40);
+        });
+        
+        // Marker pointing at the enemy that landed a blow
+        globalEvents.on(Events.PLAYER_HIT, ({ angle }) => {
+            this.hud.showHitIndicator(angle);
+        });
+        
+        // Stamina bar
+        globalEvents.on(Events.PLAYER_STAMINA_CHANGE, ({ stamina, maxStamina, enabled }) => {
+            this.hud.setStamina(stamina, maxStamina, enabled);
+        });
+        
         // State change events
         globalEvents.on(Events.STATE_CHANGE, ({ from, to }) => {
             this._onStateChange(from, to);
         });
+        
+        // Replay a parkour course from a seed (pause menu)
+        globalEvents.on(Events.PARKOUR_RESTART, ({ seed }) => {
+            this.restartParkour(seed);
+        });
+        
+        // Name each themed zone as the run enters it
+        globalEvents.on(Events.PARKOUR_ZONE_CHANGE, ({ name }) => {
+            this.hud.showNotification(name);
+        });
     }
 
     /**
@@ -242,6 +310,17 @@ export class Engine {
         const mode = gameStateManager.getMode();
         console.log(`[Engine] Setting up game mode: ${mode}`);
         
+        // Each mode starts with its own set of abilities
+        this.player.abilities.setMode(mode);
+        this.player.stamina.setMode(mode);
+        
+        // Drop a caught screen left over from the last session
+        this.caughtTime = 0;
+        this.hud.hideCaught();
+        this.hud.setSurvivalTime(null);
+        this.hud.setSenatorDistance(null);
+        this.aiDebugOverlay.clear();
+        
         if (mode === GameMode.PARKOUR) {
             // Dispose sandbox world if active
             if (this.activeWorld === this.world && this.world.isLoaded) {
@@ -263,11 +342,14 @@ export class Engine {
                 }
             }
             
-            // Create or reset infinite world
+            // Create or reset infinite world, with the difficulty picked in the main menu
             if (!this.infiniteWorld) {
                 this.infiniteWorld = new InfiniteWorldClass(this.scene);
+                await this.infiniteWorld.loadPatternTemplates();
+                this.infiniteWorld.setDifficulty(gameStateManager.getDifficulty());
                 this.infiniteWorld.build();
             } else {
+                this.infiniteWorld.setDifficulty(gameStateManager.getDifficulty());
                 this.infiniteWorld.reset();
             }
             
@@ -305,6 +387,7 @@ export class Engine {
             this.activeWorld = this.world;
             this.player.setPosition(0, 0, 0);
             this.player.setObstacles(this.world.getObstacles());
+            this.player.setGrapplePoints([]);
             
             // Set player reference for werewolf AI
             this.world.setPlayer(this.player);
@@ -379,7 +462,7 @@ export class Engine {
         requestAnimationFrame(this._update);
         
         // Calculate delta time
-        this.deltaTime = Math.min(this.clock.getDelta(), 0.1); // Cap at 100ms
+        this.deltaTime = Math.min(this.clock.getDelta(), PHYSICS.MAX_FRAME_TIME);
         this.elapsedTime = this.clock.getElapsedTime();
         this.frameCount++;
         
@@ -390,50 +473,47 @@ export class Engine {
         const shouldUpdate = gameStateManager.isPlaying() && inputManager.isPointerLocked();
         
         if (shouldUpdate) {
-            // Update player (includes physics and camera)
-            this.player.update(this.deltaTime);
+            // Simulate in fixed steps so jumps and timings don't depend on frame rate;
+            // leftover time carries into the next frame
+            this.accumulator += this.deltaTime;
             
-            // Update active world (animations, etc.)
-            if (this.activeWorld) {
-                const isParkour = gameStateManager.isParkourMode();
-                const hasInfiniteWorld = !!this.infiniteWorld;
-                
-                if (isParkour && hasInfiniteWorld) {
-                    // Update infinite world with player position
-                    this.infiniteWorld.update(this.deltaTime, this.player.position);
-                    
-                    // Update obstacles as chunks change
-                    this.player.setObstacles(this.infiniteWorld.getObstacles());
-                    
-                    // Update death cooldown
-                    if (this.deathCooldown > 0) {
-                        this.deathCooldown -= this.deltaTime;
-                    }
-                    
-                    // Log player Y position when low (for debugging)
-                    const playerY = this.player.position.y;
-                    if (playerY < -10) {
-                        console.log('[Engine] Player falling! Y:', playerY.toFixed(1), 
-                            'Cooldown:', this.deathCooldown.toFixed(2),
-                            'Death threshold: -30');
-                    }
-                    
-                    // Check for death (with cooldown to prevent rapid respawns)
-                    const isDead = this.infiniteWorld.checkDeath(playerY);
-                    if (this.deathCooldown <= 0 && isDead) {
-                        console.log('[Engine] DEATH DETECTED! Calling handleParkourDeath()');
-                        this.handleParkourDeath();
-                        this.deathCooldown = 1.0; // 1 second cooldown after respawn
-                    }
-                } else {
-                    this.activeWorld.update(this.deltaTime);
-                }
+            while (this.accumulator >= PHYSICS.FIXED_TIMESTEP) {
+                this.fixedUpdate(PHYSICS.FIXED_TIMESTEP);
+                this.accumulator -= PHYSICS.FIXED_TIMESTEP;
+            }
+            
+            // Draw between the last two physics states
+            const alpha = this.accumulator / PHYSICS.FIXED_TIMESTEP;
+            this.player.interpolate(alpha, this.deltaTime);
+            this.grappleRope.update(this.player);
+            if (this.activeWorld && this.activeWorld.interpolate) {
+                this.activeWorld.interpolate(alpha);
             }
+        } else {
+            // Nothing simulated while paused, so don't let presses or time pile up
+            this.accumulator = 0;
+            inputManager.clearPresses();
         }
         
         // Update HUD only when in playing state
         if (gameStateManager.isPlaying()) {
             this.hud.update(this.getDebugInfo());
+            
+            // Survival clock while werewolves are about in the sandbox
+            if (this.activeWorld === this.world) {
+                this.hud.setSurvivalTime(this.world.werewolves.length > 0 ? this.world.survivalTime : null);
+                
+                // What each werewolf's AI is up to
+                if (DEBUG.SHOW_AI_STATE && this.hud.debugEnabled) {
+                    this.aiDebugOverlay.update(this.world.werewolves);
+                } else {
+                    this.aiDebugOverlay.clear();
+                }
+            } else if (this.activeWorld === this.infiniteWorld && this.infiniteWorld) {
+                // How far behind the Senator is
+                const senator = this.infiniteWorld.senator;
+                this.hud.setSenatorDistance(senator.gap, senator.isSurging);
+            }
         }
         
         // Clear input state for next frame
@@ -441,6 +521,78 @@ export class Engine {
         
         // Render
         this.renderer.render(this.scene, this.camera);
+        
+        // Put moving objects back in their physics state for the next step's collisions
+        if (shouldUpdate && this.activeWorld && this.activeWorld.interpolate) {
+            this.activeWorld.interpolate(1);
+        }
+    }
+
+    /**
+     * Advance the simulation by one fixed step
+     * @param {number} step - Step length in seconds (PHYSICS.FIXED_TIMESTEP)
+     */
+    fixedUpdate(step) {
+        // Caught - everything holds still behind the caught screen, then the game starts over
+        if (this.caughtTime > 0) {
+            this.caughtTime -= step;
+            if (this.caughtTime <= 0) {
+                this.respawnAfterCaught();
+            }
+            inputManager.clearPresses();
+            return;
+        }
+        
+        // Update player (physics only - the camera follows in interpolate)
+        this.player.update(step);
+        
+        // Update death cooldown
+        if (this.deathCooldown > 0) {
+            this.deathCooldown -= step;
+        }
+        
+        // Update active world (animations, etc.)
+        if (this.activeWorld) {
+            const isParkour = gameStateManager.isParkourMode();
+            const hasInfiniteWorld = !!this.infiniteWorld;
+            
+            if (isParkour && hasInfiniteWorld) {
+                // Update infinite world with player position
+                this.infiniteWorld.update(step, this.player.position);
+                
+                // Update obstacles and hook targets as chunks change
+                this.player.setObstacles(this.infiniteWorld.getObstacles());
+                this.player.setGrapplePoints(this.infiniteWorld.getGrapplePoints());
+                
+                // Log player Y position when low (for debugging)
+                const playerY = this.player.position.y;
+                if (playerY < -10) {
+                    console.log('[Engine] Player falling! Y:', playerY.toFixed(1), 
+                        'Cooldown:', this.deathCooldown.toFixed(2),
+                        'Death threshold: -30');
+                }
+                
+                // Check for death (with cooldown to prevent rapid respawns)
+                const isDead = this.infiniteWorld.checkDeath(playerY);
+                if (this.deathCooldown <= 0 && isDead) {
+                    console.log('[Engine] DEATH DETECTED! Calling handlePlayerDeath()');
+                    this.handlePlayerDeath('void');
+                } else if (this.infiniteWorld.checkCaught()) {
+                    // The Senator caught up - the run is over
+                    this.handlePlayerDeath('senator');
+                }
+            } else {
+                this.activeWorld.update(step);
+            }
+        }
+        
+        // Out of health (falls, hazards, enemies) - same respawn as falling into the void
+        if (this.deathCooldown <= 0 && this.player.health.isDead()) {
+            this.handlePlayerDeath(this.player.health.lastSource);
+        }
+        
+        // Presses have been seen by this step; don't replay them in the next one
+        inputManager.clearPresses();
     }
 
     /**
@@ -458,22 +610,51 @@ export class Engine {
     }
 
     /**
-     * Handle player death in parkour mode
+     * Handle player death: respawn at the last checkpoint in parkour mode,
+     * or back at the spawn point in the sandbox (after the caught screen,
+     * when a werewolf did it). Being caught by the Senator ends the parkour
+     * run instead, with a new course after the caught screen.
+     * @param {string} cause - 'void' (fell off the course), 'senator' (caught in parkour)
+     *                         or the DamageSource of the killing hit
      */
-    handleParkourDeath() {
+    handlePlayerDeath(cause) {
         console.log('');
         console.log('╔══════════════════════════════════════════╗');
         console.log('║           PLAYER DEATH TRIGGERED         ║');
         console.log('╚══════════════════════════════════════════╝');
-        console.log('[Engine] Player fell at Y:', this.player.position.y.toFixed(2));
+        console.log('[Engine] Cause of death:', cause);
         console.log('[Engine] Player was at position:', 
             this.player.position.x.toFixed(2), 
             this.player.position.y.toFixed(2), 
             this.player.position.z.toFixed(2));
         
-        globalEvents.emit(Events.PLAYER_DEATH);
+        globalEvents.emit(Events.PLAYER_DEATH, { cause });
+        this.deathCooldown = 1.0; // 1 second cooldown after respawn
         
-        if (this.infiniteWorld) {
+        if (!gameStateManager.isParkourMode()) {
+            const run = this.world.endSurvivalRun();
+            
+            // A werewolf got the player - show the caught screen, respawn when it's done
+            if (cause === DamageSource.ENEMY) {
+                console.log('[Engine] Caught after', run.time.toFixed(1), 's (best', run.best.toFixed(1), 's)');
+                this.caughtTime = PLAYER.CAUGHT_SCREEN_TIME;
+                this.player.previousPosition.copy(this.player.position);
+                this.hud.showCaught(run.time, run.best);
+                return;
+            }
+            
+            this.player.setPosition(0, 0, 0);
+        } else if (this.infiniteWorld) {
+            // The Senator got the player - show the caught screen, new run when it's done
+            if (cause === 'senator') {
+                const run = this.infiniteWorld.endRun();
+                console.log('[Engine] Caught by the Senator at', run.distance, 'm (best', run.best, 'm)');
+                this.caughtTime = PLAYER.CAUGHT_SCREEN_TIME;
+                this.player.previousPosition.copy(this.player.position);
+                this.hud.showCaughtDistance(run.distance, run.best);
+                return;
+            }
+            
             const hasCP = this.infiniteWorld.hasCheckpoint();
             const respawnPos = this.infiniteWorld.getRespawnPosition();
             const activeCP = this.infiniteWorld.activeCheckpoint;
@@ -506,6 +687,45 @@ export class Engine {
         globalEvents.emit(Events.PLAYER_RESPAWN);
     }
 
+    /**
+     * Start over after the caught screen: back to the sandbox spawn with the
+     * werewolves sent out to fresh spawn points, or a new parkour course
+     */
+    respawnAfterCaught() {
+        this.hud.hideCaught();
+        
+        if (gameStateManager.isParkourMode()) {
+            this.restartParkour();
+        } else {
+            this.player.setPosition(0, 0, 0);
+            this.world.scatterWerewolves();
+        }
+        this.deathCooldown = 1.0;
+        
+        console.log('[Engine] Player RESPAWNED after being caught');
+        globalEvents.emit(Events.PLAYER_RESPAWN);
+    }
+
+    /**
+     * Restart the parkour run, regenerating the course from a seed
+     * @param {number} [seed] - Course seed to replay (a new course if omitted)
+     */
+    restartParkour(seed) {
+        if (!gameStateManager.isParkourMode() || !this.infiniteWorld) return;
+        
+        console.log('[Engine] Restarting parkour with seed:', seed);
+        this.infiniteWorld.reset(seed);
+        
+        // Replaying from the pause menu skips what's left of a caught screen
+        this.caughtTime = 0;
+        this.hud.hideCaught();
+        
+        // Back to the start checkpoint with a clean state
+        this.player.setPosition(0, 0.5, 5);
+        this.player.setObstacles(this.infiniteWorld.getObstacles());
+        this.deathCooldown = 0;
+    }
+
     /**
      * Get debug information
      */
@@ -524,6 +744,7 @@ export class Engine {
         // Add parkour-specific info
         if (gameStateManager.isParkourMode() && this.infiniteWorld) {
             info.distance = Math.floor(this.infiniteWorld.getDistance());
+            info.allocations = this.infiniteWorld.getAllocationStats();
         }
         
         return info;
@@ -540,11 +761,13 @@ export class Engine {
         
         if (this.world) this.world.dispose();
         if (this.infiniteWorld) this.infiniteWorld.dispose();
+        if (this.grappleRope) this.grappleRope.dispose();
         this.renderer.dispose();
         
         if (this.mainMenu) this.mainMenu.dispose();
         if (this.pauseMenu) this.pauseMenu.dispose();
         if (this.sandboxUI) this.sandboxUI.dispose();
+        if (this.aiDebugOverlay) this.aiDebugOverlay.dispose();
         
         globalEvents.clear();
     }
@@ -41,6 +41,19 @@ export class FirstPersonCamera {
         // Wall run tilt settings
         this.wallRunTiltAngle = 0.25; // About 15 degrees in radians
         this.tiltSmoothSpeed = 8; // How fast to transition tilt
+        
+        // Ledge mantle - view nods down and leans as the player pulls up
+        this.mantlePitch = 0;
+        this.mantleRoll = 0;
+        this.mantleDipAngle = 0.35;  // About 20 degrees at the middle of the pull-up
+        this.mantleLeanAngle = 0.06;
+        
+        // Shake - jolts the view when the player is hit
+        this.shakeStrength = 0;      // 0-1, fades out over time
+        this.shakeTime = 0;
+        this.shakePitch = 0;
+        this.shakeRoll = 0;
+        this.shakeOffset = new THREE.Vector3();
     }
 
     /**
@@ -62,6 +75,8 @@ export class FirstPersonCamera {
             Math.min(CAMERA.PITCH_LIMIT, this.pitch)
         );
         
+        this.updateShake(deltaTime);
+        
         // Smoothly interpolate roll towards target
         this.roll = THREE.MathUtils.lerp(
             this.roll,
@@ -71,14 +86,60 @@ export class FirstPersonCamera {
         
         // Apply rotation to camera (YXZ order, then add roll)
         // Combine wall run tilt with head bob roll
-        const totalRoll = this.roll + this.bobRoll;
+        const totalRoll = this.roll + this.bobRoll + this.mantleRoll + this.shakeRoll;
         
         this.camera.rotation.order = 'YXZ';
-        this.camera.rotation.x = this.pitch;
+        this.camera.rotation.x = this.pitch + this.mantlePitch + this.shakePitch;
         this.camera.rotation.y = this.yaw;
         this.camera.rotation.z = totalRoll;
     }
 
+    /**
+     * Shake the view (stronger shakes override weaker ones still fading)
+     * @param {number} strength - 0-1
+     */
+    shake(strength) {
+        this.shakeStrength = Math.min(1, Math.max(this.shakeStrength, strength));
+    }
+
+    /**
+     * Fade the shake out and work out this frame's jolt
+     * @param {number} deltaTime - Time since last frame
+     */
+    updateShake(deltaTime) {
+        this.shakeStrength = Math.max(0, this.shakeStrength - CAMERA.SHAKE_DECAY * deltaTime);
+        
+        if (this.shakeStrength <= 0) {
+            this.shakePitch = 0;
+            this.shakeRoll = 0;
+            this.shakeOffset.set(0, 0, 0);
+            return;
+        }
+        
+        // Squared so the tail of a shake settles gently
+        const amount = this.shakeStrength * this.shakeStrength;
+        this.shakeTime += deltaTime * CAMERA.SHAKE_FREQUENCY;
+        const t = this.shakeTime;
+        
+        this.shakePitch = Math.sin(t * 1.3) * CAMERA.SHAKE_ANGLE * amount;
+        this.shakeRoll = Math.sin(t * 0.9 + 1.7) * CAMERA.SHAKE_ANGLE * amount;
+        this.shakeOffset.set(
+            Math.sin(t * 1.1 + 0.5),
+            Math.sin(t * 1.7 + 2.1),
+            0
+        ).multiplyScalar(CAMERA.SHAKE_OFFSET * amount);
+    }
+
+    /**
+     * Pose the view for a ledge pull-up
+     * @param {number} progress - Mantle progress (0 = not mantling, 1 = done)
+     */
+    setMantleProgress(progress) {
+        const arc = Math.sin(progress * Math.PI);
+        this.mantlePitch = -arc * this.mantleDipAngle;
+        this.mantleRoll = arc * this.mantleLeanAngle;
+    }
+
     /**
      * Set wall run tilt based on wall normal
      * @param {boolean} isWallRunning - Whether currently wall running
@@ -106,7 +167,7 @@ export class FirstPersonCamera {
      */
     updatePosition(playerPosition, deltaTime) {
         // Calculate target position
-        this.targetPosition.copy(playerPosition).add(this.eyeOffset);
+        this.targetPosition.copy(playerPosition).add(this.eyeOffset).add(this.shakeOffset);
         
         if (this.smoothing) {
             // Smooth interpolation
@@ -269,6 +330,9 @@ export class FirstPersonCamera {
         this.pitch = 0;
         this.yaw = 0;
         this.bobTime = 0;
+        this.mantlePitch = 0;
+        this.mantleRoll = 0;
+        this.shakeStrength = 0;
         this.camera.rotation.set(0, 0, 0);
     }
 
@@ -0,0 +1,66 @@
+/**
+ * GrappleRope - Draws the grappling hook line while the player swings
+ *
+ * A single line from just below and right of the camera (the hand) to the
+ * player's grapple anchor. Hidden whenever the player isn't hooked on.
+ */
+
+import * as THREE from 'three';
+import { PARKOUR } from '../config/Constants.js';
+
+export class GrappleRope {
+    /**
+     * @param {THREE.Scene} scene - Scene to add the rope to
+     * @param {THREE.Camera} camera - Player camera (the rope starts at its hand offset)
+     */
+    constructor(scene, camera) {
+        this.scene = scene;
+        this.camera = camera;
+
+        this.geometry = new THREE.BufferGeometry();
+        this.geometry.setAttribute('position', new THREE.Float32BufferAttribute(new Float32Array(6), 3));
+
+        this.material = new THREE.LineBasicMaterial({
+            color: PARKOUR.GRAPPLE_POINT_COLOR,
+            transparent: true,
+            opacity: 0.9,
+        });
+
+        this.line = new THREE.Line(this.geometry, this.material);
+        this.line.visible = false;
+        this.line.frustumCulled = false; // Both ends move every frame
+
+        this.scene.add(this.line);
+
+        // Hand offset in camera space
+        this._handOffset = new THREE.Vector3(0.3, -0.3, -0.2);
+        this._hand = new THREE.Vector3();
+    }
+
+    /**
+     * Follow the player's rope state (call after the camera has moved)
+     * @param {Player} player - Player to draw the rope for
+     */
+    update(player) {
+        this.line.visible = player.isGrappling;
+        if (!player.isGrappling) return;
+
+        this._hand.copy(this._handOffset).applyQuaternion(this.camera.quaternion).add(this.camera.position);
+
+        const positions = this.geometry.attributes.position;
+        positions.setXYZ(0, this._hand.x, this._hand.y, this._hand.z);
+        positions.setXYZ(1, player.grappleAnchor.x, player.grappleAnchor.y, player.grappleAnchor.z);
+        positions.needsUpdate = true;
+    }
+
+    /**
+     * Remove from the scene and free GPU resources
+     */
+    dispose() {
+        this.scene.remove(this.line);
+        this.geometry.dispose();
+        this.material.dispose();
+    }
+}
+
+export default GrappleRope;
@@ -5,11 +5,15 @@
  */
 
 import * as THREE from 'three';
-import { PLAYER, PHYSICS } from '../config/Constants.js';
+import { PLAYER, PHYSICS, ABILITIES } from '../config/Constants.js';
 import { inputManager } from '../systems/InputManager.js';
 import { globalEvents, Events } from '../systems/EventBus.js';
 import { gameStateManager } from '../systems/GameStateManager.js';
 import { FirstPersonCamera } from './FirstPersonCamera.js';
+import { PlayerAbilities, Ability } from './PlayerAbilities.js';
+import { PlayerHealth, DamageSource } from './PlayerHealth.js';
+import { PlayerStamina } from './PlayerStamina.js';
+import { CharacterController } from '../systems/CharacterController.js';
 
 export class Player {
     constructor(camera) {
@@ -17,6 +21,10 @@ export class Player {
         this.position = new THREE.Vector3(0, 0, 0);
         this.velocity = new THREE.Vector3(0, 0, 0);
         
+        // Position at the start of the last physics step (the camera is drawn between the two)
+        this.previousPosition = new THREE.Vector3(0, 0, 0);
+        this._renderPosition = new THREE.Vector3();
+        
         // Movement state
         this.isGrounded = true;
         this.isSprinting = false;
@@ -35,6 +43,7 @@ export class Player {
         this.jumpCooldown = 0;
         this.coyoteTime = 0;      // Grace period after leaving ground
         this.jumpBufferTime = 0;   // Pre-landing jump buffer
+        this.timeSinceLanding = Infinity; // For perfectly timed (bunny hop) jumps
         
         // Camera controller
         this.camera = new FirstPersonCamera(camera);
@@ -51,20 +60,73 @@ export class Player {
         this._wasCrouching = false;
         this._wasSliding = false;
         
-        // Collision detection
+        // Collision detection (the capsule does collision, rays look for walls and ledges)
         this.obstacles = [];
+        this.controller = new CharacterController({
+            radius: PLAYER.RADIUS,
+            height: PLAYER.HEIGHT,
+            stepHeight: PLAYER.STEP_HEIGHT,
+            maxSlope: PLAYER.MAX_SLOPE,
+        });
         this._playerBox = new THREE.Box3();
         this._raycaster = new THREE.Raycaster();
         this._downDirection = new THREE.Vector3(0, -1, 0);
+        this._upNormal = new THREE.Vector3(0, 1, 0);
+        
+        // Special platform currently stood on (moving ones carry the player each frame)
+        this.groundPlatform = null;
+        this.groundNormal = new THREE.Vector3(0, 1, 0); // Slope of the ground stood on
+        this._carryDelta = new THREE.Vector3();
         
         // Wall running
         this.isWallRunning = false;
         this.wallRunTime = 0;
-        this.wallRunMaxTime = 5.0; // 5 seconds max wall run
+        this.wallRunMaxTime = PLAYER.WALL_RUN_MAX_TIME;
         this.wallRunDirection = new THREE.Vector3(); // Direction along the wall
         this.wallNormal = new THREE.Vector3(); // Normal of the wall we're running on
         this.wallRunCooldown = 0; // Prevent immediate re-attach after jumping off
-        this.wallRunSpeed = 10; // Speed while wall running
+        this.wallRunSpeed = PLAYER.WALL_RUN_SPEED; // Speed while wall running
+        
+        // Wall climbing (head-on run up a wall, shares wallNormal with wall running)
+        this.isWallClimbing = false;
+        this.wallClimbTime = 0;
+        this.canWallClimb = true; // One climb per airtime
+        
+        // Ledge grab / mantle
+        this.isLedgeHanging = false;
+        this.isMantling = false;
+        this.ledgeTime = 0;           // Time spent in the current hang or mantle
+        this.ledgeCooldown = 0;       // Prevent re-grabbing straight after letting go
+        this.ledgeObject = null;      // Mesh whose edge is held
+        this.ledgeNormal = new THREE.Vector3(); // Normal of the face below the edge (towards the player)
+        this._mantleStart = new THREE.Vector3();
+        this._mantleEnd = new THREE.Vector3();
+        
+        // Grappling hook
+        this.isGrappling = false;
+        this.grappleAnchor = new THREE.Vector3(); // World point the rope is tied to
+        this.grappleLength = 0;
+        this.grappleObject = null;    // Mesh hooked (the anchor follows it)
+        this.grappleCooldown = 0;
+        this.grappleTarget = null;    // { object, point } under the reticle, or null
+        this.grapplePoints = [];      // Dedicated hook targets (not collidable)
+        this.keepMomentum = false;    // Air control steers without slowing down (after a swing)
+        this._grappleLocalAnchor = new THREE.Vector3();
+        this._ropeOrigin = new THREE.Vector3();
+        this._aimOrigin = new THREE.Vector3();
+        
+        // Extra moves (double jump, air dash, ground pound) - charges and availability
+        this.abilities = new PlayerAbilities();
+        this.isDashing = false;
+        this.dashTime = 0;            // Time left in the current dash
+        this.isGroundPounding = false;
+        
+        // Health - fall, hazard and enemy damage (the Engine respawns at zero)
+        this.health = new PlayerHealth();
+        this.groundObject = null;     // Mesh stood on (hazards hurt while touched)
+        
+        // Stamina - spent by sprinting, wall running, wall jumps and slides
+        this.stamina = new PlayerStamina();
         
         // Respawn protection - prevents physics for a brief moment after teleport
         this.respawnProtection = 0;
@@ -76,52 +138,104 @@ export class Player {
      */
     setObstacles(obstacles) {
         this.obstacles = obstacles;
+        this.controller.setObstacles(obstacles);
     }
 
     /**
-     * Main update loop
-     * @param {number} deltaTime - Time since last frame in seconds
+     * Set grapple points (hookable but not solid)
+     * @param {Array} points - Array of THREE.Mesh objects
+     */
+    setGrapplePoints(points) {
+        this.grapplePoints = points;
+    }
+
+    /**
+     * Physics step (camera is updated separately in interpolate)
+     * @param {number} deltaTime - Fixed step length in seconds
      */
     update(deltaTime) {
+        this.previousPosition.copy(this.position);
+        
         // Check respawn protection - skip physics while protected
         if (this.respawnProtection > 0) {
             this.respawnProtection -= deltaTime;
-            
-            // Only update camera, skip all physics
-            this.camera.updateRotation(deltaTime);
-            this.camera.updatePosition(this.position, deltaTime);
             return;
         }
         
         // Update timers
         this.updateTimers(deltaTime);
+        this.abilities.update(deltaTime);
+        this.health.update(deltaTime);
+        this.stamina.update(deltaTime, this.isGrounded);
+        
+        // Hanging from or climbing onto a ledge takes over movement until done
+        if (this.isLedgeHanging || this.isMantling) {
+            this.clearGrappleTarget();
+            this.updateLedge(deltaTime);
+            this.checkSprintEvents();
+            this.checkCrouchSlideEvents();
+            return;
+        }
         
         // Process input and movement
         this.handleCrouchSlide(deltaTime);
         this.handleMovement(deltaTime);
         this.handleJump(deltaTime);
+        this.handleAbilities(deltaTime);
+        this.handleGrapple(deltaTime);
         
         // Check for wall running (before gravity so we can cancel it)
         this.handleWallRun(deltaTime);
         
+        // A climb that reached the top hands over to the mantle
+        if (this.isMantling) return;
+        
         // Apply physics
         this.applyGravity(deltaTime);
+        this.applyRopeConstraint(deltaTime);
         this.applyVelocity(deltaTime);
         
         // Ground check
         this.checkGround();
+        this.checkHazards(deltaTime);
         
-        // Update camera
-        this.camera.updateRotation(deltaTime);
-        this.camera.updateEyeHeight(deltaTime);
-        this.camera.updateHeadBob(this.isMoving, this.isSprinting, this.isGrounded, this.isWallRunning, deltaTime);
-        this.camera.updatePosition(this.position, deltaTime);
+        if (this.isGrounded) {
+            this.abilities.onGrounded();
+        }
+        
+        // A slam ends on the ground (or launched back up by a bounce pad)
+        if (this.isGroundPounding && (this.isGrounded || this.velocity.y > 0)) {
+            this.endGroundPound();
+        }
+        
+        // Catch the edge of a platform the jump came up short of
+        if (!this.isGrounded && !this.isWallRunning && !this.isGrappling && !this.isGroundPounding) {
+            this.checkLedgeGrab();
+        }
         
         // Emit state events
         this.checkSprintEvents();
         this.checkCrouchSlideEvents();
     }
 
+    /**
+     * Per-frame camera update: mouse look, head bob, and the eye placed
+     * between the last two physics positions
+     * @param {number} alpha - Progress from the previous to the current physics state (0-1)
+     * @param {number} deltaTime - Time since last frame in seconds
+     */
+    interpolate(alpha, deltaTime) {
+        this.camera.updateRotation(deltaTime);
+        
+        if (this.respawnProtection <= 0) {
+            this.camera.updateEyeHeight(deltaTime);
+            this.camera.updateHeadBob(this.isMoving, this.isSprinting, this.isGrounded, this.isWallRunning || this.isWallClimbing, deltaTime);
+        }
+        
+        this._renderPosition.lerpVectors(this.previousPosition, this.position, alpha);
+        this.camera.updatePosition(this._renderPosition, deltaTime);
+    }
+
     /**
      * Update cooldown and grace period timers
      */
@@ -145,6 +259,16 @@ export class Player {
         if (this.slideCooldown > 0) {
             this.slideCooldown -= deltaTime;
         }
+        
+        if (this.ledgeCooldown > 0) {
+            this.ledgeCooldown -= deltaTime;
+        }
+        
+        if (this.grappleCooldown > 0) {
+            this.grappleCooldown -= deltaTime;
+        }
+        
+        this.timeSinceLanding += deltaTime;
     }
 
     /**
@@ -169,6 +293,11 @@ export class Player {
         // Track continuous sprint time for slide requirement
         if (this.isSprinting) {
             this.sprintTime += deltaTime;
+            
+            // Only running on the ground tires (the air and walls have their own costs)
+            if (this.isGrounded) {
+                this.stamina.drain(PLAYER.SPRINT_STAMINA_COST, deltaTime);
+            }
         } else {
             this.sprintTime = 0;
         }
@@ -178,7 +307,8 @@ export class Player {
         if (this.isCrouching) {
             speed = PLAYER.CROUCH_SPEED;
         } else if (this.isSprinting) {
-            speed = PLAYER.RUN_SPEED;
+            // Tiring out slows the sprint toward walking pace
+            speed = PLAYER.WALK_SPEED + (PLAYER.RUN_SPEED - PLAYER.WALK_SPEED) * this.stamina.getSpeedScale();
         } else {
             speed = PLAYER.WALK_SPEED;
         }
@@ -200,13 +330,29 @@ export class Player {
             this._moveDirection.add(this._tempVector);
         }
         
+        // Swinging - input pumps the swing, the rope and gravity do the rest
+        if (this.isGrappling) {
+            this.velocity.x += this._moveDirection.x * PLAYER.GRAPPLE_SWING_ACCEL * deltaTime;
+            this.velocity.z += this._moveDirection.z * PLAYER.GRAPPLE_SWING_ACCEL * deltaTime;
+            return;
+        }
+        
+        // Dashes and slams hold their course
+        if (this.isDashing || this.isGroundPounding) return;
+        
+        // Speed carried off a swing lasts until landing
+        if (this.isGrounded) {
+            this.keepMomentum = false;
+        }
+        
         // Apply movement
         if (this.isMoving) {
             // Acceleration towards desired velocity
             const accel = this.isGrounded ? PLAYER.ACCELERATION : PLAYER.ACCELERATION * PLAYER.AIR_CONTROL;
+            const targetSpeed = this.getCarriedSpeed(speed, deltaTime);
             
-            const targetVelX = this._moveDirection.x * speed;
-            const targetVelZ = this._moveDirection.z * speed;
+            const targetVelX = this._moveDirection.x * targetSpeed;
+            const targetVelZ = this._moveDirection.z * targetSpeed;
             
             this.velocity.x = THREE.MathUtils.lerp(
                 this.velocity.x,
@@ -219,7 +365,7 @@ export class Player {
                 targetVelZ,
                 1 - Math.exp(-accel * deltaTime)
             );
-        } else {
+        } else if (!this.keepMomentum) {
             // Deceleration when not moving
             const decel = this.isGrounded ? PLAYER.DECELERATION : PLAYER.DECELERATION * PLAYER.AIR_CONTROL;
             
@@ -237,6 +383,29 @@ export class Player {
         }
     }
 
+    /**
+     * Speed to steer toward: the move speed, or the current speed if faster,
+     * bled off gradually (and harder past the soft top speed)
+     * @param {number} moveSpeed - Walk/run/crouch speed
+     * @param {number} deltaTime - Step length in seconds
+     * @returns {number}
+     */
+    getCarriedSpeed(moveSpeed, deltaTime) {
+        const current = this.getCurrentSpeed();
+        if (current <= moveSpeed) return moveSpeed;
+        
+        // Speed off a swing is kept whole until landing
+        let decay = 0;
+        if (!this.keepMomentum) {
+            decay = this.isGrounded ? PLAYER.MOMENTUM_GROUND_DECAY : PLAYER.MOMENTUM_AIR_DECAY;
+        }
+        if (current > PLAYER.SOFT_TOP_SPEED) {
+            decay += (current - PLAYER.SOFT_TOP_SPEED) * PLAYER.TOP_SPEED_DRAG;
+        }
+        
+        return Math.max(moveSpeed, current - decay * deltaTime);
+    }
+
     /**
      * Handle jump input
      */
@@ -246,9 +415,19 @@ export class Player {
             this.jumpBufferTime = PLAYER.JUMP_BUFFER;
         }
         
-        // Wall jump - if wall running and jump pressed
+        // Wall jump - if wall running and jump pressed (too tired to push off: keep running)
         if (this.isWallRunning && this.jumpBufferTime > 0) {
-            this.wallJump();
+            if (this.stamina.spend(PLAYER.WALL_JUMP_STAMINA_COST)) {
+                this.wallJump();
+            }
+            return;
+        }
+        
+        // Kick off backwards - if climbing and jump pressed
+        if (this.isWallClimbing && this.jumpBufferTime > 0) {
+            if (this.stamina.spend(PLAYER.WALL_JUMP_STAMINA_COST)) {
+                this.wallKick();
+            }
             return;
         }
         
@@ -259,19 +438,140 @@ export class Player {
         // Execute jump if buffered and possible
         if (this.jumpBufferTime > 0 && canJumpNow) {
             this.jump();
+            return;
+        }
+        
+        // Jump again in mid-air
+        if (inputManager.isActionPressed('JUMP') && !this.isGrounded && !this.isGrappling &&
+            this.abilities.canUse(Ability.DOUBLE_JUMP)) {
+            this.doubleJump();
+        }
+    }
+
+    /**
+     * Execute a mid-air jump
+     */
+    doubleJump() {
+        this.abilities.use(Ability.DOUBLE_JUMP);
+        
+        this.velocity.y = PLAYER.JUMP_FORCE * ABILITIES.DOUBLE_JUMP.FORCE;
+        this.jumpBufferTime = 0;
+        
+        if (this.isDashing) {
+            this.endDash();
+        }
+        this.isGroundPounding = false;
+        
+        globalEvents.emit(Events.PLAYER_DOUBLE_JUMP);
+    }
+
+    /**
+     * Handle air dash and ground pound input, and run the dash timer
+     */
+    handleAbilities(deltaTime) {
+        if (this.isDashing) {
+            this.dashTime -= deltaTime;
+            if (this.dashTime <= 0) {
+                this.endDash();
+            }
+        }
+        
+        // Both are air moves, and not while attached to a wall or rope
+        if (this.isGrounded || this.isWallRunning || this.isWallClimbing || this.isGrappling) return;
+        
+        if (inputManager.isActionPressed('DASH') && this.abilities.canUse(Ability.AIR_DASH)) {
+            this.airDash();
+        } else if (inputManager.isActionPressed('CROUCH') && !this.isGroundPounding &&
+                   this.abilities.canUse(Ability.GROUND_POUND)) {
+            this.groundPound();
+        }
+    }
+
+    /**
+     * Burst horizontally in the move direction (or where the camera faces)
+     */
+    airDash() {
+        this.abilities.use(Ability.AIR_DASH);
+        
+        const direction = this._tempVector.set(this._moveDirection.x, 0, this._moveDirection.z);
+        if (direction.lengthSq() < 0.01) {
+            direction.copy(this.camera.getForwardDirection());
+        }
+        direction.normalize();
+        
+        this.velocity.set(direction.x * ABILITIES.AIR_DASH.SPEED, 0, direction.z * ABILITIES.AIR_DASH.SPEED);
+        this.isDashing = true;
+        this.dashTime = ABILITIES.AIR_DASH.DURATION;
+        this.isGroundPounding = false;
+        
+        globalEvents.emit(Events.PLAYER_AIR_DASH, { direction: direction.clone() });
+    }
+
+    /**
+     * End a dash, bleeding off the speed above END_SPEED
+     */
+    endDash() {
+        this.isDashing = false;
+        this.dashTime = 0;
+        
+        const speed = this.getCurrentSpeed();
+        if (speed > ABILITIES.AIR_DASH.END_SPEED) {
+            const scale = ABILITIES.AIR_DASH.END_SPEED / speed;
+            this.velocity.x *= scale;
+            this.velocity.z *= scale;
+        }
+    }
+
+    /**
+     * Slam straight down
+     */
+    groundPound() {
+        this.abilities.use(Ability.GROUND_POUND);
+        
+        if (this.isDashing) {
+            this.endDash();
         }
+        this.isGroundPounding = true;
+        this.velocity.set(0, ABILITIES.GROUND_POUND.SPEED, 0);
+        
+        globalEvents.emit(Events.PLAYER_GROUND_POUND);
+    }
+
+    /**
+     * Slam hit the ground
+     */
+    endGroundPound() {
+        this.isGroundPounding = false;
+        
+        globalEvents.emit(Events.PLAYER_GROUND_POUND_LAND, {
+            object: this.groundPlatform ? this.groundPlatform.getCollisionMesh() : null,
+            position: this.position.clone(),
+        });
     }
 
     /**
      * Execute jump
      */
     jump() {
+        // Pressed and landed at (nearly) the same moment - bunny hop boost
+        const pressedAgo = PLAYER.JUMP_BUFFER - this.jumpBufferTime;
+        if (this.timeSinceLanding <= PLAYER.BHOP_WINDOW && pressedAgo <= PLAYER.BHOP_WINDOW) {
+            this.boostHorizontalSpeed(PLAYER.BHOP_BOOST);
+        }
+        
+        // Slide-jumps carry the slide's speed into the air
+        if (this.isSliding) {
+            this.velocity.x *= PLAYER.SLIDE_JUMP_KEEP;
+            this.velocity.z *= PLAYER.SLIDE_JUMP_KEEP;
+        }
+        
         this.velocity.y = PLAYER.JUMP_FORCE;
         this.isGrounded = false;
         this.canJump = false;
         this.jumpCooldown = PLAYER.JUMP_COOLDOWN;
         this.coyoteTime = 0;
         this.jumpBufferTime = 0;
+        this.timeSinceLanding = Infinity;
         
         // Cancel crouch/slide on jump
         if (this.isCrouching || this.isSliding) {
@@ -281,6 +581,19 @@ export class Player {
         globalEvents.emit(Events.PLAYER_JUMP);
     }
 
+    /**
+     * Add speed along the current horizontal direction of travel
+     * @param {number} amount - Speed to add (units per second)
+     */
+    boostHorizontalSpeed(amount) {
+        const speed = this.getCurrentSpeed();
+        if (speed < 0.01) return;
+        
+        const scale = (speed + amount) / speed;
+        this.velocity.x *= scale;
+        this.velocity.z *= scale;
+    }
+
     /**
      * Handle crouch and slide input/state
      */
@@ -288,8 +601,8 @@ export class Player {
         const crouchPressed = inputManager.isActionPressed('CROUCH');
         const crouchHeld = inputManager.isAction('CROUCH');
         
-        // Can't crouch/slide while wall running
-        if (this.isWallRunning) {
+        // Can't crouch/slide while wall running, climbing or swinging
+        if (this.isWallRunning || this.isWallClimbing || this.isGrappling) {
             if (this.isSliding) {
                 this.endSlide();
             }
@@ -324,8 +637,15 @@ export class Player {
                 this.velocity.z *= ratio;
             }
             
+            // Slopes pull the slide downhill (the ground normal leans that way)
+            if (this.isGrounded && this.groundNormal.y < 0.999) {
+                const pull = -PHYSICS.GRAVITY * this.groundNormal.y * PLAYER.SLIDE_SLOPE_ACCEL * deltaTime;
+                this.velocity.x += this.groundNormal.x * pull;
+                this.velocity.z += this.groundNormal.z * pull;
+            }
+            
             // End slide if too slow - transition to crouch
-            if (newSpeed < PLAYER.SLIDE_MIN_SPEED) {
+            if (this.getCurrentSpeed() < PLAYER.SLIDE_MIN_SPEED) {
                 this.endSlide();
                 this.startCrouch(); // Always transition to crouch after slide
             }
@@ -343,8 +663,10 @@ export class Player {
         }
         
         // Start slide: sprinting for minimum duration + press crouch + not on cooldown
+        // (without the stamina for it, the press crouches instead)
         const hasSprintedEnough = this.sprintTime >= PLAYER.SLIDE_MIN_SPRINT_TIME;
-        if (crouchPressed && this.isSprinting && hasSprintedEnough && this.slideCooldown <= 0 && this.isGrounded) {
+        if (crouchPressed && this.isSprinting && hasSprintedEnough && this.slideCooldown <= 0 && this.isGrounded &&
+            this.stamina.spend(PLAYER.SLIDE_STAMINA_COST)) {
             this.startSlide();
             return;
         }
@@ -433,7 +755,11 @@ export class Player {
         if (this.isSliding) {
             this.endSlide();
         }
-        if (this.isCrouching) {
+        
+        // Stay down if there's no room to stand
+        if (!this.canStandUp()) {
+            this.startCrouch();
+        } else if (this.isCrouching) {
             this.endCrouch();
         }
     }
@@ -455,37 +781,7 @@ export class Player {
      * Check if player can stand up from crouch (no obstacle above)
      */
     canStandUp() {
-        if (this.obstacles.length === 0) return true;
-        
-        const halfWidth = PLAYER.RADIUS;
-        
-        // Cast rays upward from crouch height to stand height
-        const crouchTopY = this.position.y + PLAYER.CROUCH_HEIGHT;
-        const standTopY = this.position.y + PLAYER.HEIGHT;
-        
-        const checkPoints = [
-            new THREE.Vector3(this.position.x, crouchTopY, this.position.z),
-            new THREE.Vector3(this.position.x + halfWidth * 0.7, crouchTopY, this.position.z),
-            new THREE.Vector3(this.position.x - halfWidth * 0.7, crouchTopY, this.position.z),
-            new THREE.Vector3(this.position.x, crouchTopY, this.position.z + halfWidth * 0.7),
-            new THREE.Vector3(this.position.x, crouchTopY, this.position.z - halfWidth * 0.7),
-        ];
-        
-        const upDirection = new THREE.Vector3(0, 1, 0);
-        const checkDistance = standTopY - crouchTopY;
-        
-        for (const point of checkPoints) {
-            this._raycaster.set(point, upDirection);
-            this._raycaster.far = checkDistance;
-            
-            const intersects = this._raycaster.intersectObjects(this.obstacles, false);
-            
-            if (intersects.length > 0) {
-                return false; // Can't stand up, obstacle in the way
-            }
-        }
-        
-        return true;
+        return this.controller.fits(this.position, PLAYER.HEIGHT);
     }
 
     /**
@@ -493,11 +789,11 @@ export class Player {
      */
     wallJump() {
         // Jump up and away from wall
-        this.velocity.y = PLAYER.JUMP_FORCE * 0.9;
+        this.velocity.y = PLAYER.JUMP_FORCE * PLAYER.WALL_JUMP_FORCE;
         
         // Push away from wall
-        this.velocity.x += this.wallNormal.x * 8;
-        this.velocity.z += this.wallNormal.z * 8;
+        this.velocity.x += this.wallNormal.x * PLAYER.WALL_JUMP_PUSH;
+        this.velocity.z += this.wallNormal.z * PLAYER.WALL_JUMP_PUSH;
         
         // End wall run
         this.endWallRun();
@@ -509,6 +805,25 @@ export class Player {
         globalEvents.emit(Events.PLAYER_JUMP);
     }
 
+    /**
+     * Execute wall kick - jump backwards off a wall being climbed
+     */
+    wallKick() {
+        this.velocity.y = PLAYER.JUMP_FORCE * PLAYER.WALL_JUMP_FORCE;
+        
+        // Straight back out from the wall
+        this.velocity.x = this.wallNormal.x * PLAYER.WALL_KICK_PUSH;
+        this.velocity.z = this.wallNormal.z * PLAYER.WALL_KICK_PUSH;
+        
+        this.endWallClimb();
+        this.wallRunCooldown = 0.5;
+        
+        this.jumpBufferTime = 0;
+        this.jumpCooldown = PLAYER.JUMP_COOLDOWN;
+        
+        globalEvents.emit(Events.PLAYER_JUMP);
+    }
+
     /**
      * Apply gravity to vertical velocity
      */
@@ -516,7 +831,23 @@ export class Player {
         // No gravity while wall running
         if (this.isWallRunning) {
             // Slight downward drift while wall running
-            this.velocity.y = -1;
+            this.velocity.y = PLAYER.WALL_RUN_DRIFT;
+            return;
+        }
+        
+        // Steady run upward while climbing
+        if (this.isWallClimbing) {
+            this.velocity.y = PLAYER.WALL_CLIMB_SPEED;
+            return;
+        }
+        
+        // Dashes fly level, slams fall at a fixed speed
+        if (this.isDashing) {
+            this.velocity.y = 0;
+            return;
+        }
+        if (this.isGroundPounding) {
+            this.velocity.y = ABILITIES.GROUND_POUND.SPEED;
             return;
         }
         
@@ -539,12 +870,21 @@ export class Player {
             if (this.isWallRunning) {
                 this.endWallRun();
             }
+            if (this.isWallClimbing) {
+                this.endWallClimb();
+            }
             this.wallRunTime = 0;
+            this.canWallClimb = true;
             // Reset camera tilt when grounded
             this.camera.setWallRunTilt(false, this.wallNormal);
             return;
         }
         
+        if (this.isWallClimbing) {
+            this.updateWallClimb(deltaTime);
+            return;
+        }
+        
         // Check if currently wall running
         if (this.isWallRunning) {
             this.wallRunTime += deltaTime;
@@ -552,8 +892,9 @@ export class Player {
             // Update camera tilt while wall running
             this.camera.setWallRunTilt(true, this.wallNormal);
             
-            // Force end wall run after max time
-            if (this.wallRunTime >= this.wallRunMaxTime) {
+            // Force end wall run after max time, or once out of stamina
+            this.stamina.drain(PLAYER.WALL_RUN_STAMINA_COST, deltaTime);
+            if (this.wallRunTime >= this.wallRunMaxTime || this.stamina.isEmpty()) {
                 this.endWallRun();
                 return;
             }
@@ -583,10 +924,21 @@ export class Player {
         
         // Not wall running - check if we should start
         if (this.wallRunCooldown > 0) return;
-        if (!this.isMoving) return;
+        if (!this.isMoving || this.isGrappling || this.isGroundPounding) return;
+        
+        // Running straight at a wall climbs it instead (there's nothing to run along)
+        const forward = this.camera.getForwardDirection();
+        const climbCheck = this.detectClimbWall(forward);
+        if (climbCheck && -forward.dot(climbCheck.normal) >= PLAYER.WALL_CLIMB_FACING) {
+            if (this.canWallClimb && inputManager.getMovementInput().z < 0 &&
+                this.getCurrentSpeed() >= PLAYER.WALL_CLIMB_MIN_SPEED) {
+                this.startWallClimb(climbCheck.normal);
+            }
+            return;
+        }
         
         const wallCheck = this.detectWall();
-        if (wallCheck.isNearWall) {
+        if (wallCheck.isNearWall && !this.stamina.isEmpty()) {
             this.startWallRun(wallCheck.normal);
         }
     }
@@ -651,6 +1003,83 @@ export class Player {
         return result;
     }
 
+    /**
+     * Look for a wall in one direction at mid-body height
+     * @param {THREE.Vector3} direction - Horizontal direction to probe
+     * @returns {Object|null} { normal: THREE.Vector3 (horizontal), distance: number }, or null
+     */
+    detectClimbWall(direction) {
+        if (this.obstacles.length === 0) return null;
+        
+        const origin = new THREE.Vector3(this.position.x, this.position.y + this.currentHeight * 0.5, this.position.z);
+        this._raycaster.set(origin, direction);
+        this._raycaster.far = PLAYER.RADIUS + PLAYER.HEIGHT * 0.15; // Same reach as detectWall
+        
+        const hit = this._raycaster.intersectObjects(this.obstacles, false)[0];
+        if (!hit || !hit.face) return null;
+        
+        const normal = hit.face.normal.clone().transformDirection(hit.object.matrixWorld);
+        if (Math.abs(normal.y) >= 0.5) return null;
+        
+        normal.y = 0;
+        normal.normalize();
+        return { normal, distance: hit.distance };
+    }
+
+    /**
+     * Start climbing a wall head-on
+     */
+    startWallClimb(wallNormal) {
+        this.isWallClimbing = true;
+        this.canWallClimb = false;
+        this.wallClimbTime = 0;
+        this.wallNormal.copy(wallNormal);
+        
+        globalEvents.emit(Events.PLAYER_JUMP); // Same cue as starting a wall run
+    }
+
+    /**
+     * Run up the wall until time runs out, the player lets go, or a ledge
+     * comes within reach (which is pulled up onto straight away)
+     */
+    updateWallClimb(deltaTime) {
+        this.wallClimbTime += deltaTime;
+        
+        if (this.wallClimbTime >= PLAYER.WALL_CLIMB_MAX_TIME ||
+            inputManager.getMovementInput().z >= 0) {
+            this.endWallClimb();
+            return;
+        }
+        
+        const into = this._tempVector.copy(this.wallNormal).negate();
+        
+        const ledge = this.findLedge(into);
+        if (ledge) {
+            this.endWallClimb();
+            this.grabLedge(ledge);
+            this.startMantle();
+            return;
+        }
+        
+        // Ran out of wall (or it went away)
+        if (!this.detectClimbWall(into)) {
+            this.endWallClimb();
+            return;
+        }
+        
+        // Stay pressed against the wall
+        this.velocity.x = into.x * 2;
+        this.velocity.z = into.z * 2;
+    }
+
+    /**
+     * End wall climbing (keeps the upward speed, so the climb coasts to a stop)
+     */
+    endWallClimb() {
+        this.isWallClimbing = false;
+        this.wallClimbTime = 0;
+    }
+
     /**
      * Start wall running
      */
@@ -659,6 +1088,12 @@ export class Player {
         this.wallNormal.copy(wallNormal);
         this.wallRunTime = 0;
         
+        // Keep most of the entry speed (along the wall)
+        const alongSpeed = this._tempVector.set(this.velocity.x, 0, this.velocity.z)
+            .addScaledVector(wallNormal, -this.velocity.x * wallNormal.x - this.velocity.z * wallNormal.z)
+            .length();
+        this.wallRunSpeed = Math.max(PLAYER.WALL_RUN_SPEED, alongSpeed * PLAYER.WALL_RUN_MOMENTUM_KEEP);
+        
         // Cancel downward velocity
         if (this.velocity.y < 0) {
             this.velocity.y = 2; // Small upward boost when starting
@@ -679,161 +1114,373 @@ export class Player {
     }
 
     /**
-     * Apply velocity to position with collision detection
+     * Catch a ledge just ahead while falling
      */
-    applyVelocity(deltaTime) {
-        // Apply Y movement (vertical) with collision check for upward movement
-        const moveY = this.velocity.y * deltaTime;
-        if (moveY !== 0) {
-            if (moveY > 0) {
-                // Moving up - check for ceiling collision before moving
-                const ceilingHeight = this.getCeilingHeight();
-                const headTopY = this.position.y + this.currentHeight;
-                
-                if (ceilingHeight !== null && headTopY + moveY >= ceilingHeight) {
-                    // Would hit ceiling - position player so head is just below ceiling
-                    this.position.y = ceilingHeight - this.currentHeight;
-                    this.velocity.y = 0;
-                } else {
-                    // No ceiling collision, move normally
-                    this.position.y += moveY;
-                }
-            } else {
-                // Moving down - no ceiling check needed
-                this.position.y += moveY;
-            }
+    checkLedgeGrab() {
+        if (this.ledgeCooldown > 0 || this.velocity.y > 0) return;
+        
+        // Only when pushing towards it
+        if (inputManager.getMovementInput().z >= 0) return;
+        
+        const ledge = this.findLedge(this.camera.getForwardDirection());
+        if (ledge) {
+            this.grabLedge(ledge);
         }
+    }
+
+    /**
+     * Look for a ledge in a direction: a down probe past the body finds the
+     * top, a probe just below it finds the edge face, and a probe just above
+     * it checks there's room
+     * @param {THREE.Vector3} direction - Horizontal direction to look in
+     * @returns {Object|null} { edge: raycast hit on the face below the edge, normal, height }
+     */
+    findLedge(direction) {
+        if (this.obstacles.length === 0) return null;
         
-        // Apply X movement with collision check
-        const moveX = this.velocity.x * deltaTime;
-        if (moveX !== 0) {
-            this.position.x += moveX;
-            if (this.checkCollision()) {
-                this.position.x -= moveX;
-                this.velocity.x = 0;
-            }
+        const reach = PLAYER.RADIUS + PLAYER.LEDGE_REACH;
+        
+        // Top of the ledge, between waist and arms' reach
+        const origin = new THREE.Vector3().copy(this.position).addScaledVector(direction, reach);
+        origin.y = this.position.y + PLAYER.LEDGE_GRAB_MAX;
+        this._raycaster.set(origin, this._downDirection);
+        this._raycaster.far = PLAYER.LEDGE_GRAB_MAX - PLAYER.LEDGE_GRAB_MIN;
+        
+        const top = this._raycaster.intersectObjects(this.obstacles, false)[0];
+        if (!top || !top.face) return null;
+        
+        const topNormal = top.face.normal.clone().transformDirection(top.object.matrixWorld);
+        if (topNormal.y < 0.7) return null;
+        
+        // Platforms that carry the player can't be held onto
+        const platform = top.object.userData.platformRef;
+        if (platform && platform.getCarryDelta) return null;
+        
+        const ledgeY = top.point.y;
+        
+        // Edge face just below the top, within reach
+        origin.set(this.position.x, ledgeY - 0.05, this.position.z);
+        this._raycaster.set(origin, direction);
+        this._raycaster.far = reach;
+        
+        const edge = this._raycaster.intersectObject(top.object, false)[0];
+        if (!edge || !edge.face) return null;
+        
+        const edgeNormal = edge.face.normal.clone().transformDirection(edge.object.matrixWorld);
+        if (Math.abs(edgeNormal.y) > 0.5) return null;
+        
+        // Room to climb onto it
+        origin.y = ledgeY + 0.3;
+        this._raycaster.set(origin, direction);
+        this._raycaster.far = reach + PLAYER.RADIUS * 2;
+        if (this._raycaster.intersectObjects(this.obstacles, false).length > 0) return null;
+        
+        return { edge, normal: edgeNormal, height: ledgeY };
+    }
+
+    /**
+     * Start hanging from a ledge
+     * @param {Object} ledge - Ledge from findLedge
+     */
+    grabLedge(ledge) {
+        const ledgeY = ledge.height;
+        
+        this.isLedgeHanging = true;
+        this.ledgeTime = 0;
+        this.ledgeObject = ledge.edge.object;
+        this.ledgeNormal.set(ledge.normal.x, 0, ledge.normal.z).normalize();
+        
+        // The pull-up ends on the top, a body's width past the edge
+        this._mantleEnd.copy(ledge.edge.point).addScaledVector(this.ledgeNormal, -PLAYER.RADIUS * 2);
+        this._mantleEnd.y = ledgeY;
+        
+        // Hang where caught
+        this.velocity.set(0, 0, 0);
+        this.isMoving = false;
+        this.isSprinting = false;
+        if (this.isCrouching || this.isSliding) {
+            this.endCrouchSlide();
+        }
+        
+        globalEvents.emit(Events.PLAYER_LEDGE_GRAB, { object: this.ledgeObject, height: ledgeY });
+    }
+
+    /**
+     * Hang, then pull up over the edge
+     */
+    updateLedge(deltaTime) {
+        this.ledgeTime += deltaTime;
+        
+        // The ledge went away (crumbled, blinked out, chunk unloaded)
+        if (!this.obstacles.includes(this.ledgeObject)) {
+            this.dropLedge();
+            return;
         }
         
-        // Apply Z movement with collision check
-        const moveZ = this.velocity.z * deltaTime;
-        if (moveZ !== 0) {
-            this.position.z += moveZ;
-            if (this.checkCollision()) {
-                this.position.z -= moveZ;
-                this.velocity.z = 0;
+        if (this.isLedgeHanging) {
+            if (inputManager.isActionPressed('CROUCH')) {
+                this.dropLedge();
+            } else if (inputManager.isActionPressed('JUMP') || this.ledgeTime >= PLAYER.LEDGE_HANG_TIME) {
+                this.startMantle();
             }
+            return;
+        }
+        
+        // Rise up the face first, then move over the edge
+        const t = Math.min(1, this.ledgeTime / PLAYER.MANTLE_DURATION);
+        const rise = Math.min(1, t / 0.6);
+        const over = Math.max(0, (t - 0.6) / 0.4);
+        
+        this.position.y = THREE.MathUtils.lerp(this._mantleStart.y, this._mantleEnd.y, 1 - (1 - rise) * (1 - rise));
+        this.position.x = THREE.MathUtils.lerp(this._mantleStart.x, this._mantleEnd.x, over * over * (3 - 2 * over));
+        this.position.z = THREE.MathUtils.lerp(this._mantleStart.z, this._mantleEnd.z, over * over * (3 - 2 * over));
+        
+        this.camera.setMantleProgress(t);
+        
+        if (t >= 1) {
+            this.endMantle();
         }
     }
 
     /**
-     * Get the height of the ceiling above the player
-     * @returns {number|null} The Y position of the ceiling, or null if no ceiling found
+     * Begin pulling up onto the ledge
      */
-    getCeilingHeight() {
-        if (this.obstacles.length === 0) return null;
+    startMantle() {
+        this.isLedgeHanging = false;
+        this.isMantling = true;
+        this.ledgeTime = 0;
+        this._mantleStart.copy(this.position);
         
-        // this.position.y is the feet/base position
-        // Top of head is simply feet position + current height
-        const headTopY = this.position.y + this.currentHeight;
-        
-        // Check multiple points at the top of the player's collision volume
-        const checkPoints = [
-            new THREE.Vector3(this.position.x, headTopY, this.position.z),
-            new THREE.Vector3(this.position.x + PLAYER.RADIUS * 0.7, headTopY, this.position.z),
-            new THREE.Vector3(this.position.x - PLAYER.RADIUS * 0.7, headTopY, this.position.z),
-            new THREE.Vector3(this.position.x, headTopY, this.position.z + PLAYER.RADIUS * 0.7),
-            new THREE.Vector3(this.position.x, headTopY, this.position.z - PLAYER.RADIUS * 0.7),
-        ];
+        globalEvents.emit(Events.PLAYER_MANTLE_START);
+    }
+
+    /**
+     * Finish the pull-up standing on the ledge
+     */
+    endMantle() {
+        const object = this.ledgeObject;
         
-        const upDirection = new THREE.Vector3(0, 1, 0);
-        // Check up to 2 units above head for ceiling detection
-        const checkDistance = 2.0;
+        this.isMantling = false;
+        this.ledgeObject = null;
+        this.position.copy(this._mantleEnd);
+        this.velocity.set(0, 0, 0);
+        this.camera.setMantleProgress(0);
         
-        let lowestCeiling = null;
+        this.isGrounded = true;
+        this.canJump = true;
+        this.coyoteTime = PLAYER.COYOTE_TIME;
         
-        for (const point of checkPoints) {
-            this._raycaster.set(point, upDirection);
-            this._raycaster.far = checkDistance;
+        globalEvents.emit(Events.PLAYER_MANTLE_END);
+        globalEvents.emit(Events.PLAYER_LAND, { object, impactVelocity: 0 });
+    }
+
+    /**
+     * Let go of the ledge and fall
+     */
+    dropLedge() {
+        this.isLedgeHanging = false;
+        this.isMantling = false;
+        this.ledgeObject = null;
+        this.ledgeCooldown = PLAYER.LEDGE_GRAB_COOLDOWN;
+        this.camera.setMantleProgress(0);
+        
+        globalEvents.emit(Events.PLAYER_LEDGE_DROP);
+    }
+
+    /**
+     * Handle grapple input: aim, fire, reel in and let go
+     */
+    handleGrapple(deltaTime) {
+        if (this.isGrappling) {
+            const hooked = this.obstacles.includes(this.grappleObject) ||
+                this.grapplePoints.includes(this.grappleObject);
             
-            const intersects = this._raycaster.intersectObjects(this.obstacles, false);
+            // Let go of the button, jump off, touch down, or the anchor went away
+            if (!inputManager.isAction('GRAPPLE') || this.jumpBufferTime > 0 || this.isGrounded || !hooked) {
+                this.jumpBufferTime = 0;
+                this.releaseGrapple();
+                return;
+            }
             
-            if (intersects.length > 0) {
-                const hit = intersects[0];
-                const ceilingY = hit.point.y;
-                
-                // Track the lowest ceiling height (closest to player)
-                if (lowestCeiling === null || ceilingY < lowestCeiling) {
-                    lowestCeiling = ceilingY;
-                }
+            // Follow the anchor (moving platforms) and reel in
+            this.grappleAnchor.copy(this._grappleLocalAnchor);
+            this.grappleObject.localToWorld(this.grappleAnchor);
+            this.grappleLength = Math.max(
+                PLAYER.GRAPPLE_MIN_LENGTH,
+                this.grappleLength - PLAYER.GRAPPLE_REEL_SPEED * deltaTime
+            );
+            return;
+        }
+        
+        this.updateGrappleTarget();
+        
+        if (this.grappleTarget && this.grappleCooldown <= 0 && inputManager.isActionPressed('GRAPPLE')) {
+            this.attachGrapple(this.grappleTarget);
+        }
+    }
+
+    /**
+     * Find what the reticle is over: a grapple point close to the aim line
+     * (with a clear view of it), otherwise any obstacle within range
+     */
+    updateGrappleTarget() {
+        const hadTarget = this.grappleTarget !== null;
+        const look = this.camera.getLookDirection();
+        const origin = this._aimOrigin.copy(this.position);
+        origin.y += this.camera.baseEyeHeight;
+        
+        let target = null;
+        let bestAngle = PLAYER.GRAPPLE_AIM_ASSIST;
+        
+        for (const point of this.grapplePoints) {
+            const toPoint = point.getWorldPosition(this._tempVector).sub(origin);
+            const distance = toPoint.length();
+            if (distance > PLAYER.GRAPPLE_RANGE) continue;
+            
+            const angle = look.angleTo(toPoint);
+            if (angle > bestAngle) continue;
+            
+            // Something solid in the way
+            this._raycaster.set(origin, toPoint.divideScalar(distance));
+            this._raycaster.far = distance;
+            if (this._raycaster.intersectObjects(this.obstacles, false).length > 0) continue;
+            
+            bestAngle = angle;
+            target = { object: point, point: point.getWorldPosition(new THREE.Vector3()) };
+        }
+        
+        if (!target && this.obstacles.length > 0) {
+            this._raycaster.set(origin, look);
+            this._raycaster.far = PLAYER.GRAPPLE_RANGE;
+            
+            const hit = this._raycaster.intersectObjects(this.obstacles, false)[0];
+            if (hit) {
+                target = { object: hit.object, point: hit.point };
             }
         }
         
-        return lowestCeiling;
+        this.grappleTarget = target;
+        
+        if ((target !== null) !== hadTarget) {
+            globalEvents.emit(Events.PLAYER_GRAPPLE_TARGET, { valid: target !== null });
+        }
+    }
+
+    /**
+     * Forget the aimed target (the reticle goes back to normal)
+     */
+    clearGrappleTarget() {
+        if (!this.grappleTarget) return;
+        
+        this.grappleTarget = null;
+        globalEvents.emit(Events.PLAYER_GRAPPLE_TARGET, { valid: false });
+    }
+
+    /**
+     * Hook onto a target; the rope starts at the current distance
+     * @param {Object} target - { object, point } from updateGrappleTarget
+     */
+    attachGrapple(target) {
+        this.isGrappling = true;
+        this.grappleObject = target.object;
+        this.grappleAnchor.copy(target.point);
+        this._grappleLocalAnchor.copy(target.point);
+        target.object.worldToLocal(this._grappleLocalAnchor);
+        
+        this.grappleLength = Math.max(
+            PLAYER.GRAPPLE_MIN_LENGTH,
+            this.getRopeOrigin().distanceTo(this.grappleAnchor)
+        );
+        
+        // Jump off the ground so the swing can start
+        if (this.isGrounded) {
+            this.velocity.y = Math.max(this.velocity.y, PLAYER.JUMP_FORCE);
+            this.isGrounded = false;
+            this.groundPlatform = null;
+        }
+        this.coyoteTime = 0;
+        
+        if (this.isCrouching || this.isSliding) {
+            this.endCrouchSlide();
+        }
+        if (this.isWallRunning) {
+            this.endWallRun();
+        }
+        if (this.isWallClimbing) {
+            this.endWallClimb();
+        }
+        
+        if (this.isDashing) {
+            this.endDash();
+        }
+        this.isGroundPounding = false;
+        
+        // The reticle shows the swing now, not the target
+        this.grappleTarget = null;
+        
+        globalEvents.emit(Events.PLAYER_GRAPPLE_ATTACH, {
+            object: this.grappleObject,
+            point: this.grappleAnchor.clone(),
+            length: this.grappleLength,
+        });
     }
 
     /**
-     * Check if player collides with any obstacle (horizontal movement)
-     * Uses raycasting for more accurate collision with rotated objects
-     * @returns {boolean} True if collision detected
+     * Let go of the rope, keeping the swing's speed until landing
      */
-    checkCollision() {
-        if (this.obstacles.length === 0) return false;
+    releaseGrapple() {
+        if (!this.isGrappling) return;
         
-        const stepHeight = this.currentHeight * 0.25; // Height we can step over / stand on (scales with current height)
+        this.isGrappling = false;
+        this.grappleObject = null;
+        this.grappleCooldown = PLAYER.GRAPPLE_COOLDOWN;
+        this.keepMomentum = true;
         
-        // Cast rays in the movement direction from multiple heights
-        // position.y represents feet/base position
-        const feetY = this.position.y;
-        const currentEyeHeight = this.isCrouching || this.isSliding ? PLAYER.CROUCH_EYE_HEIGHT : PLAYER.EYE_HEIGHT;
-        const cameraY = this.position.y + currentEyeHeight;
-        const headTopY = cameraY + (this.currentHeight - currentEyeHeight); // Top of head above camera
-        
-        // Check at dense intervals from above step height to top of head
-        // Heights scale proportionally with current height
-        const checkHeights = [];
-        const checkCount = Math.ceil(this.currentHeight * 2); // More checks for taller players
-        const startHeight = feetY + stepHeight + this.currentHeight * 0.05;
-        const endHeight = headTopY;
-        const heightRange = endHeight - startHeight;
-        
-        // Generate evenly spaced check points
-        for (let i = 0; i <= checkCount; i++) {
-            const t = i / checkCount;
-            const height = startHeight + heightRange * t;
-            checkHeights.push(height);
-        }
-        
-        // Check in 8 directions (cardinal + diagonal) for better coverage
-        const sqrt2 = Math.SQRT1_2;
-        const directions = [
-            new THREE.Vector3(1, 0, 0),
-            new THREE.Vector3(-1, 0, 0),
-            new THREE.Vector3(0, 0, 1),
-            new THREE.Vector3(0, 0, -1),
-            new THREE.Vector3(sqrt2, 0, sqrt2),
-            new THREE.Vector3(sqrt2, 0, -sqrt2),
-            new THREE.Vector3(-sqrt2, 0, sqrt2),
-            new THREE.Vector3(-sqrt2, 0, -sqrt2),
-        ];
+        globalEvents.emit(Events.PLAYER_GRAPPLE_RELEASE);
+    }
+
+    /**
+     * Point on the body the rope pulls on (mid-body)
+     * @returns {THREE.Vector3}
+     */
+    getRopeOrigin() {
+        this._ropeOrigin.copy(this.position);
+        this._ropeOrigin.y += this.currentHeight * 0.5;
+        return this._ropeOrigin;
+    }
+
+    /**
+     * Keep the player within rope length of the anchor: a taut rope removes
+     * outward velocity, and a stretched one pulls back in
+     */
+    applyRopeConstraint(deltaTime) {
+        if (!this.isGrappling) return;
         
-        const checkDistance = PLAYER.RADIUS + this.currentHeight * 0.0375; // Scales with current height
+        const toAnchor = this._tempVector.copy(this.grappleAnchor).sub(this.getRopeOrigin());
+        const distance = toAnchor.length();
+        if (distance < this.grappleLength || distance < 0.001) return;
         
-        for (const height of checkHeights) {
-            for (const dir of directions) {
-                const origin = new THREE.Vector3(this.position.x, height, this.position.z);
-                this._raycaster.set(origin, dir);
-                this._raycaster.far = checkDistance;
-                
-                const intersects = this._raycaster.intersectObjects(this.obstacles, false);
-                
-                if (intersects.length > 0) {
-                    // Any hit above step height is a wall we can't walk through
-                    return true;
-                }
-            }
+        toAnchor.divideScalar(distance);
+        
+        const radialSpeed = this.velocity.dot(toAnchor);
+        if (radialSpeed < 0) {
+            this.velocity.addScaledVector(toAnchor, -radialSpeed);
         }
         
-        return false;
+        const stretch = distance - this.grappleLength;
+        this.velocity.addScaledVector(toAnchor, Math.min(stretch / deltaTime, PLAYER.GRAPPLE_REEL_SPEED * 2));
+    }
+
+    /**
+     * Move by the velocity: walls are slid along, ceilings stop the rise
+     * and low ledges are stepped up onto
+     */
+    applyVelocity(deltaTime) {
+        const crouched = this.isCrouching || this.isSliding;
+        this.controller.height = this.currentHeight;
+        this.controller.stepHeight = crouched ? PLAYER.CROUCH_STEP_HEIGHT : PLAYER.STEP_HEIGHT;
+        
+        this.controller.move(this.position, this.velocity, deltaTime);
     }
 
     /**
@@ -842,11 +1489,22 @@ export class Player {
     checkGround() {
         const wasGrounded = this.isGrounded;
         
+        // Ride moving platforms: pick up the displacement the platform under us
+        // made during its last update, before looking for the ground again
+        if (this.groundPlatform && this.groundPlatform.getCarryDelta && wasGrounded) {
+            this.groundPlatform.getCarryDelta(this.position, this._carryDelta);
+            this.position.add(this._carryDelta);
+            this.camera.yaw += this.groundPlatform.getCarryYaw();
+        }
+        this.groundPlatform = null;
+        this.groundObject = null;
+        
         // In sandbox mode, there's a floor at Y=0
         // In parkour mode, players can fall into the void and respawn at checkpoints
         if (!gameStateManager.isParkourMode() && this.position.y <= 0) {
             this.position.y = 0;
             
+            const impactVelocity = this.velocity.y;
             if (this.velocity.y < 0) {
                 this.velocity.y = 0;
             }
@@ -854,19 +1512,23 @@ export class Player {
             this.isGrounded = true;
             this.canJump = true;
             this.coyoteTime = PLAYER.COYOTE_TIME;
+            this.groundNormal.set(0, 1, 0);
             
             if (!wasGrounded) {
-                globalEvents.emit(Events.PLAYER_LAND);
+                this.timeSinceLanding = 0;
+                this.applyFallDamage(impactVelocity);
+                globalEvents.emit(Events.PLAYER_LAND, { object: null, impactVelocity });
             }
             return;
         }
         
-        // Check if standing on an obstacle (using raycast result)
-        const groundResult = this.getGroundHeightWithInfo();
+        // Stay down on the ground going down steps and slopes; from the air,
+        // only land when (nearly) touching
+        const snapDistance = wasGrounded && this.velocity.y <= 0 ? this.controller.stepHeight : PLAYER.GROUND_SNAP;
+        const groundResult = this.getGroundHeightWithInfo(snapDistance);
         
-        // groundResult.height is the Y position of the platform surface
-        // this.position.y is the feet/base position, so it should equal groundResult.height when on platform
-        if (groundResult.height !== null && this.position.y <= groundResult.height + 0.1) {
+        // groundResult.height is where the feet rest on the surface found
+        if (groundResult.height !== null) {
             this.position.y = groundResult.height;
             
             // Check for bounce pad
@@ -878,6 +1540,7 @@ export class Player {
                 return;
             }
             
+            const impactVelocity = this.velocity.y;
             if (this.velocity.y < 0) {
                 this.velocity.y = 0;
             }
@@ -885,9 +1548,15 @@ export class Player {
             this.isGrounded = true;
             this.canJump = true;
             this.coyoteTime = PLAYER.COYOTE_TIME;
+            this.groundPlatform = groundResult.platform;
+            this.groundObject = groundResult.object;
+            this.groundNormal.copy(groundResult.normal);
             
             if (!wasGrounded) {
-                globalEvents.emit(Events.PLAYER_LAND);
+                this.timeSinceLanding = 0;
+                this.applyFallDamage(impactVelocity);
+                // Listeners get the mesh landed on (crumbling platforms react to it)
+                globalEvents.emit(Events.PLAYER_LAND, { object: groundResult.object, impactVelocity });
             }
         } else {
             // Player is in the air
@@ -902,61 +1571,137 @@ export class Player {
     }
 
     /**
-     * Get the height of the ground/obstacle beneath the player using raycasting
-     * This properly handles rotated objects like ramps
+     * Hurt the player for landing too hard (a ground pound lands safely)
+     * @param {number} impactVelocity - Vertical velocity on touching down
+     */
+    applyFallDamage(impactVelocity) {
+        if (this.isGroundPounding) return;
+        
+        const excess = -impactVelocity - PLAYER.FALL_DAMAGE_SPEED;
+        if (excess > 0) {
+            this.takeDamage(excess * PLAYER.FALL_DAMAGE_PER_SPEED, DamageSource.FALL);
+        }
+    }
+
+    /**
+     * Hazard surfaces (meshes with userData.hazardDamage, per second) hurt
+     * while stood on or pressed against
+     */
+    checkHazards(deltaTime) {
+        const contact = this.controller.result;
+        const groundRate = (this.groundObject && this.groundObject.userData.hazardDamage) || 0;
+        const wallRate = (contact.hitWall && contact.wallObject && contact.wallObject.userData.hazardDamage) || 0;
+        
+        const rate = Math.max(groundRate, wallRate);
+        if (rate > 0) {
+            this.takeDamage(rate * deltaTime, DamageSource.HAZARD);
+        }
+    }
+
+    /**
+     * Take damage (enemies call this directly)
+     * @param {number} amount - Health to lose
+     * @param {string} [source] - DamageSource value
+     */
+    takeDamage(amount, source = DamageSource.ENEMY) {
+        if (this.respawnProtection > 0) return;
+        this.health.damage(amount, source);
+    }
+
+    /**
+     * Take a blow from an enemy: damage, a shove that carries until landing,
+     * a camera shake and a HUD marker pointing back at the attacker
+     * @param {number} amount - Health to lose
+     * @param {THREE.Vector3} from - Where the blow came from
+     * @param {THREE.Vector3} knockback - Velocity the player is thrown with
+     * @returns {boolean} Whether it landed (not during respawn protection)
+     */
+    takeHit(amount, from, knockback) {
+        if (this.respawnProtection > 0) return false;
+        
+        this.takeDamage(amount, DamageSource.ENEMY);
+        
+        // Knocked out of whatever move was going on
+        if (this.isLedgeHanging || this.isMantling) this.dropLedge();
+        if (this.isWallRunning) this.endWallRun();
+        if (this.isWallClimbing) this.endWallClimb();
+        if (this.isSliding) this.endSlide();
+        if (this.isDashing) this.endDash();
+        this.releaseGrapple();
+        
+        this.velocity.copy(knockback);
+        this.isGrounded = false;
+        this.keepMomentum = true;
+        
+        this.camera.shake(PLAYER.HIT_SHAKE);
+        
+        // Angle of the attacker from straight ahead, clockwise (radians)
+        const toAttacker = this._tempVector.subVectors(from, this.position);
+        const forward = this.camera.getForwardDirection();
+        const right = this.camera.getRightDirection();
+        globalEvents.emit(Events.PLAYER_HIT, {
+            angle: Math.atan2(toAttacker.dot(right), toAttacker.dot(forward)),
+        });
+        
+        return true;
+    }
+
+    /**
+     * Box around the player's body (enemy hit detection)
+     * @returns {THREE.Box3} Shared box, overwritten by the next call
+     */
+    getBoundingBox() {
+        this._playerBox.min.set(
+            this.position.x - PLAYER.RADIUS,
+            this.position.y,
+            this.position.z - PLAYER.RADIUS
+        );
+        this._playerBox.max.set(
+            this.position.x + PLAYER.RADIUS,
+            this.position.y + this.currentHeight,
+            this.position.z + PLAYER.RADIUS
+        );
+        return this._playerBox;
+    }
+
+    /**
+     * Get the height of the ground beneath the player
+     * @param {number} [maxDistance] - How far below the feet to look
      * @returns {number|null} The Y position of the ground, or null if none found
      */
-    getGroundHeight() {
-        const result = this.getGroundHeightWithInfo();
+    getGroundHeight(maxDistance = PLAYER.GROUND_SNAP) {
+        const result = this.getGroundHeightWithInfo(maxDistance);
         return result.height;
     }
 
     /**
      * Get ground height with additional info (bounce pads, etc.)
-     * @returns {Object} { height: number|null, isBouncy: boolean, bounceForce: number }
+     * Lowers the collision capsule onto whatever walkable surface is below
+     * @param {number} [maxDistance] - How far below the feet to look
+     * @returns {Object} { height: number|null, isBouncy: boolean, bounceForce: number,
+     *                    object: THREE.Object3D|null, platform: Object|null, normal: THREE.Vector3 }
      */
-    getGroundHeightWithInfo() {
-        const result = { height: null, isBouncy: false, bounceForce: 0 };
+    getGroundHeightWithInfo(maxDistance = PLAYER.GROUND_SNAP) {
+        const result = {
+            height: null, isBouncy: false, bounceForce: 0, object: null, platform: null, normal: this._upNormal,
+        };
         if (this.obstacles.length === 0) return result;
         
-        let highestHit = null;
+        this.controller.height = this.currentHeight;
+        const ground = this.controller.findGround(this.position, maxDistance);
+        if (!ground) return result;
         
-        // Cast multiple rays from player's feet area for better coverage
-        // position.y represents feet/base position
-        const feetY = this.position.y;
-        const rayStartY = feetY + this.currentHeight * 0.25; // Start rays proportionally above feet
-        
-        const rayOrigins = [
-            new THREE.Vector3(this.position.x, rayStartY, this.position.z),
-            new THREE.Vector3(this.position.x + PLAYER.RADIUS * 0.7, rayStartY, this.position.z),
-            new THREE.Vector3(this.position.x - PLAYER.RADIUS * 0.7, rayStartY, this.position.z),
-            new THREE.Vector3(this.position.x, rayStartY, this.position.z + PLAYER.RADIUS * 0.7),
-            new THREE.Vector3(this.position.x, rayStartY, this.position.z - PLAYER.RADIUS * 0.7),
-        ];
+        result.height = ground.height;
+        result.normal = ground.normal;
         
-        for (const origin of rayOrigins) {
-            this._raycaster.set(origin, this._downDirection);
-            this._raycaster.far = this.currentHeight * 0.75; // Check distance scales with current height (covers step-up scenarios)
-            
-            const intersects = this._raycaster.intersectObjects(this.obstacles, false);
-            
-            if (intersects.length > 0) {
-                const hit = intersects[0];
-                const hitY = hit.point.y;
-                
-                if (result.height === null || hitY > result.height) {
-                    result.height = hitY;
-                    highestHit = hit;
-                }
-            }
-        }
+        // Platform that owns the mesh (moving platforms carry whoever stands on them)
+        result.object = ground.object;
+        result.platform = ground.object.userData.platformRef || null;
         
-        // Check if the highest ground is a bounce pad
-        if (highestHit && highestHit.object && highestHit.object.userData) {
-            if (highestHit.object.userData.isBouncy) {
-                result.isBouncy = true;
-                result.bounceForce = highestHit.object.userData.bounceForce || 18;
-            }
+        // Check if the ground is a bounce pad
+        if (ground.object.userData.isBouncy) {
+            result.isBouncy = true;
+            result.bounceForce = ground.object.userData.bounceForce || 18;
         }
         
         return result;
@@ -998,7 +1743,7 @@ export class Player {
     }
 
     /**
-     * Teleport player to position (resets all movement state)
+     * Teleport player to position (resets all movement state, health, stamina and abilities)
      */
     setPosition(x, y, z) {
         console.log('[Player] ===== TELEPORT =====');
@@ -1009,15 +1754,39 @@ export class Player {
         this.position.x = x;
         this.position.y = y;
         this.position.z = z;
+        this.previousPosition.copy(this.position);
         
         // Reset all physics
         this.velocity.x = 0;
         this.velocity.y = 0;
         this.velocity.z = 0;
         
+        // Let go of any ledge
+        if (this.isLedgeHanging || this.isMantling) {
+            this.dropLedge();
+        }
+        this.ledgeCooldown = 0;
+        
+        // Drop the rope
+        this.releaseGrapple();
+        this.grappleCooldown = 0;
+        this.keepMomentum = false;
+        
+        // Abilities back to full
+        this.isDashing = false;
+        this.dashTime = 0;
+        this.isGroundPounding = false;
+        this.abilities.refill();
+        this.health.reset();
+        this.stamina.refill();
+        
         // Reset ALL movement state
         this.isGrounded = true;
+        this.groundPlatform = null;
+        this.groundObject = null;
         this.isWallRunning = false;
+        this.isWallClimbing = false;
+        this.canWallClimb = true;
         this.isSliding = false;
         this.isCrouching = false;
         this.isMoving = false;
@@ -1025,6 +1794,7 @@ export class Player {
         this.coyoteTime = 0;
         this.jumpBufferTime = 0;
         this.wallRunTime = 0;
+        this.wallClimbTime = 0;
         this.wallRunCooldown = 0;
         this.slideCooldown = 0;
         this.jumpCooldown = 0;
@@ -1055,6 +1825,14 @@ export class Player {
             isCrouching: this.isCrouching,
             isSliding: this.isSliding,
             isWallRunning: this.isWallRunning,
+            isWallClimbing: this.isWallClimbing,
+            isLedgeHanging: this.isLedgeHanging,
+            isMantling: this.isMantling,
+            isGrappling: this.isGrappling,
+            isDashing: this.isDashing,
+            isGroundPounding: this.isGroundPounding,
+            health: Math.ceil(this.health.health),
+            stamina: Math.ceil(this.stamina.stamina),
             wallRunTime: this.wallRunTime.toFixed(1),
         };
     }
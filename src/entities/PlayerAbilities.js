@@ -0,0 +1,204 @@
+/**
+ * PlayerAbilities - Charges, cooldowns and availability of the player's extra moves
+ *
+ * Tracks which abilities the player currently has (from the game mode, or
+ * granted for a while), how many charges each has left and its cooldown.
+ * The moves themselves are carried out by the Player; this only answers
+ * "can it be used now" and keeps count. Emits PLAYER_ABILITIES_CHANGE when
+ * anything the HUD shows changes.
+ */
+
+import { ABILITIES } from '../config/Constants.js';
+import { globalEvents, Events } from '../systems/EventBus.js';
+
+// Ability ids (keys into ABILITIES)
+export const Ability = {
+    DOUBLE_JUMP: 'DOUBLE_JUMP',
+    AIR_DASH: 'AIR_DASH',
+    GROUND_POUND: 'GROUND_POUND',
+};
+
+export class PlayerAbilities {
+    constructor() {
+        // Per ability: { enabled, grantTime, charges, cooldown, rechargeTime }
+        // grantTime: seconds left on a temporary grant (Infinity = until revoked, 0 = none)
+        this.states = new Map();
+
+        Object.values(Ability).forEach(id => {
+            this.states.set(id, {
+                enabled: false,
+                grantTime: 0,
+                charges: ABILITIES[id].CHARGES,
+                cooldown: 0,
+                rechargeTime: 0,
+            });
+        });
+    }
+
+    /**
+     * Enable the abilities a game mode starts with (clears grants)
+     * @param {string} mode - GameMode value
+     */
+    setMode(mode) {
+        const enabled = ABILITIES.MODES[mode] || [];
+
+        this.states.forEach((state, id) => {
+            state.enabled = enabled.includes(id);
+            state.grantTime = 0;
+        });
+
+        this.refill();
+    }
+
+    /**
+     * Give an ability, for a while or until revoked
+     * @param {string} id - Ability id
+     * @param {number} [duration=Infinity] - Seconds it lasts
+     */
+    grant(id, duration = Infinity) {
+        const state = this.states.get(id);
+        if (!state) {
+            console.warn(`[PlayerAbilities] Unknown ability: ${id}`);
+            return;
+        }
+
+        state.grantTime = Math.max(state.grantTime, duration);
+        state.charges = ABILITIES[id].CHARGES;
+        this.emitChange();
+    }
+
+    /**
+     * Take an ability away (mode and granted alike)
+     * @param {string} id - Ability id
+     */
+    revoke(id) {
+        const state = this.states.get(id);
+        if (!state) return;
+
+        state.enabled = false;
+        state.grantTime = 0;
+        this.emitChange();
+    }
+
+    /**
+     * Whether the player has an ability at all
+     * @param {string} id - Ability id
+     */
+    has(id) {
+        const state = this.states.get(id);
+        return !!state && (state.enabled || state.grantTime > 0);
+    }
+
+    /**
+     * Whether an ability can be used right now
+     * @param {string} id - Ability id
+     */
+    canUse(id) {
+        if (!this.has(id)) return false;
+
+        const state = this.states.get(id);
+        return state.charges > 0 && state.cooldown <= 0;
+    }
+
+    /**
+     * Spend a charge and start the cooldown
+     * @param {string} id - Ability id
+     * @returns {boolean} Whether a charge was spent
+     */
+    use(id) {
+        if (!this.canUse(id)) return false;
+
+        const state = this.states.get(id);
+        state.charges--;
+        state.cooldown = ABILITIES[id].COOLDOWN;
+        state.rechargeTime = ABILITIES[id].RECHARGE_TIME || 0;
+        this.emitChange();
+        return true;
+    }
+
+    /**
+     * Count down cooldowns, grants and recharges
+     * @param {number} deltaTime - Step length in seconds
+     */
+    update(deltaTime) {
+        let changed = false;
+
+        this.states.forEach((state, id) => {
+            if (state.cooldown > 0) {
+                state.cooldown -= deltaTime;
+            }
+
+            // Temporary grant running out
+            if (state.grantTime > 0 && state.grantTime !== Infinity) {
+                state.grantTime -= deltaTime;
+                if (state.grantTime <= 0) {
+                    state.grantTime = 0;
+                    changed = true;
+                }
+            }
+
+            // Abilities that don't reset on landing come back over time
+            const config = ABILITIES[id];
+            if (!config.RESET_ON_LAND && config.RECHARGE_TIME && state.charges < config.CHARGES) {
+                state.rechargeTime -= deltaTime;
+                if (state.rechargeTime <= 0) {
+                    state.charges++;
+                    state.rechargeTime = config.RECHARGE_TIME;
+                    changed = true;
+                }
+            }
+        });
+
+        if (changed) this.emitChange();
+    }
+
+    /**
+     * Touching the ground refills abilities that reset on landing
+     */
+    onGrounded() {
+        let changed = false;
+
+        this.states.forEach((state, id) => {
+            const config = ABILITIES[id];
+            if (config.RESET_ON_LAND && state.charges < config.CHARGES) {
+                state.charges = config.CHARGES;
+                changed = true;
+            }
+        });
+
+        if (changed) this.emitChange();
+    }
+
+    /**
+     * Refill every charge and clear cooldowns (respawn, teleport)
+     */
+    refill() {
+        this.states.forEach((state, id) => {
+            state.charges = ABILITIES[id].CHARGES;
+            state.cooldown = 0;
+            state.rechargeTime = 0;
+        });
+        this.emitChange();
+    }
+
+    /**
+     * Abilities the player has, for the HUD
+     * @returns {Array<{id: string, charges: number, maxCharges: number}>}
+     */
+    getState() {
+        const abilities = [];
+
+        this.states.forEach((state, id) => {
+            if (!this.has(id)) return;
+            abilities.push({ id, charges: state.charges, maxCharges: ABILITIES[id].CHARGES });
+        });
+
+        return abilities;
+    }
+
+    emitChange() {
+        globalEvents.emit(Events.PLAYER_ABILITIES_CHANGE, { abilities: this.getState() });
+    }
+}
+
+export default PlayerAbilities;
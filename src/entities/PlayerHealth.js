@@ -0,0 +1,90 @@
+/**
+ * PlayerHealth - The player's health, damage taken and regeneration
+ *
+ * Damage comes from hard landings, hazard surfaces and enemies; health comes
+ * back on its own a while after the last hit. Reaching zero only marks the
+ * player dead - the Engine runs the respawn. Emits PLAYER_DAMAGE for each hit
+ * and PLAYER_HEALTH_CHANGE whenever the value the HUD shows changes.
+ */
+
+import { PLAYER } from '../config/Constants.js';
+import { globalEvents, Events } from '../systems/EventBus.js';
+
+// Damage sources (PLAYER_DAMAGE payload, and the death cause)
+export const DamageSource = {
+    FALL: 'fall',
+    HAZARD: 'hazard',
+    ENEMY: 'enemy',
+};
+
+export class PlayerHealth {
+    constructor() {
+        this.maxHealth = PLAYER.MAX_HEALTH;
+        this.health = this.maxHealth;
+        this.regenDelay = 0;      // Seconds left before regeneration starts
+        this.lastSource = null;   // What dealt the last hit (the cause of death)
+    }
+
+    /**
+     * Take damage
+     * @param {number} amount - Health to lose
+     * @param {string} source - DamageSource value
+     * @returns {number} Damage actually dealt
+     */
+    damage(amount, source) {
+        if (amount <= 0 || this.isDead()) return 0;
+
+        const dealt = Math.min(amount, this.health);
+        this.health -= dealt;
+        this.regenDelay = PLAYER.HEALTH_REGEN_DELAY;
+        this.lastSource = source;
+
+        globalEvents.emit(Events.PLAYER_DAMAGE, { amount: dealt, source, health: this.health });
+        this.emitChange();
+        return dealt;
+    }
+
+    /**
+     * Restore health (never above the maximum, and not once dead)
+     * @param {number} amount - Health to restore
+     */
+    heal(amount) {
+        if (amount <= 0 || this.isDead() || this.health >= this.maxHealth) return;
+
+        this.health = Math.min(this.maxHealth, this.health + amount);
+        this.emitChange();
+    }
+
+    /**
+     * Regenerate once the delay after the last hit has passed
+     * @param {number} deltaTime - Step length in seconds
+     */
+    update(deltaTime) {
+        if (this.regenDelay > 0) {
+            this.regenDelay -= deltaTime;
+            return;
+        }
+
+        this.heal(PLAYER.HEALTH_REGEN_RATE * deltaTime);
+    }
+
+    /**
+     * Back to full health (spawn, respawn)
+     */
+    reset() {
+        this.health = this.maxHealth;
+        this.regenDelay = 0;
+        this.lastSource = null;
+        this.emitChange();
+    }
+
+    isDead() {
+        return this.health <= 0;
+    }
+
+    emitChange() {
+        globalEvents.emit(Events.PLAYER_HEALTH_CHANGE, { health: this.health, maxHealth: this.maxHealth });
+    }
+}
+
+export default PlayerHealth;
@@ -0,0 +1,113 @@
+/**
+ * PlayerStamina - Stamina spent by sprinting, wall running, wall jumps and slides
+ *
+ * Sprinting and wall running drain it over time; wall jumps and slides cost a
+ * fixed amount up front and are refused without it. It comes back on the
+ * ground a moment after the last use. Low stamina slows the sprint down (the
+ * Player asks getSpeedScale) and an empty tank ends wall runs. Game modes can
+ * switch it off, in which case it stays full and every move is free. Emits
+ * PLAYER_STAMINA_CHANGE when the value the HUD shows changes.
+ */
+
+import { PLAYER } from '../config/Constants.js';
+import { globalEvents, Events } from '../systems/EventBus.js';
+
+export class PlayerStamina {
+    constructor() {
+        this.maxStamina = PLAYER.MAX_STAMINA;
+        this.stamina = this.maxStamina;
+        this.enabled = true;
+        this.regenDelay = 0;      // Seconds left before regeneration starts
+    }
+
+    /**
+     * Turn stamina on or off for a game mode (refills it)
+     * @param {string} mode - GameMode value
+     */
+    setMode(mode) {
+        this.enabled = !!PLAYER.STAMINA_MODES[mode];
+        this.refill();
+    }
+
+    /**
+     * Use stamina continuously (sprinting, wall running)
+     * @param {number} rate - Stamina per second
+     * @param {number} deltaTime - Step length in seconds
+     */
+    drain(rate, deltaTime) {
+        if (!this.enabled) return;
+
+        this.regenDelay = PLAYER.STAMINA_REGEN_DELAY;
+        if (this.stamina <= 0) return;
+
+        this.stamina = Math.max(0, this.stamina - rate * deltaTime);
+        this.emitChange();
+    }
+
+    /**
+     * Pay for a move up front
+     * @param {number} cost - Stamina the move takes
+     * @returns {boolean} Whether there was enough (nothing is spent otherwise)
+     */
+    spend(cost) {
+        if (!this.enabled) return true;
+        if (this.stamina < cost) return false;
+
+        this.stamina -= cost;
+        this.regenDelay = PLAYER.STAMINA_REGEN_DELAY;
+        this.emitChange();
+        return true;
+    }
+
+    /**
+     * Regenerate on the ground once the delay after the last use has passed
+     * @param {number} deltaTime - Step length in seconds
+     * @param {boolean} isGrounded - Whether the player is standing on something
+     */
+    update(deltaTime, isGrounded) {
+        if (!this.enabled) return;
+
+        if (this.regenDelay > 0) {
+            this.regenDelay -= deltaTime;
+            return;
+        }
+
+        if (!isGrounded || this.stamina >= this.maxStamina) return;
+
+        this.stamina = Math.min(this.maxStamina, this.stamina + PLAYER.STAMINA_REGEN_RATE * deltaTime);
+        this.emitChange();
+    }
+
+    /**
+     * Back to full (spawn, respawn, mode change)
+     */
+    refill() {
+        this.stamina = this.maxStamina;
+        this.regenDelay = 0;
+        this.emitChange();
+    }
+
+    isEmpty() {
+        return this.enabled && this.stamina <= 0;
+    }
+
+    /**
+     * How much of the sprint's extra speed is left: 1 above LOW_STAMINA,
+     * falling to 0 (walking pace) as the tank empties
+     * @returns {number}
+     */
+    getSpeedScale() {
+        if (!this.enabled) return 1;
+        return Math.min(1, this.stamina / (this.maxStamina * PLAYER.LOW_STAMINA));
+    }
+
+    emitChange() {
+        globalEvents.emit(Events.PLAYER_STAMINA_CHANGE, {
+            stamina: this.stamina,
+            maxStamina: this.maxStamina,
+            enabled: this.enabled,
+        });
+    }
+}
+
+export default PlayerStamina;
@@ -0,0 +1,541 @@
+/**
+ * Senator - The pursuer in parkour mode
+ *
+ * A grim old politician in a dark suit, built from primitives, who strides
+ * along the generated course behind the player. He doesn't need platforms:
+ * he walks the course's centre line (ChunkManager.getPathPoint), gaps and
+ * all, so only the distance along the path matters. He starts a little way
+ * back and sets off after a moment, speeds up the longer the run goes on,
+ * surges while the player stalls, and gains ground every time the player
+ * dies. Once he's within reach he leaves the course line and goes
+ * straight for the player, gavel raised; catching up ends the run.
+ *
+ * Tuning lives in PARKOUR (SENATOR_*); the model settings are below.
+ */
+
+import * as THREE from 'three';
+import { PARKOUR } from '../config/Constants.js';
+import { globalEvents, Events } from '../systems/EventBus.js';
+
+// Model configuration
+export const SENATOR = {
+    SCALE: 2.2,              // Model is built about 2 units tall - looms over the player once scaled
+    STRIDE_RATE: 2.6,        // Stride cycle (radians) per unit travelled along the path
+
+    // Colors
+    SUIT_COLOR: 0x1c1f2b,    // Charcoal suit
+    SHIRT_COLOR: 0xe8e8e8,
+    TIE_COLOR: 0xaa1122,     // Power tie
+    SKIN_COLOR: 0xd9a98a,
+    HAIR_COLOR: 0xf0f0f0,    // Silver hair
+    EYE_COLOR: 0xff2200,     // Glowing red eyes
+    SHOE_COLOR: 0x0a0a0a,
+    GAVEL_COLOR: 0x5a3a1a,
+};
+
+export class Senator {
+    constructor() {
+        // Position along the course
+        this.distance = 0;           // Path distance
+        this.gap = 0;                // Path distance behind the player as of the last update
+        this.speed = 0;              // Base speed along the path (before surging)
+        this.pace = 0;               // Speed he actually moved at in the last update
+        this.runTime = 0;            // Seconds since the run started
+
+        // Surging
+        this.progressMark = 0;       // Player path distance the stall clock runs from
+        this.stallTime = 0;          // Seconds since the player last made progress
+        this.isSurging = false;
+        this.playerDied = false;     // Gain ground on the next update (the player has respawned by then)
+
+        // Caught the player (the run is over)
+        this.hasCaught = false;
+
+        // World position and facing
+        this.position = new THREE.Vector3();
+        this.previousPosition = new THREE.Vector3(); // At the start of the last physics step
+        this.rotation = 0;
+        this.isClosingIn = false;    // Within SENATOR_CLOSE_RANGE, heading straight for the player
+
+        // Animation
+        this.animationTime = 0;
+        this.strideTime = 0;
+
+        // 3D model (body leans and bobs inside the mesh, which only turns)
+        this.mesh = new THREE.Group();
+        this.body = new THREE.Group();
+        this.mesh.add(this.body);
+        this.bodyParts = {};
+
+        this._onPlayerDeath = () => {
+            if (!this.hasCaught) this.playerDied = true;
+        };
+        globalEvents.on(Events.PLAYER_DEATH, this._onPlayerDeath);
+
+        this.buildModel();
+        this.reset();
+    }
+
+    /**
+     * Build the senator 3D model from primitives
+     */
+    buildModel() {
+        const suitMaterial = new THREE.MeshStandardMaterial({
+            color: SENATOR.SUIT_COLOR,
+            roughness: 0.8,
+            metalness: 0.1,
+        });
+
+        const shirtMaterial = new THREE.MeshStandardMaterial({
+            color: SENATOR.SHIRT_COLOR,
+            roughness: 0.6,
+        });
+
+        const tieMaterial = new THREE.MeshStandardMaterial({
+            color: SENATOR.TIE_COLOR,
+            roughness: 0.4,
+            metalness: 0.2,
+        });
+
+        const skinMaterial = new THREE.MeshStandardMaterial({
+            color: SENATOR.SKIN_COLOR,
+            roughness: 0.7,
+        });
+
+        const hairMaterial = new THREE.MeshStandardMaterial({
+            color: SENATOR.HAIR_COLOR,
+            roughness: 0.9,
+        });
+
+        const eyeMaterial = new THREE.MeshStandardMaterial({
+            color: SENATOR.EYE_COLOR,
+            emissive: SENATOR.EYE_COLOR,
+            emissiveIntensity: 1.0,
+        });
+
+        const shoeMaterial = new THREE.MeshStandardMaterial({
+            color: SENATOR.SHOE_COLOR,
+            roughness: 0.3,
+            metalness: 0.4,
+        });
+
+        const gavelMaterial = new THREE.MeshStandardMaterial({
+            color: SENATOR.GAVEL_COLOR,
+            roughness: 0.6,
+        });
+
+        // ===== TORSO (suit jacket) =====
+        const torsoGeom = new THREE.BoxGeometry(0.62, 0.8, 0.32);
+        const torso = new THREE.Mesh(torsoGeom, suitMaterial);
+        torso.position.y = 1.3;
+        torso.castShadow = true;
+        this.body.add(torso);
+        this.bodyParts.torso = torso;
+
+        // Padded shoulders
+        const shoulderGeom = new THREE.BoxGeometry(0.8, 0.14, 0.36);
+        const shoulders = new THREE.Mesh(shoulderGeom, suitMaterial);
+        shoulders.position.y = 1.66;
+        shoulders.castShadow = true;
+        this.body.add(shoulders);
+
+        // Shirt front
+        const shirtGeom = new THREE.BoxGeometry(0.2, 0.42, 0.02);
+        const shirt = new THREE.Mesh(shirtGeom, shirtMaterial);
+        shirt.position.set(0, 1.47, 0.165);
+        this.body.add(shirt);
+
+        // Lapels
+        const lapelGeom = new THREE.BoxGeometry(0.07, 0.4, 0.02);
+        const leftLapel = new THREE.Mesh(lapelGeom, suitMaterial);
+        leftLapel.position.set(-0.11, 1.48, 0.175);
+        leftLapel.rotation.z = -0.3;
+        this.body.add(leftLapel);
+
+        const rightLapel = new THREE.Mesh(lapelGeom, suitMaterial);
+        rightLapel.position.set(0.11, 1.48, 0.175);
+        rightLapel.rotation.z = 0.3;
+        this.body.add(rightLapel);
+
+        // Tie and knot
+        const tieGeom = new THREE.BoxGeometry(0.07, 0.38, 0.02);
+        const tie = new THREE.Mesh(tieGeom, tieMaterial);
+        tie.position.set(0, 1.42, 0.18);
+        this.body.add(tie);
+
+        const knotGeom = new THREE.BoxGeometry(0.09, 0.07, 0.03);
+        const knot = new THREE.Mesh(knotGeom, tieMaterial);
+        knot.position.set(0, 1.64, 0.18);
+        this.body.add(knot);
+
+        // Lapel pin
+        const pinGeom = new THREE.BoxGeometry(0.04, 0.03, 0.02);
+        const pin = new THREE.Mesh(pinGeom, tieMaterial);
+        pin.position.set(-0.2, 1.56, 0.17);
+        this.body.add(pin);
+
+        // ===== HEAD (stern, silver-haired) =====
+        const headGroup = new THREE.Group();
+        headGroup.position.set(0, 1.97, 0);
+
+        // Neck and collar
+        const neckGeom = new THREE.CylinderGeometry(0.08, 0.08, 0.14, 8);
+        const neck = new THREE.Mesh(neckGeom, skinMaterial);
+        neck.position.y = -0.2;
+        headGroup.add(neck);
+
+        const collarGeom = new THREE.BoxGeometry(0.22, 0.06, 0.22);
+        const collar = new THREE.Mesh(collarGeom, shirtMaterial);
+        collar.position.y = -0.24;
+        headGroup.add(collar);
+
+        // Main head (square-jawed)
+        const headGeom = new THREE.BoxGeometry(0.34, 0.4, 0.36);
+        const head = new THREE.Mesh(headGeom, skinMaterial);
+        head.castShadow = true;
+        headGroup.add(head);
+
+        // Hair (swept back, with grey sides)
+        const hairTopGeom = new THREE.BoxGeometry(0.38, 0.1, 0.4);
+        const hairTop = new THREE.Mesh(hairTopGeom, hairMaterial);
+        hairTop.position.set(0, 0.22, -0.02);
+        headGroup.add(hairTop);
+
+        const hairSideGeom = new THREE.BoxGeometry(0.04, 0.18, 0.3);
+        const leftHair = new THREE.Mesh(hairSideGeom, hairMaterial);
+        leftHair.position.set(-0.18, 0.08, -0.04);
+        headGroup.add(leftHair);
+
+        const rightHair = new THREE.Mesh(hairSideGeom, hairMaterial);
+        rightHair.position.set(0.18, 0.08, -0.04);
+        headGroup.add(rightHair);
+
+        // Bushy eyebrows (angled into a scowl)
+        const browGeom = new THREE.BoxGeometry(0.11, 0.035, 0.04);
+        const leftBrow = new THREE.Mesh(browGeom, hairMaterial);
+        leftBrow.position.set(-0.08, 0.08, 0.19);
+        leftBrow.rotation.z = -0.25;
+        headGroup.add(leftBrow);
+
+        const rightBrow = new THREE.Mesh(browGeom, hairMaterial);
+        rightBrow.position.set(0.08, 0.08, 0.19);
+        rightBrow.rotation.z = 0.25;
+        headGroup.add(rightBrow);
+
+        // Eyes (glowing red)
+        const eyeGeom = new THREE.SphereGeometry(0.035, 8, 8);
+        const leftEye = new THREE.Mesh(eyeGeom, eyeMaterial);
+        leftEye.position.set(-0.08, 0.03, 0.18);
+        headGroup.add(leftEye);
+
+        const rightEye = new THREE.Mesh(eyeGeom, eyeMaterial);
+        rightEye.position.set(0.08, 0.03, 0.18);
+        headGroup.add(rightEye);
+
+        // Nose and a thin, disapproving mouth
+        const noseGeom = new THREE.BoxGeometry(0.06, 0.1, 0.06);
+        const nose = new THREE.Mesh(noseGeom, skinMaterial);
+        nose.position.set(0, -0.03, 0.2);
+        headGroup.add(nose);
+
+        const mouthGeom = new THREE.BoxGeometry(0.13, 0.02, 0.01);
+        const mouth = new THREE.Mesh(mouthGeom, shoeMaterial);
+        mouth.position.set(0, -0.12, 0.185);
+        headGroup.add(mouth);
+
+        this.body.add(headGroup);
+        this.bodyParts.head = headGroup;
+
+        // ===== ARMS (suit sleeves) =====
+        // Left arm
+        const leftArmGroup = new THREE.Group();
+        leftArmGroup.position.set(-0.42, 1.62, 0);
+
+        const upperArmGeom = new THREE.BoxGeometry(0.18, 0.42, 0.2);
+        const leftUpperArm = new THREE.Mesh(upperArmGeom, suitMaterial);
+        leftUpperArm.position.y = -0.21;
+        leftUpperArm.castShadow = true;
+        leftArmGroup.add(leftUpperArm);
+
+        const lowerArmGeom = new THREE.BoxGeometry(0.16, 0.4, 0.18);
+        const leftLowerArm = new THREE.Mesh(lowerArmGeom, suitMaterial);
+        leftLowerArm.position.y = -0.6;
+        leftLowerArm.castShadow = true;
+        leftArmGroup.add(leftLowerArm);
+
+        // Shirt cuff
+        const cuffGeom = new THREE.BoxGeometry(0.17, 0.05, 0.19);
+        const leftCuff = new THREE.Mesh(cuffGeom, shirtMaterial);
+        leftCuff.position.y = -0.82;
+        leftArmGroup.add(leftCuff);
+
+        const handGeom = new THREE.BoxGeometry(0.12, 0.14, 0.1);
+        const leftHand = new THREE.Mesh(handGeom, skinMaterial);
+        leftHand.position.y = -0.92;
+        leftArmGroup.add(leftHand);
+
+        this.body.add(leftArmGroup);
+        this.bodyParts.leftArm = leftArmGroup;
+
+        // Right arm (mirror of left, holding the gavel)
+        const rightArmGroup = new THREE.Group();
+        rightArmGroup.position.set(0.42, 1.62, 0);
+
+        const rightUpperArm = new THREE.Mesh(upperArmGeom, suitMaterial);
+        rightUpperArm.position.y = -0.21;
+        rightUpperArm.castShadow = true;
+        rightArmGroup.add(rightUpperArm);
+
+        const rightLowerArm = new THREE.Mesh(lowerArmGeom, suitMaterial);
+        rightLowerArm.position.y = -0.6;
+        rightLowerArm.castShadow = true;
+        rightArmGroup.add(rightLowerArm);
+
+        const rightCuff = new THREE.Mesh(cuffGeom, shirtMaterial);
+        rightCuff.position.y = -0.82;
+        rightArmGroup.add(rightCuff);
+
+        const rightHand = new THREE.Mesh(handGeom, skinMaterial);
+        rightHand.position.y = -0.92;
+        rightArmGroup.add(rightHand);
+
+        // Gavel (handle pointing forward out of the fist, head across the end)
+        const handleGeom = new THREE.CylinderGeometry(0.025, 0.025, 0.45, 6);
+        const handle = new THREE.Mesh(handleGeom, gavelMaterial);
+        handle.position.set(0, -0.94, 0.2);
+        handle.rotation.x = Math.PI / 2;
+        rightArmGroup.add(handle);
+
+        const gavelHeadGeom = new THREE.CylinderGeometry(0.06, 0.06, 0.22, 8);
+        const gavelHead = new THREE.Mesh(gavelHeadGeom, gavelMaterial);
+        gavelHead.position.set(0, -0.94, 0.42);
+        gavelHead.rotation.z = Math.PI / 2;
+        gavelHead.castShadow = true;
+        rightArmGroup.add(gavelHead);
+
+        this.body.add(rightArmGroup);
+        this.bodyParts.rightArm = rightArmGroup;
+
+        // ===== LEGS (suit trousers, polished shoes) =====
+        // Left leg
+        const leftLegGroup = new THREE.Group();
+        leftLegGroup.position.set(-0.14, 0.95, 0);
+
+        const upperLegGeom = new THREE.BoxGeometry(0.2, 0.5, 0.22);
+        const leftUpperLeg = new THREE.Mesh(upperLegGeom, suitMaterial);
+        leftUpperLeg.position.y = -0.25;
+        leftUpperLeg.castShadow = true;
+        leftLegGroup.add(leftUpperLeg);
+
+        const lowerLegGeom = new THREE.BoxGeometry(0.18, 0.45, 0.2);
+        const leftLowerLeg = new THREE.Mesh(lowerLegGeom, suitMaterial);
+        leftLowerLeg.position.y = -0.7;
+        leftLowerLeg.castShadow = true;
+        leftLegGroup.add(leftLowerLeg);
+
+        const shoeGeom = new THREE.BoxGeometry(0.2, 0.1, 0.34);
+        const leftShoe = new THREE.Mesh(shoeGeom, shoeMaterial);
+        leftShoe.position.set(0, -0.93, 0.06);
+        leftShoe.castShadow = true;
+        leftLegGroup.add(leftShoe);
+
+        this.body.add(leftLegGroup);
+        this.bodyParts.leftLeg = leftLegGroup;
+
+        // Right leg (mirror of left)
+        const rightLegGroup = new THREE.Group();
+        rightLegGroup.position.set(0.14, 0.95, 0);
+
+        const rightUpperLeg = new THREE.Mesh(upperLegGeom, suitMaterial);
+        rightUpperLeg.position.y = -0.25;
+        rightUpperLeg.castShadow = true;
+        rightLegGroup.add(rightUpperLeg);
+
+        const rightLowerLeg = new THREE.Mesh(lowerLegGeom, suitMaterial);
+        rightLowerLeg.position.y = -0.7;
+        rightLowerLeg.castShadow = true;
+        rightLegGroup.add(rightLowerLeg);
+
+        const rightShoe = new THREE.Mesh(shoeGeom, shoeMaterial);
+        rightShoe.position.set(0, -0.93, 0.06);
+        rightShoe.castShadow = true;
+        rightLegGroup.add(rightShoe);
+
+        this.body.add(rightLegGroup);
+        this.bodyParts.rightLeg = rightLegGroup;
+
+        // Scale up the entire model
+        this.mesh.scale.set(SENATOR.SCALE, SENATOR.SCALE, SENATOR.SCALE);
+    }
+
+    /**
+     * Back to the start of a run, SENATOR_START_GAP behind the start of the course
+     */
+    reset() {
+        this.distance = -PARKOUR.SENATOR_START_GAP;
+        this.gap = PARKOUR.SENATOR_START_GAP;
+        this.speed = PARKOUR.SENATOR_BASE_SPEED;
+        this.pace = 0;
+        this.runTime = 0;
+        this.progressMark = 0;
+        this.stallTime = 0;
+        this.isSurging = false;
+        this.playerDied = false;
+        this.hasCaught = false;
+        this.isClosingIn = false;
+        this.strideTime = 0;
+    }
+
+    /**
+     * Move along the course after the player
+     * @param {number} deltaTime - Step length in seconds
+     * @param {ChunkManager} path - Course being run (its playerDistance must be up to date)
+     * @param {THREE.Vector3} playerPosition - Player's feet position
+     */
+    update(deltaTime, path, playerPosition) {
+        this.previousPosition.copy(this.position);
+        this.animationTime += deltaTime;
+
+        // Jumps (a new run, or a death) aren't drawn as movement
+        let teleported = this.runTime === 0;
+        this.runTime += deltaTime;
+
+        const playerDistance = path.playerDistance;
+        const startDistance = this.distance;
+
+        // The player died and is back at a checkpoint: gain ground, but leave
+        // them a head start so a death costs ground rather than the run
+        if (this.playerDied) {
+            this.playerDied = false;
+            this.distance = Math.min(
+                this.distance + PARKOUR.SENATOR_DEATH_SURGE,
+                playerDistance - PARKOUR.SENATOR_RESPAWN_GAP
+            );
+            this.progressMark = playerDistance;
+            this.stallTime = 0;
+            teleported = true;
+        }
+
+        // Stalling - no real progress along the course for a while
+        if (playerDistance > this.progressMark + PARKOUR.SENATOR_STALL_DISTANCE) {
+            this.progressMark = playerDistance;
+            this.stallTime = 0;
+        } else if (this.runTime > PARKOUR.SENATOR_START_DELAY) {
+            this.stallTime += deltaTime;
+        }
+        this.isSurging = this.stallTime >= PARKOUR.SENATOR_STALL_TIME;
+
+        // Sets off after a moment, speeds up over the run, and doubles up while surging
+        const chaseTime = Math.max(0, this.runTime - PARKOUR.SENATOR_START_DELAY);
+        this.speed = Math.min(
+            PARKOUR.SENATOR_MAX_SPEED,
+            PARKOUR.SENATOR_BASE_SPEED + PARKOUR.SENATOR_ACCELERATION * chaseTime
+        );
+        const speed = chaseTime > 0
+            ? this.speed * (this.isSurging ? PARKOUR.SENATOR_SURGE_MULTIPLIER : 1)
+            : 0;
+
+        // Never left hopelessly far behind
+        this.distance = Math.max(this.distance + speed * deltaTime, playerDistance - PARKOUR.SENATOR_MAX_GAP);
+        this.pace = teleported ? speed : (this.distance - startDistance) / deltaTime;
+
+        this.gap = playerDistance - this.distance;
+        this.hasCaught = this.gap <= PARKOUR.SENATOR_CATCH_DISTANCE;
+
+        // Walk the course line, turning off it towards the player when close
+        this.rotation = path.getPathPoint(this.distance, this.position);
+        this.isClosingIn = this.gap < PARKOUR.SENATOR_CLOSE_RANGE;
+        if (this.isClosingIn) {
+            const t = 1 - Math.max(0, this.gap) / PARKOUR.SENATOR_CLOSE_RANGE;
+            this.position.lerp(playerPosition, t);
+
+            const dx = playerPosition.x - this.position.x;
+            const dz = playerPosition.z - this.position.z;
+            if (dx * dx + dz * dz > 0.01) {
+                this.rotation = Math.atan2(dx, dz);
+            }
+        }
+
+        if (teleported) {
+            this.previousPosition.copy(this.position);
+        }
+
+        this.mesh.rotation.y = this.rotation;
+
+        this.animate(deltaTime);
+    }
+
+    /**
+     * Draw the model between its last two physics positions
+     * @param {number} alpha - Progress from the previous to the current step (0-1)
+     */
+    interpolate(alpha) {
+        this.mesh.position.lerpVectors(this.previousPosition, this.position, alpha);
+    }
+
+    /**
+     * Animate the senator (striding, leaning into a surge, gavel raised up close)
+     */
+    animate(deltaTime) {
+        // Stride in step with how fast he's covering the course
+        this.strideTime += deltaTime * this.pace * SENATOR.STRIDE_RATE;
+        const legSwing = Math.sin(this.strideTime) * 0.6;
+        const armSwing = legSwing * (this.isSurging ? 1.3 : 0.7);
+        const ease = Math.min(1, deltaTime * 10);
+
+        // Legs swing opposite to each other
+        if (this.bodyParts.leftLeg) {
+            this.bodyParts.leftLeg.rotation.x = legSwing;
+        }
+        if (this.bodyParts.rightLeg) {
+            this.bodyParts.rightLeg.rotation.x = -legSwing;
+        }
+
+        // Free arm swings opposite to its leg
+        if (this.bodyParts.leftArm) {
+            this.bodyParts.leftArm.rotation.x = -armSwing;
+        }
+
+        // Gavel arm swings too, until he's close - then it's raised overhead, shaking
+        if (this.bodyParts.rightArm) {
+            const target = this.isClosingIn
+                ? -2.6 + Math.sin(this.animationTime * 12) * 0.25
+                : armSwing * 0.5;
+            this.bodyParts.rightArm.rotation.x += (target - this.bodyParts.rightArm.rotation.x) * ease;
+        }
+
+        // Leans into a surge
+        const lean = this.isSurging ? 0.3 : 0.08;
+        this.body.rotation.x += (lean - this.body.rotation.x) * ease;
+
+        // Body bob with each step
+        this.body.position.y = Math.abs(Math.sin(this.strideTime)) * 0.05;
+
+        // Head bob
+        if (this.bodyParts.head) {
+            this.bodyParts.head.rotation.x = Math.sin(this.strideTime * 2) * 0.04;
+        }
+    }
+
+    /**
+     * Dispose of resources
+     */
+    dispose() {
+        globalEvents.off(Events.PLAYER_DEATH, this._onPlayerDeath);
+
+        this.mesh.traverse((child) => {
+            if (child.geometry) {
+                child.geometry.dispose();
+            }
+            if (child.material) {
+                if (Array.isArray(child.material)) {
+                    child.material.forEach(m => m.dispose());
+                } else {
+                    child.material.dispose();
+                }
+            }
+        });
+    }
+}
+
+export default Senator;
@@ -1,31 +1,78 @@
 /**
- * Werewolf - Enemy entity that chases the player
+ * Werewolf - Enemy entity that hunts the player
  * 
  * A 3D werewolf model made from primitives with AI for chasing,
- * walking animation, and jumping over obstacles.
+ * walking animation, and jumping over obstacles. Collides with the
+ * world through a CharacterController, so walls block it and it can
+ * jump up onto platforms. Up close it attacks: rears back (the wind-up),
+ * lunges, and claws whatever it catches with a takeHit method.
+ * 
+ * Behaviour is a StateMachine (WerewolfState) fed by Perception: it idles
+ * and patrols around where it spawned, goes to look at noises, chases what
+ * it sees, searches where it lost sight of it, and eventually gives up and
+ * heads home.
  */
 
 import * as THREE from 'three';
-import { PHYSICS } from '../config/Constants.js';
+import { PHYSICS, NAVIGATION } from '../config/Constants.js';
+import { PathFollower } from '../systems/PathFollower.js';
+import { CharacterController } from '../systems/CharacterController.js';
+import { StateMachine } from '../systems/StateMachine.js';
+import { Perception } from '../systems/Perception.js';
 
 // Werewolf configuration
-const WEREWOLF = {
+export const WEREWOLF = {
     // Movement
-    WALK_SPEED: 6,
-    RUN_SPEED: 10,
+    WALK_SPEED: 6,           // Patrolling, investigating, searching
+    RUN_SPEED: 10,           // Chasing - runs down a walking player, not a sprinting one
     JUMP_FORCE: 12,
-    CHASE_DISTANCE: 50,      // Start chasing within this distance
+    CHASE_DISTANCE: 50,      // Stops chasing a target further away than this
     ATTACK_DISTANCE: 2,      // Attack when this close
     
+    // Senses (Perception)
+    VIEW_DISTANCE: 35,
+    VIEW_ANGLE: 120,         // Full width of the vision cone (degrees)
+    EYE_HEIGHT: 4.2,
+    
+    // Behaviour (state timings in seconds)
+    IDLE_TIME: 3,            // Stands about for this long (give or take half) between patrol legs
+    PATROL_RADIUS: 12,       // Wanders this far from home (where it spawned)
+    PATROL_TIMEOUT: 15,      // Gives up on a patrol point it can't reach
+    INVESTIGATE_LOOK_TIME: 2,// Looks around where a noise came from
+    LOSE_SIGHT_TIME: 2,      // Keeps after an unseen target for this long before searching
+    SEARCH_TIME: 8,          // Hunts around where the target was last seen before giving up
+    SEARCH_RADIUS: 6,
+    SEARCH_PAUSE: 0.8,       // Looks around at each spot it searches
+    LOOK_AROUND_SPEED: 1.5,  // Head-turning while looking around (radians per second)
+    
+    // Attack (wind-up, lunge, recovery)
+    ATTACK_WINDUP: 0.35,     // Rears back this long - the target's chance to get away
+    LUNGE_TIME: 0.3,
+    LUNGE_SPEED: 18,
+    ATTACK_RECOVERY: 0.8,    // Stands still after a lunge, hit or miss
+    ATTACK_HEIGHT: 2.5,      // Only goes for targets within this height of its feet
+    ATTACK_REACH: 1.2,       // Radius of the claw swipe, just in front of the body
+    ATTACK_DAMAGE: 35,
+    KNOCKBACK_SPEED: 12,     // Horizontal speed a hit throws the target with
+    KNOCKBACK_LIFT: 5,       // Upward speed a hit throws the target with
+    
     // Physics - bigger than player, intimidating presence
     HEIGHT: 4.5,
     RADIUS: 0.8,
     SCALE: 2.2,              // Scale factor for model - bigger than player
+    MAX_SLOPE: 45,           // Steepest walkable ground (degrees)
+    GROUND_SNAP: 0.1,        // Ground this close below the feet is landed on from the air
     
     // AI
     OBSTACLE_CHECK_DISTANCE: 2,
     JUMP_COOLDOWN: 1.0,
     
+    // Navigation (NavGrid agent)
+    STEP_HEIGHT: 1.0,        // Walks up ledges this tall
+    NAV_JUMP_HEIGHT: 2.2,    // Ledges it plans to jump onto (a jump peaks at 2.4)
+    NAV_JUMP_DISTANCE: 5,    // Gaps it plans to jump across
+    NAV_MAX_DROP: 6,         // Ledges it plans to drop off
+    
     // Colors
     FUR_COLOR: 0x3d2817,      // Dark brown fur
     SKIN_COLOR: 0x2a1a0a,     // Darker skin
@@ -33,10 +80,29 @@ const WEREWOLF = {
     CLAW_COLOR: 0x1a1a1a,     // Dark claws
 };
 
+// Behaviour states (shown by the AI debug overlay)
+export const WerewolfState = {
+    IDLE: 'idle',
+    PATROL: 'patrol',
+    INVESTIGATE: 'investigate',
+    CHASE: 'chase',
+    ATTACK: 'attack',
+    SEARCH: 'search',
+    GIVE_UP: 'give up',
+};
+
+// Stages of an attack
+const AttackPhase = {
+    WINDUP: 'windup',
+    LUNGE: 'lunge',
+    RECOVER: 'recover',
+};
+
 export class Werewolf {
     constructor(position = new THREE.Vector3(0, 0, 0)) {
         // Position and physics
         this.position = position.clone();
+        this.previousPosition = position.clone(); // At the start of the last physics step
         this.velocity = new THREE.Vector3(0, 0, 0);
         this.rotation = 0; // Y rotation facing direction
         
@@ -46,19 +112,53 @@ export class Werewolf {
         this.isJumping = false;
         this.jumpCooldown = 0;
         this.animationTime = 0;
+        this.home = position.clone();        // Patrols around here, and comes back after giving up
+        this.moveGoal = new THREE.Vector3(); // Where the current state is heading
+        this.lookTime = 0;                   // Time left looking around before moving on
+        this.idleTime = 0;                   // How long this idle lasts
+        
+        // Attack
+        this.attackPhase = null;     // AttackPhase value, or null when not attacking
+        this.attackTime = 0;         // Time spent in the current phase
+        this.attackHit = false;      // This lunge has already landed
+        this._attackSphere = new THREE.Sphere();
+        this._knockback = new THREE.Vector3();
         
         // Target (player reference set externally)
         this.target = null;
         this.obstacles = [];
         
+        // Path finding (null without a nav grid - then it heads straight for the target)
+        this.pathFollower = null;
+        this._moveDirection = new THREE.Vector3();
+        this._toGoal = new THREE.Vector3();
+        
         // 3D model
         this.mesh = new THREE.Group();
         this.bodyParts = {};
         
+        // Collision capsule (walls, ceilings, landing on things)
+        this.controller = new CharacterController({
+            radius: WEREWOLF.RADIUS,
+            height: WEREWOLF.HEIGHT,
+            stepHeight: WEREWOLF.STEP_HEIGHT,
+            maxSlope: WEREWOLF.MAX_SLOPE,
+        });
+        
         // Raycaster for obstacle detection
         this._raycaster = new THREE.Raycaster();
         this._forwardDirection = new THREE.Vector3();
         
+        // Senses and behaviour
+        this.perception = new Perception({
+            viewDistance: WEREWOLF.VIEW_DISTANCE,
+            viewAngle: WEREWOLF.VIEW_ANGLE,
+            eyeHeight: WEREWOLF.EYE_HEIGHT,
+        });
+        this.brain = new StateMachine(this);
+        Object.entries(WEREWOLF_STATES).forEach(([name, state]) => this.brain.addState(name, state));
+        this.brain.setState(WerewolfState.IDLE);
+        
         this.buildModel();
     }
 
@@ -390,6 +490,15 @@ export class Werewolf {
      */
     setTarget(target) {
         this.target = target;
+        this.perception.setTarget(target);
+    }
+
+    /**
+     * Draw the model between its last two physics positions
+     * @param {number} alpha - Progress from the previous to the current step (0-1)
+     */
+    interpolate(alpha) {
+        this.mesh.position.lerpVectors(this.previousPosition, this.position, alpha);
     }
 
     /**
@@ -397,14 +506,23 @@ export class Werewolf {
      */
     setObstacles(obstacles) {
         this.obstacles = obstacles;
+        this.controller.setObstacles(obstacles);
+        this.perception.setObstacles(obstacles);
+    }
+
+    /**
+     * Find the way to the target over a nav grid (null to head straight for it)
+     * @param {NavGrid|null} navGrid - Grid built for the werewolf's size
+     */
+    setNavGrid(navGrid) {
+        this.pathFollower = navGrid ? new PathFollower(navGrid) : null;
     }
 
     /**
      * Update werewolf AI and animation
      */
     update(deltaTime) {
-        if (!this.target) return;
-
+        this.previousPosition.copy(this.position);
         this.animationTime += deltaTime;
         
         // Update cooldowns
@@ -412,49 +530,18 @@ export class Werewolf {
             this.jumpCooldown -= deltaTime;
         }
 
-        // Calculate distance to target
-        const toTarget = new THREE.Vector3();
-        toTarget.subVectors(this.target.position, this.position);
-        toTarget.y = 0; // Ignore vertical difference for distance
-        const distance = toTarget.length();
-
-        // Check if should chase
-        this.isChasing = distance < WEREWOLF.CHASE_DISTANCE && distance > WEREWOLF.ATTACK_DISTANCE;
-
-        if (this.isChasing) {
-            // Face the target
-            this.rotation = Math.atan2(toTarget.x, toTarget.z);
-            
-            // Check for obstacles ahead
-            const hasObstacle = this.checkObstacleAhead();
-            
-            if (hasObstacle && this.isGrounded && this.jumpCooldown <= 0) {
-                // Jump over obstacle
-                this.jump();
-            }
-            
-            // Move towards target
-            if (this.isGrounded || this.isJumping) {
-                const speed = this.isJumping ? WEREWOLF.RUN_SPEED : WEREWOLF.WALK_SPEED;
-                const moveDirection = toTarget.normalize();
-                this.velocity.x = moveDirection.x * speed;
-                this.velocity.z = moveDirection.z * speed;
-            }
-        } else {
-            // Slow down when not chasing
-            this.velocity.x *= 0.9;
-            this.velocity.z *= 0.9;
-        }
+        // Look and listen, then let the current state decide what to do
+        this.perception.update(deltaTime, this.position, this.rotation);
+        this.brain.update(deltaTime);
+        this.isChasing = this.brain.is(WerewolfState.CHASE);
 
         // Apply gravity
         if (!this.isGrounded) {
-            this.velocity.y += PHYSICS.GRAVITY * deltaTime;
+            this.velocity.y = Math.max(PHYSICS.TERMINAL_VELOCITY, this.velocity.y + PHYSICS.GRAVITY * deltaTime);
         }
 
-        // Apply velocity
-        this.position.x += this.velocity.x * deltaTime;
-        this.position.y += this.velocity.y * deltaTime;
-        this.position.z += this.velocity.z * deltaTime;
+        // Move, sliding along walls and stepping up low ledges
+        this.controller.move(this.position, this.velocity, deltaTime);
 
         // Ground check
         this.checkGround();
@@ -467,6 +554,215 @@ export class Werewolf {
         this.animate(deltaTime);
     }
 
+    /**
+     * Head for a point - along a nav grid path where there is one, straight
+     * there (jumping whatever is in the way) where there isn't
+     * @param {number} deltaTime - Step length in seconds
+     * @param {THREE.Vector3} goal - Where to go
+     * @param {number} speed - Move speed
+     * @param {number} [stopDistance] - Close enough (horizontally)
+     * @returns {boolean} Whether it's there, or as close as it can get
+     */
+    moveTo(deltaTime, goal, speed, stopDistance = NAVIGATION.WAYPOINT_RADIUS) {
+        const toGoal = this._toGoal.set(goal.x - this.position.x, 0, goal.z - this.position.z);
+        if (toGoal.length() <= stopDistance) {
+            this.stop();
+            return true;
+        }
+        
+        const moveDirection = this._moveDirection;
+        const steering = this.pathFollower ?
+            this.pathFollower.update(deltaTime, this.position, goal) : null;
+        
+        if (steering && steering.waypoint) {
+            // Follow the path, jumping where it says to
+            moveDirection.copy(steering.direction);
+            this.rotation = Math.atan2(moveDirection.x, moveDirection.z);
+            
+            if (steering.jump && this.isGrounded && this.jumpCooldown <= 0) {
+                this.jump();
+            }
+        } else if (steering && steering.arrived && !steering.complete) {
+            // As close as it can get - wait there, watching
+            this.rotation = Math.atan2(toGoal.x, toGoal.z);
+            this.stop();
+            return true;
+        } else {
+            // No path (or the last stretch) - face the goal and head straight for it
+            this.rotation = Math.atan2(toGoal.x, toGoal.z);
+            moveDirection.copy(toGoal).normalize();
+            
+            // Jump over obstacles ahead
+            if (this.checkObstacleAhead() && this.isGrounded && this.jumpCooldown <= 0) {
+                this.jump();
+            }
+        }
+        
+        // Jumps go at running speed whatever the pace, so they clear the gaps the grid plans for
+        if (this.isGrounded || this.isJumping) {
+            const moveSpeed = this.isJumping ? Math.max(speed, WEREWOLF.RUN_SPEED) : speed;
+            this.velocity.x = moveDirection.x * moveSpeed;
+            this.velocity.z = moveDirection.z * moveSpeed;
+        }
+        return false;
+    }
+
+    /**
+     * Come to a halt
+     */
+    stop() {
+        this.velocity.x *= 0.9;
+        this.velocity.z *= 0.9;
+    }
+
+    /**
+     * Stand still, turning the head from side to side
+     */
+    lookAround(deltaTime) {
+        this.stop();
+        this.rotation += Math.sin(this.animationTime * 0.8) * WEREWOLF.LOOK_AROUND_SPEED * deltaTime;
+    }
+
+    /**
+     * Face a point
+     */
+    faceTowards(point) {
+        this.rotation = Math.atan2(point.x - this.position.x, point.z - this.position.z);
+    }
+
+    /**
+     * Random point within a radius of a centre (on the centre's level)
+     */
+    pickPointNear(center, radius) {
+        const angle = Math.random() * Math.PI * 2;
+        const distance = radius * Math.sqrt(Math.random());
+        return this.moveGoal.set(
+            center.x + Math.cos(angle) * distance,
+            center.y,
+            center.z + Math.sin(angle) * distance
+        );
+    }
+
+    /**
+     * What the senses call for, from a state that isn't already after the target
+     * @returns {string|null} CHASE on sight, INVESTIGATE on a noise, else null
+     */
+    noticeTarget() {
+        if (this.perception.canSee) return WerewolfState.CHASE;
+        if (this.perception.noise) return WerewolfState.INVESTIGATE;
+        return null;
+    }
+
+    /**
+     * How far the target is (horizontally)
+     */
+    getTargetDistance() {
+        if (!this.target) return Infinity;
+        const dx = this.target.position.x - this.position.x;
+        const dz = this.target.position.z - this.position.z;
+        return Math.sqrt(dx * dx + dz * dz);
+    }
+
+    /**
+     * State and senses, for the AI debug overlay
+     * @returns {{state: string, sees: boolean, heard: boolean}}
+     */
+    getDebugState() {
+        return {
+            state: this.brain.current,
+            sees: this.perception.canSee,
+            heard: this.perception.timeSinceHeard < 1,
+        };
+    }
+
+    /**
+     * Move to the next stage of an attack (null to stop attacking)
+     */
+    setAttackPhase(phase) {
+        this.attackPhase = phase;
+        this.attackTime = 0;
+        
+        if (phase === AttackPhase.LUNGE) {
+            this.attackHit = false;
+        }
+    }
+
+    /**
+     * Wind up facing the target, lunge the way it was facing, then recover
+     * @param {number} deltaTime - Step length in seconds
+     */
+    updateAttack(deltaTime) {
+        this.attackTime += deltaTime;
+        
+        switch (this.attackPhase) {
+            case AttackPhase.WINDUP:
+                // Plant the feet and keep turning to the target
+                this.velocity.x = 0;
+                this.velocity.z = 0;
+                this.faceTowards(this.target.position);
+                
+                if (this.attackTime >= WEREWOLF.ATTACK_WINDUP) {
+                    this.setAttackPhase(AttackPhase.LUNGE);
+                }
+                break;
+                
+            case AttackPhase.LUNGE:
+                // Committed - no more turning
+                this.velocity.x = Math.sin(this.rotation) * WEREWOLF.LUNGE_SPEED;
+                this.velocity.z = Math.cos(this.rotation) * WEREWOLF.LUNGE_SPEED;
+                
+                if (this.checkAttackHit()) {
+                    this.hitTarget();
+                    this.setAttackPhase(AttackPhase.RECOVER);
+                } else if (this.attackTime >= WEREWOLF.LUNGE_TIME) {
+                    this.setAttackPhase(AttackPhase.RECOVER);
+                }
+                break;
+                
+            case AttackPhase.RECOVER:
+                this.velocity.x *= 0.8;
+                this.velocity.z *= 0.8;
+                
+                if (this.attackTime >= WEREWOLF.ATTACK_RECOVERY) {
+                    this.setAttackPhase(null);
+                }
+                break;
+        }
+    }
+
+    /**
+     * Whether the claw swipe (a sphere just in front of the chest) touches the target
+     */
+    checkAttackHit() {
+        if (this.attackHit || !this.target.getBoundingBox) return false;
+        
+        this._attackSphere.center.set(
+            this.position.x + Math.sin(this.rotation) * WEREWOLF.RADIUS,
+            this.position.y + WEREWOLF.HEIGHT * 0.5,
+            this.position.z + Math.cos(this.rotation) * WEREWOLF.RADIUS
+        );
+        this._attackSphere.radius = WEREWOLF.ATTACK_REACH;
+        
+        return this._attackSphere.intersectsBox(this.target.getBoundingBox());
+    }
+
+    /**
+     * Claw the target, throwing it the way the lunge was going
+     */
+    hitTarget() {
+        this.attackHit = true;
+        
+        this._knockback.set(
+            Math.sin(this.rotation) * WEREWOLF.KNOCKBACK_SPEED,
+            WEREWOLF.KNOCKBACK_LIFT,
+            Math.cos(this.rotation) * WEREWOLF.KNOCKBACK_SPEED
+        );
+        
+        if (this.target.takeHit) {
+            this.target.takeHit(WEREWOLF.ATTACK_DAMAGE, this.position, this._knockback);
+        }
+    }
+
     /**
      * Check if there's an obstacle in front
      */
@@ -506,48 +802,44 @@ export class Werewolf {
     }
 
     /**
-     * Check if werewolf is on ground
+     * Check if werewolf is on ground (the sandbox floor or anything standing on it)
      */
     checkGround() {
-        // Simple ground check at Y = 0
+        const wasGrounded = this.isGrounded;
+        
+        // Sandbox floor at Y = 0
         if (this.position.y <= 0) {
-            this.position.y = 0;
-            this.velocity.y = 0;
-            this.isGrounded = true;
-            this.isJumping = false;
+            this.land(0);
             return;
         }
 
-        // Check obstacles below
-        if (this.obstacles.length === 0) {
+        // Not while still rising from a jump
+        if (this.velocity.y > 0) {
             this.isGrounded = false;
             return;
         }
 
-        const origin = new THREE.Vector3(
-            this.position.x,
-            this.position.y + 1.0,
-            this.position.z
-        );
-
-        this._raycaster.set(origin, new THREE.Vector3(0, -1, 0));
-        this._raycaster.far = 1.5;
-
-        const intersects = this._raycaster.intersectObjects(this.obstacles, false);
+        // Stay down on the ground going down steps; from the air, only land when (nearly) touching
+        const snapDistance = wasGrounded ? this.controller.stepHeight : WEREWOLF.GROUND_SNAP;
+        const ground = this.obstacles.length > 0 ? this.controller.findGround(this.position, snapDistance) : null;
         
-        if (intersects.length > 0) {
-            const groundY = intersects[0].point.y;
-            if (this.position.y <= groundY + 0.1) {
-                this.position.y = groundY;
-                this.velocity.y = 0;
-                this.isGrounded = true;
-                this.isJumping = false;
-            }
+        if (ground) {
+            this.land(ground.height);
         } else {
             this.isGrounded = false;
         }
     }
 
+    /**
+     * Stand on the ground at a height
+     */
+    land(height) {
+        this.position.y = height;
+        this.velocity.y = 0;
+        this.isGrounded = true;
+        this.isJumping = false;
+    }
+
     /**
      * Animate the werewolf (walking, idle)
      */
@@ -555,7 +847,9 @@ export class Werewolf {
         const speed = Math.sqrt(this.velocity.x ** 2 + this.velocity.z ** 2);
         const isMoving = speed > 0.5;
 
-        if (isMoving && this.isGrounded) {
+        if (this.attackPhase) {
+            this.animateAttack();
+        } else if (isMoving && this.isGrounded) {
             // Walking animation
             const walkCycle = this.animationTime * 8;
             const legSwing = Math.sin(walkCycle) * 0.5;
@@ -627,6 +921,40 @@ export class Werewolf {
         }
     }
 
+    /**
+     * Attack poses - arms raised and head back for the wind-up, then swiped
+     * down and forward through the lunge
+     */
+    animateAttack() {
+        let armAngle;
+        let headAngle;
+        
+        if (this.attackPhase === AttackPhase.WINDUP) {
+            const t = Math.min(1, this.attackTime / WEREWOLF.ATTACK_WINDUP);
+            armAngle = -2.6 * t;
+            headAngle = -0.3 * t;
+        } else if (this.attackPhase === AttackPhase.LUNGE) {
+            const t = Math.min(1, this.attackTime / WEREWOLF.LUNGE_TIME);
+            armAngle = -2.6 + 2.0 * t;
+            headAngle = 0.2;
+        } else {
+            // Recovering - ease back towards the idle pose
+            const t = Math.min(1, this.attackTime / WEREWOLF.ATTACK_RECOVERY);
+            armAngle = -0.6 * (1 - t);
+            headAngle = 0.2 * (1 - t);
+        }
+        
+        if (this.bodyParts.leftArm) {
+            this.bodyParts.leftArm.rotation.x = armAngle;
+        }
+        if (this.bodyParts.rightArm) {
+            this.bodyParts.rightArm.rotation.x = armAngle;
+        }
+        if (this.bodyParts.head) {
+            this.bodyParts.head.rotation.x = headAngle;
+        }
+    }
+
     /**
      * Get the bounding box for collision
      */
@@ -639,14 +967,37 @@ export class Werewolf {
      */
     isNearTarget() {
         if (!this.target) return false;
-        const distance = this.position.distanceTo(this.target.position);
-        return distance < WEREWOLF.ATTACK_DISTANCE;
+        const dx = this.target.position.x - this.position.x;
+        const dz = this.target.position.z - this.position.z;
+        const dy = this.target.position.y - this.position.y;
+        return dx * dx + dz * dz <= WEREWOLF.ATTACK_DISTANCE ** 2 && Math.abs(dy) < WEREWOLF.ATTACK_HEIGHT;
+    }
+
+    /**
+     * Put the werewolf somewhere else, standing still (after the player is caught)
+     * @param {THREE.Vector3} position - Feet position
+     */
+    placeAt(position) {
+        this.position.copy(position);
+        this.previousPosition.copy(position);
+        this.home.copy(position);
+        this.velocity.set(0, 0, 0);
+        this.isGrounded = true;
+        this.isJumping = false;
+        this.perception.forget();
+        this.brain.setState(WerewolfState.IDLE);
+        if (this.pathFollower) {
+            this.pathFollower.clear();
+        }
+        this.mesh.position.copy(position);
     }
 
     /**
      * Dispose of resources
      */
     dispose() {
+        this.perception.dispose();
+        
         this.mesh.traverse((child) => {
             if (child.geometry) {
                 child.geometry.dispose();
@@ -662,4 +1013,136 @@ export class Werewolf {
     }
 }
 
+/**
+ * Behaviour states, run by the werewolf's StateMachine (hooks are called with
+ * the werewolf as `this`; update returns the next state, or nothing to stay)
+ */
+const WEREWOLF_STATES = {
+    // Stand about, looking around, then set off on a patrol
+    [WerewolfState.IDLE]: {
+        enter() {
+            this.idleTime = WEREWOLF.IDLE_TIME * (0.5 + Math.random());
+        },
+        update(deltaTime, time) {
+            this.lookAround(deltaTime);
+            
+            const noticed = this.noticeTarget();
+            if (noticed) return noticed;
+            if (time >= this.idleTime) return WerewolfState.PATROL;
+        },
+    },
+    
+    // Walk to a random spot near home
+    [WerewolfState.PATROL]: {
+        enter() {
+            this.pickPointNear(this.home, WEREWOLF.PATROL_RADIUS);
+        },
+        update(deltaTime, time) {
+            const noticed = this.noticeTarget();
+            if (noticed) return noticed;
+            
+            const arrived = this.moveTo(deltaTime, this.moveGoal, WEREWOLF.WALK_SPEED);
+            if (arrived || time >= WEREWOLF.PATROL_TIMEOUT) return WerewolfState.IDLE;
+        },
+    },
+    
+    // Go and look at where a noise came from (a louder, closer one redirects it)
+    [WerewolfState.INVESTIGATE]: {
+        enter() {
+            this.moveGoal.copy(this.perception.noise);
+            this.perception.clearNoise();
+            this.lookTime = WEREWOLF.INVESTIGATE_LOOK_TIME;
+        },
+        update(deltaTime) {
+            if (this.perception.canSee) return WerewolfState.CHASE;
+            if (this.perception.noise) {
+                this.moveGoal.copy(this.perception.noise);
+                this.perception.clearNoise();
+                this.lookTime = WEREWOLF.INVESTIGATE_LOOK_TIME;
+            }
+            
+            if (this.moveTo(deltaTime, this.moveGoal, WEREWOLF.WALK_SPEED, WEREWOLF.ATTACK_DISTANCE)) {
+                this.lookAround(deltaTime);
+                this.lookTime -= deltaTime;
+                if (this.lookTime <= 0) return WerewolfState.GIVE_UP;
+            }
+        },
+    },
+    
+    // Run the target down while it can be seen, then to where it was last seen
+    [WerewolfState.CHASE]: {
+        enter() {
+            this.perception.clearNoise();
+        },
+        update(deltaTime) {
+            const perception = this.perception;
+            
+            if (perception.canSee && this.isGrounded && this.isNearTarget()) {
+                return WerewolfState.ATTACK;
+            }
+            if (perception.timeSinceSeen > WEREWOLF.LOSE_SIGHT_TIME ||
+                this.getTargetDistance() > WEREWOLF.CHASE_DISTANCE) {
+                return WerewolfState.SEARCH;
+            }
+            
+            // Heard but not seen - the noise is the best guess of where it went
+            if (!perception.canSee && perception.noise) {
+                perception.lastKnownPosition.copy(perception.noise);
+            }
+            perception.clearNoise();
+            
+            const goal = perception.canSee ? this.target.position : perception.lastKnownPosition;
+            const arrived = this.moveTo(deltaTime, goal, WEREWOLF.RUN_SPEED, WEREWOLF.ATTACK_DISTANCE);
+            if (arrived && !perception.canSee) return WerewolfState.SEARCH;
+        },
+    },
+    
+    // Wind up, lunge, recover - then back to the chase
+    [WerewolfState.ATTACK]: {
+        enter() {
+            this.setAttackPhase(AttackPhase.WINDUP);
+        },
+        update(deltaTime) {
+            this.updateAttack(deltaTime);
+            if (!this.attackPhase) return WerewolfState.CHASE;
+        },
+        exit() {
+            this.setAttackPhase(null);
+        },
+    },
+    
+    // Hunt around where the target was last seen, a spot at a time
+    [WerewolfState.SEARCH]: {
+        enter() {
+            this.moveGoal.copy(this.perception.lastKnownPosition);
+            this.lookTime = 0;
+        },
+        update(deltaTime, time) {
+            const noticed = this.noticeTarget();
+            if (noticed) return noticed;
+            if (time >= WEREWOLF.SEARCH_TIME) return WerewolfState.GIVE_UP;
+            
+            if (this.lookTime > 0) {
+                this.lookAround(deltaTime);
+                this.lookTime -= deltaTime;
+                if (this.lookTime <= 0) {
+                    this.pickPointNear(this.perception.lastKnownPosition, WEREWOLF.SEARCH_RADIUS);
+                }
+            } else if (this.moveTo(deltaTime, this.moveGoal, WEREWOLF.WALK_SPEED)) {
+                this.lookTime = WEREWOLF.SEARCH_PAUSE;
+            }
+        },
+    },
+    
+    // Head back home and settle down
+    [WerewolfState.GIVE_UP]: {
+        update(deltaTime) {
+            const noticed = this.noticeTarget();
+            if (noticed) return noticed;
+            
+            if (this.moveTo(deltaTime, this.home, WEREWOLF.WALK_SPEED)) return WerewolfState.IDLE;
+        },
+    },
+};
+
 export default Werewolf;
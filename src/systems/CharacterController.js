@@ -0,0 +1,624 @@
+/**
+ * CharacterController - Capsule collision and movement for characters
+ *
+ * Moves an upright capsule (feet at the owner's position) through a list of
+ * obstacle meshes. Overlaps are pushed out against the mesh triangles, walls
+ * slide the velocity along them instead of stopping it, ledges up to the step
+ * height are walked up onto, and the ground is found by lowering the capsule
+ * onto it. Surfaces steeper than the max slope act as walls.
+ *
+ * Not tied to the Player: anything with a position and a velocity can own one
+ * with its own radius, height and step height.
+ */
+
+import * as THREE from 'three';
+
+// Push-out passes per move (each pass handles every touching triangle)
+const MAX_ITERATIONS = 4;
+// Longest distance moved per collision pass, as a share of the radius
+const MAX_SUBSTEP = 0.5;
+// Gap left between the capsule and a surface it was pushed out of
+const SKIN = 0.001;
+// Lowering the capsule onto the ground goes in steps of this share of its
+// radius, so thin platforms can't be passed through
+const PROBE_STEP = 0.5;
+// Shortest reach of a step-up move, as a share of the radius
+const STEP_REACH = 0.5;
+// Most increments a ground probe takes (touching walls on the way down adds some)
+const MAX_PROBE_STEPS = 24;
+// Halvings used to find where a probe first touched
+const CONTACT_REFINE_STEPS = 6;
+// Contacts facing further down than this are ceilings (bumping them stops upward motion)
+const CEILING_NORMAL_Y = -0.5;
+
+const EPSILON = 1e-8;
+
+// Shared temporaries for the closest-point math
+const _plane = new THREE.Plane();
+const _crossing = new THREE.Vector3();
+const _onSegment = new THREE.Vector3();
+const _onTriangle = new THREE.Vector3();
+const _segmentDir = new THREE.Vector3();
+const _edgeDir = new THREE.Vector3();
+const _between = new THREE.Vector3();
+// Segment ends and triangle corners, refilled per call (the inner loops run per triangle)
+const _ends = [null, null];
+const _corners = [null, null, null];
+
+export class CharacterController {
+    /**
+     * @param {Object} config - Capsule shape
+     * @param {number} config.radius - Capsule radius
+     * @param {number} config.height - Feet to top of the head
+     * @param {number} [config.stepHeight=0] - Tallest ledge walked straight up onto
+     * @param {number} [config.maxSlope=45] - Steepest walkable ground (degrees)
+     */
+    constructor(config) {
+        this.radius = config.radius;
+        this.height = config.height;
+        this.stepHeight = config.stepHeight || 0;
+        this.setMaxSlope(config.maxSlope !== undefined ? config.maxSlope : 45);
+
+        this.obstacles = [];
+
+        // Outcome of the last move()
+        this.result = createResult();
+
+        // Outcome of the last findGround()
+        this.ground = { height: null, normal: new THREE.Vector3(0, 1, 0), object: null };
+
+        // Meshes close enough to matter for the current query
+        this._candidates = [];
+
+        this._segment = new THREE.Line3();
+        this._triangle = new THREE.Triangle();
+        this._faceNormal = new THREE.Vector3();
+        this._normal = new THREE.Vector3();
+        this._insideNormal = new THREE.Vector3();
+        this._capsuleBox = new THREE.Box3();
+        this._queryBox = new THREE.Box3();
+        this._meshBox = new THREE.Box3();
+        this._triangleBox = new THREE.Box3();
+        this._sweepEnd = new THREE.Vector3();
+        this._start = new THREE.Vector3();
+        this._delta = new THREE.Vector3();
+        this._moveVelocity = new THREE.Vector3();
+        this._stepPosition = new THREE.Vector3();
+        this._stepVelocity = new THREE.Vector3();
+        this._stepResult = createResult();
+        this._probePosition = new THREE.Vector3();
+        this._probeVelocity = new THREE.Vector3();
+        this._probeResult = createResult();
+    }
+
+    /**
+     * Set the meshes to collide with
+     * @param {Array<THREE.Mesh>} obstacles - Collision meshes
+     */
+    setObstacles(obstacles) {
+        this.obstacles = obstacles;
+    }
+
+    /**
+     * Set the steepest walkable ground
+     * @param {number} degrees - Slope angle from horizontal
+     */
+    setMaxSlope(degrees) {
+        this.maxSlope = degrees;
+        this._minGroundNormalY = Math.cos(THREE.MathUtils.degToRad(degrees));
+    }
+
+    /**
+     * Move a capsule by velocity * deltaTime, resolving collisions on the way.
+     * Long moves are split into substeps no longer than a share of the radius,
+     * so fast falls, launches and slides can't pass through thin geometry.
+     * Velocity into walls and ceilings is removed (so the capsule slides along
+     * them); velocity into the ground is left for the caller, which usually
+     * wants the impact speed.
+     * @param {THREE.Vector3} position - Feet position (moved in place)
+     * @param {THREE.Vector3} velocity - Velocity (adjusted in place)
+     * @param {number} deltaTime - Step length in seconds
+     * @returns {Object} { grounded, groundNormal, groundObject, hitWall, wallNormal, wallObject, hitCeiling, stepped }
+     */
+    move(position, velocity, deltaTime) {
+        const result = resetResult(this.result);
+
+        this._sweepEnd.copy(velocity).multiplyScalar(deltaTime).add(position);
+        this.gatherCandidates(position, this._sweepEnd, this.stepHeight + this.radius);
+        if (this._candidates.length === 0) {
+            position.copy(this._sweepEnd);
+            return result;
+        }
+
+        const distance = velocity.length() * deltaTime;
+        const substeps = Math.max(1, Math.ceil(distance / (this.radius * MAX_SUBSTEP)));
+        const substepTime = deltaTime / substeps;
+
+        for (let i = 0; i < substeps; i++) {
+            this.moveStep(position, velocity, substepTime, result);
+        }
+
+        return result;
+    }
+
+    /**
+     * One collision pass of a move (short enough not to skip through anything)
+     */
+    moveStep(position, velocity, deltaTime, result) {
+        this._start.copy(position);
+        this._moveVelocity.copy(velocity);
+        this._delta.copy(velocity).multiplyScalar(deltaTime);
+
+        // Walls from earlier substeps don't call for another step-up
+        const hitWallBefore = result.hitWall;
+        result.hitWall = false;
+
+        position.add(this._delta);
+        this.resolve(position, velocity, result);
+
+        // Blocked by something that may be low enough to step onto
+        if (result.hitWall && this.stepHeight > 0) {
+            this.tryStep(position, velocity, result);
+        }
+
+        result.hitWall = result.hitWall || hitWallBefore;
+    }
+
+    /**
+     * Look for walkable ground below by lowering the capsule onto it
+     * @param {THREE.Vector3} position - Feet position (not changed)
+     * @param {number} maxDistance - How far down to look
+     * @returns {Object|null} { height: feet height when standing on it, normal, object }, or null
+     */
+    findGround(position, maxDistance) {
+        this._probePosition.copy(position);
+        this._probePosition.y -= maxDistance;
+        this.gatherCandidates(position, this._probePosition, this.radius);
+        if (this._candidates.length === 0) return null;
+
+        this._probePosition.copy(position);
+        const probe = resetResult(this._probeResult);
+        if (!this.lower(this._probePosition, maxDistance, probe)) return null;
+
+        this.ground.height = this._probePosition.y;
+        this.ground.normal.copy(probe.groundNormal);
+        this.ground.object = probe.groundObject;
+        return this.ground;
+    }
+
+    /**
+     * Whether a capsule of the given height fits at a position without touching anything
+     * @param {THREE.Vector3} position - Feet position
+     * @param {number} [height] - Capsule height (defaults to the current one)
+     * @returns {boolean}
+     */
+    fits(position, height = this.height) {
+        this.gatherCandidates(position, position, this.radius, height);
+        return !this.overlaps(position, height);
+    }
+
+    /**
+     * Retry a blocked move from stepHeight higher up, then lower back down.
+     * Kept only if it ends on walkable ground further along than the plain move.
+     */
+    tryStep(position, velocity, result) {
+        const horizontal = Math.hypot(this._delta.x, this._delta.z);
+        if (horizontal < EPSILON) return;
+
+        const stepped = this._stepPosition.copy(this._start);
+        stepped.y += this.stepHeight + Math.max(0, this._delta.y);
+        if (this.overlaps(stepped, this.height)) return;
+
+        // Reach far enough for the rounded bottom to come down on top of the
+        // edge (pressing against a step leaves almost no speed to get there)
+        const reach = Math.max(horizontal, this.radius * STEP_REACH) / horizontal;
+        stepped.x += this._delta.x * reach;
+        stepped.z += this._delta.z * reach;
+
+        const stepResult = resetResult(this._stepResult);
+        const stepVelocity = this._stepVelocity.copy(this._moveVelocity);
+        this.resolve(stepped, stepVelocity, stepResult);
+
+        // Still blocked up there - a wall, not a step
+        const plainDistance = Math.hypot(position.x - this._start.x, position.z - this._start.z);
+        const stepDistance = Math.hypot(stepped.x - this._start.x, stepped.z - this._start.z);
+        if (stepDistance <= plainDistance + SKIN) return;
+
+        stepResult.grounded = false;
+        if (!this.lower(stepped, this.stepHeight + Math.max(0, -this._delta.y), stepResult)) return;
+
+        position.copy(stepped);
+        velocity.x = stepVelocity.x;
+        velocity.z = stepVelocity.z;
+
+        result.grounded = true;
+        result.groundNormal.copy(stepResult.groundNormal);
+        result.groundObject = stepResult.groundObject;
+        result.hitWall = stepResult.hitWall;
+        if (stepResult.hitWall) {
+            result.wallNormal.copy(stepResult.wallNormal);
+            result.wallObject = stepResult.wallObject;
+        }
+        result.stepped = true;
+    }
+
+    /**
+     * Lower the capsule until it rests on walkable ground. Each touch is
+     * narrowed down to the first point of contact before it is judged, so a
+     * step's edge reads as ground rather than as the wall it would seem to be
+     * from deeper in.
+     * @param {THREE.Vector3} position - Feet position (moved in place)
+     * @param {number} distance - Furthest to lower it
+     * @param {Object} result - Contact result to fill in
+     * @returns {boolean} Whether ground was found
+     */
+    lower(position, distance, result) {
+        const increment = this.radius * PROBE_STEP;
+        const bottom = position.y - distance;
+
+        for (let i = 0; i < MAX_PROBE_STEPS && position.y > bottom; i++) {
+            const free = position.y;
+            position.y = Math.max(bottom, free - increment);
+            if (!this.overlaps(position, this.height)) continue;
+
+            // Touching somewhere in this step - find where it started
+            let touching = position.y;
+            let clear = free;
+            for (let j = 0; j < CONTACT_REFINE_STEPS; j++) {
+                position.y = (touching + clear) / 2;
+                if (this.overlaps(position, this.height)) {
+                    touching = position.y;
+                } else {
+                    clear = position.y;
+                }
+            }
+            position.y = touching;
+
+            this._probeVelocity.set(0, 0, 0);
+            this.resolve(position, this._probeVelocity, result);
+            if (result.grounded) return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Push the capsule out of everything it overlaps
+     */
+    resolve(position, velocity, result) {
+        for (let i = 0; i < MAX_ITERATIONS; i++) {
+            let pushed = false;
+
+            for (const mesh of this._candidates) {
+                if (this.pushOutOfMesh(mesh, position, velocity, result)) {
+                    pushed = true;
+                }
+            }
+
+            if (!pushed) break;
+        }
+    }
+
+    /**
+     * Push the capsule out of one mesh's triangles. Surface contacts are
+     * handled as found; if the capsule's core is inside the mesh instead,
+     * it leaves through the face that needs the shortest push.
+     * @returns {boolean} Whether the capsule was moved
+     */
+    pushOutOfMesh(mesh, position, velocity, result) {
+        const geometry = mesh.geometry;
+        const positions = geometry.attributes.position;
+        const index = geometry.index;
+        const count = index ? index.count : positions.count;
+        const triangle = this._triangle;
+
+        let pushed = false;
+        let insideDepth = Infinity;
+
+        this.updateSegment(position, this.height);
+
+        for (let i = 0; i < count; i += 3) {
+            triangle.a.fromBufferAttribute(positions, index ? index.getX(i) : i).applyMatrix4(mesh.matrixWorld);
+            triangle.b.fromBufferAttribute(positions, index ? index.getX(i + 1) : i + 1).applyMatrix4(mesh.matrixWorld);
+            triangle.c.fromBufferAttribute(positions, index ? index.getX(i + 2) : i + 2).applyMatrix4(mesh.matrixWorld);
+
+            if (!triangleBounds(triangle, this._triangleBox).intersectsBox(this._capsuleBox)) continue;
+
+            const distance = closestPointsSegmentTriangle(this._segment, triangle, _onSegment, _onTriangle);
+            if (distance >= this.radius) continue;
+
+            triangle.getNormal(this._faceNormal);
+
+            // Core of the capsule behind the face (inside the mesh)
+            _between.subVectors(_onSegment, _onTriangle);
+            if (distance < EPSILON || (_between.dot(this._faceNormal) < 0 && isOverFace(triangle, _onSegment))) {
+                triangle.getPlane(_plane);
+                const behind = Math.min(_plane.distanceToPoint(this._segment.start), _plane.distanceToPoint(this._segment.end));
+                const depth = this.radius - behind;
+                if (depth < insideDepth) {
+                    insideDepth = depth;
+                    this._insideNormal.copy(this._faceNormal);
+                }
+                continue;
+            }
+
+            this._normal.copy(_between).divideScalar(distance);
+            this.applyContact(this._normal, this.radius - distance, mesh, position, velocity, result);
+            this.updateSegment(position, this.height);
+            pushed = true;
+        }
+
+        if (!pushed && insideDepth !== Infinity) {
+            this.applyContact(this._insideNormal, insideDepth, mesh, position, velocity, result);
+            pushed = true;
+        }
+
+        return pushed;
+    }
+
+    /**
+     * Push the capsule out along a contact normal and record what it touched
+     * @param {THREE.Vector3} normal - Direction out of the surface (unit length, may be modified)
+     * @param {number} depth - How far the capsule is into the surface
+     */
+    applyContact(normal, depth, mesh, position, velocity, result) {
+        // Walkable ground - straight up, so standing on a slope doesn't slide
+        if (normal.y >= this._minGroundNormalY) {
+            position.y += depth / normal.y + SKIN;
+            result.grounded = true;
+            result.groundNormal.copy(normal);
+            result.groundObject = mesh;
+            return;
+        }
+
+        // Ceiling - stop rising
+        if (normal.y <= CEILING_NORMAL_Y) {
+            position.addScaledVector(normal, depth + SKIN);
+            if (velocity.y > 0) velocity.y = 0;
+            result.hitCeiling = true;
+            return;
+        }
+
+        // Wall (or a slope too steep to stand on) - push out sideways only and
+        // drop the velocity into it, so the rest carries on along the wall
+        const horizontal = Math.hypot(normal.x, normal.z);
+        normal.set(normal.x / horizontal, 0, normal.z / horizontal);
+        position.addScaledVector(normal, depth / horizontal + SKIN);
+
+        const into = velocity.dot(normal);
+        if (into < 0) {
+            velocity.addScaledVector(normal, -into);
+        }
+
+        result.hitWall = true;
+        result.wallNormal.copy(normal);
+        result.wallObject = mesh;
+    }
+
+    /**
+     * Whether the capsule at a position touches any candidate mesh
+     */
+    overlaps(position, height) {
+        const triangle = this._triangle;
+        const limit = this.radius - SKIN;
+
+        this.updateSegment(position, height);
+
+        for (const mesh of this._candidates) {
+            const geometry = mesh.geometry;
+            const positions = geometry.attributes.position;
+            const index = geometry.index;
+            const count = index ? index.count : positions.count;
+
+            for (let i = 0; i < count; i += 3) {
+                triangle.a.fromBufferAttribute(positions, index ? index.getX(i) : i).applyMatrix4(mesh.matrixWorld);
+                triangle.b.fromBufferAttribute(positions, index ? index.getX(i + 1) : i + 1).applyMatrix4(mesh.matrixWorld);
+                triangle.c.fromBufferAttribute(positions, index ? index.getX(i + 2) : i + 2).applyMatrix4(mesh.matrixWorld);
+
+                if (!triangleBounds(triangle, this._triangleBox).intersectsBox(this._capsuleBox)) continue;
+
+                if (closestPointsSegmentTriangle(this._segment, triangle, _onSegment, _onTriangle) < limit) {
+                    return true;
+                }
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Collect the obstacles whose bounds come near a capsule moving between two positions
+     * @param {THREE.Vector3} from - Feet position at the start
+     * @param {THREE.Vector3} to - Feet position at the end
+     * @param {number} margin - Extra room around the swept capsule
+     * @param {number} [height] - Capsule height (defaults to the current one)
+     */
+    gatherCandidates(from, to, margin, height = this.height) {
+        const box = this._queryBox;
+        box.min.set(Math.min(from.x, to.x), Math.min(from.y, to.y), Math.min(from.z, to.z));
+        box.max.set(Math.max(from.x, to.x), Math.max(from.y, to.y) + height, Math.max(from.z, to.z));
+        box.expandByScalar(this.radius + margin);
+
+        this._candidates.length = 0;
+
+        for (const mesh of this.obstacles) {
+            const geometry = mesh.geometry;
+            if (!geometry.boundingBox) {
+                geometry.computeBoundingBox();
+            }
+
+            this._meshBox.copy(geometry.boundingBox).applyMatrix4(mesh.matrixWorld);
+            if (this._meshBox.intersectsBox(box)) {
+                this._candidates.push(mesh);
+            }
+        }
+    }
+
+    /**
+     * Place the capsule's core segment (and its bounds) for a feet position
+     */
+    updateSegment(position, height) {
+        const bottom = position.y + this.radius;
+        const top = Math.max(bottom, position.y + height - this.radius);
+
+        this._segment.start.set(position.x, bottom, position.z);
+        this._segment.end.set(position.x, top, position.z);
+
+        this._capsuleBox.min.set(position.x - this.radius, position.y, position.z - this.radius);
+        this._capsuleBox.max.set(position.x + this.radius, top + this.radius, position.z + this.radius);
+    }
+}
+
+/**
+ * Empty contact result
+ */
+function createResult() {
+    return {
+        grounded: false,
+        groundNormal: new THREE.Vector3(0, 1, 0),
+        groundObject: null,
+        hitWall: false,
+        wallNormal: new THREE.Vector3(),
+        wallObject: null,
+        hitCeiling: false,
+        stepped: false,
+    };
+}
+
+function resetResult(result) {
+    result.grounded = false;
+    result.groundNormal.set(0, 1, 0);
+    result.groundObject = null;
+    result.hitWall = false;
+    result.wallNormal.set(0, 0, 0);
+    result.wallObject = null;
+    result.hitCeiling = false;
+    result.stepped = false;
+    return result;
+}
+
+/**
+ * Bounding box of a triangle
+ * @param {THREE.Triangle} triangle
+ * @param {THREE.Box3} box - Receives the bounds
+ * @returns {THREE.Box3} box
+ */
+function triangleBounds(triangle, box) {
+    return box.makeEmpty().expandByPoint(triangle.a).expandByPoint(triangle.b).expandByPoint(triangle.c);
+}
+
+/**
+ * Whether a point lies over the inside of a triangle (projected onto its plane)
+ */
+function isOverFace(triangle, point) {
+    triangle.getPlane(_plane);
+    _plane.projectPoint(point, _crossing);
+    return triangle.containsPoint(_crossing);
+}
+
+/**
+ * Closest points between a segment and a triangle
+ * @param {THREE.Line3} segment
+ * @param {THREE.Triangle} triangle
+ * @param {THREE.Vector3} onSegment - Receives the point on the segment
+ * @param {THREE.Vector3} onTriangle - Receives the point on the triangle
+ * @returns {number} Distance between them (0 if the segment passes through)
+ */
+function closestPointsSegmentTriangle(segment, triangle, onSegment, onTriangle) {
+    // Passing straight through the triangle
+    triangle.getPlane(_plane);
+    const startDistance = _plane.distanceToPoint(segment.start);
+    const endDistance = _plane.distanceToPoint(segment.end);
+    if (startDistance * endDistance <= 0 && startDistance !== endDistance) {
+        segment.at(startDistance / (startDistance - endDistance), _crossing);
+        if (triangle.containsPoint(_crossing)) {
+            onSegment.copy(_crossing);
+            onTriangle.copy(_crossing);
+            return 0;
+        }
+    }
+
+    // Otherwise the closest approach is at a segment end or along a triangle edge
+    let best = Infinity;
+
+    _ends[0] = segment.start;
+    _ends[1] = segment.end;
+    for (let i = 0; i < 2; i++) {
+        const end = _ends[i];
+        triangle.closestPointToPoint(end, _crossing);
+        const distanceSq = end.distanceToSquared(_crossing);
+        if (distanceSq < best) {
+            best = distanceSq;
+            onSegment.copy(end);
+            onTriangle.copy(_crossing);
+        }
+    }
+
+    _corners[0] = triangle.a;
+    _corners[1] = triangle.b;
+    _corners[2] = triangle.c;
+    for (let i = 0; i < 3; i++) {
+        const distanceSq = closestPointsSegmentSegment(
+            segment.start, segment.end, _corners[i], _corners[(i + 1) % 3], _segmentDir, _edgeDir
+        );
+        if (distanceSq < best) {
+            best = distanceSq;
+            onSegment.copy(_segmentDir);
+            onTriangle.copy(_edgeDir);
+        }
+    }
+
+    return Math.sqrt(best);
+}
+
+// Temporaries for the segment-segment case
+const _d1 = new THREE.Vector3();
+const _d2 = new THREE.Vector3();
+const _r = new THREE.Vector3();
+
+/**
+ * Closest points between two segments (p1-q1 and p2-q2)
+ * @returns {number} Squared distance between them
+ */
+function closestPointsSegmentSegment(p1, q1, p2, q2, onFirst, onSecond) {
+    const d1 = _d1.subVectors(q1, p1);
+    const d2 = _d2.subVectors(q2, p2);
+    const r = _r.subVectors(p1, p2);
+    const a = d1.dot(d1);
+    const e = d2.dot(d2);
+    const f = d2.dot(r);
+    const clamp = THREE.MathUtils.clamp;
+
+    let s = 0;
+    let t = 0;
+
+    if (a <= EPSILON && e <= EPSILON) {
+        // Both are points
+    } else if (a <= EPSILON) {
+        t = clamp(f / e, 0, 1);
+    } else {
+        const c = d1.dot(r);
+        if (e <= EPSILON) {
+            s = clamp(-c / a, 0, 1);
+        } else {
+            const b = d1.dot(d2);
+            const denom = a * e - b * b;
+            s = denom !== 0 ? clamp((b * f - c * e) / denom, 0, 1) : 0;
+            t = (b * s + f) / e;
+
+            if (t < 0) {
+                t = 0;
+                s = clamp(-c / a, 0, 1);
+            } else if (t > 1) {
+                t = 1;
+                s = clamp((b - c) / a, 0, 1);
+            }
+        }
+    }
+
+    onFirst.copy(p1).addScaledVector(d1, s);
+    onSecond.copy(p2).addScaledVector(d2, t);
+    return onFirst.distanceToSquared(onSecond);
+}
+
+export default CharacterController;
@@ -122,6 +122,22 @@ export const Events = {
     PLAYER_CROUCH_END: 'player:crouch:end',
     PLAYER_SLIDE_START: 'player:slide:start',
     PLAYER_SLIDE_END: 'player:slide:end',
+    PLAYER_LEDGE_GRAB: 'player:ledge:grab',
+    PLAYER_LEDGE_DROP: 'player:ledge:drop',
+    PLAYER_MANTLE_START: 'player:mantle:start',
+    PLAYER_MANTLE_END: 'player:mantle:end',
+    PLAYER_GRAPPLE_TARGET: 'player:grapple:target',
+    PLAYER_GRAPPLE_ATTACH: 'player:grapple:attach',
+    PLAYER_GRAPPLE_RELEASE: 'player:grapple:release',
+    PLAYER_DOUBLE_JUMP: 'player:double-jump',
+    PLAYER_AIR_DASH: 'player:air-dash',
+    PLAYER_GROUND_POUND: 'player:ground-pound',
+    PLAYER_GROUND_POUND_LAND: 'player:ground-pound:land',
+    PLAYER_ABILITIES_CHANGE: 'player:abilities:change',
+    PLAYER_DAMAGE: 'player:damage',
+    PLAYER_HIT: 'player:hit',
+    PLAYER_HEALTH_CHANGE: 'player:health:change',
+    PLAYER_STAMINA_CHANGE: 'player:stamina:change',
     
     // Game state events
     GAME_START: 'game:start',
@@ -142,7 +158,9 @@ export const Events = {
     PARKOUR_CHUNK_GENERATED: 'parkour:chunk:generated',
     PARKOUR_CHUNK_DISPOSED: 'parkour:chunk:disposed',
     PARKOUR_RESTART: 'parkour:restart',
+    PARKOUR_RUN_START: 'parkour:run:start',
     PARKOUR_CHECKPOINT: 'parkour:checkpoint',
+    PARKOUR_ZONE_CHANGE: 'parkour:zone:change',
     
     // Player life events
     PLAYER_DEATH: 'player:death',
@@ -6,6 +6,7 @@
  */
 
 import { globalEvents, Events } from './EventBus.js';
+import { PARKOUR_DIFFICULTY } from '../config/Constants.js';
 
 /**
  * Game state enum
@@ -29,6 +30,7 @@ class GameStateManager {
         this.currentState = GameState.MAIN_MENU;
         this.previousState = null;
         this.currentMode = GameMode.SANDBOX;
+        this.difficulty = PARKOUR_DIFFICULTY.DEFAULT_PRESET; // Parkour difficulty preset
     }
 
     /**
@@ -171,6 +173,24 @@ class GameStateManager {
         }
     }
 
+    /**
+     * Get the parkour difficulty preset
+     * @returns {string} Preset name in PARKOUR_DIFFICULTY.PRESETS
+     */
+    getDifficulty() {
+        return this.difficulty;
+    }
+
+    /**
+     * Set the parkour difficulty preset (applies from the next run started)
+     * @param {string} preset - Preset name in PARKOUR_DIFFICULTY.PRESETS
+     */
+    setDifficulty(preset) {
+        if (PARKOUR_DIFFICULTY.PRESETS[preset]) {
+            this.difficulty = preset;
+        }
+    }
+
     /**
      * Check if in parkour mode
      * @returns {boolean}
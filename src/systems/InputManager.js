@@ -2,7 +2,8 @@
  * InputManager - Centralized input handling system
  * 
  * Handles keyboard, mouse, and pointer lock for FPS controls.
- * Supports rebindable keys and input state queries.
+ * Supports rebindable keys and input state queries. Mouse buttons are tracked
+ * as keys named 'Mouse' + button number, so actions can be bound to them.
  */
 
 import { INPUT, CAMERA } from '../config/Constants.js';
@@ -13,8 +14,8 @@ class InputManager {
     constructor() {
         // Keyboard state
         this.keys = new Map();
-        this.keysPressed = new Set();  // Just pressed this frame
-        this.keysReleased = new Set(); // Just released this frame
+        this.keysPressed = new Set();  // Just pressed (since the last physics step)
+        this.keysReleased = new Set(); // Just released (since the last physics step)
         
         // Mouse state
         this.mouse = {
@@ -36,6 +37,8 @@ class InputManager {
         this._onKeyDown = this._onKeyDown.bind(this);
         this._onKeyUp = this._onKeyUp.bind(this);
         this._onMouseMove = this._onMouseMove.bind(this);
+        this._onMouseDown = this._onMouseDown.bind(this);
+        this._onMouseUp = this._onMouseUp.bind(this);
         this._onPointerLockChange = this._onPointerLockChange.bind(this);
         this._onClick = this._onClick.bind(this);
         
@@ -55,6 +58,8 @@ class InputManager {
         
         // Mouse events
         document.addEventListener('mousemove', this._onMouseMove);
+        document.addEventListener('mousedown', this._onMouseDown);
+        document.addEventListener('mouseup', this._onMouseUp);
         document.addEventListener('pointerlockchange', this._onPointerLockChange);
         
         // Click to lock
@@ -70,6 +75,8 @@ class InputManager {
         document.removeEventListener('keydown', this._onKeyDown);
         document.removeEventListener('keyup', this._onKeyUp);
         document.removeEventListener('mousemove', this._onMouseMove);
+        document.removeEventListener('mousedown', this._onMouseDown);
+        document.removeEventListener('mouseup', this._onMouseUp);
         document.removeEventListener('pointerlockchange', this._onPointerLockChange);
         
         if (this.canvas) {
@@ -79,26 +86,34 @@ class InputManager {
 
     /**
      * Reset per-frame input state (call at end of frame)
+     * Presses are kept until a physics step has read them (see clearPresses),
+     * so a press in a frame that runs no step isn't lost.
      */
     update() {
-        this.keysPressed.clear();
-        this.keysReleased.clear();
         this.mouse.deltaX = 0;
         this.mouse.deltaY = 0;
     }
 
+    /**
+     * Forget just-pressed / just-released keys (call after each physics step)
+     */
+    clearPresses() {
+        this.keysPressed.clear();
+        this.keysReleased.clear();
+    }
+
     // ==================== Key State Queries ====================
 
     /**
      * Check if a key is currently held
-     * @param {string} code - KeyboardEvent.code value
+     * @param {string} code - KeyboardEvent.code value (or 'Mouse' + button)
      */
     isKeyDown(code) {
         return this.keys.get(code) === true;
     }
 
     /**
-     * Check if a key was just pressed this frame
+     * Check if a key was just pressed (since the last physics step)
      * @param {string} code - KeyboardEvent.code value
      */
     isKeyPressed(code) {
@@ -106,7 +121,7 @@ class InputManager {
     }
 
     /**
-     * Check if a key was just released this frame
+     * Check if a key was just released (since the last physics step)
      * @param {string} code - KeyboardEvent.code value
      */
     isKeyReleased(code) {
@@ -206,6 +221,9 @@ class InputManager {
             return;
         }
         
+        // Let text fields (e.g. the pause menu seed input) receive typing
+        if (event.target instanceof HTMLInputElement) return;
+        
         // Prevent default for game keys
         if (Object.values(this.bindings).includes(event.code) ||
             Object.values(this.altBindings).includes(event.code)) {
@@ -257,6 +275,25 @@ class InputManager {
         this.mouse.y = event.clientY;
     }
 
+    _onMouseDown(event) {
+        // The click that locks the pointer isn't a game input
+        if (!this.mouse.locked) return;
+        
+        const code = `Mouse${event.button}`;
+        if (!this.keys.get(code)) {
+            this.keysPressed.add(code);
+        }
+        this.keys.set(code, true);
+    }
+
+    _onMouseUp(event) {
+        const code = `Mouse${event.button}`;
+        if (!this.keys.get(code)) return;
+        
+        this.keys.set(code, false);
+        this.keysReleased.add(code);
+    }
+
     _onPointerLockChange() {
         const wasLocked = this.mouse.locked;
         this.mouse.locked = document.pointerLockElement === this.canvas;
@@ -0,0 +1,542 @@
+/**
+ * NavGrid - Walkable grid with jump links, and A* paths across it
+ *
+ * Built from a world's obstacle meshes for one size of agent. Every grid cell
+ * holds a node for each surface in it the agent can stand on (the floor and
+ * the tops of obstacles), so stacked levels - a raised highway and the ground
+ * under it - are separate nodes. Nodes in neighbouring cells are linked by
+ * walking (height changes up to the step height), jumping up or dropping down,
+ * and edge nodes are linked across gaps to nodes a few cells away. findPath
+ * runs A* over the links; PathFollower steers an agent along the result.
+ *
+ * Not tied to the Werewolf: any enemy can build a grid for its own size.
+ */
+
+import * as THREE from 'three';
+import { NAVIGATION } from '../config/Constants.js';
+import { CharacterController } from './CharacterController.js';
+
+// How a waypoint is reached from the one before it
+export const LinkType = {
+    WALK: 'walk',
+    JUMP: 'jump',
+    DROP: 'drop',
+};
+
+// Grid directions (orthogonal first)
+const DIRECTIONS = [
+    [1, 0], [-1, 0], [0, 1], [0, -1],
+    [1, 1], [1, -1], [-1, 1], [-1, -1],
+];
+
+// Surfaces closer together than this in one cell are the same surface
+const SURFACE_MERGE = 0.05;
+// Nodes are tested for room this far above the surface (clear of touching it)
+const CLEARANCE_LIFT = 0.05;
+
+const _origin = new THREE.Vector3();
+const _down = new THREE.Vector3(0, -1, 0);
+const _normal = new THREE.Vector3();
+const _probe = new THREE.Vector3();
+
+export class NavGrid {
+    /**
+     * @param {Object} config - Grid and agent settings
+     * @param {Object} config.bounds - Area covered: { minX, maxX, minZ, maxZ }
+     * @param {number} [config.cellSize] - Grid spacing (defaults to NAVIGATION.CELL_SIZE)
+     * @param {number|null} [config.floorY=null] - Height of a floor that isn't a mesh (the sandbox ground), or null
+     * @param {Object} config.agent - Who walks it
+     * @param {number} config.agent.radius - Body radius
+     * @param {number} config.agent.height - Feet to top of the head
+     * @param {number} config.agent.stepHeight - Tallest ledge walked straight up onto
+     * @param {number} config.agent.jumpHeight - Tallest ledge jumped up onto
+     * @param {number} config.agent.jumpDistance - Widest gap jumped across
+     * @param {number} config.agent.maxDrop - Furthest it will drop down
+     * @param {number} [config.agent.maxSlope=45] - Steepest walkable ground (degrees)
+     */
+    constructor(config) {
+        this.bounds = config.bounds;
+        this.cellSize = config.cellSize || NAVIGATION.CELL_SIZE;
+        this.floorY = config.floorY !== undefined ? config.floorY : null;
+        this.agent = config.agent;
+
+        this.columns = Math.max(1, Math.ceil((this.bounds.maxX - this.bounds.minX) / this.cellSize));
+        this.rows = Math.max(1, Math.ceil((this.bounds.maxZ - this.bounds.minZ) / this.cellSize));
+
+        // Nodes: { index, column, row, position, links: [{ to, cost, type }] }
+        this.nodes = [];
+        this.cells = []; // Per cell (row-major), the node indices in it, lowest first
+
+        // Capsule used to test for room (handed the obstacles near each spot checked)
+        this.cellObstacles = [];
+        this.controller = new CharacterController({
+            radius: this.agent.radius,
+            height: this.agent.height,
+            maxSlope: this.agent.maxSlope,
+        });
+        this._minGroundNormalY = Math.cos(THREE.MathUtils.degToRad(this.agent.maxSlope || 45));
+
+        this._raycaster = new THREE.Raycaster();
+
+        // A* scratch, reused between searches (a node counts as touched when its stamp is current)
+        this._gScore = new Float64Array(0);
+        this._cameFrom = new Int32Array(0);
+        this._cameBy = [];
+        this._stamp = new Uint32Array(0);
+        this._closed = new Uint32Array(0);
+        this._search = 0;
+        this._open = new NodeHeap();
+    }
+
+    /**
+     * Find the walkable surfaces and link them (call again when the obstacles change)
+     * @param {Array<THREE.Mesh>} obstacles - Solid world meshes
+     */
+    build(obstacles) {
+        const startTime = performance.now();
+
+        this.nodes = [];
+        this.cells = new Array(this.columns * this.rows);
+        this.cellObstacles = new Array(this.columns * this.rows);
+
+        // Bucket the obstacles by the cells they come near, so room checks
+        // only look at a few meshes. The rays start above the tallest one.
+        let top = this.floorY !== null ? this.floorY : 0;
+        const box = new THREE.Box3();
+        const reach = this.agent.radius + this.cellSize;
+
+        obstacles.forEach(mesh => {
+            box.setFromObject(mesh);
+            top = Math.max(top, box.max.y);
+
+            const minColumn = Math.max(0, this.getColumn(box.min.x - reach));
+            const maxColumn = Math.min(this.columns - 1, this.getColumn(box.max.x + reach));
+            const minRow = Math.max(0, this.getRow(box.min.z - reach));
+            const maxRow = Math.min(this.rows - 1, this.getRow(box.max.z + reach));
+
+            for (let row = minRow; row <= maxRow; row++) {
+                for (let column = minColumn; column <= maxColumn; column++) {
+                    const cell = row * this.columns + column;
+                    (this.cellObstacles[cell] || (this.cellObstacles[cell] = [])).push(mesh);
+                }
+            }
+        });
+        top += 1;
+
+        for (let row = 0; row < this.rows; row++) {
+            for (let column = 0; column < this.columns; column++) {
+                this.cells[row * this.columns + column] = this.findSurfaces(column, row, top);
+            }
+        }
+
+        this.nodes.forEach(node => this.linkNode(node));
+
+        this.allocateSearch();
+
+        const links = this.nodes.reduce((sum, node) => sum + node.links.length, 0);
+        console.log(`[NavGrid] Built ${this.nodes.length} nodes, ${links} links in ${(performance.now() - startTime).toFixed(0)}ms`);
+    }
+
+    /**
+     * Make a node for each surface in a cell the agent can stand on with room to spare
+     * @returns {Array<number>} Node indices, lowest first
+     */
+    findSurfaces(column, row, top) {
+        const x = this.bounds.minX + (column + 0.5) * this.cellSize;
+        const z = this.bounds.minZ + (row + 0.5) * this.cellSize;
+
+        const heights = [];
+        if (this.floorY !== null) {
+            heights.push(this.floorY);
+        }
+
+        _origin.set(x, top, z);
+        this._raycaster.set(_origin, _down);
+        this._raycaster.far = Infinity;
+
+        const nearby = this.cellObstacles[row * this.columns + column] || EMPTY;
+        this._raycaster.intersectObjects(nearby, false).forEach(hit => {
+            if (!hit.face) return;
+            _normal.copy(hit.face.normal).transformDirection(hit.object.matrixWorld);
+            if (_normal.y < this._minGroundNormalY) return;
+            if (this.floorY !== null && hit.point.y < this.floorY) return;
+
+            heights.push(hit.point.y);
+        });
+
+        heights.sort((a, b) => a - b);
+
+        const indices = [];
+        let last = -Infinity;
+
+        heights.forEach(y => {
+            if (y - last < SURFACE_MERGE) return;
+            last = y;
+
+            _probe.set(x, y + CLEARANCE_LIFT, z);
+            if (!this.fits(_probe)) return;
+
+            const node = {
+                index: this.nodes.length,
+                column,
+                row,
+                position: new THREE.Vector3(x, y, z),
+                links: [],
+            };
+            this.nodes.push(node);
+            indices.push(node.index);
+        });
+
+        return indices;
+    }
+
+    /**
+     * Link a node to the nodes around it it can walk, jump or drop to
+     */
+    linkNode(node) {
+        const { stepHeight, jumpHeight, maxDrop, jumpDistance } = this.agent;
+        const gapCells = Math.floor(jumpDistance / this.cellSize);
+
+        DIRECTIONS.forEach(([dx, dz]) => {
+            const neighbours = this.getCell(node.column + dx, node.row + dz);
+            const diagonal = dx !== 0 && dz !== 0;
+            let walkable = false;
+
+            neighbours.forEach(index => {
+                const other = this.nodes[index];
+                const rise = other.position.y - node.position.y;
+                const distance = node.position.distanceTo(other.position);
+
+                if (Math.abs(rise) <= stepHeight) {
+                    // No cutting corners past something in the orthogonal cells
+                    if (diagonal && !(this.canStep(node, node.column + dx, node.row) &&
+                                      this.canStep(node, node.column, node.row + dz))) {
+                        return;
+                    }
+                    node.links.push({ to: index, cost: distance, type: LinkType.WALK });
+                    walkable = true;
+                } else if (rise > 0 && rise <= jumpHeight) {
+                    if (!this.hasRoomBetween(node, other)) return;
+                    node.links.push({ to: index, cost: distance + NAVIGATION.JUMP_COST, type: LinkType.JUMP });
+                } else if (rise < 0 && -rise <= maxDrop) {
+                    if (!this.hasRoomBetween(node, other)) return;
+                    node.links.push({ to: index, cost: distance + NAVIGATION.DROP_COST, type: LinkType.DROP });
+                }
+            });
+
+            // An edge: look across the gap for the nearest landing
+            if (!walkable && !diagonal) {
+                this.linkAcrossGap(node, dx, dz, gapCells);
+            }
+        });
+    }
+
+    /**
+     * Link an edge node to the first surface within jumping range straight ahead
+     */
+    linkAcrossGap(node, dx, dz, gapCells) {
+        const { jumpHeight, maxDrop } = this.agent;
+
+        for (let k = 2; k <= gapCells; k++) {
+            const landing = this.getCell(node.column + dx * k, node.row + dz * k)
+                .map(index => this.nodes[index])
+                .filter(other => {
+                    const rise = other.position.y - node.position.y;
+                    return rise <= jumpHeight && -rise <= maxDrop;
+                });
+
+            if (landing.length === 0) continue;
+
+            // Highest landing first (the top of whatever is there, not the floor under it)
+            landing.sort((a, b) => b.position.y - a.position.y);
+            const other = landing[0];
+
+            // Something in the way of the jump
+            if (!this.hasRoomBetween(node, other, k)) return;
+
+            const distance = node.position.distanceTo(other.position);
+            node.links.push({ to: other.index, cost: distance + NAVIGATION.JUMP_COST, type: LinkType.JUMP });
+            return;
+        }
+    }
+
+    /**
+     * Whether a node has a walkable node in a cell (for corner cutting)
+     */
+    canStep(node, column, row) {
+        return this.getCell(column, row).some(index =>
+            Math.abs(this.nodes[index].position.y - node.position.y) <= this.agent.stepHeight);
+    }
+
+    /**
+     * Whether the agent fits all along the way between two nodes, at the higher of their heights
+     * @param {number} [samples=1] - Points checked between them
+     */
+    hasRoomBetween(from, to, samples = 1) {
+        const y = Math.max(from.position.y, to.position.y) + CLEARANCE_LIFT;
+
+        for (let i = 1; i <= samples; i++) {
+            const t = i / (samples + 1);
+            _probe.lerpVectors(from.position, to.position, t);
+            _probe.y = y;
+            if (!this.fits(_probe)) return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Whether the agent fits standing at a position (checked against the obstacles near its cell)
+     */
+    fits(position) {
+        const column = this.getColumn(position.x);
+        const row = this.getRow(position.z);
+        if (column < 0 || row < 0 || column >= this.columns || row >= this.rows) return false;
+
+        const nearby = this.cellObstacles[row * this.columns + column];
+        if (!nearby) return true;
+
+        this.controller.setObstacles(nearby);
+        return this.controller.fits(position, this.agent.height);
+    }
+
+    getColumn(x) {
+        return Math.floor((x - this.bounds.minX) / this.cellSize);
+    }
+
+    getRow(z) {
+        return Math.floor((z - this.bounds.minZ) / this.cellSize);
+    }
+
+    /**
+     * Node indices in a cell (empty outside the grid)
+     */
+    getCell(column, row) {
+        if (column < 0 || row < 0 || column >= this.columns || row >= this.rows) return EMPTY;
+        return this.cells[row * this.columns + column] || EMPTY;
+    }
+
+    /**
+     * The node an agent at a position is standing on (or the nearest one around it)
+     * @param {THREE.Vector3} position - Feet position
+     * @returns {Object|null} Node, or null if there's none near
+     */
+    findNearestNode(position) {
+        const column = this.getColumn(position.x);
+        const row = this.getRow(position.z);
+
+        // The highest surface at or below the feet in this cell
+        let best = null;
+        this.getCell(column, row).forEach(index => {
+            const node = this.nodes[index];
+            if (node.position.y <= position.y + this.agent.stepHeight) {
+                best = node;
+            }
+        });
+        if (best) return best;
+
+        // Standing somewhere without a node (too close to a wall, mid-air) - nearest one around
+        let bestDistance = Infinity;
+        for (let ring = 1; ring <= NAVIGATION.NEAREST_SEARCH_CELLS; ring++) {
+            for (let dz = -ring; dz <= ring; dz++) {
+                for (let dx = -ring; dx <= ring; dx++) {
+                    if (Math.max(Math.abs(dx), Math.abs(dz)) !== ring) continue;
+
+                    this.getCell(column + dx, row + dz).forEach(index => {
+                        const distance = this.nodes[index].position.distanceToSquared(position);
+                        if (distance < bestDistance) {
+                            bestDistance = distance;
+                            best = this.nodes[index];
+                        }
+                    });
+                }
+            }
+            if (best) return best;
+        }
+
+        return null;
+    }
+
+    /**
+     * A* from one position to another
+     * @param {THREE.Vector3} start - Feet position of the agent
+     * @param {THREE.Vector3} goal - Where it wants to be
+     * @returns {Object|null} { waypoints: [{ position, type }], complete }, or null if
+     *   either end is off the grid. When the goal can't be reached the path leads
+     *   to the closest node that can (complete = false).
+     */
+    findPath(start, goal) {
+        const startNode = this.findNearestNode(start);
+        const goalNode = this.findNearestNode(goal);
+        if (!startNode || !goalNode) return null;
+
+        const search = ++this._search;
+        const gScore = this._gScore;
+        const open = this._open;
+        open.clear();
+
+        this._stamp[startNode.index] = search;
+        gScore[startNode.index] = 0;
+        this._cameFrom[startNode.index] = -1;
+        open.push(startNode.index, this.heuristic(startNode, goalNode));
+
+        let closest = startNode;
+        let closestDistance = this.heuristic(startNode, goalNode);
+        let expanded = 0;
+
+        while (open.size > 0 && expanded < NAVIGATION.MAX_SEARCH_NODES) {
+            const current = open.pop();
+            if (this._closed[current] === search) continue;
+            this._closed[current] = search;
+            expanded++;
+
+            const node = this.nodes[current];
+            if (node === goalNode) {
+                closest = node;
+                break;
+            }
+
+            const remaining = this.heuristic(node, goalNode);
+            if (remaining < closestDistance) {
+                closestDistance = remaining;
+                closest = node;
+            }
+
+            for (const link of node.links) {
+                if (this._closed[link.to] === search) continue;
+
+                const tentative = gScore[current] + link.cost;
+                if (this._stamp[link.to] === search && tentative >= gScore[link.to]) continue;
+
+                this._stamp[link.to] = search;
+                gScore[link.to] = tentative;
+                this._cameFrom[link.to] = current;
+                this._cameBy[link.to] = link.type;
+                open.push(link.to, tentative + this.heuristic(this.nodes[link.to], goalNode));
+            }
+        }
+
+        return {
+            waypoints: this.buildWaypoints(closest.index),
+            complete: closest === goalNode,
+        };
+    }
+
+    /**
+     * Walk the search back from a node into waypoints, merging straight walking runs
+     */
+    buildWaypoints(endIndex) {
+        const chain = [];
+        for (let index = endIndex; index !== -1; index = this._cameFrom[index]) {
+            chain.push(index);
+        }
+        chain.reverse();
+
+        const waypoints = [];
+        for (let i = 1; i < chain.length; i++) {
+            const node = this.nodes[chain[i]];
+            const type = this._cameBy[chain[i]];
+
+            // Drop the middle of three walked nodes in a straight line
+            const previous = waypoints[waypoints.length - 1];
+            const next = chain[i + 1] !== undefined ? this.nodes[chain[i + 1]] : null;
+            if (type === LinkType.WALK && next && this._cameBy[chain[i + 1]] === LinkType.WALK && previous !== undefined) {
+                const before = this.nodes[chain[i - 1]];
+                if (node.column - before.column === next.column - node.column &&
+                    node.row - before.row === next.row - node.row &&
+                    Math.abs(node.position.y - before.position.y) < SURFACE_MERGE) {
+                    continue;
+                }
+            }
+
+            waypoints.push({ position: node.position.clone(), type });
+        }
+
+        return waypoints;
+    }
+
+    heuristic(from, to) {
+        return from.position.distanceTo(to.position);
+    }
+
+    /**
+     * Size the A* scratch arrays for the current node count
+     */
+    allocateSearch() {
+        const count = this.nodes.length;
+        this._gScore = new Float64Array(count);
+        this._cameFrom = new Int32Array(count);
+        this._cameBy = new Array(count);
+        this._stamp = new Uint32Array(count);
+        this._closed = new Uint32Array(count);
+        this._search = 0;
+    }
+}
+
+const EMPTY = [];
+
+/**
+ * Binary min-heap of node indices by score (A* open set)
+ */
+class NodeHeap {
+    constructor() {
+        this.indices = [];
+        this.scores = [];
+    }
+
+    get size() {
+        return this.indices.length;
+    }
+
+    clear() {
+        this.indices.length = 0;
+        this.scores.length = 0;
+    }
+
+    push(index, score) {
+        const indices = this.indices;
+        const scores = this.scores;
+        let i = indices.length;
+        indices.push(index);
+        scores.push(score);
+
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (scores[parent] <= score) break;
+            indices[i] = indices[parent];
+            scores[i] = scores[parent];
+            i = parent;
+        }
+        indices[i] = index;
+        scores[i] = score;
+    }
+
+    pop() {
+        const indices = this.indices;
+        const scores = this.scores;
+        const top = indices[0];
+        const lastIndex = indices.pop();
+        const lastScore = scores.pop();
+
+        if (indices.length > 0) {
+            let i = 0;
+            const length = indices.length;
+            while (true) {
+                const left = i * 2 + 1;
+                if (left >= length) break;
+                const right = left + 1;
+                const child = right < length && scores[right] < scores[left] ? right : left;
+                if (scores[child] >= lastScore) break;
+                indices[i] = indices[child];
+                scores[i] = scores[child];
+                i = child;
+            }
+            indices[i] = lastIndex;
+            scores[i] = lastScore;
+        }
+
+        return top;
+    }
+}
+
+export default NavGrid;
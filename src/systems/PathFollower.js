@@ -0,0 +1,141 @@
+/**
+ * PathFollower - Steers one agent along NavGrid paths to a moving goal
+ *
+ * Each step it's given the agent's position and where it wants to go, and
+ * answers with a direction to move in and whether to jump. Paths are
+ * re-planned (at most every REPLAN_INTERVAL) when the goal has moved, or when
+ * the agent has been knocked off its path. The agent does the moving; this
+ * only says where.
+ */
+
+import * as THREE from 'three';
+import { NAVIGATION } from '../config/Constants.js';
+import { LinkType } from './NavGrid.js';
+
+const _closest = new THREE.Vector3();
+
+export class PathFollower {
+    /**
+     * @param {NavGrid} navGrid - Grid built for this agent's size
+     */
+    constructor(navGrid) {
+        this.navGrid = navGrid;
+
+        this.path = null;           // { waypoints, complete } from NavGrid.findPath
+        this.waypointIndex = 0;     // Waypoint being headed for
+        this.replanTime = 0;        // Seconds before another re-plan is allowed
+        this.plannedGoal = new THREE.Vector3();
+        this._pathStart = new THREE.Vector3();
+        this._leg = new THREE.Line3();
+
+        // Answer to update (reused)
+        this.steering = {
+            direction: new THREE.Vector3(), // Horizontal, unit length (zero with nowhere to go)
+            jump: false,                    // Heading for a waypoint that takes a jump
+            arrived: false,                 // At the end of the path
+            complete: false,                // The path leads all the way to the goal
+            waypoint: null,                 // Position headed for, or null
+        };
+    }
+
+    /**
+     * Work out where to go this step
+     * @param {number} deltaTime - Step length in seconds
+     * @param {THREE.Vector3} position - Agent's feet position
+     * @param {THREE.Vector3} goal - Where it wants to be
+     * @returns {Object} steering: { direction, jump, arrived, complete, waypoint }
+     */
+    update(deltaTime, position, goal) {
+        this.replanTime -= deltaTime;
+        if (this.replanTime <= 0 && this.needsReplan(position, goal)) {
+            this.replan(position, goal);
+        }
+
+        const steering = this.steering;
+        steering.direction.set(0, 0, 0);
+        steering.jump = false;
+        steering.arrived = false;
+        steering.complete = !!this.path && this.path.complete;
+        steering.waypoint = null;
+
+        if (!this.path) return steering;
+
+        const waypoints = this.path.waypoints;
+        while (this.waypointIndex < waypoints.length && this.hasReached(waypoints[this.waypointIndex], position)) {
+            this.waypointIndex++;
+        }
+
+        if (this.waypointIndex >= waypoints.length) {
+            steering.arrived = true;
+            return steering;
+        }
+
+        const waypoint = waypoints[this.waypointIndex];
+        steering.direction.set(waypoint.position.x - position.x, 0, waypoint.position.z - position.z);
+        if (steering.direction.lengthSq() > 0) {
+            steering.direction.normalize();
+        }
+        steering.jump = waypoint.type === LinkType.JUMP;
+        steering.waypoint = waypoint.position;
+
+        return steering;
+    }
+
+    /**
+     * Whether the current path is out of date
+     */
+    needsReplan(position, goal) {
+        if (!this.path) return true;
+        if (goal.distanceTo(this.plannedGoal) > NAVIGATION.REPLAN_DISTANCE) return true;
+        return this.isOffPath(position);
+    }
+
+    /**
+     * Plan a fresh path from where the agent is
+     */
+    replan(position, goal) {
+        this.path = this.navGrid.findPath(position, goal);
+        this.waypointIndex = 0;
+        this.replanTime = NAVIGATION.REPLAN_INTERVAL;
+        this.plannedGoal.copy(goal);
+        this._pathStart.copy(position);
+    }
+
+    /**
+     * Forget the path (the next update plans a new one)
+     */
+    clear() {
+        this.path = null;
+        this.waypointIndex = 0;
+        this.replanTime = 0;
+    }
+
+    /**
+     * Close enough to a waypoint to head for the next one
+     */
+    hasReached(waypoint, position) {
+        const dx = waypoint.position.x - position.x;
+        const dz = waypoint.position.z - position.z;
+        return dx * dx + dz * dz <= NAVIGATION.WAYPOINT_RADIUS ** 2 &&
+            Math.abs(waypoint.position.y - position.y) <= this.navGrid.agent.stepHeight;
+    }
+
+    /**
+     * Whether the agent has strayed from the leg it's on (pushed, fell off a ledge)
+     */
+    isOffPath(position) {
+        const waypoints = this.path.waypoints;
+        if (this.waypointIndex >= waypoints.length) return false;
+
+        const from = this.waypointIndex > 0 ? waypoints[this.waypointIndex - 1].position : this._pathStart;
+        this._leg.set(from, waypoints[this.waypointIndex].position);
+        this._leg.closestPointToPoint(position, true, _closest);
+
+        const dx = _closest.x - position.x;
+        const dz = _closest.z - position.z;
+        return dx * dx + dz * dz > NAVIGATION.OFF_PATH_DISTANCE ** 2 ||
+            position.y < _closest.y - this.navGrid.agent.maxDrop;
+    }
+}
+
+export default PathFollower;
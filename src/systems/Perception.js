@@ -0,0 +1,189 @@
+/**
+ * Perception - What an enemy can see and hear of its target
+ *
+ * Sight is a cone in front of the eyes, out to a view distance, with a
+ * line-of-sight ray to the target's head so walls and cover hide it. Hearing
+ * comes from the EventBus: jumps, landings, ground pounds and sprinting make
+ * noises that carry a set distance (AI constants), less far when the target
+ * is crouching. The owner reads canSee, lastKnownPosition and noise each step
+ * and decides what to do about them; this only senses.
+ */
+
+import * as THREE from 'three';
+import { AI } from '../config/Constants.js';
+import { globalEvents, Events } from './EventBus.js';
+
+const _toTarget = new THREE.Vector3();
+
+export class Perception {
+    /**
+     * @param {Object} config
+     * @param {number} config.viewDistance - How far it can see
+     * @param {number} config.viewAngle - Full width of the vision cone (degrees)
+     * @param {number} config.eyeHeight - Eyes above the feet
+     */
+    constructor(config) {
+        this.viewDistance = config.viewDistance;
+        this.viewCos = Math.cos(THREE.MathUtils.degToRad(config.viewAngle / 2));
+        this.eyeHeight = config.eyeHeight;
+
+        this.target = null;
+        this.obstacles = [];
+
+        // Sight
+        this.canSee = false;
+        this.lastKnownPosition = new THREE.Vector3();
+        this.hasLastKnown = false;       // Seen or heard at least once since the last forget
+        this.timeSinceSeen = Infinity;
+
+        // Hearing (noise is the position of the closest noise heard and not yet handled, or null)
+        this.noise = null;
+        this.timeSinceHeard = Infinity;
+        this._noisePosition = new THREE.Vector3();
+        this._pendingNoises = [];        // { position, radius } made since the last update
+        this._targetSprinting = false;
+
+        this._eye = new THREE.Vector3();
+        this._head = new THREE.Vector3();
+        this._raycaster = new THREE.Raycaster();
+
+        this._unsubscribe = [
+            globalEvents.on(Events.PLAYER_JUMP, () => this.onTargetNoise(AI.JUMP_NOISE)),
+            globalEvents.on(Events.PLAYER_LAND, ({ impactVelocity }) => {
+                this.onTargetNoise(AI.LAND_NOISE + AI.LAND_NOISE_PER_SPEED * Math.abs(impactVelocity));
+            }),
+            globalEvents.on(Events.PLAYER_GROUND_POUND_LAND, () => this.onTargetNoise(AI.GROUND_POUND_NOISE)),
+            globalEvents.on(Events.PLAYER_SPRINT_START, () => { this._targetSprinting = true; }),
+            globalEvents.on(Events.PLAYER_SPRINT_END, () => { this._targetSprinting = false; }),
+        ];
+    }
+
+    setTarget(target) {
+        this.target = target;
+        this._targetSprinting = false;
+    }
+
+    setObstacles(obstacles) {
+        this.obstacles = obstacles;
+    }
+
+    /**
+     * Look for the target and take in the noises made since the last step
+     * @param {number} deltaTime - Step length in seconds
+     * @param {THREE.Vector3} position - Owner's feet position
+     * @param {number} facing - Owner's Y rotation (0 faces +Z)
+     */
+    update(deltaTime, position, facing) {
+        this.timeSinceSeen += deltaTime;
+        this.timeSinceHeard += deltaTime;
+
+        this.canSee = !!this.target && this.checkSight(position, facing);
+        if (this.canSee) {
+            this.lastKnownPosition.copy(this.target.position);
+            this.hasLastKnown = true;
+            this.timeSinceSeen = 0;
+        }
+
+        // Sprinting footfalls carry every step the target is on the ground
+        if (this.target && this._targetSprinting && this.target.isGrounded) {
+            this.hear(this.target.position, AI.SPRINT_NOISE);
+        }
+
+        // The closest noise in earshot wins
+        let closest = Infinity;
+        this._pendingNoises.forEach(({ position: noisePosition, radius }) => {
+            const distance = noisePosition.distanceTo(position);
+            if (distance <= radius && distance < closest) {
+                closest = distance;
+                this._noisePosition.copy(noisePosition);
+            }
+        });
+        this._pendingNoises.length = 0;
+
+        if (closest < Infinity) {
+            this.noise = this._noisePosition;
+            this.timeSinceHeard = 0;
+        }
+    }
+
+    /**
+     * Whether the target is inside the vision cone with nothing in the way
+     */
+    checkSight(position, facing) {
+        const target = this.target;
+        const eye = this._eye.set(position.x, position.y + this.eyeHeight, position.z);
+
+        // Aim at the head, so low cover hides a crouching target
+        const height = target.currentHeight || 0;
+        const head = this._head.copy(target.position);
+        head.y += height * 0.8;
+
+        _toTarget.subVectors(head, eye);
+        const distance = _toTarget.length();
+        if (distance > this.viewDistance) return false;
+        if (distance < 1e-6) return true;
+
+        // Inside the cone (measured flat, so it can always see up and down)
+        const flat = Math.hypot(_toTarget.x, _toTarget.z);
+        if (flat > 1e-6) {
+            const cos = (_toTarget.x * Math.sin(facing) + _toTarget.z * Math.cos(facing)) / flat;
+            if (cos < this.viewCos) return false;
+        }
+
+        // Line of sight
+        if (this.obstacles.length === 0) return true;
+
+        this._raycaster.set(eye, _toTarget.divideScalar(distance));
+        this._raycaster.far = distance;
+        return this._raycaster.intersectObjects(this.obstacles, false).length === 0;
+    }
+
+    /**
+     * The target made a noise where it is
+     * @param {number} radius - How far the noise carries
+     */
+    onTargetNoise(radius) {
+        if (!this.target) return;
+
+        const scale = this.target.isCrouching ? AI.CROUCH_NOISE_SCALE : 1;
+        this.hear(this.target.position, radius * scale);
+    }
+
+    /**
+     * A noise was made (heard on the next update if it carries far enough)
+     * @param {THREE.Vector3} position - Where
+     * @param {number} radius - How far it carries
+     */
+    hear(position, radius) {
+        this._pendingNoises.push({ position: position.clone(), radius });
+    }
+
+    /**
+     * The last noise has been dealt with
+     */
+    clearNoise() {
+        this.noise = null;
+    }
+
+    /**
+     * Forget everything sensed so far (respawns)
+     */
+    forget() {
+        this.canSee = false;
+        this.hasLastKnown = false;
+        this.timeSinceSeen = Infinity;
+        this.timeSinceHeard = Infinity;
+        this.noise = null;
+        this._pendingNoises.length = 0;
+    }
+
+    /**
+     * Stop listening for noises
+     */
+    dispose() {
+        this._unsubscribe.forEach(unsubscribe => unsubscribe());
+        this._unsubscribe = [];
+    }
+}
+
+export default Perception;
@@ -0,0 +1,127 @@
+/**
+ * SeededRandom - Deterministic pseudo-random number generator
+ *
+ * Mulberry32-based PRNG used wherever results must be reproducible
+ * (e.g. parkour course generation). Same seed = same sequence.
+ */
+
+// Largest seed value (seeds are unsigned 32-bit integers)
+const MAX_SEED = 0xffffffff;
+
+export class SeededRandom {
+    /**
+     * @param {number} seed - Unsigned 32-bit integer seed
+     */
+    constructor(seed = SeededRandom.randomSeed()) {
+        this.setSeed(seed);
+    }
+
+    /**
+     * Reset the generator to the start of a seed's sequence
+     * @param {number} seed - Unsigned 32-bit integer seed
+     */
+    setSeed(seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    /**
+     * Get the seed this generator was started with
+     * @returns {number}
+     */
+    getSeed() {
+        return this.seed;
+    }
+
+    /**
+     * Next float in [0, 1) - drop-in replacement for Math.random()
+     * @returns {number}
+     */
+    next() {
+        this.state = (this.state + 0x6d2b79f5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Random float in [min, max)
+     */
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    /**
+     * Random integer in [min, max] (inclusive)
+     */
+    int(min, max) {
+        return min + Math.floor(this.next() * (max - min + 1));
+    }
+
+    /**
+     * Returns true with the given probability
+     * @param {number} probability - Chance in [0, 1]
+     */
+    chance(probability) {
+        return this.next() < probability;
+    }
+
+    /**
+     * Pick a random element from an array
+     * @param {Array} items - Items to choose from
+     */
+    pick(items) {
+        return items[Math.floor(this.next() * items.length)];
+    }
+
+    /**
+     * Pick an element using relative weights
+     * @param {Array} items - Items to choose from
+     * @param {Array<number>} weights - Non-negative weight per item
+     */
+    weightedPick(items, weights) {
+        const total = weights.reduce((sum, w) => sum + w, 0);
+        if (total <= 0) return this.pick(items);
+        
+        let roll = this.next() * total;
+        for (let i = 0; i < items.length; i++) {
+            roll -= weights[i];
+            if (roll < 0) return items[i];
+        }
+        return items[items.length - 1];
+    }
+
+    /**
+     * Generate a fresh seed for a new run
+     * @returns {number}
+     */
+    static randomSeed() {
+        return Math.floor(Math.random() * MAX_SEED) >>> 0;
+    }
+
+    /**
+     * Parse user-entered seed text
+     * Plain integers are used as-is, any other text is hashed (FNV-1a)
+     * so players can share memorable words as seeds.
+     * @param {string|number} input - Seed text
+     * @returns {number|null} Seed, or null if the input is empty
+     */
+    static parseSeed(input) {
+        const text = String(input ?? '').trim();
+        if (text.length === 0) return null;
+
+        if (/^\d+$/.test(text) && Number(text) <= MAX_SEED) {
+            return Number(text) >>> 0;
+        }
+
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+}
+
+export default SeededRandom;
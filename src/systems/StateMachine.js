@@ -0,0 +1,85 @@
+/**
+ * StateMachine - Named states with enter / update / exit hooks
+ *
+ * Each state is a plain object of optional hooks, called with the owner as
+ * `this`. update gets the step length and the time spent in the state so
+ * far, and switches state by returning the next state's name (or calling
+ * setState). Not tied to any one entity: enemies describe their behaviour as
+ * a set of states and call update once per physics step.
+ */
+
+export class StateMachine {
+    /**
+     * @param {Object} owner - Object the hooks are called on
+     */
+    constructor(owner) {
+        this.owner = owner;
+        this.states = new Map();
+        this.current = null;      // Name of the active state
+        this.previous = null;     // Name of the state before it
+        this.timeInState = 0;     // Seconds since the active state was entered
+    }
+
+    /**
+     * Register a state
+     * @param {string} name - State name
+     * @param {Object} state - { enter(from, ...args), update(deltaTime, timeInState), exit(to) }, all optional
+     * @returns {StateMachine} this, for chaining
+     */
+    addState(name, state) {
+        this.states.set(name, state);
+        return this;
+    }
+
+    /**
+     * Leave the active state and enter another (re-entering the active state restarts it)
+     * @param {string} name - State to enter
+     * @param {...any} args - Passed on to the new state's enter hook
+     */
+    setState(name, ...args) {
+        const next = this.states.get(name);
+        if (!next) {
+            console.error(`[StateMachine] Unknown state: ${name}`);
+            return;
+        }
+
+        const from = this.current;
+        if (from !== null) {
+            const state = this.states.get(from);
+            if (state.exit) state.exit.call(this.owner, name);
+        }
+
+        this.previous = from;
+        this.current = name;
+        this.timeInState = 0;
+
+        if (next.enter) next.enter.call(this.owner, from, ...args);
+    }
+
+    /**
+     * Run the active state's update, switching to whatever state it returns
+     * @param {number} deltaTime - Step length in seconds
+     */
+    update(deltaTime) {
+        if (this.current === null) return;
+
+        this.timeInState += deltaTime;
+
+        const state = this.states.get(this.current);
+        const next = state.update ? state.update.call(this.owner, deltaTime, this.timeInState) : null;
+
+        if (next && next !== this.current) {
+            this.setState(next);
+        }
+    }
+
+    /**
+     * Whether a state is the active one
+     * @param {string} name - State name
+     */
+    is(name) {
+        return this.current === name;
+    }
+}
+
+export default StateMachine;
@@ -0,0 +1,93 @@
+/**
+ * AIDebugOverlay - Labels over enemies showing what their AI is doing
+ *
+ * Each enemy with a getDebugState method ({ state, sees, heard }) gets a tag
+ * floating above its head with the state name and whether it can see the
+ * player or just heard something. Placed on screen every frame from the
+ * enemy's position.
+ */
+
+import * as THREE from 'three';
+
+// How far above the feet the label floats
+const LABEL_HEIGHT = 5.2;
+
+export class AIDebugOverlay {
+    /**
+     * @param {THREE.Camera} camera - Camera the labels are projected with
+     */
+    constructor(camera) {
+        this.camera = camera;
+        this.container = document.getElementById('ai-debug');
+        this.labels = new Map();     // enemy -> { element, text }
+        this._screen = new THREE.Vector3();
+    }
+
+    /**
+     * Label each enemy (labels for enemies no longer listed are removed)
+     * @param {Array<Object>} enemies - Entities with position and getDebugState()
+     */
+    update(enemies) {
+        if (!this.container) return;
+
+        const width = window.innerWidth;
+        const height = window.innerHeight;
+
+        enemies.forEach(enemy => {
+            let label = this.labels.get(enemy);
+            if (!label) {
+                const element = document.createElement('div');
+                element.className = 'ai-label';
+                this.container.appendChild(element);
+                label = { element, text: '' };
+                this.labels.set(enemy, label);
+            }
+
+            // Text and colour only change with the state
+            const { state, sees, heard } = enemy.getDebugState();
+            const text = `${state.toUpperCase()}${sees ? ' · SEES' : heard ? ' · HEARD' : ''}`;
+            if (text !== label.text) {
+                label.text = text;
+                label.element.textContent = text;
+                label.element.dataset.state = state;
+            }
+
+            // Above the head, hidden when behind the camera
+            const screen = this._screen.copy(enemy.mesh ? enemy.mesh.position : enemy.position);
+            screen.y += LABEL_HEIGHT;
+            screen.project(this.camera);
+
+            const visible = screen.z < 1;
+            label.element.style.display = visible ? '' : 'none';
+            if (visible) {
+                const x = (screen.x + 1) / 2 * width;
+                const y = (1 - screen.y) / 2 * height;
+                label.element.style.transform = `translate(-50%, -100%) translate(${x}px, ${y}px)`;
+            }
+        });
+
+        // Drop labels for enemies that have gone
+        if (this.labels.size > enemies.length) {
+            this.labels.forEach((label, enemy) => {
+                if (!enemies.includes(enemy)) {
+                    label.element.remove();
+                    this.labels.delete(enemy);
+                }
+            });
+        }
+    }
+
+    /**
+     * Remove every label
+     */
+    clear() {
+        this.labels.forEach(label => label.element.remove());
+        this.labels.clear();
+    }
+
+    dispose() {
+        this.clear();
+    }
+}
+
+export default AIDebugOverlay;
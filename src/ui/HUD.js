@@ -4,19 +4,50 @@
  * Manages on-screen UI elements like crosshair and debug info.
  */
 
-import { DEBUG } from '../config/Constants.js';
+import { DEBUG, PLAYER, PARKOUR } from '../config/Constants.js';
 import { globalEvents, Events } from '../systems/EventBus.js';
 import { gameStateManager, GameState } from '../systems/GameStateManager.js';
 
+// Health fraction below which the bar and vignette warn
+const LOW_HEALTH = 0.3;
+
+/**
+ * Format seconds as m:ss.s
+ */
+function formatTime(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    return `${minutes}:${(seconds - minutes * 60).toFixed(1).padStart(4, '0')}`;
+}
+
+// Short names for the ability charge display
+const ABILITY_LABELS = {
+    DOUBLE_JUMP: 'JUMP',
+    AIR_DASH: 'DASH',
+    GROUND_POUND: 'POUND',
+};
+
 export class HUD {
     constructor() {
         // DOM elements
         this.crosshair = document.getElementById('crosshair');
         this.instructions = document.getElementById('instructions');
         this.debugInfo = document.getElementById('debug-info');
+        this.abilityCharges = document.getElementById('ability-charges');
+        this.healthBar = document.getElementById('health-bar');
+        this.damageVignette = document.getElementById('damage-vignette');
+        this.sprintIndicator = document.getElementById('sprint-indicator');
+        this.hitIndicator = document.getElementById('hit-indicator');
+        this.survivalTimer = document.getElementById('survival-timer');
+        this.caughtScreen = document.getElementById('caught-screen');
+        this.senatorIndicator = document.getElementById('senator-distance');
         
         // State
         this.isLocked = false;
+        this.isSprinting = false;
+        this.staminaEnabled = false;
+        this.staminaFull = true;
+        this.survivalText = '';
+        this.senatorText = '';
         this.debugEnabled = DEBUG.SHOW_FPS || DEBUG.SHOW_POSITION || DEBUG.SHOW_VELOCITY;
         
         // Bind state change handler
@@ -81,13 +112,179 @@ export class HUD {
     }
 
     /**
-     * Show/hide sprint indicator
-     * @param {boolean} show - Whether to show the indicator
+     * Show/hide sprint indicator (the stamina bar)
+     * @param {boolean} show - Whether the player is sprinting
      */
     showSprintIndicator(show) {
-        const indicator = document.getElementById('sprint-indicator');
-        if (indicator) {
-            indicator.classList.toggle('visible', show);
+        this.isSprinting = show;
+        this.updateSprintIndicator();
+    }
+
+    /**
+     * Fill the stamina bar
+     * @param {number} stamina - Current stamina
+     * @param {number} maxStamina - Full stamina
+     * @param {boolean} enabled - Whether the game mode uses stamina
+     */
+    setStamina(stamina, maxStamina, enabled) {
+        const fraction = Math.max(0, stamina / maxStamina);
+        this.staminaEnabled = enabled;
+        this.staminaFull = fraction >= 1;
+        
+        if (this.sprintIndicator) {
+            this.sprintIndicator.querySelector('.bar').style.transform = `scaleX(${fraction})`;
+            this.sprintIndicator.classList.toggle('low', fraction < PLAYER.LOW_STAMINA);
+        }
+        
+        this.updateSprintIndicator();
+    }
+
+    /**
+     * The stamina bar shows while sprinting and until it has refilled
+     */
+    updateSprintIndicator() {
+        if (!this.sprintIndicator) return;
+        
+        const show = this.staminaEnabled && (this.isSprinting || !this.staminaFull);
+        this.sprintIndicator.classList.toggle('visible', show);
+    }
+
+    /**
+     * Show each ability the player has with a pip per charge (filled = ready)
+     * @param {Array<{id: string, charges: number, maxCharges: number}>} abilities - From PlayerAbilities.getState
+     */
+    setAbilities(abilities) {
+        if (!this.abilityCharges) return;
+        
+        this.abilityCharges.innerHTML = abilities.map(({ id, charges, maxCharges }) => {
+            const pips = [];
+            for (let i = 0; i < maxCharges; i++) {
+                pips.push(`<span class="ability-pip${i < charges ? ' ready' : ''}"></span>`);
+            }
+            return `<div class="ability"><span class="ability-label">${ABILITY_LABELS[id] || id}</span>${pips.join('')}</div>`;
+        }).join('');
+    }
+
+    /**
+     * Fill the health bar
+     * @param {number} health - Current health
+     * @param {number} maxHealth - Full health
+     */
+    setHealth(health, maxHealth) {
+        const fraction = Math.max(0, health / maxHealth);
+        const low = fraction < LOW_HEALTH;
+        
+        if (this.healthBar) {
+            this.healthBar.querySelector('.bar').style.transform = `scaleX(${fraction})`;
+            this.healthBar.classList.toggle('low', low);
+        }
+        
+        if (this.damageVignette) {
+            this.damageVignette.classList.toggle('low', low && fraction > 0);
+        }
+    }
+
+    /**
+     * Flash the screen edges red
+     * @param {number} strength - Peak opacity (0-1), bigger hits flash harder
+     */
+    flashDamage(strength) {
+        if (!this.damageVignette) return;
+        
+        this.damageVignette.style.setProperty('--damage-strength', Math.min(1, strength));
+        
+        // Restart the animation if a flash is already running
+        this.damageVignette.classList.remove('hit');
+        void this.damageVignette.offsetWidth;
+        this.damageVignette.classList.add('hit');
+    }
+
+    /**
+     * Point a marker at whatever just hit the player
+     * @param {number} angle - Attacker's direction from straight ahead, clockwise (radians)
+     */
+    showHitIndicator(angle) {
+        if (!this.hitIndicator) return;
+        
+        this.hitIndicator.style.transform = `rotate(${angle}rad)`;
+        
+        // Restart the fade if a marker is already showing
+        this.hitIndicator.classList.remove('hit');
+        void this.hitIndicator.offsetWidth;
+        this.hitIndicator.classList.add('hit');
+    }
+
+    /**
+     * Show how long the player has survived (sandbox with werewolves about)
+     * @param {number|null} seconds - Time survived, or null to hide the clock
+     */
+    setSurvivalTime(seconds) {
+        if (!this.survivalTimer) return;
+        
+        const text = seconds === null ? '' : formatTime(seconds);
+        if (text === this.survivalText) return;
+        
+        this.survivalText = text;
+        this.survivalTimer.textContent = text;
+        this.survivalTimer.classList.toggle('visible', seconds !== null);
+    }
+
+    /**
+     * Show how far behind the Senator is (parkour)
+     * @param {number|null} gap - Path distance behind the player, or null to hide the indicator
+     * @param {boolean} [surging] - Whether he's surging
+     */
+    setSenatorDistance(gap, surging = false) {
+        if (!this.senatorIndicator) return;
+        
+        this.senatorIndicator.classList.toggle('visible', gap !== null);
+        if (gap === null) {
+            this.senatorText = '';
+            return;
+        }
+        
+        // Bar fills as he closes in
+        const closeness = 1 - Math.max(0, Math.min(1, gap / PARKOUR.SENATOR_MAX_GAP));
+        this.senatorIndicator.querySelector('.bar').style.transform = `scaleX(${closeness})`;
+        this.senatorIndicator.classList.toggle('near', gap < PARKOUR.SENATOR_WARNING_GAP);
+        this.senatorIndicator.classList.toggle('surging', surging);
+        
+        const text = `${Math.max(0, Math.ceil(gap))}m`;
+        if (text !== this.senatorText) {
+            this.senatorText = text;
+            this.senatorIndicator.querySelector('.value').textContent = text;
+        }
+    }
+
+    /**
+     * Show the caught screen with how long the run lasted
+     * @param {number} time - Seconds survived
+     * @param {number} best - Longest run so far
+     */
+    showCaught(time, best) {
+        if (!this.caughtScreen) return;
+        
+        this.caughtScreen.querySelector('.survival').textContent =
+            `Survived ${formatTime(time)}  ·  Best ${formatTime(best)}`;
+        this.caughtScreen.classList.add('visible');
+    }
+
+    /**
+     * Show the caught screen with how far the parkour run got
+     * @param {number} distance - Distance reached
+     * @param {number} best - Furthest run so far
+     */
+    showCaughtDistance(distance, best) {
+        if (!this.caughtScreen) return;
+        
+        this.caughtScreen.querySelector('.survival').textContent =
+            `Reached ${distance}m  ·  Best ${best}m`;
+        this.caughtScreen.classList.add('visible');
+    }
+
+    hideCaught() {
+        if (this.caughtScreen) {
+            this.caughtScreen.classList.remove('visible');
         }
     }
 
@@ -113,6 +310,11 @@ export class HUD {
             lines.push(`GND: ${data.isGrounded ? 'YES' : 'NO'} | SPR: ${data.isSprinting ? 'YES' : 'NO'}`);
         }
         
+        if (DEBUG.SHOW_ALLOCATIONS && data.allocations) {
+            const alloc = data.allocations;
+            lines.push(`ALLOC: +${alloc.lastChunk}/chunk (${alloc.total} total, ${alloc.pooled} pooled)`);
+        }
+        
         this.debugInfo.innerHTML = lines.join('<br>');
     }
 
@@ -139,13 +341,13 @@ export class HUD {
 
     /**
      * Update crosshair style (for different states)
-     * @param {string} state - State name ('default', 'interact', 'hit')
+     * @param {string} state - State name ('default', 'interact', 'hit', 'ledge', 'grapple', 'grappling')
      */
     setCrosshairState(state) {
         if (!this.crosshair) return;
         
         // Remove all state classes
-        this.crosshair.classList.remove('interact', 'hit');
+        this.crosshair.classList.remove('interact', 'hit', 'ledge', 'grapple', 'grappling');
         
         // Add new state
         if (state !== 'default') {
@@ -169,6 +371,26 @@ export class HUD {
         if (this.debugInfo) {
             this.debugInfo.innerHTML = '';
         }
+        
+        if (this.abilityCharges) {
+            this.abilityCharges.innerHTML = '';
+        }
+        
+        if (this.damageVignette) {
+            this.damageVignette.classList.remove('hit', 'low');
+        }
+        
+        if (this.sprintIndicator) {
+            this.sprintIndicator.classList.remove('visible');
+        }
+        
+        if (this.hitIndicator) {
+            this.hitIndicator.classList.remove('hit');
+        }
+        
+        this.setSurvivalTime(null);
+        this.setSenatorDistance(null);
+        this.hideCaught();
     }
 }
 
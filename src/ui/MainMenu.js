@@ -1,12 +1,21 @@
 /**
  * MainMenu - Main menu UI component
  * 
- * Displays the initial menu with Sandbox and Quit options.
+ * Displays the initial menu with Start Game, Sandbox, parkour difficulty
+ * and Quit options.
  */
 
 import { gameStateManager, GameState, GameMode } from '../systems/GameStateManager.js';
+import { PARKOUR_DIFFICULTY } from '../config/Constants.js';
 import { MenuBase, MenuTemplates } from './MenuBase.js';
 
+/**
+ * Label for the difficulty button
+ */
+function difficultyLabel(preset) {
+    return `DIFFICULTY: ${preset.toUpperCase()}`;
+}
+
 export class MainMenu extends MenuBase {
     constructor() {
         super('main-menu', GameState.MAIN_MENU);
@@ -21,7 +30,9 @@ export class MainMenu extends MenuBase {
         // Register button handlers
         this.registerButton('btn-start-game', this._onStartGameClick);
         this.registerButton('btn-sandbox', this._onSandboxClick);
+        this.registerButton('btn-difficulty', this._onDifficultyClick);
         this.registerButton('btn-quit', this._onQuitClick);
+        this._updateDifficultyLabel();
 
         // Show menu initially
         this.show();
@@ -43,6 +54,28 @@ export class MainMenu extends MenuBase {
         gameStateManager.startPlaying(GameMode.SANDBOX);
     }
 
+    /**
+     * Handle Difficulty button click - cycles the parkour difficulty preset
+     */
+    _onDifficultyClick() {
+        const presets = Object.keys(PARKOUR_DIFFICULTY.PRESETS);
+        const next = presets[(presets.indexOf(gameStateManager.getDifficulty()) + 1) % presets.length];
+        
+        console.log('[MainMenu] Difficulty set to', next);
+        gameStateManager.setDifficulty(next);
+        this._updateDifficultyLabel();
+    }
+
+    /**
+     * Show the current difficulty on its button
+     */
+    _updateDifficultyLabel() {
+        const label = document.querySelector('#btn-difficulty .btn-text');
+        if (label) {
+            label.textContent = difficultyLabel(gameStateManager.getDifficulty());
+        }
+    }
+
     /**
      * Handle Quit button click
      */
@@ -68,6 +101,7 @@ export class MainMenu extends MenuBase {
         // Unregister current buttons
         this.unregisterButton('btn-start-game');
         this.unregisterButton('btn-sandbox');
+        this.unregisterButton('btn-difficulty');
         this.unregisterButton('btn-quit');
 
         // Build quit screen using templates
@@ -105,6 +139,12 @@ export class MainMenu extends MenuBase {
             MenuTemplates.buttonContainer([
                 MenuTemplates.button({ id: 'btn-start-game', icon: '▶', text: 'START GAME' }),
                 MenuTemplates.button({ id: 'btn-sandbox', icon: '◈', text: 'SANDBOX' }),
+                MenuTemplates.button({
+                    id: 'btn-difficulty',
+                    icon: '◐',
+                    text: difficultyLabel(gameStateManager.getDifficulty()),
+                    secondary: true,
+                }),
                 MenuTemplates.button({ id: 'btn-quit', icon: '✕', text: 'QUIT', secondary: true })
             ].join('')),
             MenuTemplates.footer()
@@ -113,6 +153,7 @@ export class MainMenu extends MenuBase {
         // Re-register main buttons
         this.registerButton('btn-start-game', this._onStartGameClick);
         this.registerButton('btn-sandbox', this._onSandboxClick);
+        this.registerButton('btn-difficulty', this._onDifficultyClick);
         this.registerButton('btn-quit', this._onQuitClick);
     }
 }
@@ -2,15 +2,30 @@
  * PauseMenu - Pause menu UI component
  * 
  * Displays when game is paused, shows controls and resume/main menu options.
+ * In parkour mode it also shows the course seed and lets the player replay a seed.
  */
 
 import { gameStateManager, GameState } from '../systems/GameStateManager.js';
 import { inputManager } from '../systems/InputManager.js';
+import { globalEvents, Events } from '../systems/EventBus.js';
+import { SeededRandom } from '../systems/SeededRandom.js';
 import { MenuBase } from './MenuBase.js';
 
 export class PauseMenu extends MenuBase {
     constructor() {
         super('pause-menu', GameState.PAUSED);
+        
+        // Seed UI elements
+        this.seedPanel = document.getElementById('seed-panel');
+        this.seedValue = document.getElementById('seed-value');
+        this.seedInput = document.getElementById('seed-input');
+        
+        // Seed of the current parkour run
+        this.currentSeed = null;
+        
+        // Bound handlers
+        this._onRunStart = this._onRunStart.bind(this);
+        this._onSeedKeyDown = this._onSeedKeyDown.bind(this);
     }
 
     /**
@@ -22,6 +37,14 @@ export class PauseMenu extends MenuBase {
         // Register button handlers
         this.registerButton('btn-resume', this._onResumeClick);
         this.registerButton('btn-main-menu', this._onMainMenuClick);
+        this.registerButton('btn-replay-seed', this._onReplaySeedClick);
+
+        // Track the seed of each new parkour run
+        globalEvents.on(Events.PARKOUR_RUN_START, this._onRunStart);
+        
+        if (this.seedInput) {
+            this.seedInput.addEventListener('keydown', this._onSeedKeyDown);
+        }
 
         // Hide menu initially
         this.hide();
@@ -33,12 +56,41 @@ export class PauseMenu extends MenuBase {
     show() {
         super.show();
         
+        // Seed panel only applies to the generated parkour course
+        if (this.seedPanel) {
+            const showSeed = gameStateManager.isParkourMode() && this.currentSeed !== null;
+            this.seedPanel.classList.toggle('hidden', !showSeed);
+        }
+        
         // Exit pointer lock when showing pause menu
         if (inputManager.isPointerLocked()) {
             inputManager.exitPointerLock();
         }
     }
 
+    /**
+     * Handle a new parkour run starting
+     */
+    _onRunStart({ seed }) {
+        this.currentSeed = seed;
+        
+        if (this.seedValue) {
+            this.seedValue.textContent = String(seed);
+        }
+        if (this.seedInput) {
+            this.seedInput.value = '';
+        }
+    }
+
+    /**
+     * Handle Enter in the seed input
+     */
+    _onSeedKeyDown(event) {
+        if (event.key === 'Enter') {
+            this._onReplaySeedClick();
+        }
+    }
+
     /**
      * Handle Resume button click
      */
@@ -50,6 +102,21 @@ export class PauseMenu extends MenuBase {
         inputManager.requestPointerLock();
     }
 
+    /**
+     * Handle Replay button click - restart the course from the entered seed
+     * (or the current seed if the input is empty)
+     */
+    _onReplaySeedClick() {
+        const seed = SeededRandom.parseSeed(this.seedInput ? this.seedInput.value : '') ?? this.currentSeed;
+        if (seed === null) return;
+        
+        console.log('[PauseMenu] Replay seed clicked:', seed);
+        globalEvents.emit(Events.PARKOUR_RESTART, { seed });
+        
+        gameStateManager.resume();
+        inputManager.requestPointerLock();
+    }
+
     /**
      * Handle Main Menu button click
      */
@@ -57,6 +124,19 @@ export class PauseMenu extends MenuBase {
         console.log('[PauseMenu] Main Menu clicked');
         gameStateManager.returnToMainMenu();
     }
+
+    /**
+     * Clean up resources
+     */
+    dispose() {
+        super.dispose();
+        
+        globalEvents.off(Events.PARKOUR_RUN_START, this._onRunStart);
+        
+        if (this.seedInput) {
+            this.seedInput.removeEventListener('keydown', this._onSeedKeyDown);
+        }
+    }
 }
 
 export default PauseMenu;
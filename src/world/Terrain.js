@@ -5,7 +5,7 @@
  */
 
 import * as THREE from 'three';
-import { WORLD, RENDER } from '../config/Constants.js';
+import { WORLD, RENDER, PLAYER } from '../config/Constants.js';
 
 export class Terrain {
     constructor(scene) {
@@ -81,8 +81,8 @@ export class Terrain {
         obstacleData.push({ pos: [-4, 4, -15], scale: [0.5, 8, 20], color: wallRunColor });
         // Right wall
         obstacleData.push({ pos: [4, 4, -15], scale: [0.5, 8, 20], color: wallRunColor });
-        // End platform to land on
-        obstacleData.push({ pos: [0, 2, -26], scale: [10, 4, 2], color: 0x4a6fa5 });
+        // Tall end block - sprint down the corridor and jump at it to climb up onto it
+        obstacleData.push({ pos: [0, 4, -26.5], scale: [10, 8, 3], color: 0x4a6fa5 });
         
         // ============================================
         // ZONE 2: UNDERPASS TUNNELS (East side)
@@ -209,6 +209,14 @@ export class Terrain {
         obstacleData.push({ pos: [-10, 1.5, -18], scale: [6, 0.5, 6], color: 0x6c757d });
         obstacleData.push({ pos: [-10, 0.75, -15], scale: [6, 0.5, 4], color: 0x6c757d });
         
+        // ============================================
+        // ZONE 10: HAZARD PADS (South of spawn)
+        // Glowing floor that hurts while stood on
+        // ============================================
+        const hazardColor = 0xd62828;
+        obstacleData.push({ pos: [8, 0.1, 13], scale: [3, 0.2, 3], color: hazardColor, hazard: true });
+        obstacleData.push({ pos: [-8, 0.1, 13], scale: [3, 0.2, 3], color: hazardColor, hazard: true });
+        
         // Create all obstacles
         obstacleData.forEach(data => {
             const geometry = new THREE.BoxGeometry(
@@ -221,10 +229,15 @@ export class Terrain {
                 color: data.color,
                 roughness: 0.7,
                 metalness: 0.2,
+                emissive: data.hazard ? data.color : 0x000000,
+                emissiveIntensity: data.hazard ? 0.6 : 1,
             });
             
             const mesh = new THREE.Mesh(geometry, material);
             mesh.position.set(data.pos[0], data.pos[1], data.pos[2]);
+            if (data.hazard) {
+                mesh.userData.hazardDamage = PLAYER.HAZARD_DAMAGE;
+            }
             mesh.castShadow = RENDER.ENABLE_SHADOWS;
             mesh.receiveShadow = RENDER.ENABLE_SHADOWS;
             
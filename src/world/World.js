@@ -8,7 +8,9 @@ import * as THREE from 'three';
 import { Environment } from './Environment.js';
 import { Terrain } from './Terrain.js';
 import { globalEvents, Events } from '../systems/EventBus.js';
-import { Werewolf } from '../entities/Werewolf.js';
+import { Werewolf, WEREWOLF } from '../entities/Werewolf.js';
+import { NavGrid } from '../systems/NavGrid.js';
+import { WORLD } from '../config/Constants.js';
 
 export class World {
     constructor(scene) {
@@ -26,6 +28,13 @@ export class World {
         // Player reference for enemy AI
         this.playerRef = null;
         
+        // Walkable grid werewolves find their way around the terrain with
+        this.navGrid = null;
+        
+        // Time the player has stayed alive with werewolves about
+        this.survivalTime = 0;
+        this.bestSurvivalTime = 0;
+        
         // World state
         this.isLoaded = false;
     }
@@ -43,28 +52,37 @@ export class World {
     }
     
     /**
-     * Spawn a werewolf at a position (or random if not specified)
+     * Random spawn position: around the player, or near the middle without one
      */
-    spawnWerewolf(position = null) {
-        // Default spawn position: random location around the player
-        if (!position && this.playerRef) {
+    getSpawnPosition() {
+        if (this.playerRef) {
             const angle = Math.random() * Math.PI * 2;
             const distance = 10 + Math.random() * 10;
-            position = new THREE.Vector3(
+            return new THREE.Vector3(
                 this.playerRef.position.x + Math.cos(angle) * distance,
                 0,
                 this.playerRef.position.z + Math.sin(angle) * distance
             );
-        } else if (!position) {
-            position = new THREE.Vector3(
-                (Math.random() - 0.5) * 20,
-                0,
-                (Math.random() - 0.5) * 20
-            );
+        }
+        
+        return new THREE.Vector3(
+            (Math.random() - 0.5) * 20,
+            0,
+            (Math.random() - 0.5) * 20
+        );
+    }
+    
+    /**
+     * Spawn a werewolf at a position (or random if not specified)
+     */
+    spawnWerewolf(position = null) {
+        if (!position) {
+            position = this.getSpawnPosition();
         }
         
         const werewolf = new Werewolf(position);
         werewolf.setObstacles(this.getObstacles());
+        werewolf.setNavGrid(this.navGrid);
         
         if (this.playerRef) {
             werewolf.setTarget(this.playerRef);
@@ -100,6 +118,26 @@ export class World {
         });
         this.werewolves = [];
     }
+    
+    /**
+     * Send every werewolf back out to a fresh spawn position (after the player is caught)
+     */
+    scatterWerewolves() {
+        this.werewolves.forEach(wolf => {
+            wolf.placeAt(this.getSpawnPosition());
+        });
+    }
+    
+    /**
+     * End the current survival run (the player died)
+     * @returns {{time: number, best: number}} How long it lasted, and the longest so far
+     */
+    endSurvivalRun() {
+        const time = this.survivalTime;
+        this.bestSurvivalTime = Math.max(this.bestSurvivalTime, time);
+        this.survivalTime = 0;
+        return { time, best: this.bestSurvivalTime };
+    }
 
     /**
      * Build the entire world
@@ -112,6 +150,7 @@ export class World {
         
         // Build terrain and obstacles
         this.terrain.build();
+        this.buildNavGrid();
         
         // Add some visual interest
         this.createParticles();
@@ -122,6 +161,30 @@ export class World {
         console.log('[World] World built successfully');
     }
 
+    /**
+     * Map where werewolves can walk, jump and drop inside the boundary walls
+     */
+    buildNavGrid() {
+        this.navGrid = new NavGrid({
+            bounds: {
+                minX: -WORLD.BOUNDARY_SIZE,
+                maxX: WORLD.BOUNDARY_SIZE,
+                minZ: -WORLD.BOUNDARY_SIZE,
+                maxZ: WORLD.BOUNDARY_SIZE,
+            },
+            floorY: 0,
+            agent: {
+                radius: WEREWOLF.RADIUS,
+                height: WEREWOLF.HEIGHT,
+                stepHeight: WEREWOLF.STEP_HEIGHT,
+                jumpHeight: WEREWOLF.NAV_JUMP_HEIGHT,
+                jumpDistance: WEREWOLF.NAV_JUMP_DISTANCE,
+                maxDrop: WEREWOLF.NAV_MAX_DROP,
+            },
+        });
+        this.navGrid.build(this.getObstacles());
+    }
+
     /**
      * Create floating particles for atmosphere
      */
@@ -194,6 +257,21 @@ export class World {
         this.werewolves.forEach(wolf => {
             wolf.update(deltaTime);
         });
+        
+        // The survival clock only runs while there's something to survive
+        if (this.werewolves.length > 0) {
+            this.survivalTime += deltaTime;
+        }
+    }
+
+    /**
+     * Place werewolves between physics steps for rendering
+     * @param {number} alpha - Progress from the previous to the current step (0-1)
+     */
+    interpolate(alpha) {
+        this.werewolves.forEach(wolf => {
+            wolf.interpolate(alpha);
+        });
     }
 
     /**
@@ -261,6 +339,7 @@ export class World {
     dispose() {
         this.environment.dispose();
         this.terrain.dispose();
+        this.navGrid = null;
         
         if (this.particles) {
             this.scene.remove(this.particles);
@@ -6,6 +6,7 @@
 
 import * as THREE from 'three';
 import { PARKOUR, RENDER } from '../../config/Constants.js';
+import { platformAssets, outlineBars } from './PlatformAssets.js';
 
 export class BasicPlatform {
     /**
@@ -17,40 +18,37 @@ export class BasicPlatform {
      * @param {number} config.rotation - Y rotation in radians
      */
     constructor(config) {
-        this.width = config.width || 5;
-        this.length = config.length || 5;
-        this.height = config.height || PARKOUR.PLATFORM_HEIGHT;
-        this.position = config.position || new THREE.Vector3();
-        this.rotation = config.rotation || 0;
-        
         this.mesh = null;
-        this.edgeMesh = null;
         this.group = new THREE.Group();
         
         this.build();
+        this.configure(config);
     }
 
     /**
-     * Build the platform geometry and materials
+     * Build the platform meshes (shared unit geometry, scaled in configure)
      */
     build() {
-        // Main platform body
-        const geometry = new THREE.BoxGeometry(this.width, this.height, this.length);
-        
-        const material = new THREE.MeshStandardMaterial({
-            color: PARKOUR.PLATFORM_COLOR,
-            roughness: 0.7,
-            metalness: 0.3,
-        });
-        
-        this.mesh = new THREE.Mesh(geometry, material);
+        this.mesh = new THREE.Mesh(platformAssets.getUnitBox(), getBodyMaterial(PARKOUR.PLATFORM_COLOR));
         this.mesh.castShadow = RENDER.ENABLE_SHADOWS;
         this.mesh.receiveShadow = RENDER.ENABLE_SHADOWS;
         
         this.group.add(this.mesh);
+    }
+
+    /**
+     * Size and place the platform (also used when reusing a pooled instance)
+     * @param {Object} config - Platform configuration (see constructor)
+     */
+    configure(config) {
+        this.width = config.width || 5;
+        this.length = config.length || 5;
+        this.height = config.height || PARKOUR.PLATFORM_HEIGHT;
+        this.position = config.position || new THREE.Vector3();
+        this.rotation = config.rotation || 0;
         
-        // Add glowing edge effect
-        this.createEdgeGlow();
+        this.mesh.scale.set(this.width, this.height, this.length);
+        this.mesh.material = getBodyMaterial(PARKOUR.PLATFORM_COLOR);
         
         // Position and rotate the group
         this.group.position.copy(this.position);
@@ -58,33 +56,22 @@ export class BasicPlatform {
     }
 
     /**
-     * Create glowing edge lines for cyberpunk effect
+     * Glowing top edges for cyberpunk effect (drawn by the chunk's GlowBatch)
+     * @returns {{color: number|null, bars: Array<THREE.Matrix4>}} Bars in group space (null color = zone edge color)
      */
-    createEdgeGlow() {
-        const hw = this.width / 2;
-        const hh = this.height / 2;
-        const hl = this.length / 2;
-        
-        // Create edge geometry (top edges only for performance)
-        const points = [
-            // Top rectangle
-            new THREE.Vector3(-hw, hh, -hl),
-            new THREE.Vector3(hw, hh, -hl),
-            new THREE.Vector3(hw, hh, hl),
-            new THREE.Vector3(-hw, hh, hl),
-            new THREE.Vector3(-hw, hh, -hl),
-        ];
-        
-        const edgeGeometry = new THREE.BufferGeometry().setFromPoints(points);
-        
-        const edgeMaterial = new THREE.LineBasicMaterial({
-            color: PARKOUR.PLATFORM_EDGE_COLOR,
-            transparent: true,
-            opacity: 0.8,
-        });
-        
-        this.edgeMesh = new THREE.Line(edgeGeometry, edgeMaterial);
-        this.group.add(this.edgeMesh);
+    getGlowBars() {
+        return {
+            color: null,
+            bars: outlineBars(this.width / 2, this.height / 2, this.length / 2),
+        };
+    }
+
+    /**
+     * Recolor for a zone theme
+     * @param {Object} theme - Zone theme (entry in PARKOUR_ZONES.THEMES)
+     */
+    applyPalette(theme) {
+        this.mesh.material = getBodyMaterial(theme.PLATFORM_COLOR);
     }
 
     /**
@@ -116,6 +103,22 @@ export class BasicPlatform {
         return this.position.y + this.height / 2;
     }
 
+    /**
+     * Describe the walkable top for the jump validator (chunk-local space)
+     */
+    getJumpSurface() {
+        return {
+            type: 'floor',
+            x: this.position.x,
+            z: this.position.z,
+            halfWidth: this.width / 2,
+            halfLength: this.length / 2,
+            yaw: this.rotation,
+            topStart: this.getTopY(),
+            topEnd: this.getTopY(),
+        };
+    }
+
     /**
      * Update platform (for animations)
      */
@@ -124,19 +127,22 @@ export class BasicPlatform {
     }
 
     /**
-     * Dispose of resources
+     * Return to the pool (shared resources stay alive for the next chunk)
      */
     dispose() {
-        if (this.mesh) {
-            this.mesh.geometry.dispose();
-            this.mesh.material.dispose();
-        }
-        if (this.edgeMesh) {
-            this.edgeMesh.geometry.dispose();
-            this.edgeMesh.material.dispose();
-        }
+        platformAssets.release(this);
     }
 }
 
-export default BasicPlatform;
+/**
+ * Shared body material for a platform color
+ */
+function getBodyMaterial(color) {
+    return platformAssets.getMaterial(`basic:${color}`, () => new THREE.MeshStandardMaterial({
+        color,
+        roughness: 0.7,
+        metalness: 0.3,
+    }));
+}
 
+export default BasicPlatform;
@@ -0,0 +1,191 @@
+/**
+ * BlinkPlatform - Platform that phases in and out on a timer
+ *
+ * Alternates between solid and ghost (no collision), flickering as a
+ * warning before it ghosts. Timing offsets let a row of them form a wave.
+ */
+
+import * as THREE from 'three';
+import { PARKOUR, RENDER } from '../../config/Constants.js';
+import { platformAssets } from './PlatformAssets.js';
+
+export class BlinkPlatform {
+    /**
+     * @param {Object} config - Platform configuration
+     * @param {number} config.width - Platform width
+     * @param {number} config.length - Platform length
+     * @param {THREE.Vector3} config.position - Position (chunk-local)
+     * @param {number} config.rotation - Y rotation in radians
+     * @param {number} config.solidTime - Seconds solid per cycle
+     * @param {number} config.ghostTime - Seconds ghosted per cycle
+     * @param {number} config.timeOffset - Offset into the cycle (seconds)
+     */
+    constructor(config) {
+        // Set by the ChunkManager - called with (mesh, isSolid) when collision toggles
+        this.onSolidityChange = null;
+        
+        this.mesh = null;
+        this.edgeMesh = null;
+        this.group = new THREE.Group();
+        
+        this.build();
+        this.configure(config);
+    }
+
+    /**
+     * Build the platform meshes (shared geometry, scaled in configure)
+     * Materials are per platform because the blink cycle animates them.
+     */
+    build() {
+        const material = platformAssets.createMaterial(() => new THREE.MeshStandardMaterial({
+            color: PARKOUR.PLATFORM_COLOR,
+            roughness: 0.4,
+            metalness: 0.6,
+            emissive: PARKOUR.BLINK_COLOR,
+            emissiveIntensity: 0.25,
+            transparent: true,
+            opacity: 1,
+        }));
+        
+        this.mesh = new THREE.Mesh(platformAssets.getUnitBox(), material);
+        this.mesh.castShadow = RENDER.ENABLE_SHADOWS;
+        this.mesh.receiveShadow = RENDER.ENABLE_SHADOWS;
+        this.mesh.userData.platformRef = this;
+        
+        this.group.add(this.mesh);
+        
+        // Outline stays visible while ghosted so players can read the timing
+        const edgeGeometry = platformAssets.getGeometry('boxEdges', () => new THREE.EdgesGeometry(platformAssets.getUnitBox()));
+        const edgeMaterial = platformAssets.createMaterial(() => new THREE.LineBasicMaterial({
+            color: PARKOUR.BLINK_COLOR,
+            transparent: true,
+            opacity: 0.9,
+        }));
+        
+        this.edgeMesh = new THREE.LineSegments(edgeGeometry, edgeMaterial);
+        this.group.add(this.edgeMesh);
+    }
+
+    /**
+     * Size and place the platform (also used when reusing a pooled instance)
+     * @param {Object} config - Platform configuration (see constructor)
+     */
+    configure(config) {
+        this.width = config.width || 5;
+        this.length = config.length || 5;
+        this.height = config.height || PARKOUR.PLATFORM_HEIGHT;
+        this.position = config.position || new THREE.Vector3();
+        this.rotation = config.rotation || 0;
+        this.solidTime = config.solidTime || PARKOUR.BLINK_SOLID_TIME;
+        this.ghostTime = config.ghostTime || PARKOUR.BLINK_GHOST_TIME;
+        this.time = config.timeOffset || 0;
+        
+        // Starts solid; the first update settles the real state
+        this.isSolid = true;
+        this.mesh.material.opacity = 1;
+        this.mesh.material.emissiveIntensity = 0.25;
+        this.mesh.material.color.setHex(PARKOUR.PLATFORM_COLOR);
+        this.edgeMesh.material.opacity = 0.9;
+        
+        this.mesh.scale.set(this.width, this.height, this.length);
+        this.edgeMesh.scale.copy(this.mesh.scale);
+        
+        this.group.position.copy(this.position);
+        this.group.rotation.y = this.rotation;
+    }
+
+    /**
+     * Recolor for a zone theme (the glow keeps its type color so it stays readable)
+     * @param {Object} theme - Zone theme (entry in PARKOUR_ZONES.THEMES)
+     */
+    applyPalette(theme) {
+        this.mesh.material.color.setHex(theme.PLATFORM_COLOR);
+    }
+
+    /**
+     * Get the Three.js group for this platform
+     */
+    getObject3D() {
+        return this.group;
+    }
+
+    /**
+     * Get the collision mesh
+     */
+    getCollisionMesh() {
+        return this.mesh;
+    }
+
+    /**
+     * Get the top Y position of this platform
+     */
+    getTopY() {
+        return this.position.y + this.height / 2;
+    }
+
+    /**
+     * Describe the walkable top for the jump validator (chunk-local space)
+     * Players can wait for the solid phase, so it validates like a floor.
+     */
+    getJumpSurface() {
+        return {
+            type: 'floor',
+            x: this.position.x,
+            z: this.position.z,
+            halfWidth: this.width / 2,
+            halfLength: this.length / 2,
+            yaw: this.rotation,
+            topStart: this.getTopY(),
+            topEnd: this.getTopY(),
+        };
+    }
+
+    /**
+     * Toggle collision and notify the owner so obstacle lists stay in sync
+     */
+    setSolid(solid) {
+        this.isSolid = solid;
+        
+        if (this.onSolidityChange) {
+            this.onSolidityChange(this.mesh, solid);
+        }
+    }
+
+    /**
+     * Advance the blink cycle
+     */
+    update(deltaTime) {
+        this.time += deltaTime;
+        
+        const cycle = this.solidTime + this.ghostTime;
+        const t = ((this.time % cycle) + cycle) % cycle;
+        const solid = t < this.solidTime;
+        
+        if (solid !== this.isSolid) {
+            this.setSolid(solid);
+        }
+        
+        if (solid) {
+            // Flicker during the last moments before ghosting
+            const warningLeft = this.solidTime - t;
+            const flicker = warningLeft < PARKOUR.BLINK_WARNING_TIME && Math.sin(this.time * 40) < 0;
+            this.mesh.material.opacity = flicker ? 0.4 : 1;
+            this.mesh.material.emissiveIntensity = flicker ? 0.8 : 0.25;
+            this.edgeMesh.material.opacity = 0.9;
+        } else {
+            this.mesh.material.opacity = 0.08;
+            this.mesh.material.emissiveIntensity = 0.1;
+            this.edgeMesh.material.opacity = 0.3;
+        }
+    }
+
+    /**
+     * Return to the pool (its materials stay with the instance for reuse)
+     */
+    dispose() {
+        this.onSolidityChange = null;
+        platformAssets.release(this);
+    }
+}
+
+export default BlinkPlatform;
@@ -6,6 +6,7 @@
 
 import * as THREE from 'three';
 import { PARKOUR, RENDER } from '../../config/Constants.js';
+import { platformAssets } from './PlatformAssets.js';
 
 export class BouncePad {
     /**
@@ -17,46 +18,37 @@ export class BouncePad {
      * @param {number} config.bounceForce - Force of the bounce
      */
     constructor(config) {
-        this.width = config.width || 3;
-        this.length = config.length || 3;
-        this.position = config.position || new THREE.Vector3();
-        this.rotation = config.rotation || 0;
-        this.bounceForce = config.bounceForce || PARKOUR.BOUNCE_FORCE;
+        this.height = 0.2;
         
         this.mesh = null;
         this.glowMesh = null;
         this.group = new THREE.Group();
-        this.time = 0;
         
         this.isBouncy = true; // Flag for collision system
         
         this.build();
+        this.configure(config);
     }
 
     /**
-     * Build the bounce pad geometry
+     * Build the bounce pad meshes (shared geometry, scaled in configure)
      */
     build() {
-        const height = 0.2;
-        
         // Base platform
-        const geometry = new THREE.BoxGeometry(this.width, height, this.length);
-        
-        const material = new THREE.MeshStandardMaterial({
+        const material = platformAssets.getMaterial('bounce', () => new THREE.MeshStandardMaterial({
             color: PARKOUR.BOUNCE_PAD_COLOR,
             roughness: 0.3,
             metalness: 0.7,
             emissive: PARKOUR.BOUNCE_PAD_COLOR,
             emissiveIntensity: 0.3,
-        });
+        }));
         
-        this.mesh = new THREE.Mesh(geometry, material);
+        this.mesh = new THREE.Mesh(platformAssets.getUnitBox(), material);
         this.mesh.castShadow = RENDER.ENABLE_SHADOWS;
         this.mesh.receiveShadow = RENDER.ENABLE_SHADOWS;
         
         // Mark this mesh as a bounce pad for collision detection
         this.mesh.userData.isBouncy = true;
-        this.mesh.userData.bounceForce = this.bounceForce;
         
         this.group.add(this.mesh);
         
@@ -65,6 +57,26 @@ export class BouncePad {
         
         // Add directional arrow
         this.createArrow();
+    }
+
+    /**
+     * Size and place the pad (also used when reusing a pooled instance)
+     * @param {Object} config - Platform configuration (see constructor)
+     */
+    configure(config) {
+        this.width = config.width || 3;
+        this.length = config.length || 3;
+        this.position = config.position || new THREE.Vector3();
+        this.rotation = config.rotation || 0;
+        this.bounceForce = config.bounceForce || PARKOUR.BOUNCE_FORCE;
+        this.time = 0;
+        
+        this.mesh.scale.set(this.width, this.height, this.length);
+        this.mesh.userData.bounceForce = this.bounceForce;
+        
+        // Ring is sized from the pad's smaller side
+        this.ringScale = Math.min(this.width, this.length);
+        this.glowMesh.scale.set(this.ringScale, this.ringScale, 1);
         
         // Position and rotate
         this.group.position.copy(this.position);
@@ -72,21 +84,18 @@ export class BouncePad {
     }
 
     /**
-     * Create a pulsing glow ring
+     * Create a pulsing glow ring (unit ring, scaled to the pad)
      */
     createGlowEffect() {
-        const ringGeometry = new THREE.RingGeometry(
-            Math.min(this.width, this.length) * 0.3,
-            Math.min(this.width, this.length) * 0.45,
-            32
-        );
+        const ringGeometry = platformAssets.getGeometry('bounceRing', () => new THREE.RingGeometry(0.3, 0.45, 32));
         
-        const ringMaterial = new THREE.MeshBasicMaterial({
+        // Own material - the opacity pulses per pad
+        const ringMaterial = platformAssets.createMaterial(() => new THREE.MeshBasicMaterial({
             color: PARKOUR.BOUNCE_PAD_COLOR,
             transparent: true,
             opacity: 0.6,
             side: THREE.DoubleSide,
-        });
+        }));
         
         this.glowMesh = new THREE.Mesh(ringGeometry, ringMaterial);
         this.glowMesh.rotation.x = -Math.PI / 2;
@@ -103,18 +112,18 @@ export class BouncePad {
         const arrowGroup = new THREE.Group();
         
         // Arrow head (cone pointing up)
-        const headGeometry = new THREE.ConeGeometry(0.25, 0.4, 8);
-        const arrowMaterial = new THREE.MeshBasicMaterial({
+        const headGeometry = platformAssets.getGeometry('arrowHead', () => new THREE.ConeGeometry(0.25, 0.4, 8));
+        const arrowMaterial = platformAssets.getMaterial('arrow', () => new THREE.MeshBasicMaterial({
             color: 0xffffff,
             transparent: true,
             opacity: 0.9,
-        });
+        }));
         const headMesh = new THREE.Mesh(headGeometry, arrowMaterial);
         headMesh.position.y = 0.6;
         arrowGroup.add(headMesh);
         
         // Arrow stem (cylinder)
-        const stemGeometry = new THREE.CylinderGeometry(0.08, 0.08, 0.5, 8);
+        const stemGeometry = platformAssets.getGeometry('arrowStem', () => new THREE.CylinderGeometry(0.08, 0.08, 0.5, 8));
         const stemMesh = new THREE.Mesh(stemGeometry, arrowMaterial);
         stemMesh.position.y = 0.25;
         arrowGroup.add(stemMesh);
@@ -140,6 +149,23 @@ export class BouncePad {
         return this.mesh;
     }
 
+    /**
+     * Describe the pad for the jump validator (chunk-local space)
+     */
+    getJumpSurface() {
+        return {
+            type: 'bounce',
+            x: this.position.x,
+            z: this.position.z,
+            halfWidth: this.width / 2,
+            halfLength: this.length / 2,
+            yaw: this.rotation,
+            topStart: this.position.y + this.height / 2,
+            topEnd: this.position.y + this.height / 2,
+            bounceForce: this.bounceForce,
+        };
+    }
+
     /**
      * Update animation
      */
@@ -151,7 +177,7 @@ export class BouncePad {
             const pulse = 0.4 + Math.sin(this.time * 4) * 0.3;
             this.glowMesh.material.opacity = pulse;
             
-            const scale = 1 + Math.sin(this.time * 4) * 0.1;
+            const scale = this.ringScale * (1 + Math.sin(this.time * 4) * 0.1);
             this.glowMesh.scale.set(scale, scale, 1);
         }
         
@@ -164,26 +190,11 @@ export class BouncePad {
     }
 
     /**
-     * Dispose resources
+     * Return to the pool (shared resources stay alive for the next chunk)
      */
     dispose() {
-        if (this.mesh) {
-            this.mesh.geometry.dispose();
-            this.mesh.material.dispose();
-        }
-        if (this.glowMesh) {
-            this.glowMesh.geometry.dispose();
-            this.glowMesh.material.dispose();
-        }
-        if (this.arrowMesh) {
-            // Arrow is now a group with children
-            this.arrowMesh.traverse((child) => {
-                if (child.geometry) child.geometry.dispose();
-                if (child.material) child.material.dispose();
-            });
-        }
+        platformAssets.release(this);
     }
 }
 
 export default BouncePad;
-
@@ -5,7 +5,8 @@
  */
 
 import * as THREE from 'three';
-import { PARKOUR, RENDER } from '../../config/Constants.js';
+import { RENDER } from '../../config/Constants.js';
+import { platformAssets, outlineBars } from './PlatformAssets.js';
 
 // Checkpoint colors
 const CHECKPOINT_COLORS = {
@@ -25,60 +26,70 @@ export class CheckpointPlatform {
      * @param {number} config.checkpointId - Unique identifier for this checkpoint
      */
     constructor(config) {
-        this.width = config.width || 8;
-        this.length = config.length || 8;
         this.height = 0.6; // Slightly thicker than regular platforms
-        this.position = config.position || new THREE.Vector3();
-        this.rotation = config.rotation || 0;
-        this.checkpointId = config.checkpointId || 0;
         
         this.mesh = null;
-        this.glowMesh = null;
         this.beaconLight = null;
+        this.ringMesh = null;
         this.group = new THREE.Group();
-        this.time = 0;
         
-        // Checkpoint state
-        this.isActivated = false;
         this.isCheckpoint = true; // Flag for collision system
         
         this.build();
+        this.configure(config);
     }
 
     /**
-     * Build the checkpoint platform geometry
+     * Build the checkpoint meshes (shared geometry, scaled in configure)
+     * Materials are per checkpoint because activation and pulsing recolor them.
      */
     build() {
         // Main platform body
-        const geometry = new THREE.BoxGeometry(this.width, this.height, this.length);
-        
-        const material = new THREE.MeshStandardMaterial({
+        const material = platformAssets.createMaterial(() => new THREE.MeshStandardMaterial({
             color: CHECKPOINT_COLORS.MAIN,
             roughness: 0.3,
             metalness: 0.6,
             emissive: CHECKPOINT_COLORS.MAIN,
             emissiveIntensity: 0.4,
-        });
+        }));
         
-        this.mesh = new THREE.Mesh(geometry, material);
+        this.mesh = new THREE.Mesh(platformAssets.getUnitBox(), material);
         this.mesh.castShadow = RENDER.ENABLE_SHADOWS;
         this.mesh.receiveShadow = RENDER.ENABLE_SHADOWS;
         
         // Mark this mesh as a checkpoint for collision detection
         this.mesh.userData.isCheckpoint = true;
-        this.mesh.userData.checkpointId = this.checkpointId;
         this.mesh.userData.checkpointRef = this;
         
         this.group.add(this.mesh);
         
-        // Add glowing edge effect
-        this.createEdgeGlow();
-        
         // Add beacon light effect
         this.createBeacon();
         
         // Add pulsing ring effect on top
         this.createPulsingRing();
+    }
+
+    /**
+     * Size and place the checkpoint (also used when reusing a pooled instance)
+     * @param {Object} config - Platform configuration (see constructor)
+     */
+    configure(config) {
+        this.width = config.width || 8;
+        this.length = config.length || 8;
+        this.position = config.position || new THREE.Vector3();
+        this.rotation = config.rotation || 0;
+        this.checkpointId = config.checkpointId || 0;
+        this.time = 0;
+        
+        this.mesh.scale.set(this.width, this.height, this.length);
+        this.mesh.userData.checkpointId = this.checkpointId;
+        
+        this.ringScale = Math.min(this.width, this.length);
+        this.ringMesh.scale.set(this.ringScale, this.ringScale, 1);
+        
+        // Fresh checkpoint state
+        this.deactivate();
         
         // Position and rotate the group
         this.group.position.copy(this.position);
@@ -86,33 +97,14 @@ export class CheckpointPlatform {
     }
 
     /**
-     * Create glowing edge lines
+     * Glowing top edges (drawn by the chunk's GlowBatch)
+     * @returns {{color: number, bars: Array<THREE.Matrix4>}} Bars in group space
      */
-    createEdgeGlow() {
-        const hw = this.width / 2;
-        const hh = this.height / 2;
-        const hl = this.length / 2;
-        
-        // Create edge geometry (top edges)
-        const points = [
-            new THREE.Vector3(-hw, hh, -hl),
-            new THREE.Vector3(hw, hh, -hl),
-            new THREE.Vector3(hw, hh, hl),
-            new THREE.Vector3(-hw, hh, hl),
-            new THREE.Vector3(-hw, hh, -hl),
-        ];
-        
-        const edgeGeometry = new THREE.BufferGeometry().setFromPoints(points);
-        
-        const edgeMaterial = new THREE.LineBasicMaterial({
+    getGlowBars() {
+        return {
             color: CHECKPOINT_COLORS.EDGE,
-            transparent: true,
-            opacity: 0.9,
-            linewidth: 2,
-        });
-        
-        this.edgeMesh = new THREE.Line(edgeGeometry, edgeMaterial);
-        this.group.add(this.edgeMesh);
+            bars: outlineBars(this.width / 2, this.height / 2, this.length / 2),
+        };
     }
 
     /**
@@ -120,13 +112,13 @@ export class CheckpointPlatform {
      */
     createBeacon() {
         // Beacon cylinder going upward
-        const beaconGeometry = new THREE.CylinderGeometry(0.3, 0.8, 15, 8, 1, true);
-        const beaconMaterial = new THREE.MeshBasicMaterial({
+        const beaconGeometry = platformAssets.getGeometry('beacon', () => new THREE.CylinderGeometry(0.3, 0.8, 15, 8, 1, true));
+        const beaconMaterial = platformAssets.createMaterial(() => new THREE.MeshBasicMaterial({
             color: CHECKPOINT_COLORS.GLOW,
             transparent: true,
             opacity: 0.15,
             side: THREE.DoubleSide,
-        });
+        }));
         
         this.beaconLight = new THREE.Mesh(beaconGeometry, beaconMaterial);
         this.beaconLight.position.y = 8; // Above the platform
@@ -135,21 +127,17 @@ export class CheckpointPlatform {
     }
 
     /**
-     * Create pulsing ring on top of platform
+     * Create pulsing ring on top of platform (unit ring, scaled to the platform)
      */
     createPulsingRing() {
-        const ringGeometry = new THREE.RingGeometry(
-            Math.min(this.width, this.length) * 0.25,
-            Math.min(this.width, this.length) * 0.4,
-            32
-        );
+        const ringGeometry = platformAssets.getGeometry('checkpointRing', () => new THREE.RingGeometry(0.25, 0.4, 32));
         
-        const ringMaterial = new THREE.MeshBasicMaterial({
+        const ringMaterial = platformAssets.createMaterial(() => new THREE.MeshBasicMaterial({
             color: CHECKPOINT_COLORS.GLOW,
             transparent: true,
             opacity: 0.7,
             side: THREE.DoubleSide,
-        });
+        }));
         
         this.ringMesh = new THREE.Mesh(ringGeometry, ringMaterial);
         this.ringMesh.rotation.x = -Math.PI / 2;
@@ -209,9 +197,9 @@ export class CheckpointPlatform {
      * @returns {THREE.Vector3} Position to respawn at
      */
     getRespawnPosition() {
-        // Use group.position for accurate world coordinates
+        // Use the world position (chunks are placed and rotated along the path)
         // Respawn slightly above the platform's top surface
-        const pos = this.group.position;
+        const pos = this.group.getWorldPosition(new THREE.Vector3());
         return new THREE.Vector3(
             pos.x,
             pos.y + this.height / 2 + 0.5,
@@ -248,6 +236,22 @@ export class CheckpointPlatform {
         return this.position.y + this.height / 2;
     }
 
+    /**
+     * Describe the walkable top for the jump validator (chunk-local space)
+     */
+    getJumpSurface() {
+        return {
+            type: 'floor',
+            x: this.position.x,
+            z: this.position.z,
+            halfWidth: this.width / 2,
+            halfLength: this.length / 2,
+            yaw: this.rotation,
+            topStart: this.getTopY(),
+            topEnd: this.getTopY(),
+        };
+    }
+
     /**
      * Update platform animations
      */
@@ -259,7 +263,7 @@ export class CheckpointPlatform {
             const pulse = 0.5 + Math.sin(this.time * 3) * 0.3;
             this.ringMesh.material.opacity = pulse;
             
-            const scale = 1 + Math.sin(this.time * 2) * 0.1;
+            const scale = this.ringScale * (1 + Math.sin(this.time * 2) * 0.1);
             this.ringMesh.scale.set(scale, scale, 1);
         }
         
@@ -278,25 +282,10 @@ export class CheckpointPlatform {
     }
 
     /**
-     * Dispose of resources
+     * Return to the pool (shared resources stay alive for the next chunk)
      */
     dispose() {
-        if (this.mesh) {
-            this.mesh.geometry.dispose();
-            this.mesh.material.dispose();
-        }
-        if (this.edgeMesh) {
-            this.edgeMesh.geometry.dispose();
-            this.edgeMesh.material.dispose();
-        }
-        if (this.beaconLight) {
-            this.beaconLight.geometry.dispose();
-            this.beaconLight.material.dispose();
-        }
-        if (this.ringMesh) {
-            this.ringMesh.geometry.dispose();
-            this.ringMesh.material.dispose();
-        }
+        platformAssets.release(this);
     }
 }
 
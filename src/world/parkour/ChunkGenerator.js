@@ -12,6 +12,13 @@ import { RampPlatform } from './RampPlatform.js';
 import { BouncePad } from './BouncePad.js';
 import { WallRunSegment } from './WallRunSegment.js';
 import { CheckpointPlatform } from './CheckpointPlatform.js';
+import { MovingPlatform } from './MovingPlatform.js';
+import { CrumblePlatform } from './CrumblePlatform.js';
+import { BlinkPlatform } from './BlinkPlatform.js';
+import { GrapplePoint } from './GrapplePoint.js';
+import { platformAssets } from './PlatformAssets.js';
+import { JumpValidator, transformSurface } from './JumpValidator.js';
+import { layoutTemplate, parseTemplate } from './PatternTemplates.js';
 
 // Pattern types for semi-random generation
 const PatternType = {
@@ -21,11 +28,21 @@ const PatternType = {
     RAMP_DOWN: 'ramp_down',
     BOUNCE_JUMP: 'bounce_jump',
     WALL_RUN: 'wall_run',
+    CLIMB_WALL: 'climb_wall',
+    GRAPPLE_GAP: 'grapple_gap',
     ZIGZAG: 'zigzag',
+    SHUTTLE: 'shuttle',
+    ELEVATOR: 'elevator',
+    ROTATING_DISKS: 'rotating_disks',
+    CRUMBLE_RUN: 'crumble_run',
+    BLINK_SEQUENCE: 'blink_sequence',
 };
 
 // Spacing constants for running jump obstacles
 // Running jump physics: speed=15, jump_time=0.8s, max_distance=~12 units
+// (JumpValidator simulates the real arc and rejects layouts that exceed it)
+// Edge gaps here are the baseline for the start chunk; regular chunks take
+// their gaps from the difficulty curve (PARKOUR_DIFFICULTY)
 const SPACING = {
     // Minimum gap between platform edges - easy running jump
     MIN_EDGE_GAP: 5.0,
@@ -39,24 +56,158 @@ const SPACING = {
     APPROACH_DISTANCE: 6,
     // Wall run approach distance
     WALL_RUN_APPROACH: 8,
+    // Gap jumped across into a climb wall
+    CLIMB_APPROACH: 3,
+};
+
+// Layout validation
+const VALIDATION = {
+    // Pattern attempts per chunk before falling back to a straight run
+    MAX_ATTEMPTS: 5,
+    // Safety margin kept inside the validator's computed bounce reach
+    BOUNCE_REACH_MARGIN: 1.0,
 };
 
 // Checkpoint configuration
+// (chunk interval comes from the difficulty curve)
 const CHECKPOINT = {
-    // Place a checkpoint every N chunks
-    CHUNK_INTERVAL: 3,
     // Platform size - VERY wide to catch players from any X position
     WIDTH: 20,
     LENGTH: 14,
+    // Per-lane checkpoints while the route is branched
+    LANE_WIDTH: 7,
+    LANE_LENGTH: 10,
+};
+
+// Branching routes - a chunk splits into parallel lanes that merge again later
+const BRANCH = {
+    // Distance between lane centre lines
+    LANE_SPACING: 10,
+    // Chance of a third lane
+    THREE_LANE_CHANCE: 0.4,
+    // Chunks the lanes keep running for after the split chunk
+    MIN_EXTRA_CHUNKS: 1,
+    MAX_EXTRA_CHUNKS: 2,
+    // Shared platforms where the route splits and merges
+    SPLIT_LENGTH: 8,
+    MERGE_LENGTH: 10,
+    // Extra width beyond the outer lane centres
+    SPLIT_MARGIN: 8,
+    // Platforms that run each lane on to the chunk end (length before scaling, gap as a fraction of the running gap)
+    FILLER_LENGTH: 6,
+    FILLER_GAP: 0.6,
+};
+
+// Lane layouts by style (PatternTemplates format, "out" = side facing away from the other lanes)
+// fast: climbs high, then wall runs - quick but punishing; safe: low, wide, short hops;
+// risky: crumbling / blinking platforms that keep you moving
+const LANE_STYLES = {
+    fast: {
+        // Climb on the first chunk, wall runs after that
+        sequential: true,
+        templates: [
+            {
+                name: 'lane_climb',
+                params: { out: { choice: [-1, 1] } },
+                platforms: [
+                    { type: 'bounce', width: 4, length: 4 },
+                    { type: 'basic', width: 5, length: 6, gapDistance: [3, 4.5], dy: 4 },
+                    { type: 'basic', width: 4.5, length: [5, 6], gap: 0.7, x: [-0.5, 0.5], repeat: 4 },
+                ],
+            },
+            {
+                name: 'lane_wall_run',
+                params: { out: { choice: [-1, 1] } },
+                platforms: [
+                    { type: 'basic', width: 4.5, length: 6 },
+                    { type: 'wall', length: 14, height: 7, side: '$out', x: '$out*3', gapDistance: 8 },
+                    { type: 'basic', width: 5, length: 8, gapDistance: 2, x: '-$out*2' },
+                    { type: 'basic', width: 4.5, length: 6, gap: 0.8, x: 0, repeat: 3 },
+                ],
+            },
+        ],
+    },
+    safe: {
+        templates: [
+            {
+                name: 'lane_safe',
+                platforms: [
+                    { type: 'basic', width: 5.5, length: [6, 8], gap: [0.5, 0.65], x: [-0.5, 0.5], repeat: 8 },
+                ],
+            },
+        ],
+    },
+    risky: {
+        templates: [
+            {
+                name: 'lane_crumble',
+                platforms: [
+                    { type: 'crumble', width: 4, length: 4, gap: [0.45, 0.55], x: [-1, 1], repeat: 10 },
+                ],
+            },
+            {
+                name: 'lane_blink',
+                platforms: [
+                    { type: 'blink', width: 4.5, length: 5, gap: [0.55, 0.65], timeOffset: [0, 3.5], repeat: 8 },
+                ],
+            },
+        ],
+    },
 };
 
+for (const style of Object.values(LANE_STYLES)) {
+    style.templates = style.templates.map(template => parseTemplate(template, template.name));
+}
+
 export class ChunkGenerator {
-    constructor() {
+    /**
+     * @param {SeededRandom} random - Seeded PRNG shared with the ChunkManager
+     */
+    constructor(random) {
+        this.random = random;
         this.patterns = Object.values(PatternType);
+        this.templates = new Map();    // Data-driven patterns by pattern id (see PatternTemplates)
         this.lastPattern = null;
         this.chunkCount = 0;          // Track chunks generated
+        this.chunksSinceCheckpoint = 0; // Chunks since the last checkpoint
         this.checkpointCount = 0;      // Track checkpoints created
         this.checkpoints = [];         // Store all checkpoint references
+        
+        // Difficulty settings for the chunk being generated (see DifficultyCurve.sample)
+        this.difficulty = null;
+        
+        // Reachability checks - every chunk is validated against the previous one's exit
+        this.validator = new JumpValidator();
+        this.exitSurfaces = [];        // Last surface of each route out of the previous chunk (its local space)
+        this.exitChunkLength = 0;      // Length of the previous chunk
+        
+        // Active branch: { lanes, chunksLeft } while the route is split, else null
+        this.branch = null;
+        this.validationStats = {
+            chunks: 0,
+            retries: 0,
+            fallbacks: 0,
+            unresolved: 0,
+            failuresByPattern: {},
+        };
+    }
+
+    /**
+     * Register a data-driven pattern template alongside the built-in patterns
+     * Registration order matters for reproducible seeds, so register before
+     * generating and in a fixed order.
+     * @param {Object} template - Normalized template (see PatternTemplates.parseTemplate)
+     * @returns {string} Pattern id used for selection
+     */
+    registerTemplate(template) {
+        const id = `template:${template.name}`;
+        
+        if (!this.templates.has(id)) {
+            this.patterns.push(id);
+        }
+        this.templates.set(id, template);
+        
+        return id;
     }
 
     /**
@@ -93,24 +244,24 @@ export class ChunkGenerator {
      */
     getSafeNextZ(currentZ, lastLength, nextLength) {
         // Edge of last platform + gap + half of next platform
-        const gap = this.randomRange(SPACING.MIN_EDGE_GAP, SPACING.MAX_EDGE_GAP);
+        const gap = this.randomRange(this.difficulty.gapMin, this.difficulty.gapMax);
         return currentZ + lastLength / 2 + gap + nextLength / 2;
     }
 
     /**
      * Create a checkpoint platform
-     * @param {THREE.Vector3} position - Position for the checkpoint
-     * @param {number} rotation - Y rotation
+     * @param {THREE.Vector3} position - Position for the checkpoint (chunk-local)
+     * @param {number} width - Platform width (defaults to the full path width)
+     * @param {number} length - Platform length
      * @returns {CheckpointPlatform} The created checkpoint
      */
-    createCheckpoint(position, rotation) {
+    createCheckpoint(position, width = CHECKPOINT.WIDTH, length = CHECKPOINT.LENGTH) {
         this.checkpointCount++;
         
-        const checkpoint = new CheckpointPlatform({
-            width: CHECKPOINT.WIDTH,
-            length: CHECKPOINT.LENGTH,
+        const checkpoint = platformAssets.acquire(CheckpointPlatform, {
+            width: width,
+            length: length,
             position: position,
-            rotation: rotation,
             checkpointId: this.checkpointCount,
         });
         
@@ -123,7 +274,7 @@ export class ChunkGenerator {
      * @returns {boolean}
      */
     shouldPlaceCheckpoint() {
-        return this.chunkCount > 0 && this.chunkCount % CHECKPOINT.CHUNK_INTERVAL === 0;
+        return this.chunksSinceCheckpoint >= this.difficulty.checkpointInterval;
     }
 
     /**
@@ -135,43 +286,62 @@ export class ChunkGenerator {
     }
 
     /**
-     * Reset checkpoint tracking (for game restart)
+     * Reset checkpoint and chunk tracking (for game restart)
      */
     resetCheckpoints() {
+        this.exitSurfaces = [];
+        this.exitChunkLength = 0;
+        this.branch = null;
         this.chunkCount = 0;
+        this.chunksSinceCheckpoint = 0;
+        this.lastPattern = null;
         this.checkpointCount = 0;
         this.checkpoints = [];
     }
 
     /**
      * Generate platforms for a chunk
+     * Chunks are laid out in chunk-local space along +Z; the ChunkManager
+     * places and rotates each chunk along the path.
      * @param {Object} config - Chunk configuration
-     * @param {number} config.startZ - Starting Z position
+     * @param {number} config.startZ - Starting Z position (chunk-local)
      * @param {number} config.length - Chunk length
      * @param {number} config.startHeight - Starting height
-     * @param {number} config.rotation - Current path rotation
-     * @param {number} config.curveAmount - Amount of curve in this chunk
+     * @param {number} config.turn - Heading change from the previous chunk (radians)
+     * @param {Object} config.difficulty - Difficulty settings sampled for this chunk
      * @returns {Object} Generated chunk data
      */
     generateChunk(config) {
-        const { startZ, length, startHeight, rotation, curveAmount } = config;
+        const { startZ, length, startHeight } = config;
         
+        this.difficulty = config.difficulty;
         this.chunkCount++;
+        this.chunksSinceCheckpoint++;
         
         const chunk = {
             platforms: [],
             obstacles: [],
             checkpoints: [],  // Track checkpoints in this chunk
+            exits: [],        // One per route out of the chunk ({x, z, height}, chunk-local)
             endHeight: startHeight,
             endZ: startZ + length,
         };
         
+        // A split route carries on (or merges) before anything else happens
+        if (this.branch) {
+            this.generateBranchChunk(chunk, config);
+            return chunk;
+        }
+        
+        let patternConfig = config;
+        
         // Check if we should place a checkpoint at the start of this chunk
         if (this.shouldPlaceCheckpoint()) {
+            this.chunksSinceCheckpoint = 0;
+            
             const checkpointZ = startZ + CHECKPOINT.LENGTH / 2;
             const checkpoint = this.createCheckpoint(
-                new THREE.Vector3(0, startHeight, checkpointZ),
-                rotation
+                new THREE.Vector3(0, startHeight, checkpointZ)
             );
             
             chunk.platforms.push(checkpoint);
@@ -179,29 +349,409 @@ export class ChunkGenerator {
             chunk.checkpoints.push(checkpoint);
             
             // Modify config to start pattern after checkpoint
-            const modifiedConfig = {
+            patternConfig = {
                 ...config,
                 startZ: checkpointZ + CHECKPOINT.LENGTH / 2 + SPACING.MIN_EDGE_GAP,
                 length: length - (CHECKPOINT.LENGTH + SPACING.MIN_EDGE_GAP),
             };
+        }
+        
+        if (this.shouldStartBranch()) {
+            this.startBranch(chunk, patternConfig);
+            return chunk;
+        }
+        
+        this.generateValidatedPattern(chunk, patternConfig, this.getEntrySurface(0, config));
+        this.finishChunk(chunk, startZ);
+        
+        return chunk;
+    }
+
+    /**
+     * Previous chunk's exit for a route, moved into this chunk's space
+     * @param {number} index - Route (lane) index
+     * @param {Object} config - Chunk configuration (for the turn between chunks)
+     * @returns {Object|null} Jump surface, or null at the start of the course
+     */
+    getEntrySurface(index, config) {
+        const exit = this.exitSurfaces[index] || this.exitSurfaces[0];
+        return exit ? transformSurface(exit, this.exitChunkLength, config.turn || 0) : null;
+    }
+
+    /**
+     * Whether the route is currently split into lanes
+     * @returns {boolean}
+     */
+    isBranching() {
+        return this.branch !== null;
+    }
+
+    /**
+     * Check if this chunk should split the route
+     * @returns {boolean}
+     */
+    shouldStartBranch() {
+        return this.chunkCount > 1 && this.random.chance(PARKOUR.BRANCH_CHANCE);
+    }
+
+    /**
+     * Split the route: a wide platform that fans out into two or three lanes
+     * @param {Object} chunk - Chunk being generated
+     * @param {Object} config - Chunk configuration (space left after any checkpoint)
+     */
+    startBranch(chunk, config) {
+        const { startZ, length, startHeight } = config;
+        const { gapMin, gapMax } = this.difficulty;
+        
+        // Fast lane always goes on the outside so its wall runs have room
+        const laneCount = this.random.chance(BRANCH.THREE_LANE_CHANCE) ? 3 : 2;
+        const fastSide = this.random.chance(0.5) ? 1 : -1;
+        const styles = laneCount === 3 ? ['fast', 'safe', 'risky'] : ['fast', 'safe'];
+        const span = (laneCount - 1) * BRANCH.LANE_SPACING;
+        
+        const lanes = styles.map((style, index) => {
+            const x = fastSide * (span / 2 - index * BRANCH.LANE_SPACING);
+            return {
+                style,
+                x,
+                out: Math.sign(x) || fastSide,
+                height: startHeight,
+                chunkIndex: 0,
+                platforms: [],
+            };
+        });
+        
+        this.branch = {
+            lanes,
+            chunksLeft: this.random.int(BRANCH.MIN_EXTRA_CHUNKS, BRANCH.MAX_EXTRA_CHUNKS),
+        };
+        
+        const split = platformAssets.acquire(BasicPlatform, {
+            width: span + BRANCH.SPLIT_MARGIN,
+            length: BRANCH.SPLIT_LENGTH,
+            position: new THREE.Vector3(0, startHeight, startZ + BRANCH.SPLIT_LENGTH / 2),
+        });
+        chunk.platforms.push(split);
+        chunk.obstacles.push(split.getCollisionMesh());
+        
+        // Every lane is validated from the previous chunk through the split
+        const route = [
+            this.getEntrySurface(0, config),
+            ...chunk.platforms.map(platform => platform.getJumpSurface()),
+        ].filter(Boolean);
+        
+        const laneStart = startZ + BRANCH.SPLIT_LENGTH + this.randomRange(gapMin, gapMax) * BRANCH.FILLER_GAP;
+        const laneConfig = { startZ: laneStart, length: startZ + length - laneStart };
+        
+        lanes.forEach(lane => this.generateLane(chunk, lane, laneConfig, route));
+        
+        console.log('[ChunkGenerator] Route splits into', laneCount, 'lanes for', this.branch.chunksLeft + 1, 'chunks');
+        chunk.endHeight = Math.min(...lanes.map(lane => lane.height));
+        this.finishChunk(chunk, startZ, lanes.map(lane => lane.platforms));
+    }
+
+    /**
+     * Continue the lanes of a split route, or merge them back together
+     * @param {Object} chunk - Chunk being generated
+     * @param {Object} config - Chunk configuration
+     */
+    generateBranchChunk(chunk, config) {
+        const { startZ, length } = config;
+        const lanes = this.branch.lanes;
+        
+        if (this.branch.chunksLeft > 0) {
+            this.branch.chunksLeft--;
+            
+            // Checkpoints go on every lane so respawn works on whichever one was taken
+            const placeCheckpoints = this.shouldPlaceCheckpoint();
+            if (placeCheckpoints) {
+                this.chunksSinceCheckpoint = 0;
+            }
+            
+            lanes.forEach((lane, index) => {
+                const route = [this.getEntrySurface(index, config)].filter(Boolean);
+                let laneStart = startZ;
+                
+                if (placeCheckpoints) {
+                    const checkpoint = this.createCheckpoint(
+                        new THREE.Vector3(lane.x, lane.height, startZ + CHECKPOINT.LANE_LENGTH / 2),
+                        CHECKPOINT.LANE_WIDTH,
+                        CHECKPOINT.LANE_LENGTH
+                    );
+                    chunk.platforms.push(checkpoint);
+                    chunk.obstacles.push(checkpoint.getCollisionMesh());
+                    chunk.checkpoints.push(checkpoint);
+                    route.push(checkpoint.getJumpSurface());
+                    
+                    laneStart = startZ + CHECKPOINT.LANE_LENGTH + SPACING.MIN_EDGE_GAP;
+                }
+                
+                lane.chunkIndex++;
+                this.generateLane(chunk, lane, { startZ: laneStart, length: startZ + length - laneStart }, route);
+            });
             
-            // Generate pattern after checkpoint
-            this.generatePatternForChunk(chunk, modifiedConfig);
+            chunk.endHeight = Math.min(...lanes.map(lane => lane.height));
+            this.finishChunk(chunk, startZ, lanes.map(lane => lane.platforms));
+            return;
+        }
+        
+        // Merge - one wide platform every lane can drop onto
+        const mergeHeight = Math.min(...lanes.map(lane => lane.height));
+        const mergeWidth = Math.max(...lanes.map(lane => Math.abs(lane.x))) * 2 + BRANCH.SPLIT_MARGIN;
+        const mergePosition = new THREE.Vector3(0, mergeHeight, startZ + BRANCH.MERGE_LENGTH / 2);
+        
+        let merge;
+        if (this.shouldPlaceCheckpoint()) {
+            this.chunksSinceCheckpoint = 0;
+            merge = this.createCheckpoint(mergePosition, mergeWidth, BRANCH.MERGE_LENGTH);
+            chunk.checkpoints.push(merge);
         } else {
-            // No checkpoint, generate normal pattern
-            this.generatePatternForChunk(chunk, config);
+            merge = platformAssets.acquire(BasicPlatform, {
+                width: mergeWidth,
+                length: BRANCH.MERGE_LENGTH,
+                position: mergePosition,
+            });
         }
+        chunk.platforms.push(merge);
+        chunk.obstacles.push(merge.getCollisionMesh());
         
-        return chunk;
+        // The merge is never regenerated, so a lane that can't reach it is kept
+        // as it is - record that as unresolved (with the warning), not a retry
+        lanes.forEach((lane, index) => {
+            const entry = this.getEntrySurface(index, config);
+            const result = this.validator.validateRoute([entry, merge.getJumpSurface()].filter(Boolean));
+            this.recordValidation('merge', result, !result.valid);
+        });
+        
+        this.branch = null;
+        
+        // Regular pattern for the rest of the chunk
+        const mergeEnd = startZ + BRANCH.MERGE_LENGTH + SPACING.MIN_EDGE_GAP;
+        this.generateValidatedPattern(chunk, {
+            ...config,
+            startZ: mergeEnd,
+            length: startZ + length - mergeEnd,
+            startHeight: mergeHeight,
+        }, null);
+        this.finishChunk(chunk, startZ);
     }
 
     /**
-     * Generate the pattern content for a chunk
+     * Lay out one lane of a split route, regenerating layouts that fail validation
+     * @param {Object} chunk - Chunk being generated
+     * @param {Object} lane - Lane state (style, x, height...)
+     * @param {Object} config - { startZ, length } of the lane section
+     * @param {Array<Object>} route - Surfaces leading into the lane
+     */
+    generateLane(chunk, lane, config, route) {
+        const style = LANE_STYLES[lane.style];
+        const { platformScale, gapMax } = this.difficulty;
+        const reserve = gapMax * BRANCH.FILLER_GAP + BRANCH.FILLER_LENGTH * platformScale;
+        
+        for (let attempt = 1; attempt <= VALIDATION.MAX_ATTEMPTS; attempt++) {
+            // Last attempt falls back to the safe layout
+            const isFallback = attempt === VALIDATION.MAX_ATTEMPTS;
+            const template = isFallback
+                ? LANE_STYLES.safe.templates[0]
+                : style.sequential
+                    ? style.templates[Math.min(lane.chunkIndex, style.templates.length - 1)]
+                    : this.random.pick(style.templates);
+            
+            // Leave room for at least one filler platform at the end
+            const section = layoutTemplate(template, {
+                random: this.random,
+                difficulty: this.difficulty,
+                startZ: config.startZ,
+                length: config.length - reserve,
+                startHeight: lane.height,
+                offsetX: lane.x,
+                params: { out: lane.out },
+            });
+            this.extendLane(section, lane, config.startZ + config.length);
+            
+            const result = this.validator.validateRoute([
+                ...route,
+                ...section.platforms.map(platform => platform.getJumpSurface()),
+            ]);
+            
+            if (this.recordValidation(`lane:${template.name}`, result, isFallback)) {
+                chunk.platforms.push(...section.platforms);
+                chunk.obstacles.push(...section.obstacles);
+                lane.platforms = section.platforms;
+                lane.height = section.endHeight;
+                return;
+            }
+            
+            section.platforms.forEach(platform => platform.dispose());
+        }
+    }
+
+    /**
+     * Run a lane section on to the end of its space, so every lane leaves the
+     * chunk at the same point and the next chunk's jump in stays a normal gap
+     * @param {Object} section - Laid out lane ({platforms, obstacles, endHeight})
+     * @param {Object} lane - Lane state
+     * @param {number} endZ - End of the lane's space (chunk-local)
+     */
+    extendLane(section, lane, endZ) {
+        const { platformScale, gapMin, gapMax } = this.difficulty;
+        
+        // Nothing to land on after a wall that got cut off at the end
+        const last = section.platforms[section.platforms.length - 1];
+        if (section.platforms.length > 1 && last.getJumpSurface().type === 'wall') {
+            section.platforms.pop();
+            section.obstacles.pop();
+            last.dispose();
+        }
+        
+        let cursorZ = Math.max(...section.platforms.map(platform => {
+            const surface = platform.getJumpSurface();
+            return surface.z + surface.halfLength;
+        }));
+        
+        const gap = this.randomRange(gapMin, gapMax) * BRANCH.FILLER_GAP;
+        const fillerLength = BRANCH.FILLER_LENGTH * platformScale;
+        
+        for (;;) {
+            const frontZ = cursorZ + gap;
+            const remaining = endZ - frontZ;
+            
+            // The last one takes up whatever is left so it ends exactly at endZ
+            const length = remaining - fillerLength < fillerLength + gap ? remaining : fillerLength;
+            
+            const platform = platformAssets.acquire(BasicPlatform, {
+                width: 5 * platformScale,
+                length,
+                position: new THREE.Vector3(lane.x, section.endHeight, frontZ + length / 2),
+            });
+            section.platforms.push(platform);
+            section.obstacles.push(platform.getCollisionMesh());
+            cursorZ = frontZ + length;
+            
+            if (length === remaining) break;
+        }
+    }
+
+    /**
+     * Track a validation result
+     * @param {string} pattern - Pattern id the layout came from
+     * @param {Object} result - JumpValidator.validateRoute result
+     * @param {boolean} isFallback - Whether this was the last-resort layout
+     * @returns {boolean} True if the layout should be kept
+     */
+    recordValidation(pattern, result, isFallback) {
+        const stats = this.validationStats;
+        
+        if (!result.valid) {
+            stats.failuresByPattern[pattern] = (stats.failuresByPattern[pattern] || 0) + 1;
+        }
+        
+        if (result.valid || isFallback) {
+            stats.chunks++;
+            if (isFallback) {
+                stats.fallbacks++;
+                if (!result.valid) {
+                    stats.unresolved++;
+                    console.warn('[ChunkGenerator] Fallback layout still failed validation at jump', result.failures[0].index);
+                }
+            }
+            return true;
+        }
+        
+        // Layout gets thrown away and tried again
+        stats.retries++;
+        return false;
+    }
+
+    /**
+     * Generate a pattern and check every jump in it (including the jump in from
+     * the previous chunk) is clearable, regenerating layouts that fail
+     * @param {Object} chunk - Chunk being generated
+     * @param {Object} config - Section configuration
+     * @param {Object|null} entry - Surface the player arrives from (see getEntrySurface)
      */
-    generatePatternForChunk(chunk, config) {
-        // Choose pattern (avoid repeating same pattern)
-        let pattern = this.selectPattern();
+    generateValidatedPattern(chunk, config, entry) {
+        const fixedSurfaces = chunk.platforms.map(platform => platform.getJumpSurface());
         
+        for (let attempt = 1; attempt <= VALIDATION.MAX_ATTEMPTS; attempt++) {
+            // Last attempt falls back to the simplest layout
+            const isFallback = attempt === VALIDATION.MAX_ATTEMPTS;
+            const pattern = isFallback ? PatternType.STRAIGHT : this.selectPattern();
+            
+            const section = {
+                platforms: [],
+                obstacles: [],
+                endHeight: config.startHeight,
+            };
+            this.generatePatternForChunk(section, config, pattern);
+            
+            const route = [
+                entry,
+                ...fixedSurfaces,
+                ...section.platforms.map(platform => platform.getJumpSurface()),
+            ].filter(Boolean);
+            const result = this.validator.validateRoute(route);
+            
+            if (this.recordValidation(pattern, result, isFallback)) {
+                chunk.platforms.push(...section.platforms);
+                chunk.obstacles.push(...section.obstacles);
+                chunk.endHeight = section.endHeight;
+                this.lastPattern = pattern;
+                return;
+            }
+            
+            // Throw the layout away and try again
+            section.platforms.forEach(platform => platform.dispose());
+        }
+    }
+
+    /**
+     * End the chunk a running-jump gap after its furthest surface, so the joint
+     * to the next chunk is a real jump that the next chunk gets validated against
+     * @param {Object} chunk - Chunk being generated
+     * @param {number} startZ - Chunk start (chunk-local)
+     * @param {Array<Array>} routes - Platforms of each route out of the chunk (lanes while branched)
+     */
+    finishChunk(chunk, startZ, routes = [chunk.platforms]) {
+        const exits = routes.map(platforms => {
+            let exitSurface = null;
+            let exitZ = startZ;
+            
+            platforms.forEach(platform => {
+                const surface = platform.getJumpSurface();
+                if (surface.type === 'wall' || surface.type === 'grapple') return;
+                
+                // Moving platforms reach as far as their furthest pose
+                (surface.poses || [surface]).forEach(pose => {
+                    const farZ = pose.z +
+                        Math.abs(pose.halfWidth * Math.sin(pose.yaw)) +
+                        Math.abs(pose.halfLength * Math.cos(pose.yaw));
+                    if (farZ > exitZ) {
+                        exitZ = farZ;
+                        exitSurface = surface;
+                    }
+                });
+            });
+            
+            return { surface: exitSurface, z: exitZ };
+        });
+        
+        chunk.endZ = Math.max(...exits.map(exit => exit.z)) +
+            this.randomRange(this.difficulty.gapMin, this.difficulty.gapMax);
+        
+        chunk.exits = exits
+            .filter(exit => exit.surface)
+            .map(({ surface }) => ({ x: surface.x, z: surface.z, height: surface.topEnd }));
+        
+        this.exitSurfaces = exits.map(exit => exit.surface);
+        this.exitChunkLength = chunk.endZ;
+    }
+
+    /**
+     * Generate the pattern content for a chunk
+     * @param {string} pattern - PatternType to generate
+     */
+    generatePatternForChunk(chunk, config, pattern) {
         // Generate based on pattern
         switch (pattern) {
             case PatternType.STRAIGHT:
@@ -222,41 +772,97 @@ export class ChunkGenerator {
             case PatternType.WALL_RUN:
                 this.generateWallRunPattern(chunk, config);
                 break;
+            case PatternType.CLIMB_WALL:
+                this.generateClimbWallPattern(chunk, config);
+                break;
+            case PatternType.GRAPPLE_GAP:
+                this.generateGrappleGapPattern(chunk, config);
+                break;
             case PatternType.ZIGZAG:
                 this.generateZigzagPattern(chunk, config);
                 break;
+            case PatternType.SHUTTLE:
+                this.generateShuttlePattern(chunk, config);
+                break;
+            case PatternType.ELEVATOR:
+                this.generateElevatorPattern(chunk, config);
+                break;
+            case PatternType.ROTATING_DISKS:
+                this.generateRotatingDisksPattern(chunk, config);
+                break;
+            case PatternType.CRUMBLE_RUN:
+                this.generateCrumbleRunPattern(chunk, config);
+                break;
+            case PatternType.BLINK_SEQUENCE:
+                this.generateBlinkSequencePattern(chunk, config);
+                break;
             default:
-                this.generateStraightPattern(chunk, config);
+                if (this.templates.has(pattern)) {
+                    this.generateTemplatePattern(chunk, config, this.templates.get(pattern));
+                } else {
+                    this.generateStraightPattern(chunk, config);
+                }
         }
+    }
+
+    /**
+     * Generate a data-driven pattern from a registered template
+     */
+    generateTemplatePattern(chunk, config, template) {
+        const section = layoutTemplate(template, {
+            random: this.random,
+            difficulty: this.difficulty,
+            startZ: config.startZ,
+            length: config.length,
+            startHeight: config.startHeight,
+        });
         
-        this.lastPattern = pattern;
+        chunk.platforms.push(...section.platforms);
+        chunk.obstacles.push(...section.obstacles);
+        chunk.endHeight = section.endHeight;
     }
 
     /**
-     * Select next pattern (avoiding repetition)
+     * Select next pattern (avoiding repetition), weighted by difficulty
      */
     selectPattern() {
-        let available = this.patterns.filter(p => p !== this.lastPattern);
-        return available[Math.floor(Math.random() * available.length)];
+        const available = this.patterns.filter(p => p !== this.lastPattern);
+        const weights = available.map(pattern => this.getPatternWeight(pattern));
+        return this.random.weightedPick(available, weights);
+    }
+
+    /**
+     * Get the difficulty weight for a pattern type
+     * @param {string} pattern - PatternType value
+     * @returns {number}
+     */
+    getPatternWeight(pattern) {
+        if (this.templates.has(pattern)) {
+            return this.templates.get(pattern).weight;
+        }
+        
+        const key = Object.keys(PatternType).find(k => PatternType[k] === pattern);
+        return this.difficulty.patternWeights[key] ?? 1;
     }
 
     /**
      * Generate a straight platform run with running jump spacing
      */
     generateStraightPattern(chunk, config) {
-        const { startZ, length, startHeight, rotation } = config;
+        const { startZ, length, startHeight } = config;
         
         let currentZ = startZ;
         let currentHeight = startHeight;
         let lastPlatLength = 0;
         
         // Use larger platforms for running jump landings (need runway space)
-        const minPlatLength = 8;  // Long enough for approach run
-        const maxPlatLength = 12;
-        const minPlatWidth = 5;
-        const maxPlatWidth = 8;
+        const scale = this.difficulty.platformScale;
+        const minPlatLength = 8 * scale;  // Long enough for approach run
+        const maxPlatLength = 12 * scale;
+        const minPlatWidth = 5 * scale;
+        const maxPlatWidth = 8 * scale;
         
-        while (currentZ < startZ + length - maxPlatLength - SPACING.MAX_EDGE_GAP) {
+        while (currentZ < startZ + length - maxPlatLength - this.difficulty.gapMax) {
             const platLength = this.randomRange(minPlatLength, maxPlatLength);
             const platWidth = this.randomRange(minPlatWidth, maxPlatWidth);
             
@@ -265,11 +871,10 @@ export class ChunkGenerator {
                 ? currentZ + platLength / 2 
                 : this.getSafeNextZ(currentZ, lastPlatLength, platLength);
             
-            const platform = new BasicPlatform({
+            const platform = platformAssets.acquire(BasicPlatform, {
                 width: platWidth,
                 length: platLength,
                 position: new THREE.Vector3(0, currentHeight, platCenterZ),
-                rotation: rotation,
             });
             
             chunk.platforms.push(platform);
@@ -287,7 +892,7 @@ export class ChunkGenerator {
      * Generate stepping stones pattern with running jump spacing
      */
     generateSteppingStonesPattern(chunk, config) {
-        const { startZ, length, startHeight, rotation } = config;
+        const { startZ, length, startHeight } = config;
         
         let currentZ = startZ;
         let currentHeight = startHeight;
@@ -295,12 +900,13 @@ export class ChunkGenerator {
         let lastX = 0;
         
         // Larger stones for running jump landings
-        const minStoneSize = 5;
-        const maxStoneSize = 7;
-        const avgGap = (SPACING.MIN_EDGE_GAP + SPACING.MAX_EDGE_GAP) / 2;
+        const { gapMin, gapMax, platformScale, heightScale } = this.difficulty;
+        const minStoneSize = 5 * platformScale;
+        const maxStoneSize = 7 * platformScale;
+        const avgGap = (gapMin + gapMax) / 2;
         const stoneCount = Math.floor(length / (minStoneSize + avgGap));
         
-        for (let i = 0; i < stoneCount && currentZ < startZ + length - maxStoneSize - SPACING.MIN_EDGE_GAP; i++) {
+        for (let i = 0; i < stoneCount && currentZ < startZ + length - maxStoneSize - gapMin; i++) {
             const stoneWidth = this.randomRange(minStoneSize, maxStoneSize);
             const stoneLength = this.randomRange(minStoneSize, maxStoneSize);
             
@@ -320,21 +926,20 @@ export class ChunkGenerator {
                 // So if xDist is large, reduce zDist proportionally
                 const maxTotalDist = 10; // Leave some margin from max 12
                 const maxZDist = Math.sqrt(maxTotalDist * maxTotalDist - xDistance * xDistance);
-                const minZGap = SPACING.MIN_EDGE_GAP * 0.7; // Smaller Z gap since diagonal
-                const maxZGap = Math.min(SPACING.MAX_EDGE_GAP * 0.8, maxZDist);
+                const minZGap = gapMin * 0.7; // Smaller Z gap since diagonal
+                const maxZGap = Math.min(gapMax * 0.8, maxZDist);
                 const gap = this.randomRange(minZGap, Math.max(minZGap, maxZGap));
                 platCenterZ = currentZ + lastPlatLength / 2 + gap + stoneLength / 2;
             }
             
-            // Slight height variation
-            const heightChange = this.randomRange(-0.5, 1);
+            // Slight height variation (grows with difficulty)
+            const heightChange = this.randomRange(-0.5, 1) * heightScale;
             currentHeight = Math.max(0, Math.min(PARKOUR.HEIGHT_MAX, currentHeight + heightChange));
             
-            const platform = new BasicPlatform({
+            const platform = platformAssets.acquire(BasicPlatform, {
                 width: stoneWidth,
                 length: stoneLength,
                 position: new THREE.Vector3(targetX, currentHeight, platCenterZ),
-                rotation: rotation,
             });
             
             chunk.platforms.push(platform);
@@ -354,14 +959,15 @@ export class ChunkGenerator {
      * Ramps connect directly to platforms, with space for running before jumps
      */
     generateRampPattern(chunk, config, goingUp) {
-        const { startZ, length, startHeight, rotation } = config;
+        const { startZ, length, startHeight } = config;
         
         // Platform dimensions - larger for running approach
+        const { gapMin, platformScale, heightScale } = this.difficulty;
         const startPlatLength = 10;  // Enough room to build up running speed
-        const startPlatWidth = 6;
+        const startPlatWidth = 6 * platformScale;
         const endPlatLength = 10;    // Landing platform with room to continue running
-        const endPlatWidth = 6;
-        const rampWidth = 5;
+        const endPlatWidth = 6 * platformScale;
+        const rampWidth = 5 * platformScale;
         
         // Calculate ramp length for comfortable running
         const connectionOverlap = 0.5; // Overlap for seamless transition
@@ -378,50 +984,46 @@ export class ChunkGenerator {
         const endPlatZ = rampZ + rampLength / 2 - connectionOverlap + endPlatLength / 2;
         
         // Height calculations
-        const heightChange = goingUp ? this.randomRange(3, 5) : -this.randomRange(3, 5);
+        const heightChange = (goingUp ? 1 : -1) * this.randomRange(3, 5) * heightScale;
         const endHeight = Math.max(0.5, Math.min(PARKOUR.HEIGHT_MAX, startHeight + heightChange));
         
         // Starting platform - long enough for approach run
-        const startPlat = new BasicPlatform({
+        const startPlat = platformAssets.acquire(BasicPlatform, {
             width: startPlatWidth,
             length: startPlatLength,
             position: new THREE.Vector3(0, startHeight, startPlatZ),
-            rotation: rotation,
         });
         chunk.platforms.push(startPlat);
         chunk.obstacles.push(startPlat.getCollisionMesh());
         
         // Ramp - connects start platform to end platform
-        const ramp = new RampPlatform({
+        const ramp = platformAssets.acquire(RampPlatform, {
             width: rampWidth,
             length: rampLength,
             heightStart: startHeight + PARKOUR.PLATFORM_HEIGHT / 2,
             heightEnd: endHeight + PARKOUR.PLATFORM_HEIGHT / 2,
             position: new THREE.Vector3(0, 0, rampZ),
-            rotation: rotation,
         });
         chunk.platforms.push(ramp);
         chunk.obstacles.push(ramp.getCollisionMesh());
         
         // End platform - large for running continuation
-        const endPlat = new BasicPlatform({
+        const endPlat = platformAssets.acquire(BasicPlatform, {
             width: endPlatWidth,
             length: endPlatLength,
             position: new THREE.Vector3(0, endHeight, endPlatZ),
-            rotation: rotation,
         });
         chunk.platforms.push(endPlat);
         chunk.obstacles.push(endPlat.getCollisionMesh());
         
         // Add a follow-up platform with running jump gap
-        const followUpLength = 8;
-        const followUpZ = endPlatZ + endPlatLength / 2 + SPACING.MIN_EDGE_GAP + followUpLength / 2;
+        const followUpLength = 8 * platformScale;
+        const followUpZ = endPlatZ + endPlatLength / 2 + gapMin + followUpLength / 2;
         if (followUpZ < startZ + length - followUpLength) {
-            const followUpPlat = new BasicPlatform({
-                width: 6,
+            const followUpPlat = platformAssets.acquire(BasicPlatform, {
+                width: 6 * platformScale,
                 length: followUpLength,
                 position: new THREE.Vector3(0, endHeight, followUpZ),
-                rotation: rotation,
             });
             chunk.platforms.push(followUpPlat);
             chunk.obstacles.push(followUpPlat.getCollisionMesh());
@@ -434,70 +1036,72 @@ export class ChunkGenerator {
      * Generate bounce pad pattern with running approach
      */
     generateBouncePattern(chunk, config) {
-        const { startZ, length, startHeight, rotation } = config;
+        const { startZ, length, startHeight } = config;
         
         // Platform dimensions - larger for running approach
+        const { gapMin, platformScale } = this.difficulty;
         const approachPlatLength = 12; // Long approach for running jump onto bounce pad
         const approachPlatWidth = 6;
         const bouncePadLength = 4;
         const bouncePadWidth = 4;
-        const landingPlatLength = 10; // Large landing zone
-        const landingPlatWidth = 8;
-        const endPlatLength = 8;
-        const endPlatWidth = 6;
+        const landingPlatLength = 10 * platformScale; // Large landing zone
+        const landingPlatWidth = 8 * platformScale;
+        const endPlatLength = 8 * platformScale;
+        const endPlatWidth = 6 * platformScale;
         
         // Position calculations with running jump spacing
         const approachPlatZ = startZ + approachPlatLength / 2;
         
         // Bounce pad after running jump from approach platform
-        const bouncePadZ = approachPlatZ + approachPlatLength / 2 + SPACING.MIN_EDGE_GAP + bouncePadLength / 2;
+        const bouncePadZ = approachPlatZ + approachPlatLength / 2 + gapMin + bouncePadLength / 2;
         
-        // Landing platform for the high bounce - bounce covers significant distance
-        const bounceDistance = 15; // Running + bounce distance
+        // Landing platform for the high bounce - within the bounce's simulated reach,
+        // measured from the back of the pad so any bounce point makes it
+        const landingHeight = startHeight + 5;
+        const padTop = startHeight + 0.3 + 0.1;
+        const landingTop = landingHeight + PARKOUR.PLATFORM_HEIGHT / 2;
+        const bounceReach = this.validator.getMaxReach(PARKOUR.BOUNCE_FORCE, landingTop - padTop);
+        const maxBounceGap = Math.max(0, bounceReach - bouncePadLength - VALIDATION.BOUNCE_REACH_MARGIN);
+        const bounceDistance = this.randomRange(maxBounceGap * 0.5, maxBounceGap);
         const landingPlatZ = bouncePadZ + bouncePadLength / 2 + bounceDistance + landingPlatLength / 2;
         
         // End platform with running jump spacing from landing
-        const endPlatZ = landingPlatZ + landingPlatLength / 2 + SPACING.MIN_EDGE_GAP + endPlatLength / 2;
+        const endPlatZ = landingPlatZ + landingPlatLength / 2 + gapMin + endPlatLength / 2;
         
         // Approach platform - long runway before bounce pad
-        const approachPlat = new BasicPlatform({
+        const approachPlat = platformAssets.acquire(BasicPlatform, {
             width: approachPlatWidth,
             length: approachPlatLength,
             position: new THREE.Vector3(0, startHeight, approachPlatZ),
-            rotation: rotation,
         });
         chunk.platforms.push(approachPlat);
         chunk.obstacles.push(approachPlat.getCollisionMesh());
         
         // Bounce pad - player runs and jumps onto this
-        const bouncePad = new BouncePad({
+        const bouncePad = platformAssets.acquire(BouncePad, {
             width: bouncePadWidth,
             length: bouncePadLength,
             position: new THREE.Vector3(0, startHeight + 0.3, bouncePadZ),
-            rotation: rotation,
             bounceForce: PARKOUR.BOUNCE_FORCE,
         });
         chunk.platforms.push(bouncePad);
         chunk.obstacles.push(bouncePad.getCollisionMesh());
         
         // High landing platform - elevated target
-        const landingHeight = startHeight + 5;
-        const landingPlat = new BasicPlatform({
+        const landingPlat = platformAssets.acquire(BasicPlatform, {
             width: landingPlatWidth,
             length: landingPlatLength,
             position: new THREE.Vector3(0, landingHeight, landingPlatZ),
-            rotation: rotation,
         });
         chunk.platforms.push(landingPlat);
         chunk.obstacles.push(landingPlat.getCollisionMesh());
         
         // End platform with running jump gap
         if (endPlatZ < startZ + length - endPlatLength / 2) {
-            const endPlat = new BasicPlatform({
+            const endPlat = platformAssets.acquire(BasicPlatform, {
                 width: endPlatWidth,
                 length: endPlatLength,
                 position: new THREE.Vector3(0, landingHeight, endPlatZ),
-                rotation: rotation,
             });
             chunk.platforms.push(endPlat);
             chunk.obstacles.push(endPlat.getCollisionMesh());
@@ -510,23 +1114,24 @@ export class ChunkGenerator {
      * Generate wall run pattern with running approach
      */
     generateWallRunPattern(chunk, config) {
-        const { startZ, length, startHeight, rotation } = config;
+        const { startZ, length, startHeight } = config;
         
         // Platform dimensions - larger for running momentum
+        const { gapMin, platformScale } = this.difficulty;
         const approachPlatLength = 12; // Long runway to build speed for wall run
         const approachPlatWidth = 6;
         const wallLength = 18;  // Longer wall for satisfying wall run
         const wallHeight = 7;
-        const landingPlatLength = 10; // Large landing zone
-        const landingPlatWidth = 6;
-        const endPlatLength = 8;
-        const endPlatWidth = 6;
+        const landingPlatLength = 10 * platformScale; // Large landing zone
+        const landingPlatWidth = 6 * platformScale;
+        const endPlatLength = 8 * platformScale;
+        const endPlatWidth = 6 * platformScale;
         
         // Position calculations with running approach
         const approachPlatZ = startZ + approachPlatLength / 2;
         
         // Wall run segment (on left or right randomly)
-        const side = Math.random() > 0.5 ? 'left' : 'right';
+        const side = this.random.chance(0.5) ? 'left' : 'right';
         const wallX = side === 'left' ? -3 : 3; // Wall closer to center for easier access
         
         // Wall starts with approach distance for running jump onto wall
@@ -538,46 +1143,42 @@ export class ChunkGenerator {
         const landingPlatZ = wallZ + wallLength / 2 + 2 + landingPlatLength / 2;
         
         // End platform with running jump spacing
-        const endPlatZ = landingPlatZ + landingPlatLength / 2 + SPACING.MIN_EDGE_GAP + endPlatLength / 2;
+        const endPlatZ = landingPlatZ + landingPlatLength / 2 + gapMin + endPlatLength / 2;
         
         // Approach platform - long runway for building speed
-        const approachPlat = new BasicPlatform({
+        const approachPlat = platformAssets.acquire(BasicPlatform, {
             width: approachPlatWidth,
             length: approachPlatLength,
             position: new THREE.Vector3(0, startHeight, approachPlatZ),
-            rotation: rotation,
         });
         chunk.platforms.push(approachPlat);
         chunk.obstacles.push(approachPlat.getCollisionMesh());
         
         // Wall run segment
-        const wall = new WallRunSegment({
+        const wall = platformAssets.acquire(WallRunSegment, {
             length: wallLength,
             height: wallHeight,
             position: new THREE.Vector3(wallX, startHeight, wallZ),
-            rotation: rotation,
             side: side,
         });
         chunk.platforms.push(wall);
         chunk.obstacles.push(wall.getCollisionMesh());
         
         // Landing platform on the opposite side
-        const landingPlat = new BasicPlatform({
+        const landingPlat = platformAssets.acquire(BasicPlatform, {
             width: landingPlatWidth,
             length: landingPlatLength,
             position: new THREE.Vector3(landingX, startHeight, landingPlatZ),
-            rotation: rotation,
         });
         chunk.platforms.push(landingPlat);
         chunk.obstacles.push(landingPlat.getCollisionMesh());
         
         // End platform back to center with running jump gap
         if (endPlatZ < startZ + length - endPlatLength / 2) {
-            const endPlat = new BasicPlatform({
+            const endPlat = platformAssets.acquire(BasicPlatform, {
                 width: endPlatWidth,
                 length: endPlatLength,
                 position: new THREE.Vector3(0, startHeight, endPlatZ),
-                rotation: rotation,
             });
             chunk.platforms.push(endPlat);
             chunk.obstacles.push(endPlat.getCollisionMesh());
@@ -586,19 +1187,152 @@ export class ChunkGenerator {
         chunk.endHeight = startHeight;
     }
 
+    /**
+     * Generate a climb wall: a runway, a short gap, and a wall too tall to jump
+     * standing across the path in front of a higher platform. The player
+     * sprints and jumps into the wall, climbs it and mantles over the top,
+     * then drops back down to the next platform.
+     */
+    generateClimbWallPattern(chunk, config) {
+        const { startZ, length, startHeight } = config;
+        
+        const { gapMin, platformScale } = this.difficulty;
+        const approachPlatLength = 10; // Room to reach sprint speed
+        const approachPlatWidth = 6 * platformScale;
+        const topPlatLength = 8 * platformScale;
+        const topPlatWidth = 6 * platformScale;
+        const followUpLength = 8 * platformScale;
+        const wallThickness = 1;
+        
+        // Out of reach of a jump and ledge grab, within reach of a climb
+        const rise = this.randomRange(7, 9);
+        const topHeight = startHeight + rise;
+        
+        const approachPlatZ = startZ + approachPlatLength / 2;
+        const wallZ = approachPlatZ + approachPlatLength / 2 + SPACING.CLIMB_APPROACH + wallThickness / 2;
+        const topPlatZ = wallZ + wallThickness / 2 + topPlatLength / 2;
+        const followUpZ = topPlatZ + topPlatLength / 2 + gapMin + followUpLength / 2;
+        
+        // Approach platform - runway for the sprint
+        const approachPlat = platformAssets.acquire(BasicPlatform, {
+            width: approachPlatWidth,
+            length: approachPlatLength,
+            position: new THREE.Vector3(0, startHeight, approachPlatZ),
+        });
+        chunk.platforms.push(approachPlat);
+        chunk.obstacles.push(approachPlat.getCollisionMesh());
+        
+        // Climb wall - rotated so its glowing face looks back down the path,
+        // rising out of the gap to the top platform's surface
+        const wallBottom = startHeight - 4;
+        const wall = platformAssets.acquire(WallRunSegment, {
+            length: topPlatWidth,
+            height: topHeight + PARKOUR.PLATFORM_HEIGHT / 2 - wallBottom,
+            thickness: wallThickness,
+            position: new THREE.Vector3(0, wallBottom, wallZ),
+            rotation: Math.PI / 2,
+            climb: true,
+        });
+        chunk.platforms.push(wall);
+        chunk.obstacles.push(wall.getCollisionMesh());
+        
+        // Top platform flush behind the wall
+        const topPlat = platformAssets.acquire(BasicPlatform, {
+            width: topPlatWidth,
+            length: topPlatLength,
+            position: new THREE.Vector3(0, topHeight, topPlatZ),
+        });
+        chunk.platforms.push(topPlat);
+        chunk.obstacles.push(topPlat.getCollisionMesh());
+        
+        // Drop back down to the starting height
+        if (followUpZ < startZ + length - followUpLength / 2) {
+            const followUpPlat = platformAssets.acquire(BasicPlatform, {
+                width: 6 * platformScale,
+                length: followUpLength,
+                position: new THREE.Vector3(0, startHeight, followUpZ),
+            });
+            chunk.platforms.push(followUpPlat);
+            chunk.obstacles.push(followUpPlat.getCollisionMesh());
+            chunk.endHeight = startHeight;
+        } else {
+            chunk.endHeight = topHeight;
+        }
+    }
+
+    /**
+     * Generate a grapple gap: a runway, a gap too wide to jump with a grapple
+     * point hanging over its middle, and a landing platform on the far side.
+     * The player hooks the point, swings across and lets go over the landing.
+     */
+    generateGrappleGapPattern(chunk, config) {
+        const { startZ, length, startHeight } = config;
+        
+        const { gapMin, platformScale } = this.difficulty;
+        const approachPlatLength = 8;
+        const platWidth = 6 * platformScale;
+        const landingLength = 10 * platformScale; // Swings come in fast
+        const followUpLength = 8 * platformScale;
+        
+        const gap = this.randomRange(PARKOUR.GRAPPLE_GAP_MIN, PARKOUR.GRAPPLE_GAP_MAX);
+        
+        const approachPlatZ = startZ + approachPlatLength / 2;
+        const gapStartZ = approachPlatZ + approachPlatLength / 2;
+        const landingZ = gapStartZ + gap + landingLength / 2;
+        const followUpZ = landingZ + landingLength / 2 + gapMin + followUpLength / 2;
+        
+        // Approach platform - runway for the swing
+        const approachPlat = platformAssets.acquire(BasicPlatform, {
+            width: platWidth,
+            length: approachPlatLength,
+            position: new THREE.Vector3(0, startHeight, approachPlatZ),
+        });
+        chunk.platforms.push(approachPlat);
+        chunk.obstacles.push(approachPlat.getCollisionMesh());
+        
+        // Hook point over the middle of the gap (not solid, so no obstacle)
+        const point = platformAssets.acquire(GrapplePoint, {
+            position: new THREE.Vector3(0, startHeight + PARKOUR.GRAPPLE_POINT_HEIGHT, gapStartZ + gap / 2),
+        });
+        chunk.platforms.push(point);
+        
+        // Landing platform across the gap
+        const landingPlat = platformAssets.acquire(BasicPlatform, {
+            width: platWidth,
+            length: landingLength,
+            position: new THREE.Vector3(0, startHeight, landingZ),
+        });
+        chunk.platforms.push(landingPlat);
+        chunk.obstacles.push(landingPlat.getCollisionMesh());
+        
+        // A normal jump on afterwards
+        if (followUpZ < startZ + length - followUpLength / 2) {
+            const followUpPlat = platformAssets.acquire(BasicPlatform, {
+                width: platWidth,
+                length: followUpLength,
+                position: new THREE.Vector3(0, startHeight, followUpZ),
+            });
+            chunk.platforms.push(followUpPlat);
+            chunk.obstacles.push(followUpPlat.getCollisionMesh());
+        }
+        
+        chunk.endHeight = startHeight;
+    }
+
     /**
      * Generate zigzag pattern with running jump spacing
      */
     generateZigzagPattern(chunk, config) {
-        const { startZ, length, startHeight, rotation } = config;
+        const { startZ, length, startHeight } = config;
         
         let currentZ = startZ;
         let currentHeight = startHeight;
-        const direction = Math.random() > 0.5 ? 1 : -1;
+        const direction = this.random.chance(0.5) ? 1 : -1;
         
         // Platform dimensions - larger for running jump landings
-        const platWidth = 6;
-        const platLength = 8; // Long enough for running approach
+        const { gapMin, gapMax, platformScale } = this.difficulty;
+        const platWidth = 6 * platformScale;
+        const platLength = 8 * platformScale; // Long enough for running approach
         
         // Calculate spacing for diagonal running jumps
         // Platforms are offset on X, so total jump distance = sqrt(xDist^2 + zDist^2)
@@ -606,8 +1340,8 @@ export class ChunkGenerator {
         const maxTotalJumpDist = 11; // Leave margin from max ~12 units
         const maxZDist = Math.sqrt(maxTotalJumpDist * maxTotalJumpDist - xSeparation * xSeparation);
         
-        const minZGap = 4; // Minimum Z gap for diagonal running jump
-        const maxZGap = Math.min(7, maxZDist); // Cap based on diagonal distance
+        const minZGap = Math.min(gapMin * 0.8, maxZDist); // Minimum Z gap for diagonal running jump
+        const maxZGap = Math.min(gapMax * 0.78, maxZDist); // Cap based on diagonal distance
         
         // Calculate how many platforms fit
         const avgSpacing = platLength + (minZGap + maxZGap) / 2;
@@ -628,11 +1362,10 @@ export class ChunkGenerator {
                 platCenterZ = currentZ + lastPlatLength / 2 + gap + platLength / 2;
             }
             
-            const platform = new BasicPlatform({
+            const platform = platformAssets.acquire(BasicPlatform, {
                 width: platWidth,
                 length: platLength,
                 position: new THREE.Vector3(xOffset, currentHeight, platCenterZ),
-                rotation: rotation,
             });
             
             chunk.platforms.push(platform);
@@ -645,6 +1378,301 @@ export class ChunkGenerator {
         chunk.endHeight = currentHeight;
     }
 
+    /**
+     * Generate shuttle pattern - ride a platform ferrying across a gap too wide to jump
+     */
+    generateShuttlePattern(chunk, config) {
+        const { startZ, length, startHeight } = config;
+        
+        const { gapMin, gapMax, platformScale } = this.difficulty;
+        const approachPlatLength = 8 * platformScale; // Runway to time the jump on
+        const approachPlatWidth = 6 * platformScale;
+        const shuttleSize = 4.5 * platformScale;
+        const landingPlatLength = 8 * platformScale;
+        const landingPlatWidth = 6 * platformScale;
+        
+        // Short hop onto the shuttle (it's a moving target) and off the far end
+        const boardGap = gapMin * 0.6;
+        const exitGap = this.randomRange(gapMin, gapMax) * 0.6;
+        
+        // Travel fills whatever the chunk has left once the fixed pieces are placed
+        const fixedLength = approachPlatLength + boardGap + shuttleSize + exitGap + landingPlatLength;
+        const travel = Math.max(6, Math.min(16, length - fixedLength));
+        const farX = this.randomRange(-4, 4);
+        
+        const approachPlatZ = startZ + approachPlatLength / 2;
+        const nearZ = approachPlatZ + approachPlatLength / 2 + boardGap + shuttleSize / 2;
+        const farZ = nearZ + travel;
+        const landingPlatZ = farZ + shuttleSize / 2 + exitGap + landingPlatLength / 2;
+        
+        // Approach platform
+        const approachPlat = platformAssets.acquire(BasicPlatform, {
+            width: approachPlatWidth,
+            length: approachPlatLength,
+            position: new THREE.Vector3(0, startHeight, approachPlatZ),
+        });
+        chunk.platforms.push(approachPlat);
+        chunk.obstacles.push(approachPlat.getCollisionMesh());
+        
+        // Shuttle - ferries back and forth across the gap
+        const shuttle = platformAssets.acquire(MovingPlatform, {
+            motion: 'path',
+            width: shuttleSize,
+            length: shuttleSize,
+            path: [
+                new THREE.Vector3(0, startHeight, nearZ),
+                new THREE.Vector3(farX, startHeight, farZ),
+            ],
+            speed: PARKOUR.SHUTTLE_SPEED,
+            phase: this.random.next(),
+        });
+        chunk.platforms.push(shuttle);
+        chunk.obstacles.push(shuttle.getCollisionMesh());
+        
+        // Landing platform past the shuttle's far stop
+        if (landingPlatZ < startZ + length) {
+            const landingPlat = platformAssets.acquire(BasicPlatform, {
+                width: landingPlatWidth,
+                length: landingPlatLength,
+                position: new THREE.Vector3(farX, startHeight, landingPlatZ),
+            });
+            chunk.platforms.push(landingPlat);
+            chunk.obstacles.push(landingPlat.getCollisionMesh());
+        }
+        
+        chunk.endHeight = startHeight;
+    }
+
+    /**
+     * Generate elevator pattern - ride up to a ledge too high to jump to
+     */
+    generateElevatorPattern(chunk, config) {
+        const { startZ, length, startHeight } = config;
+        
+        const { gapMin, gapMax, platformScale, heightScale } = this.difficulty;
+        const approachPlatLength = 8 * platformScale;
+        const approachPlatWidth = 6 * platformScale;
+        const elevatorSize = 5 * platformScale;
+        const upperPlatLength = 8 * platformScale;
+        const upperPlatWidth = 6 * platformScale;
+        
+        // Rise is well above the ~3 unit jump step-up, so the ride is required
+        const rise = Math.min(6, this.randomRange(4, 5) * heightScale);
+        const topHeight = startHeight + rise;
+        
+        const approachPlatZ = startZ + approachPlatLength / 2;
+        const elevatorZ = approachPlatZ + approachPlatLength / 2 + gapMin * 0.5 + elevatorSize / 2;
+        const upperPlatZ = elevatorZ + elevatorSize / 2 + this.randomRange(gapMin, gapMax) * 0.5 + upperPlatLength / 2;
+        
+        // Approach platform
+        const approachPlat = platformAssets.acquire(BasicPlatform, {
+            width: approachPlatWidth,
+            length: approachPlatLength,
+            position: new THREE.Vector3(0, startHeight, approachPlatZ),
+        });
+        chunk.platforms.push(approachPlat);
+        chunk.obstacles.push(approachPlat.getCollisionMesh());
+        
+        // Elevator - rises from the approach height to the upper ledge
+        const elevator = platformAssets.acquire(MovingPlatform, {
+            motion: 'path',
+            width: elevatorSize,
+            length: elevatorSize,
+            path: [
+                new THREE.Vector3(0, startHeight, elevatorZ),
+                new THREE.Vector3(0, topHeight, elevatorZ),
+            ],
+            speed: PARKOUR.ELEVATOR_SPEED,
+            phase: this.random.next(),
+        });
+        chunk.platforms.push(elevator);
+        chunk.obstacles.push(elevator.getCollisionMesh());
+        
+        // Upper platform
+        if (upperPlatZ < startZ + length) {
+            const upperPlat = platformAssets.acquire(BasicPlatform, {
+                width: upperPlatWidth,
+                length: upperPlatLength,
+                position: new THREE.Vector3(0, topHeight, upperPlatZ),
+            });
+            chunk.platforms.push(upperPlat);
+            chunk.obstacles.push(upperPlat.getCollisionMesh());
+        }
+        
+        chunk.endHeight = topHeight;
+    }
+
+    /**
+     * Generate rotating disks pattern - a run of spinning disks that drag the player sideways
+     */
+    generateRotatingDisksPattern(chunk, config) {
+        const { startZ, length, startHeight } = config;
+        
+        const { gapMin, gapMax, platformScale, heightScale } = this.difficulty;
+        const approachPlatLength = 8 * platformScale;
+        const approachPlatWidth = 6 * platformScale;
+        
+        const approachPlatZ = startZ + approachPlatLength / 2;
+        const approachPlat = platformAssets.acquire(BasicPlatform, {
+            width: approachPlatWidth,
+            length: approachPlatLength,
+            position: new THREE.Vector3(0, startHeight, approachPlatZ),
+        });
+        chunk.platforms.push(approachPlat);
+        chunk.obstacles.push(approachPlat.getCollisionMesh());
+        
+        let currentZ = approachPlatZ + approachPlatLength / 2;
+        let currentHeight = startHeight;
+        let spinDirection = this.random.chance(0.5) ? 1 : -1;
+        
+        for (let i = 0; i < 4; i++) {
+            const radius = this.randomRange(3, 4.5) * platformScale;
+            const gap = this.randomRange(gapMin, gapMax) * 0.7;
+            const diskZ = currentZ + gap + radius;
+            
+            if (diskZ + radius > startZ + length) break;
+            
+            currentHeight = Math.max(0, Math.min(PARKOUR.HEIGHT_MAX, currentHeight + this.randomRange(-0.5, 1) * heightScale));
+            
+            const disk = platformAssets.acquire(MovingPlatform, {
+                motion: 'spin',
+                radius: radius,
+                position: new THREE.Vector3(this.randomRange(-2, 2), currentHeight, diskZ),
+                spinSpeed: PARKOUR.DISK_SPIN_SPEED * spinDirection * this.randomRange(0.8, 1.3),
+                phase: this.random.next(),
+            });
+            chunk.platforms.push(disk);
+            chunk.obstacles.push(disk.getCollisionMesh());
+            
+            // Alternate spin so the drag doesn't always push the same way
+            spinDirection = -spinDirection;
+            currentZ = diskZ + radius;
+        }
+        
+        chunk.endHeight = currentHeight;
+    }
+
+    /**
+     * Generate crumble run pattern - platforms that fall away shortly after landing,
+     * so the player has to keep moving forward
+     */
+    generateCrumbleRunPattern(chunk, config) {
+        const { startZ, length, startHeight } = config;
+        
+        const { gapMin, gapMax, platformScale } = this.difficulty;
+        const approachPlatLength = 8 * platformScale;
+        const approachPlatWidth = 6 * platformScale;
+        const endPlatLength = 8 * platformScale;
+        const endPlatWidth = 6 * platformScale;
+        
+        const approachPlatZ = startZ + approachPlatLength / 2;
+        const approachPlat = platformAssets.acquire(BasicPlatform, {
+            width: approachPlatWidth,
+            length: approachPlatLength,
+            position: new THREE.Vector3(0, startHeight, approachPlatZ),
+        });
+        chunk.platforms.push(approachPlat);
+        chunk.obstacles.push(approachPlat.getCollisionMesh());
+        
+        let currentZ = approachPlatZ + approachPlatLength / 2;
+        let currentX = 0;
+        
+        // Short, quick hops - there's no time to stop and line up a long jump
+        for (let i = 0; i < 6; i++) {
+            const size = this.randomRange(3.5, 5) * platformScale;
+            const gap = this.randomRange(gapMin, gapMax) * 0.55;
+            const platZ = currentZ + gap + size / 2;
+            
+            // Leave room for the solid platform at the end
+            if (platZ + size / 2 + gapMin * 0.55 + endPlatLength > startZ + length) break;
+            
+            currentX = Math.max(-4, Math.min(4, currentX + this.randomRange(-2, 2)));
+            
+            const crumble = platformAssets.acquire(CrumblePlatform, {
+                width: size,
+                length: size,
+                position: new THREE.Vector3(currentX, startHeight, platZ),
+            });
+            chunk.platforms.push(crumble);
+            chunk.obstacles.push(crumble.getCollisionMesh());
+            
+            currentZ = platZ + size / 2;
+        }
+        
+        // Solid ground to recover on
+        const endPlatZ = currentZ + gapMin * 0.55 + endPlatLength / 2;
+        const endPlat = platformAssets.acquire(BasicPlatform, {
+            width: endPlatWidth,
+            length: endPlatLength,
+            position: new THREE.Vector3(currentX, startHeight, endPlatZ),
+        });
+        chunk.platforms.push(endPlat);
+        chunk.obstacles.push(endPlat.getCollisionMesh());
+        
+        chunk.endHeight = startHeight;
+    }
+
+    /**
+     * Generate blink sequence pattern - platforms phase in one after another,
+     * a wave the player has to ride at running pace
+     */
+    generateBlinkSequencePattern(chunk, config) {
+        const { startZ, length, startHeight } = config;
+        
+        const { gapMin, gapMax, platformScale } = this.difficulty;
+        const approachPlatLength = 8 * platformScale;
+        const approachPlatWidth = 6 * platformScale;
+        const endPlatLength = 8 * platformScale;
+        const endPlatWidth = 6 * platformScale;
+        
+        // Each platform turns solid this much later than the one before it,
+        // roughly one running jump plus a step
+        const hopTime = 0.9;
+        const cycleOffset = this.randomRange(0, PARKOUR.BLINK_SOLID_TIME + PARKOUR.BLINK_GHOST_TIME);
+        
+        const approachPlatZ = startZ + approachPlatLength / 2;
+        const approachPlat = platformAssets.acquire(BasicPlatform, {
+            width: approachPlatWidth,
+            length: approachPlatLength,
+            position: new THREE.Vector3(0, startHeight, approachPlatZ),
+        });
+        chunk.platforms.push(approachPlat);
+        chunk.obstacles.push(approachPlat.getCollisionMesh());
+        
+        let currentZ = approachPlatZ + approachPlatLength / 2;
+        
+        for (let i = 0; i < 5; i++) {
+            const platLength = this.randomRange(4, 5.5) * platformScale;
+            const platWidth = this.randomRange(4, 6) * platformScale;
+            const gap = this.randomRange(gapMin, gapMax) * 0.7;
+            const platZ = currentZ + gap + platLength / 2;
+            
+            if (platZ + platLength / 2 + gapMin * 0.7 + endPlatLength > startZ + length) break;
+            
+            const blink = platformAssets.acquire(BlinkPlatform, {
+                width: platWidth,
+                length: platLength,
+                position: new THREE.Vector3(0, startHeight, platZ),
+                timeOffset: cycleOffset - i * hopTime,
+            });
+            chunk.platforms.push(blink);
+            chunk.obstacles.push(blink.getCollisionMesh());
+            
+            currentZ = platZ + platLength / 2;
+        }
+        
+        const endPlatZ = currentZ + gapMin * 0.7 + endPlatLength / 2;
+        const endPlat = platformAssets.acquire(BasicPlatform, {
+            width: endPlatWidth,
+            length: endPlatLength,
+            position: new THREE.Vector3(0, startHeight, endPlatZ),
+        });
+        chunk.platforms.push(endPlat);
+        chunk.obstacles.push(endPlat.getCollisionMesh());
+        
+        chunk.endHeight = startHeight;
+    }
+
     /**
      * Generate the starting chunk (larger, safer) with running jump training
      */
@@ -670,6 +1698,7 @@ export class ChunkGenerator {
             platforms: [],
             obstacles: [],
             checkpoints: [],
+            exits: [],
             endHeight: 0,
             endZ: easy3Z + easyPlatLength / 2 + SPACING.MIN_EDGE_GAP,
         };
@@ -677,11 +1706,10 @@ export class ChunkGenerator {
         // Create a large checkpoint as the starting platform
         // Use a custom-sized checkpoint for the start
         this.checkpointCount++;
-        const startCheckpoint = new CheckpointPlatform({
+        const startCheckpoint = platformAssets.acquire(CheckpointPlatform, {
             width: startCheckpointWidth,
             length: startCheckpointLength,
             position: new THREE.Vector3(0, 0, startCheckpointZ),
-            rotation: 0,
             checkpointId: this.checkpointCount,
         });
         this.checkpoints.push(startCheckpoint);
@@ -700,24 +1728,29 @@ export class ChunkGenerator {
         ];
         
         easyPlatforms.forEach(p => {
-            const platform = new BasicPlatform({
+            const platform = platformAssets.acquire(BasicPlatform, {
                 width: p.w,
                 length: p.l,
                 position: new THREE.Vector3(p.x, 0, p.z),
-                rotation: 0,
             });
             chunk.platforms.push(platform);
             chunk.obstacles.push(platform.getCollisionMesh());
         });
         
+        // The last easy platform is what the first generated chunk is validated against
+        const exitSurface = chunk.platforms[chunk.platforms.length - 1].getJumpSurface();
+        this.exitSurfaces = [exitSurface];
+        this.exitChunkLength = chunk.endZ;
+        chunk.exits = [{ x: exitSurface.x, z: exitSurface.z, height: exitSurface.topEnd }];
+        
         return chunk;
     }
 
     /**
-     * Random range helper
+     * Random range helper (seeded)
      */
     randomRange(min, max) {
-        return min + Math.random() * (max - min);
+        return this.random.range(min, max);
     }
 }
 
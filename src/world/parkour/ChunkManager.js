@@ -2,100 +2,198 @@
  * ChunkManager - Manages chunk lifecycle and world progression
  * 
  * Handles generating chunks ahead of the player and disposing old ones.
+ * Chunks are generated in chunk-local space and placed along a winding path:
+ * each chunk has a world origin and a heading, and the next chunk starts
+ * where the previous one ends. Progress is measured along the path, not Z.
  */
 
 import * as THREE from 'three';
 import { PARKOUR } from '../../config/Constants.js';
 import { ChunkGenerator } from './ChunkGenerator.js';
+import { DifficultyCurve } from './DifficultyCurve.js';
+import { ZoneThemes } from './ZoneThemes.js';
+import { GlowBatch } from './GlowBatch.js';
+import { platformAssets } from './PlatformAssets.js';
+import { SeededRandom } from '../../systems/SeededRandom.js';
 import { globalEvents, Events } from '../../systems/EventBus.js';
 
 export class ChunkManager {
-    constructor(scene) {
+    /**
+     * @param {THREE.Scene} scene - Scene to add chunks to
+     * @param {number} seed - Course seed (same seed = same course)
+     */
+    constructor(scene, seed = SeededRandom.randomSeed()) {
         this.scene = scene;
-        this.generator = new ChunkGenerator();
+        
+        // Single seeded stream drives every layout decision so a seed
+        // always reproduces the exact same chunk sequence
+        this.random = new SeededRandom(seed);
+        this.generator = new ChunkGenerator(this.random);
+        
+        // Difficulty ramps with distance along the course
+        this.difficultyCurve = new DifficultyCurve();
+        
+        // Themed zones the course passes through
+        this.zones = new ZoneThemes();
+        this.chunkNumber = 0;         // Chunks placed so far (the start chunk is 0)
         
         // Active chunks
         this.chunks = [];
         
-        // World state
-        this.currentZ = 0;
+        // Every static edge glow in the course, drawn as one instanced mesh
+        this.glowBatch = new GlowBatch(scene);
+        this.lastChunkAllocations = 0;  // GPU resources / platforms created by the last chunk
+        
+        // Path state (where the next chunk attaches)
+        this.currentOrigin = new THREE.Vector3();
+        this.currentHeading = 0;      // Radians, 0 = +Z
+        this.currentDistance = 0;     // Path distance at the next chunk's start
         this.currentHeight = 0;
-        this.currentRotation = 0;
+        this.currentExits = [];       // World positions of each route out of the last chunk
         this.totalDistance = 0;
+        this.playerDistance = 0;      // Player's path distance as of the last update
         
         // All collision obstacles
         this.allObstacles = [];
+        
+        // Grappling hook targets (not solid, so kept apart from the obstacles)
+        this.allGrapplePoints = [];
+        
+        // Reusable vectors
+        this._offset = new THREE.Vector3();
+        
+        // Crumbling platforms react to the player landing on them
+        this._onPlayerLand = this.onPlayerLand.bind(this);
+        globalEvents.on(Events.PLAYER_LAND, this._onPlayerLand);
     }
 
     /**
      * Initialize with starting chunk
+     * @param {number} [seed] - Optional seed to start the course from
      */
-    init() {
+    init(seed) {
+        if (seed !== undefined) {
+            this.random.setSeed(seed);
+        }
+        
         // Generate starting chunk
         const startChunk = this.generator.generateStartChunk();
-        this.addChunk(startChunk, 0);
-        
-        this.currentZ = startChunk.endZ;
-        this.currentHeight = startChunk.endHeight;
+        this.addChunk(startChunk);
         
         // Generate initial chunks ahead
         for (let i = 0; i < PARKOUR.CHUNKS_AHEAD; i++) {
             this.generateNextChunk();
         }
         
-        console.log('[ChunkManager] Initialized with', this.chunks.length, 'chunks');
+        console.log('[ChunkManager] Initialized with', this.chunks.length, 'chunks, seed:', this.getSeed());
     }
 
     /**
      * Generate the next chunk
      */
     generateNextChunk() {
-        // Calculate curve for this chunk
-        const shouldCurve = Math.random() < PARKOUR.CURVE_FREQUENCY;
+        // Calculate curve for this chunk (split routes stay straight so lanes can't cross)
+        const shouldCurve = !this.generator.isBranching() && this.random.chance(PARKOUR.CURVE_FREQUENCY);
         const curveAmount = shouldCurve 
-            ? (Math.random() - 0.5) * 2 * PARKOUR.MAX_CURVE_ANGLE * (Math.PI / 180)
+            ? this.random.range(-1, 1) * PARKOUR.MAX_CURVE_ANGLE * (Math.PI / 180)
             : 0;
         
-        // Generate chunk
+        // Turn the path, keeping it heading broadly forward
+        const previousHeading = this.currentHeading;
+        const maxHeading = PARKOUR.MAX_HEADING_ANGLE * (Math.PI / 180);
+        this.currentHeading = Math.max(-maxHeading, Math.min(maxHeading, this.currentHeading + curveAmount));
+        
+        // Sample difficulty at the chunk's start distance (the value totalDistance
+        // will have when the player reaches it) so a seed always gives the same course
+        const difficulty = this.difficultyCurve.sample(this.currentDistance);
+        this.zones.applyPatternWeights(this.zones.getZoneForChunk(this.chunkNumber), difficulty.patternWeights);
+        
+        // Generate chunk in local space (counting what the pools couldn't supply)
+        const allocationsBefore = platformAssets.getAllocationCount();
         const chunkData = this.generator.generateChunk({
-            startZ: this.currentZ,
+            startZ: 0,
             length: PARKOUR.CHUNK_LENGTH,
             startHeight: this.currentHeight,
-            rotation: this.currentRotation,
-            curveAmount: curveAmount,
+            turn: this.currentHeading - previousHeading,
+            difficulty: difficulty,
         });
         
-        // Apply curve to rotation
-        this.currentRotation += curveAmount;
-        
         // Add chunk to world
-        this.addChunk(chunkData, this.currentZ);
-        
-        // Update state
-        this.currentZ = chunkData.endZ;
-        this.currentHeight = chunkData.endHeight;
+        this.addChunk(chunkData);
+        this.lastChunkAllocations = platformAssets.getAllocationCount() - allocationsBefore;
         
         globalEvents.emit(Events.PARKOUR_CHUNK_GENERATED, {
-            z: this.currentZ,
+            distance: this.currentDistance,
+            position: this.currentOrigin.clone(),
+            heading: this.currentHeading,
             height: this.currentHeight,
+            exits: this.currentExits.map(exit => exit.clone()),
+            zone: this.chunks[this.chunks.length - 1].zone,
         });
     }
 
     /**
-     * Add a chunk to the scene
+     * Place a generated chunk at the end of the path and add it to the scene
+     * @param {Object} chunkData - Chunk from the generator (chunk-local layout)
      */
-    addChunk(chunkData, startZ) {
+    addChunk(chunkData) {
         const chunk = {
-            startZ: startZ,
-            endZ: chunkData.endZ,
+            origin: this.currentOrigin.clone(),
+            heading: this.currentHeading,
+            direction: new THREE.Vector3(Math.sin(this.currentHeading), 0, Math.cos(this.currentHeading)),
+            startDistance: this.currentDistance,
+            startHeight: this.currentHeight,
+            endHeight: chunkData.endHeight,
+            length: chunkData.endZ,
+            endDistance: this.currentDistance + chunkData.endZ,
             platforms: chunkData.platforms,
             obstacles: chunkData.obstacles,
+            checkpoints: chunkData.checkpoints,
+            exits: chunkData.exits,
+            zone: this.zones.recordChunk(this.chunkNumber++, this.currentDistance),
             group: new THREE.Group(),
+            glowSlots: [],
+            grapplePoints: chunkData.platforms
+                .filter(platform => platform.getGrappleMesh)
+                .map(platform => platform.getGrappleMesh()),
         };
         
+        const theme = this.zones.getTheme(chunk.zone);
+        
         // Add all platforms to the group
         chunkData.platforms.forEach(platform => {
             chunk.group.add(platform.getObject3D());
+            
+            if (platform.applyPalette) {
+                platform.applyPalette(theme);
+            }
+            
+            // Platforms that come and go keep the collision list in sync with their visuals
+            if ('onSolidityChange' in platform) {
+                platform.onSolidityChange = (mesh, solid) => this.setObstacleSolid(mesh, solid);
+            }
+        });
+        
+        // Place the chunk along the path
+        chunk.group.position.copy(chunk.origin);
+        chunk.group.rotation.y = chunk.heading;
+        
+        // Collision raycasts use world matrices, so bake them before the first render
+        chunk.group.updateMatrixWorld(true);
+        
+        // Static glows go into the shared batch (in world space, so after the matrices)
+        chunkData.platforms.forEach(platform => {
+            if (!platform.getGlowBars) return;
+            
+            const glow = platform.getGlowBars();
+            const slots = this.glowBatch.add(platform.getObject3D().matrixWorld, glow.bars, glow.color ?? theme.EDGE_COLOR);
+            chunk.glowSlots.push(...slots);
+            
+            // Platforms that animate their glow get a handle on their slots
+            if ('glowSlots' in platform) {
+                platform.glowBatch = this.glowBatch;
+                platform.glowSlots = slots;
+            }
         });
         
         // Add group to scene
@@ -103,27 +201,105 @@ export class ChunkManager {
         
         // Track obstacles for collision
         this.allObstacles.push(...chunkData.obstacles);
+        this.allGrapplePoints.push(...chunk.grapplePoints);
         
         this.chunks.push(chunk);
+        
+        // Advance path state to this chunk's exit
+        this.currentOrigin.addScaledVector(chunk.direction, chunk.length);
+        this.currentDistance = chunk.endDistance;
+        this.currentHeight = chunkData.endHeight;
+        this.currentExits = chunkData.exits.map(exit =>
+            chunk.group.localToWorld(new THREE.Vector3(exit.x, exit.height, exit.z))
+        );
+    }
+
+    /**
+     * Project a world position onto the path
+     * @param {THREE.Vector3} position - World position
+     * @returns {{distance: number, lateral: number, chunk: Object|null}}
+     *          Distance along the path, signed sideways offset, and nearest chunk
+     */
+    getPathProgress(position) {
+        let best = { distance: 0, lateral: 0, chunk: null };
+        let bestError = Infinity;
+        
+        for (const chunk of this.chunks) {
+            this._offset.subVectors(position, chunk.origin);
+            this._offset.y = 0;
+            
+            const along = this._offset.dot(chunk.direction);
+            // Right-hand side of the path (local +X after rotation)
+            const lateral = this._offset.x * chunk.direction.z - this._offset.z * chunk.direction.x;
+            
+            // Distance from the chunk's centre line segment
+            const clamped = Math.max(0, Math.min(chunk.length, along));
+            const error = Math.hypot(along - clamped, lateral);
+            
+            if (error < bestError) {
+                bestError = error;
+                best = { distance: chunk.startDistance + clamped, lateral, chunk };
+            }
+        }
+        
+        return best;
+    }
+
+    /**
+     * Point on the path's centre line at a path distance (carried on in a
+     * straight line past either end of the loaded chunks)
+     * @param {number} distance - Path distance
+     * @param {THREE.Vector3} target - Receives the point (y blends the chunk's start and end heights)
+     * @returns {number} Path heading there (radians, 0 = +Z)
+     */
+    getPathPoint(distance, target) {
+        let chunk = this.chunks[0];
+        if (!chunk) {
+            target.set(0, 0, distance);
+            return 0;
+        }
+        
+        for (const candidate of this.chunks) {
+            if (candidate.startDistance > distance) break;
+            chunk = candidate;
+        }
+        
+        const along = distance - chunk.startDistance;
+        const t = Math.max(0, Math.min(1, along / chunk.length));
+        
+        target.copy(chunk.origin).addScaledVector(chunk.direction, along);
+        target.y = chunk.startHeight + (chunk.endHeight - chunk.startHeight) * t;
+        return chunk.heading;
     }
 
     /**
      * Update chunks based on player position
+     * @param {number} deltaTime - Time since last frame
+     * @param {THREE.Vector3} playerPosition - Current player position
      */
-    update(playerZ) {
+    update(deltaTime, playerPosition) {
+        const playerDistance = this.getPathProgress(playerPosition).distance;
+        
         // Check if we need to generate new chunks
-        const furthestZ = this.currentZ;
-        const distanceAhead = furthestZ - playerZ;
+        const distanceAhead = this.currentDistance - playerDistance;
         
         if (distanceAhead < PARKOUR.CHUNKS_AHEAD * PARKOUR.CHUNK_LENGTH) {
             this.generateNextChunk();
         }
         
         // Check if we need to dispose old chunks
+        // Never dispose the chunk holding the last checkpoint the player passed,
+        // or anything after it, so respawning always lands on real geometry
+        const keepFrom = this.getLastCheckpointDistance(playerDistance);
+        const disposeBefore = Math.min(
+            playerDistance - PARKOUR.CHUNKS_BEHIND * PARKOUR.CHUNK_LENGTH,
+            keepFrom
+        );
+        
         const chunksToRemove = [];
         
         this.chunks.forEach((chunk, index) => {
-            if (chunk.endZ < playerZ - PARKOUR.CHUNKS_BEHIND * PARKOUR.CHUNK_LENGTH) {
+            if (chunk.endDistance < disposeBefore) {
                 chunksToRemove.push(index);
             }
         });
@@ -137,13 +313,78 @@ export class ChunkManager {
         this.chunks.forEach(chunk => {
             chunk.platforms.forEach(platform => {
                 if (platform.update) {
-                    platform.update(0.016); // Approximate delta
+                    platform.update(deltaTime);
                 }
             });
         });
         
         // Update total distance
-        this.totalDistance = Math.max(this.totalDistance, playerZ);
+        this.playerDistance = playerDistance;
+        this.totalDistance = Math.max(this.totalDistance, playerDistance);
+    }
+
+    /**
+     * Place animated platforms between their last two physics states for rendering
+     * @param {number} alpha - Progress from the previous to the current state (0-1)
+     */
+    interpolate(alpha) {
+        for (const chunk of this.chunks) {
+            for (const platform of chunk.platforms) {
+                if (platform.interpolate) {
+                    platform.interpolate(alpha);
+                }
+            }
+        }
+    }
+
+    /**
+     * Zones to blend the look between at the player's position
+     * @returns {{from: number, to: number, t: number}} See ZoneThemes.sample
+     */
+    getZoneBlend() {
+        return this.zones.sample(this.playerDistance);
+    }
+
+    /**
+     * Pass landings on to the platform that was landed on
+     * @param {Object} data - PLAYER_LAND payload ({ object } is the mesh landed on)
+     */
+    onPlayerLand(data) {
+        const platform = data && data.object && data.object.userData.platformRef;
+        
+        if (platform && platform.onPlayerLand) {
+            platform.onPlayerLand();
+        }
+    }
+
+    /**
+     * Add or remove an obstacle from collision without disposing it
+     * @param {THREE.Mesh} mesh - Collision mesh
+     * @param {boolean} solid - Whether the player should collide with it
+     */
+    setObstacleSolid(mesh, solid) {
+        const index = this.allObstacles.indexOf(mesh);
+        
+        if (solid && index === -1) {
+            this.allObstacles.push(mesh);
+        } else if (!solid && index !== -1) {
+            this.allObstacles.splice(index, 1);
+        }
+    }
+
+    /**
+     * Start distance of the last chunk with a checkpoint at or behind a path distance
+     * @param {number} distance - Path distance
+     * @returns {number} Distance, or Infinity if no such chunk is loaded
+     */
+    getLastCheckpointDistance(distance) {
+        let result = Infinity;
+        for (const chunk of this.chunks) {
+            if (chunk.checkpoints.length > 0 && chunk.startDistance <= distance) {
+                result = chunk.startDistance;
+            }
+        }
+        return result;
     }
 
     /**
@@ -160,8 +401,15 @@ export class ChunkManager {
                 this.allObstacles.splice(obsIndex, 1);
             }
         });
+        chunk.grapplePoints.forEach(point => {
+            const pointIndex = this.allGrapplePoints.indexOf(point);
+            if (pointIndex !== -1) {
+                this.allGrapplePoints.splice(pointIndex, 1);
+            }
+        });
         
-        // Dispose platforms
+        // Free glow slots, then return platforms to their pools
+        this.glowBatch.remove(chunk.glowSlots);
         chunk.platforms.forEach(platform => {
             if (platform.dispose) {
                 platform.dispose();
@@ -177,6 +425,18 @@ export class ChunkManager {
         globalEvents.emit(Events.PARKOUR_CHUNK_DISPOSED);
     }
 
+    /**
+     * Allocation counters for the debug display
+     * @returns {{lastChunk: number, total: number, pooled: number}}
+     */
+    getAllocationStats() {
+        return {
+            lastChunk: this.lastChunkAllocations,
+            total: platformAssets.getAllocationCount(),
+            pooled: platformAssets.getPooledCount(),
+        };
+    }
+
     /**
      * Get all obstacles for collision detection
      */
@@ -184,6 +444,22 @@ export class ChunkManager {
         return this.allObstacles;
     }
 
+    /**
+     * Get all grapple points in the loaded chunks
+     * @returns {Array<THREE.Mesh>}
+     */
+    getGrapplePoints() {
+        return this.allGrapplePoints;
+    }
+
+    /**
+     * Get checkpoints in the currently loaded chunks
+     * @returns {Array<CheckpointPlatform>}
+     */
+    getCheckpoints() {
+        return this.chunks.flatMap(chunk => chunk.checkpoints);
+    }
+
     /**
      * Get current total distance traveled
      */
@@ -191,23 +467,56 @@ export class ChunkManager {
         return this.totalDistance;
     }
 
+    /**
+     * Set the difficulty preset (applies to chunks generated from now on)
+     * @param {string} preset - Preset name in PARKOUR_DIFFICULTY.PRESETS
+     */
+    setDifficulty(preset) {
+        this.difficultyCurve.setPreset(preset);
+    }
+
+    /**
+     * Register data-driven pattern templates with the generator
+     * @param {Array<Object>} templates - Normalized templates (see PatternTemplates)
+     */
+    registerTemplates(templates) {
+        templates.forEach(template => this.generator.registerTemplate(template));
+    }
+
+    /**
+     * Get the seed the current course was generated from
+     * @returns {number}
+     */
+    getSeed() {
+        return this.random.getSeed();
+    }
+
     /**
      * Reset the chunk manager for a new game
+     * @param {number} seed - Seed for the new course
      */
-    reset() {
+    reset(seed = SeededRandom.randomSeed()) {
         // Dispose all chunks
         while (this.chunks.length > 0) {
             this.disposeChunk(0);
         }
         
         // Reset state
-        this.currentZ = 0;
+        this.currentOrigin.set(0, 0, 0);
+        this.currentHeading = 0;
+        this.currentDistance = 0;
         this.currentHeight = 0;
-        this.currentRotation = 0;
+        this.currentExits = [];
         this.totalDistance = 0;
+        this.playerDistance = 0;
         this.allObstacles = [];
+        this.allGrapplePoints = [];
+        this.glowBatch.clear();
+        this.chunkNumber = 0;
+        this.zones.reset();
         
-        // Reset generator checkpoint tracking
+        // Restart the random stream and generator state from the new seed
+        this.random.setSeed(seed);
         this.generator.resetCheckpoints();
         
         // Regenerate
@@ -218,10 +527,16 @@ export class ChunkManager {
      * Dispose all resources
      */
     dispose() {
+        globalEvents.off(Events.PLAYER_LAND, this._onPlayerLand);
+        
         while (this.chunks.length > 0) {
             this.disposeChunk(0);
         }
         this.allObstacles = [];
+        this.allGrapplePoints = [];
+        
+        this.glowBatch.dispose();
+        platformAssets.clear();
     }
 }
 
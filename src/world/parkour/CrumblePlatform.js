@@ -0,0 +1,245 @@
+/**
+ * CrumblePlatform - Platform that falls away after the player lands on it
+ *
+ * Shakes for a moment after being landed on, then drops out of the world and
+ * loses its collision. Reappears after a while so the section can be retried.
+ */
+
+import * as THREE from 'three';
+import { PARKOUR, RENDER } from '../../config/Constants.js';
+import { platformAssets } from './PlatformAssets.js';
+
+// Crumble states
+const CrumbleState = {
+    IDLE: 'idle',
+    SHAKING: 'shaking',
+    FALLING: 'falling',
+    GONE: 'gone',
+};
+
+export class CrumblePlatform {
+    /**
+     * @param {Object} config - Platform configuration
+     * @param {number} config.width - Platform width
+     * @param {number} config.length - Platform length
+     * @param {THREE.Vector3} config.position - Position (chunk-local)
+     * @param {number} config.rotation - Y rotation in radians
+     * @param {number} config.crumbleDelay - Seconds between landing and falling
+     */
+    constructor(config) {
+        // Set by the ChunkManager - called with (mesh, isSolid) when collision toggles
+        this.onSolidityChange = null;
+        
+        this.mesh = null;
+        this.edgeMesh = null;
+        this.group = new THREE.Group();
+        
+        this.build();
+        this.configure(config);
+    }
+
+    /**
+     * Build the platform meshes (shared geometry, scaled in configure)
+     * The body material is per platform because the fall fades it out.
+     */
+    build() {
+        const material = platformAssets.createMaterial(() => new THREE.MeshStandardMaterial({
+            color: PARKOUR.PLATFORM_COLOR,
+            roughness: 0.9,
+            metalness: 0.1,
+            emissive: PARKOUR.CRUMBLE_COLOR,
+            emissiveIntensity: 0.1,
+            transparent: true,
+            opacity: 1,
+        }));
+        
+        this.mesh = new THREE.Mesh(platformAssets.getUnitBox(), material);
+        this.mesh.castShadow = RENDER.ENABLE_SHADOWS;
+        this.mesh.receiveShadow = RENDER.ENABLE_SHADOWS;
+        
+        // Lets PLAYER_LAND listeners find this platform from the mesh landed on
+        this.mesh.userData.platformRef = this;
+        
+        this.group.add(this.mesh);
+        
+        // Cracked-looking edge glow (dashed top outline, dash sizes in unit-square space)
+        const edgeGeometry = platformAssets.getGeometry('dashedOutline', () => {
+            const outline = platformAssets.getUnitOutline().clone();
+            outline.setAttribute('lineDistance', new THREE.Float32BufferAttribute([0, 1, 2, 3, 4], 1));
+            return outline;
+        });
+        const edgeMaterial = platformAssets.getMaterial('crumbleEdge', () => new THREE.LineDashedMaterial({
+            color: PARKOUR.CRUMBLE_COLOR,
+            dashSize: 0.12,
+            gapSize: 0.06,
+            transparent: true,
+            opacity: 0.9,
+        }));
+        
+        this.edgeMesh = new THREE.Line(edgeGeometry, edgeMaterial);
+        this.group.add(this.edgeMesh);
+    }
+
+    /**
+     * Size and place the platform (also used when reusing a pooled instance)
+     * @param {Object} config - Platform configuration (see constructor)
+     */
+    configure(config) {
+        this.width = config.width || 5;
+        this.length = config.length || 5;
+        this.height = config.height || PARKOUR.PLATFORM_HEIGHT;
+        this.position = config.position || new THREE.Vector3();
+        this.rotation = config.rotation || 0;
+        this.crumbleDelay = config.crumbleDelay || PARKOUR.CRUMBLE_DELAY;
+        
+        this.mesh.scale.set(this.width, this.height, this.length);
+        this.edgeMesh.scale.set(this.width, 1, this.length);
+        this.mesh.material.color.setHex(PARKOUR.PLATFORM_COLOR);
+        
+        // Back in one piece (no owner yet, so nothing is notified)
+        this.setState(CrumbleState.IDLE);
+        
+        this.group.position.copy(this.position);
+        this.group.rotation.y = this.rotation;
+    }
+
+    /**
+     * Recolor for a zone theme (the glow keeps its type color so it stays readable)
+     * @param {Object} theme - Zone theme (entry in PARKOUR_ZONES.THEMES)
+     */
+    applyPalette(theme) {
+        this.mesh.material.color.setHex(theme.PLATFORM_COLOR);
+    }
+
+    /**
+     * Get the Three.js group for this platform
+     */
+    getObject3D() {
+        return this.group;
+    }
+
+    /**
+     * Get the collision mesh
+     */
+    getCollisionMesh() {
+        return this.mesh;
+    }
+
+    /**
+     * Get the top Y position of this platform
+     */
+    getTopY() {
+        return this.position.y + this.height / 2;
+    }
+
+    /**
+     * Describe the walkable top for the jump validator (chunk-local space)
+     */
+    getJumpSurface() {
+        return {
+            type: 'floor',
+            x: this.position.x,
+            z: this.position.z,
+            halfWidth: this.width / 2,
+            halfLength: this.length / 2,
+            yaw: this.rotation,
+            topStart: this.getTopY(),
+            topEnd: this.getTopY(),
+        };
+    }
+
+    /**
+     * Called when the player lands on this platform - starts the countdown
+     */
+    onPlayerLand() {
+        if (this.state !== CrumbleState.IDLE) return;
+        
+        this.setState(CrumbleState.SHAKING);
+    }
+
+    /**
+     * Switch state and reset the state timer
+     */
+    setState(state) {
+        this.state = state;
+        this.stateTime = 0;
+        
+        if (state === CrumbleState.FALLING) {
+            this.setSolid(false);
+        } else if (state === CrumbleState.IDLE) {
+            // Put everything back where it started
+            this.mesh.position.set(0, 0, 0);
+            this.mesh.rotation.set(0, 0, 0);
+            this.mesh.material.opacity = 1;
+            this.mesh.visible = true;
+            this.edgeMesh.visible = true;
+            this.edgeMesh.position.set(0, this.height / 2, 0);
+            this.setSolid(true);
+        }
+    }
+
+    /**
+     * Toggle collision and notify the owner so obstacle lists stay in sync
+     */
+    setSolid(solid) {
+        if (this.onSolidityChange) {
+            this.onSolidityChange(this.mesh, solid);
+        }
+    }
+
+    /**
+     * Update shake / fall animation
+     */
+    update(deltaTime) {
+        if (this.state === CrumbleState.IDLE) return;
+        
+        this.stateTime += deltaTime;
+        
+        switch (this.state) {
+            case CrumbleState.SHAKING: {
+                // Shake harder as the platform gets closer to giving way
+                const intensity = 0.04 + 0.08 * (this.stateTime / this.crumbleDelay);
+                this.mesh.position.set(
+                    (Math.random() - 0.5) * intensity,
+                    (Math.random() - 0.5) * intensity * 0.5,
+                    (Math.random() - 0.5) * intensity
+                );
+                this.edgeMesh.position.copy(this.mesh.position);
+                this.edgeMesh.position.y += this.height / 2;
+                
+                if (this.stateTime >= this.crumbleDelay) {
+                    this.setState(CrumbleState.FALLING);
+                }
+                break;
+            }
+            case CrumbleState.FALLING: {
+                const t = Math.min(1, this.stateTime / PARKOUR.CRUMBLE_FALL_TIME);
+                this.mesh.position.y = -8 * t * t;
+                this.mesh.rotation.x = 0.3 * t;
+                this.mesh.material.opacity = 1 - t;
+                this.edgeMesh.visible = false;
+                
+                if (t >= 1) {
+                    this.mesh.visible = false;
+                    this.setState(CrumbleState.GONE);
+                }
+                break;
+            }
+            case CrumbleState.GONE:
+                if (this.stateTime >= PARKOUR.CRUMBLE_RESPAWN_TIME) {
+                    this.setState(CrumbleState.IDLE);
+                }
+                break;
+        }
+    }
+
+    /**
+     * Return to the pool (the body material stays with the instance for reuse)
+     */
+    dispose() {
+        this.onSolidityChange = null;
+        platformAssets.release(this);
+    }
+}
+
+export default CrumblePlatform;
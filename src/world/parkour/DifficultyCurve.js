@@ -0,0 +1,84 @@
+/**
+ * DifficultyCurve - Distance-based difficulty progression
+ *
+ * Samples a PARKOUR_DIFFICULTY preset at a course distance, interpolating
+ * gap sizes, platform scale, height deltas, checkpoint spacing and pattern
+ * weights between the preset's tiers.
+ */
+
+import { PARKOUR_DIFFICULTY } from '../../config/Constants.js';
+
+export class DifficultyCurve {
+    /**
+     * @param {string} preset - Preset name in PARKOUR_DIFFICULTY.PRESETS
+     */
+    constructor(preset = PARKOUR_DIFFICULTY.DEFAULT_PRESET) {
+        this.setPreset(preset);
+    }
+
+    /**
+     * Switch to another preset (takes effect for chunks generated afterwards)
+     * @param {string} preset - Preset name in PARKOUR_DIFFICULTY.PRESETS
+     */
+    setPreset(preset) {
+        if (!PARKOUR_DIFFICULTY.PRESETS[preset]) {
+            console.warn(`[DifficultyCurve] Unknown preset "${preset}", using "${PARKOUR_DIFFICULTY.DEFAULT_PRESET}"`);
+            preset = PARKOUR_DIFFICULTY.DEFAULT_PRESET;
+        }
+
+        this.preset = preset;
+        this.tiers = PARKOUR_DIFFICULTY.PRESETS[preset];
+    }
+
+    /**
+     * Get the active preset name
+     * @returns {string}
+     */
+    getPreset() {
+        return this.preset;
+    }
+
+    /**
+     * Sample difficulty settings at a course distance
+     * @param {number} distance - Distance along the course
+     * @returns {Object} Settings: gapMin, gapMax, platformScale, heightScale,
+     *                   checkpointInterval, patternWeights (keyed by pattern name)
+     */
+    sample(distance) {
+        const tiers = this.tiers;
+
+        // Find the tiers surrounding this distance
+        let upperIndex = tiers.findIndex(tier => tier.DISTANCE > distance);
+        if (upperIndex === -1) upperIndex = tiers.length - 1;
+        const lowerIndex = Math.max(0, upperIndex - 1);
+
+        const lower = tiers[lowerIndex];
+        const upper = tiers[upperIndex];
+
+        const span = upper.DISTANCE - lower.DISTANCE;
+        const t = span > 0
+            ? Math.max(0, Math.min(1, (distance - lower.DISTANCE) / span))
+            : 0;
+
+        const lerp = (a, b) => a + (b - a) * t;
+
+        const patternWeights = {};
+        for (const key of Object.keys(lower.PATTERN_WEIGHTS)) {
+            patternWeights[key] = lerp(
+                lower.PATTERN_WEIGHTS[key],
+                upper.PATTERN_WEIGHTS[key] ?? lower.PATTERN_WEIGHTS[key]
+            );
+        }
+
+        return {
+            gapMin: lerp(lower.GAP_MIN, upper.GAP_MIN),
+            gapMax: lerp(lower.GAP_MAX, upper.GAP_MAX),
+            platformScale: lerp(lower.PLATFORM_SCALE, upper.PLATFORM_SCALE),
+            heightScale: lerp(lower.HEIGHT_SCALE, upper.HEIGHT_SCALE),
+            checkpointInterval: Math.round(lerp(lower.CHECKPOINT_INTERVAL, upper.CHECKPOINT_INTERVAL)),
+            patternWeights,
+        };
+    }
+}
+
+export default DifficultyCurve;
@@ -0,0 +1,119 @@
+/**
+ * GlowBatch - One InstancedMesh for every static edge glow and strip
+ *
+ * Static platforms describe their glow as thin bars; the ChunkManager places
+ * those bars here in world space when a chunk is added and frees the slots
+ * when it is disposed. Freed slots are reused, so nothing is allocated per chunk.
+ */
+
+import * as THREE from 'three';
+import { PARKOUR } from '../../config/Constants.js';
+import { platformAssets } from './PlatformAssets.js';
+
+export class GlowBatch {
+    /**
+     * @param {THREE.Scene} scene - Scene to add the batch to
+     * @param {number} capacity - Maximum number of bars
+     */
+    constructor(scene, capacity = PARKOUR.GLOW_BATCH_CAPACITY) {
+        this.scene = scene;
+        this.capacity = capacity;
+
+        const material = platformAssets.getMaterial('glow', () => new THREE.MeshBasicMaterial({
+            color: 0xffffff,
+            transparent: true,
+            opacity: 0.8,
+        }));
+
+        this.mesh = new THREE.InstancedMesh(platformAssets.getUnitBox(), material, capacity);
+        this.mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+        this.mesh.setColorAt(0, new THREE.Color());
+        this.mesh.instanceColor.setUsage(THREE.DynamicDrawUsage);
+        this.mesh.count = 0;
+
+        // Bars are spread along the whole course, so the geometry's bounds mean nothing
+        this.mesh.frustumCulled = false;
+
+        this.scene.add(this.mesh);
+
+        // Unscaled color per slot (for brightness animation) and slots ready for reuse
+        this.baseColors = new Float32Array(capacity * 3);
+        this.freeSlots = [];
+
+        // Reusable objects
+        this._matrix = new THREE.Matrix4();
+        this._color = new THREE.Color();
+        this._hidden = new THREE.Matrix4().makeScale(0, 0, 0);
+    }
+
+    /**
+     * Place a platform's glow bars
+     * @param {THREE.Matrix4} matrixWorld - Platform group's world matrix
+     * @param {Array<THREE.Matrix4>} bars - Bar matrices in the platform's space
+     * @param {number} color - Hex color
+     * @returns {Array<number>} Slots used (pass back to remove)
+     */
+    add(matrixWorld, bars, color) {
+        const slots = [];
+        this._color.setHex(color);
+
+        for (const bar of bars) {
+            const slot = this.freeSlots.length > 0 ? this.freeSlots.pop() : this.mesh.count;
+            if (slot >= this.capacity) {
+                console.warn('[GlowBatch] Capacity reached, skipping glow bars');
+                break;
+            }
+            if (slot === this.mesh.count) this.mesh.count++;
+
+            this.mesh.setMatrixAt(slot, this._matrix.multiplyMatrices(matrixWorld, bar));
+            this.mesh.setColorAt(slot, this._color);
+            this._color.toArray(this.baseColors, slot * 3);
+            slots.push(slot);
+        }
+
+        this.mesh.instanceMatrix.needsUpdate = true;
+        this.mesh.instanceColor.needsUpdate = true;
+        return slots;
+    }
+
+    /**
+     * Scale a bar's color (glow pulses)
+     * @param {number} slot - Slot from add
+     * @param {number} brightness - Multiplier on the bar's color
+     */
+    setBrightness(slot, brightness) {
+        this._color.fromArray(this.baseColors, slot * 3).multiplyScalar(brightness);
+        this.mesh.setColorAt(slot, this._color);
+        this.mesh.instanceColor.needsUpdate = true;
+    }
+
+    /**
+     * Hide bars and free their slots
+     * @param {Array<number>} slots - Slots from add
+     */
+    remove(slots) {
+        for (const slot of slots) {
+            this.mesh.setMatrixAt(slot, this._hidden);
+            this.freeSlots.push(slot);
+        }
+        this.mesh.instanceMatrix.needsUpdate = true;
+    }
+
+    /**
+     * Free every slot (new course)
+     */
+    clear() {
+        this.mesh.count = 0;
+        this.freeSlots = [];
+    }
+
+    /**
+     * Remove from the scene (geometry and material belong to PlatformAssets)
+     */
+    dispose() {
+        this.scene.remove(this.mesh);
+        this.mesh.dispose();
+    }
+}
+
+export default GlowBatch;
@@ -0,0 +1,108 @@
+/**
+ * GrapplePoint - Floating hook target for the grappling hook
+ *
+ * Hangs over gaps too wide to jump. It isn't solid: the player hooks onto its
+ * centre (aim assist makes it easy to catch) and swings across.
+ */
+
+import * as THREE from 'three';
+import { PARKOUR } from '../../config/Constants.js';
+import { platformAssets } from './PlatformAssets.js';
+
+// Radians per second the marker turns
+const SPIN_SPEED = 1.2;
+
+export class GrapplePoint {
+    /**
+     * @param {Object} config - Grapple point configuration
+     * @param {THREE.Vector3} config.position - Position of the hook point (chunk-local)
+     */
+    constructor(config) {
+        this.mesh = null;
+        this.group = new THREE.Group();
+
+        this.build();
+        this.configure(config);
+    }
+
+    /**
+     * Build the marker (shared geometry and material)
+     */
+    build() {
+        const geometry = platformAssets.getGeometry('grapplePoint', () => new THREE.OctahedronGeometry(0.6));
+        const material = platformAssets.getMaterial('grapplePoint', () => new THREE.MeshBasicMaterial({
+            color: PARKOUR.GRAPPLE_POINT_COLOR,
+        }));
+
+        this.mesh = new THREE.Mesh(geometry, material);
+        this.group.add(this.mesh);
+
+        // Soft halo so it reads from a distance
+        const haloMaterial = platformAssets.getMaterial('grapplePointHalo', () => new THREE.MeshBasicMaterial({
+            color: PARKOUR.GRAPPLE_POINT_COLOR,
+            transparent: true,
+            opacity: 0.25,
+            depthWrite: false,
+        }));
+
+        const halo = new THREE.Mesh(geometry, haloMaterial);
+        halo.scale.setScalar(1.8);
+        this.mesh.add(halo);
+    }
+
+    /**
+     * Place the point (also used when reusing a pooled instance)
+     * @param {Object} config - Grapple point configuration (see constructor)
+     */
+    configure(config) {
+        this.position = config.position || new THREE.Vector3();
+
+        this.mesh.rotation.set(0, 0, 0);
+        this.group.position.copy(this.position);
+    }
+
+    /**
+     * Get the Three.js group for this point
+     */
+    getObject3D() {
+        return this.group;
+    }
+
+    /**
+     * Get the mesh the grappling hook targets
+     */
+    getGrappleMesh() {
+        return this.mesh;
+    }
+
+    /**
+     * Describe the hook point for the jump validator (chunk-local space)
+     */
+    getJumpSurface() {
+        return {
+            type: 'grapple',
+            x: this.position.x,
+            z: this.position.z,
+            y: this.position.y,
+            halfWidth: 0,
+            halfLength: 0,
+            yaw: 0,
+        };
+    }
+
+    /**
+     * Spin the marker
+     */
+    update(deltaTime) {
+        this.mesh.rotation.y += SPIN_SPEED * deltaTime;
+    }
+
+    /**
+     * Return to the pool
+     */
+    dispose() {
+        platformAssets.release(this);
+    }
+}
+
+export default GrapplePoint;
@@ -1,12 +1,16 @@
 /**
  * InfiniteWorld - Main container for the parkour infinite world
  * 
- * Manages the infinite generation, environment, and game rules.
+ * Manages the infinite generation, environment, and game rules,
+ * including the Senator chasing the player along the course.
  */
 
 import * as THREE from 'three';
 import { PARKOUR, WORLD, LIGHTING } from '../../config/Constants.js';
 import { ChunkManager } from './ChunkManager.js';
+import { Senator } from '../../entities/Senator.js';
+import { loadPatternTemplates } from './PatternTemplates.js';
+import { SeededRandom } from '../../systems/SeededRandom.js';
 import { globalEvents, Events } from '../../systems/EventBus.js';
 
 export class InfiniteWorld {
@@ -14,23 +18,40 @@ export class InfiniteWorld {
         this.scene = scene;
         this.chunkManager = new ChunkManager(scene);
         
+        // Pursuer following the course behind the player
+        this.senator = new Senator();
+        
         // Visual elements
         this.particles = null;
         this.ambientLight = null;
         this.directionalLight = null;
         
+        // Zone look currently applied (skip the blend when nothing changed)
+        this.zoneBlend = { from: -1, to: -1, t: 0 };
+        this.currentZone = -1;
+        this._zoneColor = new THREE.Color();
+        this._particleColors = [new THREE.Color(), new THREE.Color(), new THREE.Color()];
+        
         // State
         this.isLoaded = false;
+        this.templatesLoaded = false;
         
         // Checkpoint system
         this.activeCheckpoint = null;      // Currently active checkpoint
         this.lastCheckpointPosition = null; // Respawn position
+        
+        // Furthest distance reached in any run (runs end when the Senator catches up)
+        this.bestDistance = 0;
+        
+        // Reusable vector for checkpoint tests
+        this._localPosition = new THREE.Vector3();
     }
 
     /**
      * Build the infinite world
+     * @param {number} seed - Course seed (random if omitted)
      */
-    build() {
+    build(seed = SeededRandom.randomSeed()) {
         console.log('[InfiniteWorld] Building...');
         
         // Setup environment
@@ -39,13 +60,43 @@ export class InfiniteWorld {
         this.createParticles();
         
         // Initialize chunk manager
-        this.chunkManager.init();
+        this.chunkManager.init(seed);
+        this.updateZone();
+        
+        // Senator starts behind the start of the course
+        this.senator.reset();
+        this.scene.add(this.senator.mesh);
         
         this.isLoaded = true;
         globalEvents.emit(Events.WORLD_LOADED);
         
+        this.activateStartCheckpoint();
+        globalEvents.emit(Events.PARKOUR_RUN_START, { seed: this.getSeed() });
+    }
+
+    /**
+     * Load the data-driven pattern templates (once, before the first build)
+     * Missing or broken templates only cost their patterns - the built-in
+     * patterns always work.
+     */
+    async loadPatternTemplates() {
+        if (this.templatesLoaded) return;
+        this.templatesLoaded = true;
+        
+        try {
+            const templates = await loadPatternTemplates();
+            this.chunkManager.registerTemplates(templates);
+        } catch (error) {
+            console.warn('[InfiniteWorld] Pattern templates unavailable, using built-in patterns only:', error.message);
+        }
+    }
+
+    /**
+     * Force-activate the first checkpoint so the player has a respawn point from the start
+     */
+    activateStartCheckpoint() {
         // Log checkpoint info and FORCE ACTIVATE the starting checkpoint
-        const checkpoints = this.chunkManager.generator.getCheckpoints();
+        const checkpoints = this.chunkManager.getCheckpoints();
         console.log('[InfiniteWorld] Built successfully with', checkpoints.length, 'checkpoints');
         if (checkpoints.length > 0) {
             const first = checkpoints[0];
@@ -117,9 +168,9 @@ export class InfiniteWorld {
         const positions = new Float32Array(particleCount * 3);
         const colors = new Float32Array(particleCount * 3);
         
-        const color1 = new THREE.Color(0x00ff88);
-        const color2 = new THREE.Color(0xff00ff);
-        const color3 = new THREE.Color(0x00d4ff);
+        // Which zone particle color each particle uses (recolored as zones blend)
+        this.particleSlots = new Uint8Array(particleCount);
+        const palette = this.chunkManager.zones.getTheme(0).PARTICLE_COLORS.map(hex => new THREE.Color(hex));
         
         for (let i = 0; i < particleCount; i++) {
             const i3 = i * 3;
@@ -133,15 +184,8 @@ export class InfiniteWorld {
             positions[i3 + 2] = Math.random() * 200 - 50;
             
             // Random color between accent colors
-            const colorChoice = Math.random();
-            let color;
-            if (colorChoice < 0.33) {
-                color = color1;
-            } else if (colorChoice < 0.66) {
-                color = color2;
-            } else {
-                color = color3;
-            }
+            this.particleSlots[i] = Math.floor(Math.random() * palette.length);
+            const color = palette[this.particleSlots[i]];
             
             colors[i3] = color.r;
             colors[i3 + 1] = color.g;
@@ -171,20 +215,105 @@ export class InfiniteWorld {
      * @param {THREE.Vector3} playerPosition - Current player position
      */
     update(deltaTime, playerPosition) {
-        // Update chunks based on player Z position
-        this.chunkManager.update(playerPosition.z);
+        // Update chunks based on player progress along the path
+        this.chunkManager.update(deltaTime, playerPosition);
+        
+        // Senator follows the course after the player
+        this.senator.update(deltaTime, this.chunkManager, playerPosition);
         
         // Check for checkpoint activation
         this.checkCheckpointCollision(playerPosition);
         
-        // Move directional light with player
+        // Move directional light with player (the path winds, so follow X and Z)
         if (this.directionalLight) {
+            this.directionalLight.position.x = playerPosition.x + LIGHTING.DIRECTIONAL_POSITION.x;
             this.directionalLight.position.z = playerPosition.z + LIGHTING.DIRECTIONAL_POSITION.z;
+            this.directionalLight.target.position.x = playerPosition.x;
             this.directionalLight.target.position.z = playerPosition.z;
+            this.directionalLight.target.updateMatrixWorld();
         }
         
         // Update particles
         this.updateParticles(deltaTime, playerPosition);
+        
+        // Blend fog, lights and particles towards the zone the player is entering
+        this.updateZone();
+    }
+
+    /**
+     * Place moving platforms between physics steps for rendering
+     * @param {number} alpha - Progress from the previous to the current step (0-1)
+     */
+    interpolate(alpha) {
+        this.chunkManager.interpolate(alpha);
+        this.senator.interpolate(alpha);
+    }
+
+    /**
+     * Apply the zone look at the player's position, blending across boundaries
+     */
+    updateZone() {
+        const { from, to, t } = this.chunkManager.getZoneBlend();
+        const applied = this.zoneBlend;
+        
+        if (applied.from === from && applied.to === to && Math.abs(applied.t - t) < 0.001) return;
+        applied.from = from;
+        applied.to = to;
+        applied.t = t;
+        
+        const zones = this.chunkManager.zones;
+        const a = zones.getTheme(from);
+        const b = zones.getTheme(to);
+        const mixColor = (target, key) => target.setHex(a[key]).lerp(this._zoneColor.setHex(b[key]), t);
+        const mixValue = key => a[key] + (b[key] - a[key]) * t;
+        
+        // Fog and background
+        if (this.scene.fog) {
+            mixColor(this.scene.fog.color, 'FOG_COLOR');
+            this.scene.fog.near = mixValue('FOG_NEAR');
+            this.scene.fog.far = mixValue('FOG_FAR');
+            
+            if (this.scene.background && this.scene.background.isColor) {
+                this.scene.background.copy(this.scene.fog.color);
+            }
+        }
+        
+        // Lights
+        if (this.ambientLight) {
+            mixColor(this.ambientLight.color, 'AMBIENT_COLOR');
+            this.ambientLight.intensity = mixValue('AMBIENT_INTENSITY');
+        }
+        if (this.directionalLight) {
+            mixColor(this.directionalLight.color, 'DIRECTIONAL_COLOR');
+            this.directionalLight.intensity = mixValue('DIRECTIONAL_INTENSITY');
+        }
+        if (this.hemiLight) {
+            mixColor(this.hemiLight.color, 'HEMISPHERE_SKY');
+            mixColor(this.hemiLight.groundColor, 'HEMISPHERE_GROUND');
+        }
+        
+        // Particles
+        if (this.particles) {
+            const palette = this._particleColors;
+            palette.forEach((color, i) => {
+                color.setHex(a.PARTICLE_COLORS[i]).lerp(this._zoneColor.setHex(b.PARTICLE_COLORS[i]), t);
+            });
+            
+            const colors = this.particles.geometry.attributes.color;
+            for (let i = 0; i < this.particleSlots.length; i++) {
+                const color = palette[this.particleSlots[i]];
+                colors.setXYZ(i, color.r, color.g, color.b);
+            }
+            colors.needsUpdate = true;
+        }
+        
+        // Announce the zone once it is the dominant look
+        const zone = t < 0.5 ? from : to;
+        if (zone !== this.currentZone) {
+            this.currentZone = zone;
+            console.log('[InfiniteWorld] Entering zone:', zones.getTheme(zone).NAME);
+            globalEvents.emit(Events.PARKOUR_ZONE_CHANGE, { zone, name: zones.getTheme(zone).NAME });
+        }
     }
 
     /**
@@ -207,6 +336,14 @@ export class InfiniteWorld {
                 positions[i + 2] -= 250;
             }
             
+            // Keep particles around the player as the path curves sideways
+            const relativeX = positions[i] - playerPosition.x;
+            if (relativeX < -35) {
+                positions[i] += 70;
+            } else if (relativeX > 35) {
+                positions[i] -= 70;
+            }
+            
             // Gentle floating motion
             positions[i + 1] += Math.sin(time + positions[i]) * 0.003;
             
@@ -227,6 +364,24 @@ export class InfiniteWorld {
         return playerY < PARKOUR.DEATH_Y_THRESHOLD;
     }
 
+    /**
+     * Check if the Senator has caught up with the player
+     * @returns {boolean} True if the run is over
+     */
+    checkCaught() {
+        return this.senator.hasCaught;
+    }
+
+    /**
+     * End the current run (the Senator caught up)
+     * @returns {{distance: number, best: number}} Distance reached and the best run so far
+     */
+    endRun() {
+        const distance = Math.floor(this.getDistance());
+        this.bestDistance = Math.max(this.bestDistance, distance);
+        return { distance, best: this.bestDistance };
+    }
+
     /**
      * Activate a checkpoint
      * @param {CheckpointPlatform} checkpoint - The checkpoint to activate
@@ -258,49 +413,35 @@ export class InfiniteWorld {
 
     /**
      * Check if player is on a checkpoint
+     * Tested in the checkpoint's local space so it works on any path heading
      * @param {THREE.Vector3} playerPosition - Player position
      */
     checkCheckpointCollision(playerPosition) {
-        const checkpoints = this.chunkManager.generator.getCheckpoints();
-        
-        // Debug: Log checkpoint count occasionally
-        if (Math.random() < 0.005) {
-            console.log('[InfiniteWorld] Checking', checkpoints.length, 'checkpoints, player at:', 
-                playerPosition.x.toFixed(1), playerPosition.y.toFixed(1), playerPosition.z.toFixed(1));
-        }
+        const checkpoints = this.chunkManager.getCheckpoints();
         
         for (const checkpoint of checkpoints) {
-            // Get the actual world position from the group
-            const checkpointWorldPos = checkpoint.group.position;
-            
-            // Calculate Z distance (along the path)
-            const dz = Math.abs(playerPosition.z - checkpointWorldPos.z);
+            // Player position relative to the checkpoint (x = across, z = along the path)
+            const local = checkpoint.group.worldToLocal(this._localPosition.copy(playerPosition));
             
-            // Check if player is within the checkpoint's Z range
-            // Use generous bounds - half the length plus some extra
-            const zInRange = dz < (checkpoint.length / 2 + 2);
+            // Small margin so landing right on the edge still counts
+            const margin = 1;
+            const inX = Math.abs(local.x) < checkpoint.width / 2 + margin;
+            const inZ = Math.abs(local.z) < checkpoint.length / 2 + margin;
             
-            if (!zInRange) continue; // Skip if not even close in Z
+            if (!inX || !inZ) continue;
             
-            // Player Y is feet position, checkpoint surface is at checkpointWorldPos.y + height/2
-            const checkpointTopY = checkpointWorldPos.y + checkpoint.height / 2;
-            const playerFeetY = playerPosition.y;
-            const heightDiff = playerFeetY - checkpointTopY;
+            // Player Y is feet position, checkpoint surface is at height/2 in local space
+            const heightDiff = local.y - checkpoint.height / 2;
             
-            // Check if player is on top of checkpoint (very generous height tolerance)
+            // Check if player is on top of checkpoint (generous height tolerance)
             const isOnTop = heightDiff >= -1 && heightDiff < 5;
             
-            // For X position, be VERY generous - any X position is fine as long as Z matches
-            // This ensures players coming from zigzag/stepping stones patterns still hit checkpoint
-            const dx = Math.abs(playerPosition.x - checkpointWorldPos.x);
-            const isNearX = dx < 15; // Very generous X tolerance
-            
-            if (isOnTop && isNearX) {
+            if (isOnTop) {
                 // Only log if this is a new activation
                 if (this.activeCheckpoint !== checkpoint) {
                     console.log('[InfiniteWorld] CHECKPOINT ACTIVATED!', 
                         'ID:', checkpoint.checkpointId,
-                        'dz:', dz.toFixed(1), 'dx:', dx.toFixed(1),
+                        'local x:', local.x.toFixed(1), 'z:', local.z.toFixed(1),
                         'heightDiff:', heightDiff.toFixed(1));
                 }
                 this.activateCheckpoint(checkpoint);
@@ -336,6 +477,13 @@ export class InfiniteWorld {
         return this.chunkManager.getObstacles();
     }
 
+    /**
+     * Get grapple points for the grappling hook
+     */
+    getGrapplePoints() {
+        return this.chunkManager.getGrapplePoints();
+    }
+
     /**
      * Get current distance traveled
      */
@@ -343,16 +491,50 @@ export class InfiniteWorld {
         return this.chunkManager.getDistance();
     }
 
+    /**
+     * Get platform allocation counters (see ChunkManager.getAllocationStats)
+     */
+    getAllocationStats() {
+        return this.chunkManager.getAllocationStats();
+    }
+
+    /**
+     * Set the difficulty preset ('easy', 'normal', 'hard')
+     * Call before build/reset for it to apply to the whole course
+     * @param {string} preset - Preset name in PARKOUR_DIFFICULTY.PRESETS
+     */
+    setDifficulty(preset) {
+        this.chunkManager.setDifficulty(preset);
+    }
+
+    /**
+     * Get the seed of the current course
+     * @returns {number}
+     */
+    getSeed() {
+        return this.chunkManager.getSeed();
+    }
+
     /**
      * Reset the world for a new game (full reset)
+     * @param {number} seed - Seed for the new course (pass the old seed to replay it)
      */
-    reset() {
+    reset(seed = SeededRandom.randomSeed()) {
         // Clear checkpoint state
         this.activeCheckpoint = null;
         this.lastCheckpointPosition = null;
         
         // Reset chunk manager and checkpoint tracking
-        this.chunkManager.reset();
+        this.chunkManager.reset(seed);
+        this.senator.reset();
+        
+        // Back to the first zone's look
+        this.zoneBlend.from = -1;
+        this.currentZone = -1;
+        this.updateZone();
+        
+        this.activateStartCheckpoint();
+        globalEvents.emit(Events.PARKOUR_RUN_START, { seed: this.getSeed() });
     }
 
     /**
@@ -370,6 +552,9 @@ export class InfiniteWorld {
     dispose() {
         this.chunkManager.dispose();
         
+        this.scene.remove(this.senator.mesh);
+        this.senator.dispose();
+        
         if (this.particles) {
             this.scene.remove(this.particles);
             this.particles.geometry.dispose();
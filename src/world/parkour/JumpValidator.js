@@ -0,0 +1,599 @@
+/**
+ * JumpValidator - Checks that generated platform sequences are clearable
+ *
+ * Simulates the player's movement between consecutive jump surfaces using the
+ * real PLAYER/PHYSICS constants: running jumps with air control, bounce pad
+ * launches, wall run attach / wall jump exits, wall climbs up to a ledge
+ * (walls with `climb` set) and grappling hook swings across a grapple point
+ * (a `grapple` surface, hooked from the surface before it). Surfaces are oriented
+ * rectangles in chunk-local space (see getJumpSurface() on each platform type);
+ * moving platforms add a `poses` list of the positions they travel between.
+ */
+
+import { PLAYER, PHYSICS } from '../../config/Constants.js';
+
+// Player metrics mirrored from Player.js collision code
+const PLAYER_METRICS = {
+    // Blocked moves step up onto tops this far above the feet (CharacterController)
+    STEP_HEIGHT: PLAYER.STEP_HEIGHT,
+    // Ground snap tolerance above a surface (Player.checkGround)
+    LAND_TOLERANCE: PLAYER.GROUND_SNAP,
+    // Horizontal collision reach (the collision capsule's radius)
+    BODY_REACH: PLAYER.RADIUS,
+    // Wall detection reach (Player.detectWall)
+    WALL_REACH: PLAYER.RADIUS + PLAYER.HEIGHT * 0.15,
+    // Wall detection ray height above the feet
+    WALL_CHECK_HEIGHT: PLAYER.HEIGHT * 0.5,
+    // Air steering rate
+    AIR_ACCEL: PLAYER.ACCELERATION * PLAYER.AIR_CONTROL,
+    // Height gained on a wall climb (the climb itself, then coasting to a stop)
+    CLIMB_RISE: PLAYER.WALL_CLIMB_SPEED * PLAYER.WALL_CLIMB_MAX_TIME +
+        PLAYER.WALL_CLIMB_SPEED * PLAYER.WALL_CLIMB_SPEED / (2 * -PHYSICS.GRAVITY),
+    // Rope pulls on the middle of the body (Player.getRopeOrigin)
+    ROPE_HEIGHT: PLAYER.HEIGHT * 0.5,
+};
+
+// Simulation settings
+const SIM = {
+    TIME_STEP: 1 / 60,
+    MAX_AIR_TIME: 4,
+    // Fall this far below the target and the attempt is over
+    FALL_LIMIT: 15,
+    // Landing must be this far inside the target edge (players aren't frame-perfect)
+    LANDING_MARGIN: 0.3,
+    // Takeoff happens this far back from the edge
+    TAKEOFF_MARGIN: 0.3,
+    // Surfaces closer than this (with a step-sized height change) are just walked across
+    WALK_GAP: PLAYER.RADIUS,
+    // Distance the player holds from a wall face while running on it
+    WALL_HOLD: PLAYER.RADIUS + 0.2,
+    // A climbed ledge must be this far inside the player's reach
+    CLIMB_MARGIN: 0.5,
+    // Grapple points must be this far inside the hook's range
+    GRAPPLE_MARGIN: 2,
+    // Steps between tried releases while swinging
+    RELEASE_INTERVAL: 3,
+    // Horizontal speeds tried for each jump (players can hold back)
+    SPEEDS: [PLAYER.RUN_SPEED, (PLAYER.RUN_SPEED + PLAYER.WALK_SPEED) / 2, PLAYER.WALK_SPEED, PLAYER.WALK_SPEED / 2],
+};
+
+export class JumpValidator {
+    /**
+     * Validate an ordered route of surfaces
+     * @param {Array<Object>} surfaces - Jump surfaces in the order the player crosses them
+     * @returns {{valid: boolean, failures: Array<{index: number, from: Object, to: Object}>}}
+     */
+    validateRoute(surfaces) {
+        const failures = [];
+        let wallState = null;
+
+        for (let i = 0; i < surfaces.length - 1; i++) {
+            const from = surfaces[i];
+            const to = surfaces[i + 1];
+
+            const result = this.canReach(from, to, wallState);
+            wallState = result.wallState || null;
+
+            if (!result.reachable) {
+                failures.push({ index: i, from, to });
+            }
+        }
+
+        return { valid: failures.length === 0, failures };
+    }
+
+    /**
+     * Check whether the player can get from one surface to the next
+     * @param {Object} from - Surface the player starts on
+     * @param {Object} to - Target surface
+     * @param {Object|null} wallState - Attach state if `from` is a wall being run on
+     *   or a grapple point being swung from
+     * @returns {{reachable: boolean, wallState?: Object}}
+     */
+    canReach(from, to, wallState = null) {
+        // Moving platforms - the player can wait for, or ride to, any listed pose
+        if (from.poses || to.poses) {
+            for (const fromPose of from.poses || [from]) {
+                for (const toPose of to.poses || [to]) {
+                    const result = this.canReach(fromPose, toPose, wallState);
+                    if (result.reachable) return result;
+                }
+            }
+            return { reachable: false };
+        }
+
+        // Leaving a wall run or climb - only possible if we actually got onto the wall
+        if (from.type === 'wall') {
+            if (!wallState) return { reachable: false };
+            if (from.climb) return { reachable: this.canLeaveClimb(from, wallState, to) };
+            return { reachable: this.canLeaveWall(from, wallState, to) };
+        }
+
+        // Swinging from a grapple point - only if it could be hooked
+        if (from.type === 'grapple') {
+            if (!wallState) return { reachable: false };
+            return { reachable: this.canLeaveGrapple(from, wallState.takeoff, to) };
+        }
+
+        // Hooking a grapple point - in range from the edge nearest it
+        if (to.type === 'grapple') {
+            const takeoff = closestPoint(from, to.x, to.z, SIM.TAKEOFF_MARGIN);
+            const eyeY = topAt(from, takeoff.x, takeoff.z) + PLAYER.EYE_HEIGHT;
+            const distance = Math.hypot(to.x - takeoff.x, to.y - eyeY, to.z - takeoff.z);
+            if (distance > PLAYER.GRAPPLE_RANGE - SIM.GRAPPLE_MARGIN) return { reachable: false };
+            return { reachable: true, wallState: { takeoff: from } };
+        }
+
+        // Touching surfaces with a step-sized height change are walked across
+        if (to.type !== 'wall' && this.isWalkable(from, to)) {
+            return { reachable: true };
+        }
+
+        const launchVelocity = from.type === 'bounce' ? from.bounceForce : PLAYER.JUMP_FORCE;
+        let bestWallState = null;
+
+        for (const speed of SIM.SPEEDS) {
+            const state = this.createTakeoff(from, to, speed, launchVelocity);
+            const result = this.simulateFlight(state, to, speed);
+
+            if (!result.success) continue;
+            if (to.type !== 'wall') return { reachable: true };
+
+            // Prefer the highest attach point - wall runs drift downward
+            if (!bestWallState || result.wallState.y > bestWallState.y) {
+                bestWallState = result.wallState;
+            }
+        }
+
+        if (bestWallState) {
+            return { reachable: true, wallState: bestWallState };
+        }
+        return { reachable: false };
+    }
+
+    /**
+     * Maximum horizontal distance of a jump that still lands on a surface
+     * heightDelta above (or below) the takeoff surface
+     * @param {number} launchVelocity - Initial upward velocity (JUMP_FORCE, bounce force...)
+     * @param {number} heightDelta - Target top minus takeoff top
+     * @param {number} speed - Horizontal speed
+     * @returns {number} Reach in units (0 if the height can't be reached)
+     */
+    getMaxReach(launchVelocity, heightDelta, speed = PLAYER.RUN_SPEED) {
+        const dt = SIM.TIME_STEP;
+        let y = 0;
+        let vy = launchVelocity;
+        let x = 0;
+        let reach = 0;
+
+        for (let t = 0; t < SIM.MAX_AIR_TIME; t += dt) {
+            vy = Math.max(PHYSICS.TERMINAL_VELOCITY, vy + PHYSICS.GRAVITY * dt);
+            y += vy * dt;
+            x += speed * dt;
+
+            if (y <= heightDelta + PLAYER_METRICS.LAND_TOLERANCE &&
+                y >= heightDelta - PLAYER_METRICS.STEP_HEIGHT) {
+                reach = x;
+            }
+            if (vy < 0 && y < heightDelta - PLAYER_METRICS.STEP_HEIGHT) break;
+        }
+
+        return reach;
+    }
+
+    /**
+     * Whether two surfaces touch closely enough to walk from one to the other
+     */
+    isWalkable(from, to) {
+        const fromCenter = { x: from.x, z: from.z };
+        const onTo = closestPoint(to, fromCenter.x, fromCenter.z);
+        const onFrom = closestPoint(from, onTo.x, onTo.z);
+        const onToEdge = closestPoint(to, onFrom.x, onFrom.z);
+
+        const gap = Math.hypot(onToEdge.x - onFrom.x, onToEdge.z - onFrom.z);
+        if (gap > SIM.WALK_GAP) return false;
+
+        const rise = topAt(to, onToEdge.x, onToEdge.z) - topAt(from, onFrom.x, onFrom.z);
+        return rise <= PLAYER_METRICS.STEP_HEIGHT;
+    }
+
+    /**
+     * Build the airborne state at takeoff from a floor or bounce surface
+     */
+    createTakeoff(from, to, speed, launchVelocity) {
+        const aim = this.getAimPoint(to, from.x, from.z);
+        const takeoff = closestPoint(from, aim.x, aim.z, SIM.TAKEOFF_MARGIN);
+        const target = this.getAimPoint(to, takeoff.x, takeoff.z);
+
+        const dx = target.x - takeoff.x;
+        const dz = target.z - takeoff.z;
+        const dist = Math.hypot(dx, dz) || 1;
+
+        return {
+            x: takeoff.x,
+            z: takeoff.z,
+            y: topAt(from, takeoff.x, takeoff.z),
+            vx: (dx / dist) * speed,
+            vz: (dz / dist) * speed,
+            vy: launchVelocity,
+        };
+    }
+
+    /**
+     * Point the player steers toward on a target surface
+     */
+    getAimPoint(to, fromX, fromZ) {
+        if (to.type === 'wall' && to.climb) {
+            // Run square at the face on the player's side
+            const local = toLocal(to, fromX, fromZ);
+            const faceSide = local.x >= 0 ? 1 : -1;
+            const maxZ = Math.max(0, to.halfLength - 1);
+            return toWorld(to, faceSide * (to.halfWidth + SIM.WALL_HOLD), Math.max(-maxZ, Math.min(maxZ, local.z)));
+        }
+
+        if (to.type === 'wall') {
+            // Aim for the wall face on the player's side, near the start of the wall
+            const local = toLocal(to, fromX, fromZ);
+            const faceSide = local.x >= 0 ? 1 : -1;
+            const startZ = local.z >= 0 ? to.halfLength - 1 : -to.halfLength + 1;
+            return toWorld(to, faceSide * (to.halfWidth + SIM.WALL_HOLD), startZ);
+        }
+
+        return closestPoint(to, fromX, fromZ, SIM.LANDING_MARGIN + 0.5);
+    }
+
+    /**
+     * Step an airborne state until it lands on (or attaches to) the target, or fails
+     * @returns {{success: boolean, wallState?: Object}}
+     */
+    simulateFlight(state, to, speed) {
+        const dt = SIM.TIME_STEP;
+        const aim = this.getAimPoint(to, state.x, state.z);
+        const steer = 1 - Math.exp(-PLAYER_METRICS.AIR_ACCEL * dt);
+        const lowestY = (to.type === 'wall' ? to.bottom : Math.min(to.topStart, to.topEnd)) - SIM.FALL_LIMIT;
+
+        let { x, z, y, vx, vz, vy } = state;
+
+        for (let t = 0; t < SIM.MAX_AIR_TIME; t += dt) {
+            // Air control - steer toward the aim point
+            const dx = aim.x - x;
+            const dz = aim.z - z;
+            const dist = Math.hypot(dx, dz);
+            const targetVx = dist > 0.1 ? (dx / dist) * speed : 0;
+            const targetVz = dist > 0.1 ? (dz / dist) * speed : 0;
+            vx += (targetVx - vx) * steer;
+            vz += (targetVz - vz) * steer;
+
+            // Gravity
+            vy = Math.max(PHYSICS.TERMINAL_VELOCITY, vy + PHYSICS.GRAVITY * dt);
+
+            x += vx * dt;
+            z += vz * dt;
+            y += vy * dt;
+
+            if (to.type === 'wall') {
+                const wallState = to.climb
+                    ? this.checkClimbAttach(to, x, y, z, vx, vz)
+                    : this.checkWallAttach(to, x, y, z);
+                if (wallState) return { success: true, wallState };
+            } else {
+                const landing = this.checkLanding(to, x, y, z);
+                if (landing !== null) return { success: landing };
+            }
+
+            if (y < lowestY) break;
+        }
+
+        return { success: false };
+    }
+
+    /**
+     * Landing test against a floor/bounce surface
+     * @returns {boolean|null} true = landed, false = blocked by its side, null = still airborne
+     */
+    checkLanding(to, x, y, z) {
+        // Body pushed into the side of the platform below its top - blocked
+        if (contains(to, x, z, -PLAYER_METRICS.BODY_REACH)) {
+            const top = topAt(to, x, z);
+            if (y < top - PLAYER_METRICS.STEP_HEIGHT) return false;
+
+            if (contains(to, x, z, SIM.LANDING_MARGIN) &&
+                y <= top + PLAYER_METRICS.LAND_TOLERANCE) {
+                return true;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Wall run attach test - mirrors Player.detectWall
+     * @returns {Object|null} Attach state, or null if not attached yet
+     */
+    checkWallAttach(wall, x, y, z) {
+        const local = toLocal(wall, x, z);
+        if (Math.abs(local.z) > wall.halfLength) return null;
+
+        const faceDistance = Math.abs(local.x) - wall.halfWidth;
+        if (faceDistance > PLAYER_METRICS.WALL_REACH) return null;
+
+        const midBody = y + PLAYER_METRICS.WALL_CHECK_HEIGHT;
+        if (midBody < wall.bottom || midBody > wall.top) return null;
+
+        return {
+            y,
+            localZ: local.z,
+            side: local.x >= 0 ? 1 : -1,
+        };
+    }
+
+    /**
+     * Wall climb attach test - mirrors Player.handleWallRun's head-on check
+     * (within reach of the face, fast enough, and running squarely at it)
+     * @returns {Object|null} Attach state, or null if not attached yet
+     */
+    checkClimbAttach(wall, x, y, z, vx, vz) {
+        const wallState = this.checkWallAttach(wall, x, y, z);
+        if (!wallState) return null;
+
+        const speed = Math.hypot(vx, vz);
+        if (speed < PLAYER.WALL_CLIMB_MIN_SPEED) return null;
+
+        // The face normal is the wall's local X axis
+        const normalX = Math.cos(wall.yaw) * wallState.side;
+        const normalZ = -Math.sin(wall.yaw) * wallState.side;
+        if (-(vx * normalX + vz * normalZ) / speed < PLAYER.WALL_CLIMB_FACING) return null;
+
+        return wallState;
+    }
+
+    /**
+     * Whether a climbed wall's top is within reach, and the target can be
+     * got to from standing on it after the mantle
+     */
+    canLeaveClimb(wall, wallState, to) {
+        const reachTop = wallState.y + PLAYER_METRICS.CLIMB_RISE + PLAYER.LEDGE_GRAB_MAX - SIM.CLIMB_MARGIN;
+        if (wall.top > reachTop) return false;
+
+        const top = {
+            type: 'floor',
+            x: wall.x,
+            z: wall.z,
+            halfWidth: wall.halfWidth,
+            halfLength: wall.halfLength,
+            yaw: wall.yaw,
+            topStart: wall.top,
+            topEnd: wall.top,
+        };
+        return this.canReach(top, to).reachable;
+    }
+
+    /**
+     * Whether a wall run can be exited onto the target surface
+     * Tries a wall jump near the end of the wall and simply running off the end.
+     */
+    canLeaveWall(wall, wallState, to) {
+        // Run along the wall toward the end nearest the target
+        const targetLocal = toLocal(wall, to.x, to.z);
+        const runDir = targetLocal.z >= wallState.localZ ? 1 : -1;
+        const endZ = runDir * wall.halfLength;
+        const runDistance = Math.max(0, (endZ - wallState.localZ) * runDir);
+        const runTime = Math.min(PLAYER.WALL_RUN_MAX_TIME, runDistance / PLAYER.WALL_RUN_SPEED);
+
+        // Drift down while running; wall run ends early if we slide off the bottom
+        const dropLimit = wallState.y + PLAYER_METRICS.WALL_CHECK_HEIGHT - wall.bottom;
+        const drop = Math.min(dropLimit, -PLAYER.WALL_RUN_DRIFT * runTime);
+        const exitZ = wallState.localZ + runDir * (drop / -PLAYER.WALL_RUN_DRIFT) * PLAYER.WALL_RUN_SPEED;
+        const exitY = wallState.y - drop;
+
+        const holdX = wallState.side * (wall.halfWidth + SIM.WALL_HOLD);
+        const exit = toWorld(wall, holdX, exitZ);
+
+        // Directions in world space (along the wall and away from it)
+        const cos = Math.cos(wall.yaw);
+        const sin = Math.sin(wall.yaw);
+        const alongX = sin * runDir;
+        const alongZ = cos * runDir;
+        const normalX = cos * wallState.side;
+        const normalZ = -sin * wallState.side;
+
+        const exits = [
+            // Wall jump
+            {
+                vx: alongX * PLAYER.WALL_RUN_SPEED + normalX * PLAYER.WALL_JUMP_PUSH,
+                vz: alongZ * PLAYER.WALL_RUN_SPEED + normalZ * PLAYER.WALL_JUMP_PUSH,
+                vy: PLAYER.JUMP_FORCE * PLAYER.WALL_JUMP_FORCE,
+            },
+            // Run off the end
+            {
+                vx: alongX * PLAYER.WALL_RUN_SPEED,
+                vz: alongZ * PLAYER.WALL_RUN_SPEED,
+                vy: PLAYER.WALL_RUN_DRIFT,
+            },
+        ];
+
+        for (const velocity of exits) {
+            for (const speed of SIM.SPEEDS) {
+                const state = { x: exit.x, z: exit.z, y: exitY, ...velocity };
+                if (this.simulateFlight(state, to, speed).success) return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Whether a swing from a grapple point ends on the target - mirrors the
+     * Player's grapple: hook from the takeoff edge at a run, pump the swing
+     * toward the target, reel in, and let go (keeping the speed) at some point
+     * along the way
+     * @param {Object} point - Grapple surface
+     * @param {Object} takeoff - Surface the point was hooked from
+     * @param {Object} to - Target surface
+     */
+    canLeaveGrapple(point, takeoff, to) {
+        const dt = SIM.TIME_STEP;
+        const lowestY = Math.min(to.topStart, to.topEnd) - SIM.FALL_LIMIT;
+
+        for (const speed of SIM.SPEEDS) {
+            const start = closestPoint(takeoff, point.x, point.z, SIM.TAKEOFF_MARGIN);
+            const dx = point.x - start.x;
+            const dz = point.z - start.z;
+            const dist = Math.hypot(dx, dz) || 1;
+
+            let x = start.x;
+            let z = start.z;
+            let y = topAt(takeoff, start.x, start.z);
+            let vx = (dx / dist) * speed;
+            let vz = (dz / dist) * speed;
+            let vy = PLAYER.JUMP_FORCE; // Hooking from the ground jumps (Player.attachGrapple)
+            let length = Math.max(
+                PLAYER.GRAPPLE_MIN_LENGTH,
+                Math.hypot(point.x - x, point.y - y - PLAYER_METRICS.ROPE_HEIGHT, point.z - z)
+            );
+
+            for (let step = 0; step * dt < SIM.MAX_AIR_TIME; step++) {
+                // Let go here and fly the rest of the way with the swing's speed
+                if (step > 0 && step % SIM.RELEASE_INTERVAL === 0) {
+                    const releaseSpeed = Math.max(speed, Math.hypot(vx, vz));
+                    if (this.simulateFlight({ x, z, y, vx, vz, vy }, to, releaseSpeed).success) return true;
+                }
+
+                // Pump toward the target
+                const aim = this.getAimPoint(to, x, z);
+                const ax = aim.x - x;
+                const az = aim.z - z;
+                const aimDist = Math.hypot(ax, az);
+                if (aimDist > 0.1) {
+                    vx += (ax / aimDist) * PLAYER.GRAPPLE_SWING_ACCEL * dt;
+                    vz += (az / aimDist) * PLAYER.GRAPPLE_SWING_ACCEL * dt;
+                }
+
+                vy = Math.max(PHYSICS.TERMINAL_VELOCITY, vy + PHYSICS.GRAVITY * dt);
+                length = Math.max(PLAYER.GRAPPLE_MIN_LENGTH, length - PLAYER.GRAPPLE_REEL_SPEED * dt);
+
+                // Rope: no moving away from the anchor, and pulled back when stretched
+                const rx = point.x - x;
+                const ry = point.y - (y + PLAYER_METRICS.ROPE_HEIGHT);
+                const rz = point.z - z;
+                const ropeDist = Math.hypot(rx, ry, rz);
+                if (ropeDist >= length && ropeDist > 0.001) {
+                    const nx = rx / ropeDist;
+                    const ny = ry / ropeDist;
+                    const nz = rz / ropeDist;
+                    const radial = vx * nx + vy * ny + vz * nz;
+                    const pull = Math.min((ropeDist - length) / dt, PLAYER.GRAPPLE_REEL_SPEED * 2) -
+                        Math.min(0, radial);
+                    vx += nx * pull;
+                    vy += ny * pull;
+                    vz += nz * pull;
+                }
+
+                x += vx * dt;
+                y += vy * dt;
+                z += vz * dt;
+
+                // Swung straight onto the target (touching down lets go)
+                const landing = this.checkLanding(to, x, y, z);
+                if (landing !== null) {
+                    if (landing) return true;
+                    break;
+                }
+
+                if (y < lowestY) break;
+            }
+        }
+
+        return false;
+    }
+}
+
+// ==================== Surface geometry helpers ====================
+
+/**
+ * Convert a chunk-local point into a surface's own frame
+ */
+function toLocal(surface, x, z) {
+    const dx = x - surface.x;
+    const dz = z - surface.z;
+    const cos = Math.cos(surface.yaw);
+    const sin = Math.sin(surface.yaw);
+    return {
+        x: dx * cos - dz * sin,
+        z: dx * sin + dz * cos,
+    };
+}
+
+/**
+ * Convert a point in a surface's own frame back to chunk-local space
+ */
+function toWorld(surface, lx, lz) {
+    const cos = Math.cos(surface.yaw);
+    const sin = Math.sin(surface.yaw);
+    return {
+        x: surface.x + lx * cos + lz * sin,
+        z: surface.z - lx * sin + lz * cos,
+    };
+}
+
+/**
+ * Whether a point lies on a surface footprint, shrunk by an inset
+ * (a negative inset grows the footprint)
+ */
+function contains(surface, x, z, inset = 0) {
+    const local = toLocal(surface, x, z);
+    return Math.abs(local.x) <= Math.max(0, surface.halfWidth - inset) &&
+           Math.abs(local.z) <= Math.max(0, surface.halfLength - inset);
+}
+
+/**
+ * Closest point on a surface footprint (shrunk by an inset) to a point
+ */
+function closestPoint(surface, x, z, inset = 0) {
+    const local = toLocal(surface, x, z);
+    const hw = Math.max(0, surface.halfWidth - inset);
+    const hl = Math.max(0, surface.halfLength - inset);
+    return toWorld(
+        surface,
+        Math.max(-hw, Math.min(hw, local.x)),
+        Math.max(-hl, Math.min(hl, local.z))
+    );
+}
+
+/**
+ * Top height of a surface at a point (ramps interpolate along their length)
+ */
+function topAt(surface, x, z) {
+    if (surface.topStart === surface.topEnd) return surface.topStart;
+
+    const local = toLocal(surface, x, z);
+    const t = Math.max(0, Math.min(1, (local.z + surface.halfLength) / (2 * surface.halfLength)));
+    return surface.topStart + (surface.topEnd - surface.topStart) * t;
+}
+
+/**
+ * Move a surface from one chunk's local space into the next chunk's
+ * @param {Object} surface - Jump surface in the previous chunk's space
+ * @param {number} chunkLength - Previous chunk's length (its exit is at this local Z)
+ * @param {number} turn - Heading change between the chunks (radians)
+ * @returns {Object} Surface in the next chunk's space
+ */
+export function transformSurface(surface, chunkLength, turn) {
+    if (surface.poses) {
+        const poses = surface.poses.map(pose => transformSurface(pose, chunkLength, turn));
+        return { ...poses[0], poses };
+    }
+
+    const x = surface.x;
+    const z = surface.z - chunkLength;
+    const cos = Math.cos(turn);
+    const sin = Math.sin(turn);
+
+    return {
+        ...surface,
+        x: x * cos - z * sin,
+        z: x * sin + z * cos,
+        yaw: surface.yaw - turn,
+    };
+}
+
+export default JumpValidator;
@@ -0,0 +1,332 @@
+/**
+ * MovingPlatform - Platform that travels along a path or spins in place
+ *
+ * Covers horizontal shuttles, elevators (vertical paths) and rotating disks.
+ * Each physics step it records how its transform changed so the player can
+ * ride it; rendering places it between the last two steps.
+ */
+
+import * as THREE from 'three';
+import { PARKOUR, RENDER } from '../../config/Constants.js';
+import { platformAssets } from './PlatformAssets.js';
+
+export class MovingPlatform {
+    /**
+     * @param {Object} config - Platform configuration
+     * @param {string} config.motion - 'path' (ping-pong along waypoints) or 'spin'
+     * @param {number} config.width - Platform width ('path' motion)
+     * @param {number} config.length - Platform length ('path' motion)
+     * @param {number} config.radius - Disk radius ('spin' motion)
+     * @param {Array<THREE.Vector3>} config.path - Waypoints (chunk-local), first is the start
+     * @param {THREE.Vector3} config.position - Position ('spin' motion, defaults to path[0])
+     * @param {number} config.speed - Travel speed along the path (units/sec)
+     * @param {number} config.pauseTime - Wait at each end of the path (seconds)
+     * @param {number} config.spinSpeed - Spin rate ('spin' motion, radians/sec)
+     * @param {number} config.phase - Starting point in the motion cycle (0-1)
+     */
+    constructor(config) {
+        this.mesh = null;
+        this.edgeMesh = null;
+        this.group = new THREE.Group();
+        
+        // Transform change over the last update, for carrying the player
+        this._previousMatrix = new THREE.Matrix4();
+        this._inverseMatrix = new THREE.Matrix4();
+        this.frameMatrix = new THREE.Matrix4();
+        this.frameYaw = 0;
+        this.lastStep = 0;    // Length of the last update, for render interpolation
+        
+        this.build();
+        this.configure(config);
+    }
+
+    /**
+     * Build the platform meshes (box and disk variants, swapped in configure)
+     */
+    build() {
+        const material = getBodyMaterial(PARKOUR.PLATFORM_COLOR);
+        
+        this.mesh = new THREE.Mesh(platformAssets.getUnitBox(), material);
+        this.mesh.castShadow = RENDER.ENABLE_SHADOWS;
+        this.mesh.receiveShadow = RENDER.ENABLE_SHADOWS;
+        
+        // Lets the player find the platform it is standing on
+        this.mesh.userData.platformRef = this;
+        
+        this.group.add(this.mesh);
+        
+        // Glowing top outline (a stripe across disks so the spin is visible)
+        const edgeMaterial = platformAssets.getMaterial('movingEdge', () => new THREE.LineBasicMaterial({
+            color: PARKOUR.MOVING_PLATFORM_COLOR,
+            transparent: true,
+            opacity: 0.9,
+        }));
+        
+        this.edgeMesh = new THREE.Line(platformAssets.getUnitOutline(), edgeMaterial);
+        this.group.add(this.edgeMesh);
+    }
+
+    /**
+     * Set up the motion and size (also used when reusing a pooled instance)
+     * @param {Object} config - Platform configuration (see constructor)
+     */
+    configure(config) {
+        this.motion = config.motion || 'path';
+        this.width = config.width || 5;
+        this.length = config.length || 5;
+        this.radius = config.radius || 4;
+        this.height = config.height || PARKOUR.PLATFORM_HEIGHT;
+        this.path = config.path || [config.position || new THREE.Vector3()];
+        this.position = (config.position || this.path[0]).clone();
+        this.rotation = config.rotation || 0;
+        this.speed = config.speed || PARKOUR.SHUTTLE_SPEED;
+        this.pauseTime = config.pauseTime ?? PARKOUR.MOVING_PLATFORM_PAUSE;
+        this.spinSpeed = config.spinSpeed || PARKOUR.DISK_SPIN_SPEED;
+        
+        // Path layout (cumulative distance at each waypoint)
+        this.pathDistances = [0];
+        for (let i = 1; i < this.path.length; i++) {
+            this.pathDistances.push(this.pathDistances[i - 1] + this.path[i].distanceTo(this.path[i - 1]));
+        }
+        this.pathLength = this.pathDistances[this.pathDistances.length - 1];
+        
+        // One full cycle: out, pause, back, pause
+        this.cycleTime = this.motion === 'spin'
+            ? Math.PI * 2 / this.spinSpeed
+            : 2 * (this.pathLength / this.speed + this.pauseTime);
+        this.time = (config.phase || 0) * this.cycleTime;
+        
+        // Shared unit shapes, scaled to size
+        const isDisk = this.motion === 'spin';
+        this.mesh.geometry = isDisk ? getUnitDisk() : platformAssets.getUnitBox();
+        this.mesh.material = getBodyMaterial(PARKOUR.PLATFORM_COLOR);
+        this.edgeMesh.geometry = isDisk ? getUnitDiskOutline() : platformAssets.getUnitOutline();
+        
+        if (isDisk) {
+            this.mesh.scale.set(this.radius, this.height, this.radius);
+            this.edgeMesh.scale.set(this.radius, 1, this.radius);
+        } else {
+            this.mesh.scale.set(this.width, this.height, this.length);
+            this.edgeMesh.scale.set(this.width, 1, this.length);
+        }
+        this.edgeMesh.position.y = this.height / 2 + 0.01;
+        
+        this.group.rotation.y = this.rotation;
+        this.applyMotion();
+        this.frameMatrix.identity();
+        this.frameYaw = 0;
+        this.lastStep = 0;
+    }
+
+    /**
+     * Recolor for a zone theme (the glow keeps its type color so it stays readable)
+     * @param {Object} theme - Zone theme (entry in PARKOUR_ZONES.THEMES)
+     */
+    applyPalette(theme) {
+        this.mesh.material = getBodyMaterial(theme.PLATFORM_COLOR);
+    }
+
+    /**
+     * Get the position along the path at a time in the cycle
+     * @param {number} time - Time in seconds
+     * @param {THREE.Vector3} target - Vector to write into
+     */
+    getPathPosition(time, target) {
+        if (this.path.length < 2 || this.pathLength === 0) {
+            return target.copy(this.path[0]);
+        }
+        
+        const travelTime = this.pathLength / this.speed;
+        const t = ((time % this.cycleTime) + this.cycleTime) % this.cycleTime;
+        
+        // Out, pause at the end, back, pause at the start
+        let distance;
+        if (t < travelTime) {
+            distance = t * this.speed;
+        } else if (t < travelTime + this.pauseTime) {
+            distance = this.pathLength;
+        } else if (t < 2 * travelTime + this.pauseTime) {
+            distance = this.pathLength - (t - travelTime - this.pauseTime) * this.speed;
+        } else {
+            distance = 0;
+        }
+        
+        // Find the segment this distance falls on
+        let i = 1;
+        while (i < this.path.length - 1 && this.pathDistances[i] < distance) i++;
+        
+        const segmentStart = this.pathDistances[i - 1];
+        const segmentLength = this.pathDistances[i] - segmentStart;
+        const alpha = segmentLength > 0 ? (distance - segmentStart) / segmentLength : 0;
+        
+        return target.lerpVectors(this.path[i - 1], this.path[i], alpha);
+    }
+
+    /**
+     * Move the group to the current point in the motion cycle
+     */
+    applyMotion() {
+        if (this.motion === 'spin') {
+            this.group.position.copy(this.position);
+            this.group.rotation.y = this.rotation + this.time * this.spinSpeed;
+        } else {
+            this.getPathPosition(this.time, this.position);
+            this.group.position.copy(this.position);
+        }
+    }
+
+    /**
+     * Get the Three.js group for this platform
+     */
+    getObject3D() {
+        return this.group;
+    }
+
+    /**
+     * Get the collision mesh
+     */
+    getCollisionMesh() {
+        return this.mesh;
+    }
+
+    /**
+     * Get the top Y position of this platform at its current position
+     */
+    getTopY() {
+        return this.position.y + this.height / 2;
+    }
+
+    /**
+     * How far a world point riding the platform moved during the last update
+     * @param {THREE.Vector3} point - World position on the platform
+     * @param {THREE.Vector3} target - Vector to write the displacement into
+     * @returns {THREE.Vector3}
+     */
+    getCarryDelta(point, target) {
+        return target.copy(point).applyMatrix4(this.frameMatrix).sub(point);
+    }
+
+    /**
+     * How far the platform turned during the last update (radians)
+     */
+    getCarryYaw() {
+        return this.frameYaw;
+    }
+
+    /**
+     * Describe the platform for the jump validator (chunk-local space)
+     * Moving platforms list the poses a player can wait for or ride to;
+     * disks report the square inscribed in the disk so any spin angle fits.
+     */
+    getJumpSurface() {
+        if (this.motion === 'spin') {
+            const half = this.radius * Math.SQRT1_2;
+            return {
+                type: 'floor',
+                x: this.position.x,
+                z: this.position.z,
+                halfWidth: half,
+                halfLength: half,
+                yaw: 0,
+                topStart: this.getTopY(),
+                topEnd: this.getTopY(),
+            };
+        }
+        
+        const poses = this.path.map(point => ({
+            type: 'floor',
+            x: point.x,
+            z: point.z,
+            halfWidth: this.width / 2,
+            halfLength: this.length / 2,
+            yaw: this.rotation,
+            topStart: point.y + this.height / 2,
+            topEnd: point.y + this.height / 2,
+        }));
+        
+        return { ...poses[0], poses };
+    }
+
+    /**
+     * Advance the motion and refresh the collision world matrix
+     */
+    update(deltaTime) {
+        this._previousMatrix.copy(this.mesh.matrixWorld);
+        const previousYaw = this.group.rotation.y;
+        
+        this.time += deltaTime;
+        this.lastStep = deltaTime;
+        this.applyMotion();
+        
+        // Ground and wall raycasts read matrixWorld, so it can't wait for the render
+        this.group.updateMatrixWorld(true);
+        
+        this.frameMatrix.multiplyMatrices(
+            this.mesh.matrixWorld,
+            this._inverseMatrix.copy(this._previousMatrix).invert()
+        );
+        this.frameYaw = this.group.rotation.y - previousYaw;
+    }
+
+    /**
+     * Draw the platform between its last two physics poses
+     * Collision reads the same transform, so call with 1 after rendering.
+     * @param {number} alpha - Progress from the previous to the current pose (0-1)
+     */
+    interpolate(alpha) {
+        const time = this.time - (1 - alpha) * this.lastStep;
+        
+        if (this.motion === 'spin') {
+            this.group.rotation.y = this.rotation + time * this.spinSpeed;
+        } else {
+            this.getPathPosition(time, this.group.position);
+        }
+        
+        this.group.updateMatrixWorld(true);
+    }
+
+    /**
+     * Return to the pool (shared resources stay alive for the next chunk)
+     */
+    dispose() {
+        platformAssets.release(this);
+    }
+}
+
+/**
+ * Shared body material for a platform color
+ */
+function getBodyMaterial(color) {
+    return platformAssets.getMaterial(`moving:${color}`, () => new THREE.MeshStandardMaterial({
+        color,
+        roughness: 0.5,
+        metalness: 0.5,
+        emissive: PARKOUR.MOVING_PLATFORM_COLOR,
+        emissiveIntensity: 0.15,
+    }));
+}
+
+/**
+ * Unit disk (radius 1, height 1)
+ */
+function getUnitDisk() {
+    return platformAssets.getGeometry('disk', () => new THREE.CylinderGeometry(1, 1, 1, 32));
+}
+
+/**
+ * Unit circle outline with a stripe across it
+ */
+function getUnitDiskOutline() {
+    return platformAssets.getGeometry('diskOutline', () => {
+        const segments = 32;
+        const points = [];
+        for (let i = 0; i <= segments; i++) {
+            const angle = (i / segments) * Math.PI * 2;
+            points.push(new THREE.Vector3(Math.cos(angle), 0, Math.sin(angle)));
+        }
+        points.push(new THREE.Vector3(-1, 0, 0));
+        return new THREE.BufferGeometry().setFromPoints(points);
+    });
+}
+
+export default MovingPlatform;
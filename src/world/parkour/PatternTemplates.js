@@ -0,0 +1,389 @@
+/**
+ * PatternTemplates - Data-driven chunk patterns loaded from JSON
+ *
+ * A template describes a platform sequence laid out front to back along +Z
+ * (chunk-local). Each platform is placed a gap after the previous one:
+ *
+ * {
+ *   "name": "staircase",            unique id (becomes pattern "template:staircase")
+ *   "weight": 1,                    selection weight next to the built-in patterns
+ *   "entryHeight": 0,               first platform height above the chunk's start height
+ *   "exitHeight": 2,                optional - forces the last platform to this height
+ *   "params": {                     values rolled once per chunk, referenced as "$name"
+ *     "side": { "choice": [-1, 1] },
+ *     "rise": [1, 1.5]
+ *   },
+ *   "platforms": [
+ *     { "type": "basic", "width": [6, 8], "length": 8 },
+ *     { "type": "basic", "width": 5, "length": 5, "gap": 0.8, "dx": "$side*3", "dy": "$rise", "repeat": [2, 4] }
+ *   ]
+ * }
+ *
+ * Values can be a number, a [min, max] range, or a parameter reference
+ * ("$name", "-$name", "$name*2"). Sizes scale with the difficulty's platform
+ * scale and height changes with its height scale. "gap" multiplies the
+ * difficulty's running-jump gap (default 1); "gapDistance" sets it in units.
+ * "x" places a platform at a lateral offset from the section's centre line,
+ * "dx" relative to the previous one. "y" sets the height above the chunk start, "dy" changes it.
+ *
+ * Types and their extra fields:
+ *   basic, crumble              width, length
+ *   blink                       width, length, timeOffset
+ *   bounce                      width, length, bounceForce
+ *   ramp                        width, length (dy is the rise along the ramp)
+ *   shuttle                     width, length, travel, travelX, speed
+ *   elevator                    width, length, rise, speed
+ *   disk                        radius, spin
+ *   wall                        length, height, side (negative/"left" or positive/"right")
+ */
+
+import * as THREE from 'three';
+import { PARKOUR } from '../../config/Constants.js';
+import { BasicPlatform } from './BasicPlatform.js';
+import { RampPlatform } from './RampPlatform.js';
+import { BouncePad } from './BouncePad.js';
+import { WallRunSegment } from './WallRunSegment.js';
+import { MovingPlatform } from './MovingPlatform.js';
+import { CrumblePlatform } from './CrumblePlatform.js';
+import { BlinkPlatform } from './BlinkPlatform.js';
+import { platformAssets } from './PlatformAssets.js';
+
+// Platform types a template may use
+const TEMPLATE_TYPES = ['basic', 'crumble', 'blink', 'bounce', 'ramp', 'shuttle', 'elevator', 'disk', 'wall'];
+
+// "$name", "-$name" or "$name*2.5"
+const PARAM_PATTERN = /^(-)?\$(\w+)(?:\*(-?\d+(?:\.\d+)?))?$/;
+
+/**
+ * Check a template's structure and fill in defaults
+ * @param {Object} data - Parsed JSON
+ * @param {string} source - Where it came from (for error messages)
+ * @returns {Object} Normalized template
+ * @throws {Error} If the template is malformed
+ */
+export function parseTemplate(data, source = 'template') {
+    const fail = message => {
+        throw new Error(`[PatternTemplates] ${source}: ${message}`);
+    };
+
+    if (!data || typeof data !== 'object') fail('template must be an object');
+    if (typeof data.name !== 'string' || data.name.length === 0) fail('missing "name"');
+    if (!Array.isArray(data.platforms) || data.platforms.length === 0) fail('"platforms" must be a non-empty array');
+
+    const params = data.params || {};
+    for (const [name, spec] of Object.entries(params)) {
+        const isChoice = spec && Array.isArray(spec.choice) && spec.choice.length > 0;
+        if (typeof spec !== 'number' && !isRange(spec) && !isChoice) {
+            fail(`param "${name}" must be a number, [min, max] or { "choice": [...] }`);
+        }
+    }
+
+    data.platforms.forEach((platform, index) => {
+        if (!TEMPLATE_TYPES.includes(platform.type)) {
+            fail(`platform ${index} has unknown type "${platform.type}" (expected ${TEMPLATE_TYPES.join(', ')})`);
+        }
+
+        for (const [key, value] of Object.entries(platform)) {
+            if (key === 'type' || key === 'side') continue;
+            if (typeof value === 'number' || isRange(value)) continue;
+
+            const match = typeof value === 'string' && value.match(PARAM_PATTERN);
+            if (!match) fail(`platform ${index} field "${key}" has invalid value ${JSON.stringify(value)}`);
+            if (!(match[2] in params)) fail(`platform ${index} field "${key}" references unknown param "$${match[2]}"`);
+        }
+    });
+
+    return {
+        name: data.name,
+        weight: data.weight ?? 1,
+        entryHeight: data.entryHeight ?? 0,
+        exitHeight: data.exitHeight ?? null,
+        params,
+        platforms: data.platforms,
+        source,
+    };
+}
+
+/**
+ * Load every template listed in a manifest
+ * Broken templates are skipped with a warning so one bad file doesn't
+ * take the rest down with it.
+ * @param {Function} readJson - (path) => Promise of parsed JSON (fetch in the browser, fs in Node)
+ * @param {string} manifestPath - Manifest path: { "templates": ["file.json", ...] }
+ * @returns {Promise<Array<Object>>} Normalized templates, in manifest order
+ */
+export async function loadPatternTemplates(readJson = fetchJson, manifestPath = PARKOUR.PATTERN_MANIFEST) {
+    const manifest = await readJson(manifestPath);
+    const baseDir = manifestPath.slice(0, manifestPath.lastIndexOf('/') + 1);
+    const templates = [];
+
+    for (const file of manifest.templates || []) {
+        try {
+            const data = await readJson(baseDir + file);
+            templates.push(parseTemplate(data, file));
+        } catch (error) {
+            console.warn('[PatternTemplates] Skipping', file, '-', error.message);
+        }
+    }
+
+    console.log('[PatternTemplates] Loaded', templates.length, 'templates');
+    return templates;
+}
+
+/**
+ * Lay out a template's platforms
+ * @param {Object} template - Normalized template (see parseTemplate)
+ * @param {Object} context - Generation context
+ * @param {SeededRandom} context.random - Seeded PRNG
+ * @param {Object} context.difficulty - Difficulty settings (see DifficultyCurve.sample)
+ * @param {number} context.startZ - Section start (chunk-local)
+ * @param {number} context.length - Available length
+ * @param {number} context.startHeight - Height the section starts at
+ * @param {number} context.offsetX - Lateral offset of the whole section (e.g. a branch lane)
+ * @param {Object} context.params - Param values to use instead of rolling them
+ * @returns {{platforms: Array, obstacles: Array, endHeight: number}}
+ */
+export function layoutTemplate(template, context) {
+    const { random, difficulty, startZ, length, startHeight, offsetX = 0 } = context;
+    const { platformScale, heightScale, gapMin, gapMax } = difficulty;
+
+    // Roll parameters once for the whole section
+    const params = {};
+    for (const [name, spec] of Object.entries(template.params)) {
+        params[name] = spec.choice ? random.pick(spec.choice) : rollValue(spec, random);
+    }
+    Object.assign(params, context.params);
+    const value = (raw, fallback) => resolveValue(raw, params, random, fallback);
+
+    // Expand repeats into a flat list
+    const steps = [];
+    template.platforms.forEach(step => {
+        const count = Math.max(1, Math.round(value(step.repeat, 1)));
+        for (let i = 0; i < count; i++) steps.push(step);
+    });
+
+    const result = { platforms: [], obstacles: [], endHeight: startHeight };
+    const endZ = startZ + length;
+
+    let cursorZ = startZ;
+    let currentX = offsetX;
+    let currentHeight = startHeight + value(template.entryHeight, 0) * heightScale;
+
+    for (let i = 0; i < steps.length; i++) {
+        const step = steps[i];
+        const isFirst = i === 0;
+        const isLast = i === steps.length - 1;
+
+        // Lateral placement
+        if (step.x !== undefined) currentX = offsetX + value(step.x, 0);
+        currentX += value(step.dx, 0);
+
+        // Height before this piece (ramps rise across themselves instead)
+        const previousHeight = currentHeight;
+        if (step.y !== undefined) currentHeight = startHeight + value(step.y, 0) * heightScale;
+        currentHeight += value(step.dy, 0) * heightScale;
+        if (isLast && template.exitHeight !== null) {
+            currentHeight = startHeight + value(template.exitHeight, 0) * heightScale;
+        }
+        currentHeight = Math.max(0, Math.min(PARKOUR.HEIGHT_MAX, currentHeight));
+
+        const gap = isFirst ? 0 : (step.gapDistance !== undefined
+            ? value(step.gapDistance, 0)
+            : value(step.gap, 1) * random.range(gapMin, gapMax));
+
+        const built = buildPlatform(step, {
+            value,
+            random,
+            platformScale,
+            x: currentX,
+            frontZ: cursorZ + gap,
+            fromHeight: previousHeight,
+            height: currentHeight,
+        });
+
+        // Stop once the chunk is full (always keep the first piece)
+        if (!isFirst && built.backZ > endZ) {
+            built.platform.dispose();
+            break;
+        }
+
+        result.platforms.push(built.platform);
+        result.obstacles.push(built.platform.getCollisionMesh());
+        cursorZ = built.backZ;
+
+        if (step.type !== 'wall') {
+            currentHeight = built.exitHeight;
+            result.endHeight = currentHeight;
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Create one template platform
+ * @returns {{platform: Object, backZ: number, exitHeight: number}}
+ */
+function buildPlatform(step, placement) {
+    const { value, random, platformScale, x, frontZ, fromHeight, height } = placement;
+    const width = value(step.width, 5) * platformScale;
+    const length = value(step.length, 5) * platformScale;
+    const centerZ = frontZ + length / 2;
+    const backZ = frontZ + length;
+
+    switch (step.type) {
+        case 'crumble':
+            return {
+                platform: platformAssets.acquire(CrumblePlatform, { width, length, position: new THREE.Vector3(x, height, centerZ) }),
+                backZ,
+                exitHeight: height,
+            };
+        case 'blink':
+            return {
+                platform: platformAssets.acquire(BlinkPlatform, {
+                    width,
+                    length,
+                    position: new THREE.Vector3(x, height, centerZ),
+                    timeOffset: value(step.timeOffset, 0),
+                }),
+                backZ,
+                exitHeight: height,
+            };
+        case 'bounce':
+            return {
+                platform: platformAssets.acquire(BouncePad, {
+                    width,
+                    length,
+                    position: new THREE.Vector3(x, height + 0.3, centerZ),
+                    bounceForce: value(step.bounceForce, PARKOUR.BOUNCE_FORCE),
+                }),
+                backZ,
+                exitHeight: height,
+            };
+        case 'ramp':
+            return {
+                platform: platformAssets.acquire(RampPlatform, {
+                    width,
+                    length,
+                    heightStart: fromHeight + PARKOUR.PLATFORM_HEIGHT / 2,
+                    heightEnd: height + PARKOUR.PLATFORM_HEIGHT / 2,
+                    position: new THREE.Vector3(x, 0, centerZ),
+                }),
+                backZ,
+                exitHeight: height,
+            };
+        case 'shuttle': {
+            const travel = value(step.travel, 10);
+            const travelX = value(step.travelX, 0);
+            return {
+                platform: platformAssets.acquire(MovingPlatform, {
+                    motion: 'path',
+                    width,
+                    length,
+                    path: [
+                        new THREE.Vector3(x, height, centerZ),
+                        new THREE.Vector3(x + travelX, height, centerZ + travel),
+                    ],
+                    speed: value(step.speed, PARKOUR.SHUTTLE_SPEED),
+                    phase: random.next(),
+                }),
+                backZ: backZ + travel,
+                exitHeight: height,
+            };
+        }
+        case 'elevator': {
+            const top = Math.min(PARKOUR.HEIGHT_MAX + 6, height + value(step.rise, 4));
+            return {
+                platform: platformAssets.acquire(MovingPlatform, {
+                    motion: 'path',
+                    width,
+                    length,
+                    path: [
+                        new THREE.Vector3(x, height, centerZ),
+                        new THREE.Vector3(x, top, centerZ),
+                    ],
+                    speed: value(step.speed, PARKOUR.ELEVATOR_SPEED),
+                    phase: random.next(),
+                }),
+                backZ,
+                exitHeight: top,
+            };
+        }
+        case 'disk': {
+            const radius = value(step.radius, 4) * platformScale;
+            return {
+                platform: platformAssets.acquire(MovingPlatform, {
+                    motion: 'spin',
+                    radius,
+                    position: new THREE.Vector3(x, height, frontZ + radius),
+                    spinSpeed: value(step.spin, PARKOUR.DISK_SPIN_SPEED),
+                    phase: random.next(),
+                }),
+                backZ: frontZ + radius * 2,
+                exitHeight: height,
+            };
+        }
+        case 'wall': {
+            const wallLength = value(step.length, 18);
+            const side = step.side === 'left' || step.side === 'right'
+                ? step.side
+                : (value(step.side, -1) < 0 ? 'left' : 'right');
+            return {
+                platform: platformAssets.acquire(WallRunSegment, {
+                    length: wallLength,
+                    height: value(step.height, 7),
+                    position: new THREE.Vector3(x, fromHeight, frontZ + wallLength / 2),
+                    side,
+                }),
+                backZ: frontZ + wallLength,
+                exitHeight: fromHeight,
+            };
+        }
+        default:
+            return {
+                platform: platformAssets.acquire(BasicPlatform, { width, length, position: new THREE.Vector3(x, height, centerZ) }),
+                backZ,
+                exitHeight: height,
+            };
+    }
+}
+
+/**
+ * Whether a value is a [min, max] range
+ */
+function isRange(value) {
+    return Array.isArray(value) && value.length === 2 && value.every(v => typeof v === 'number');
+}
+
+/**
+ * Roll a number or [min, max] range
+ */
+function rollValue(spec, random) {
+    return isRange(spec) ? random.range(spec[0], spec[1]) : spec;
+}
+
+/**
+ * Resolve a template value (number, range or param reference)
+ */
+function resolveValue(raw, params, random, fallback) {
+    if (raw === undefined || raw === null) return fallback;
+    if (typeof raw === 'string') {
+        const match = raw.match(PARAM_PATTERN);
+        if (!match) return fallback;
+        const sign = match[1] ? -1 : 1;
+        const scale = match[3] !== undefined ? Number(match[3]) : 1;
+        return sign * scale * params[match[2]];
+    }
+    return rollValue(raw, random);
+}
+
+/**
+ * Default JSON reader for the browser
+ */
+async function fetchJson(path) {
+    const response = await fetch(path);
+    if (!response.ok) {
+        throw new Error(`${path}: HTTP ${response.status}`);
+    }
+    return response.json();
+}
@@ -0,0 +1,184 @@
+/**
+ * PlatformAssets - Shared geometries, materials and platform pools
+ *
+ * Platforms draw their meshes from shared unit geometries (scaled per
+ * instance) and shared materials, and go back into a per-type pool when
+ * their chunk is disposed instead of being thrown away. Only animated
+ * per-instance materials are created per platform, and those stay with the
+ * pooled instance. Counts every GPU resource it creates so a debug display
+ * can confirm allocations stay flat once the pools are warm.
+ */
+
+import * as THREE from 'three';
+import { PARKOUR } from '../../config/Constants.js';
+
+export class PlatformAssets {
+    constructor() {
+        this.geometries = new Map();
+        this.materials = new Map();
+        this.ownedMaterials = new Set();  // Per-instance materials (pooled with their platform)
+        this.pools = new Map();           // Platform class -> released instances
+
+        this.stats = {
+            geometries: 0,
+            materials: 0,
+            platforms: 0,   // Platform instances constructed
+            reused: 0,      // Platform instances taken from a pool
+        };
+    }
+
+    /**
+     * Get a shared geometry, creating it on first use
+     * @param {string} key - Cache key
+     * @param {Function} create - Returns a new THREE.BufferGeometry
+     * @returns {THREE.BufferGeometry}
+     */
+    getGeometry(key, create) {
+        let geometry = this.geometries.get(key);
+        if (!geometry) {
+            geometry = create();
+            this.geometries.set(key, geometry);
+            this.stats.geometries++;
+        }
+        return geometry;
+    }
+
+    /**
+     * Get a shared material, creating it on first use
+     * @param {string} key - Cache key
+     * @param {Function} create - Returns a new THREE.Material
+     * @returns {THREE.Material}
+     */
+    getMaterial(key, create) {
+        let material = this.materials.get(key);
+        if (!material) {
+            material = create();
+            this.materials.set(key, material);
+            this.stats.materials++;
+        }
+        return material;
+    }
+
+    /**
+     * Create a material owned by one platform (for per-instance animation)
+     * @param {Function} create - Returns a new THREE.Material
+     * @returns {THREE.Material}
+     */
+    createMaterial(create) {
+        const material = create();
+        this.ownedMaterials.add(material);
+        this.stats.materials++;
+        return material;
+    }
+
+    /**
+     * Unit box (1 x 1 x 1, centred) - scaled per platform
+     * @returns {THREE.BoxGeometry}
+     */
+    getUnitBox() {
+        return this.getGeometry('box', () => new THREE.BoxGeometry(1, 1, 1));
+    }
+
+    /**
+     * Unit square outline on the XZ plane (top edge glow, scaled per platform)
+     * @returns {THREE.BufferGeometry}
+     */
+    getUnitOutline() {
+        return this.getGeometry('outline', () => new THREE.BufferGeometry().setFromPoints([
+            new THREE.Vector3(-0.5, 0, -0.5),
+            new THREE.Vector3(0.5, 0, -0.5),
+            new THREE.Vector3(0.5, 0, 0.5),
+            new THREE.Vector3(-0.5, 0, 0.5),
+            new THREE.Vector3(-0.5, 0, -0.5),
+        ]));
+    }
+
+    /**
+     * Take a platform from its pool (reconfigured) or construct a new one
+     * @param {Function} PlatformClass - Platform class (must implement configure)
+     * @param {Object} config - Platform configuration
+     * @returns {Object} Platform instance
+     */
+    acquire(PlatformClass, config) {
+        const pool = this.pools.get(PlatformClass);
+
+        if (pool && pool.length > 0) {
+            this.stats.reused++;
+            const platform = pool.pop();
+            platform.configure(config);
+            return platform;
+        }
+
+        this.stats.platforms++;
+        return new PlatformClass(config);
+    }
+
+    /**
+     * Return a platform to its pool
+     * @param {Object} platform - Platform instance
+     */
+    release(platform) {
+        platform.getObject3D().removeFromParent();
+
+        let pool = this.pools.get(platform.constructor);
+        if (!pool) {
+            pool = [];
+            this.pools.set(platform.constructor, pool);
+        }
+        pool.push(platform);
+    }
+
+    /**
+     * Total GPU resources and platform instances created so far
+     * @returns {number}
+     */
+    getAllocationCount() {
+        return this.stats.geometries + this.stats.materials + this.stats.platforms;
+    }
+
+    /**
+     * Number of platforms waiting in the pools
+     * @returns {number}
+     */
+    getPooledCount() {
+        let count = 0;
+        this.pools.forEach(pool => { count += pool.length; });
+        return count;
+    }
+
+    /**
+     * Dispose every shared and pooled resource (leaving parkour mode)
+     */
+    clear() {
+        this.geometries.forEach(geometry => geometry.dispose());
+        this.materials.forEach(material => material.dispose());
+        this.ownedMaterials.forEach(material => material.dispose());
+
+        this.geometries.clear();
+        this.materials.clear();
+        this.ownedMaterials.clear();
+        this.pools.clear();
+    }
+}
+
+/**
+ * Matrices for thin glow bars tracing a rectangle on the XZ plane
+ * @param {number} halfWidth - Half size along X
+ * @param {number} y - Height of the bars
+ * @param {number} halfLength - Half size along Z
+ * @returns {Array<THREE.Matrix4>} One matrix per side (unit box space)
+ */
+export function outlineBars(halfWidth, y, halfLength) {
+    const t = PARKOUR.GLOW_THICKNESS;
+    return [
+        new THREE.Matrix4().makeScale(halfWidth * 2 + t, t, t).setPosition(0, y, -halfLength),
+        new THREE.Matrix4().makeScale(halfWidth * 2 + t, t, t).setPosition(0, y, halfLength),
+        new THREE.Matrix4().makeScale(t, t, halfLength * 2).setPosition(-halfWidth, y, 0),
+        new THREE.Matrix4().makeScale(t, t, halfLength * 2).setPosition(halfWidth, y, 0),
+    ];
+}
+
+// Shared instance for the parkour world
+export const platformAssets = new PlatformAssets();
+
+export default PlatformAssets;
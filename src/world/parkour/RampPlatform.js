@@ -6,6 +6,7 @@
 
 import * as THREE from 'three';
 import { PARKOUR, RENDER } from '../../config/Constants.js';
+import { platformAssets, outlineBars } from './PlatformAssets.js';
 
 export class RampPlatform {
     /**
@@ -18,50 +19,47 @@ export class RampPlatform {
      * @param {number} config.rotation - Y rotation in radians
      */
     constructor(config) {
-        this.width = config.width || 4;
-        this.length = config.length || 8;
-        this.heightStart = config.heightStart || 0;
-        this.heightEnd = config.heightEnd || 3;
-        this.position = config.position || new THREE.Vector3();
-        this.rotation = config.rotation || 0;
+        this.thickness = 0.3;
         
         this.mesh = null;
         this.group = new THREE.Group();
         
         this.build();
+        this.configure(config);
     }
 
     /**
-     * Build the ramp geometry
-     * Position represents the CENTER of the ramp (consistent with BasicPlatform)
+     * Build the ramp mesh (shared unit geometry, scaled and tilted in configure)
      */
     build() {
-        const rise = this.heightEnd - this.heightStart;
-        const thickness = 0.3;
-        
-        // Create ramp as a rotated box
-        const rampLength = Math.sqrt(this.length * this.length + rise * rise);
-        const angle = Math.atan2(rise, this.length);
-        
-        const geometry = new THREE.BoxGeometry(this.width, thickness, rampLength);
-        
-        const material = new THREE.MeshStandardMaterial({
-            color: PARKOUR.RAMP_COLOR,
-            roughness: 0.6,
-            metalness: 0.4,
-        });
-        
-        this.mesh = new THREE.Mesh(geometry, material);
-        this.mesh.rotation.x = -angle;
-        // Position mesh at local origin (0, 0, 0) so group position = center of ramp
-        this.mesh.position.set(0, 0, 0);
+        this.mesh = new THREE.Mesh(platformAssets.getUnitBox(), getRampMaterial(PARKOUR.RAMP_COLOR));
         this.mesh.castShadow = RENDER.ENABLE_SHADOWS;
         this.mesh.receiveShadow = RENDER.ENABLE_SHADOWS;
         
         this.group.add(this.mesh);
+    }
+
+    /**
+     * Size, tilt and place the ramp (also used when reusing a pooled instance)
+     * Position represents the CENTER of the ramp (consistent with BasicPlatform)
+     * @param {Object} config - Platform configuration (see constructor)
+     */
+    configure(config) {
+        this.width = config.width || 4;
+        this.length = config.length || 8;
+        this.heightStart = config.heightStart || 0;
+        this.heightEnd = config.heightEnd || 3;
+        this.position = config.position || new THREE.Vector3();
+        this.rotation = config.rotation || 0;
+        
+        // Ramp is a tilted box
+        const rise = this.heightEnd - this.heightStart;
+        this.rampLength = Math.sqrt(this.length * this.length + rise * rise);
+        this.angle = Math.atan2(rise, this.length);
         
-        // Add edge glow
-        this.createEdgeGlow(angle, rampLength, thickness);
+        this.mesh.scale.set(this.width, this.thickness, this.rampLength);
+        this.mesh.rotation.x = -this.angle;
+        this.mesh.material = getRampMaterial(PARKOUR.RAMP_COLOR);
         
         // Position at the center height between start and end
         const centerY = (this.heightStart + this.heightEnd) / 2;
@@ -74,37 +72,25 @@ export class RampPlatform {
     }
 
     /**
-     * Create glowing edge effect
+     * Glowing edges along the sloped top (drawn by the chunk's GlowBatch)
+     * @returns {{color: number|null, bars: Array<THREE.Matrix4>}} Bars in group space (null color = zone edge color)
      */
-    createEdgeGlow(angle, rampLength, thickness) {
-        const hw = this.width / 2;
-        const ht = thickness / 2;
-        const hl = rampLength / 2;
-        
-        // Edge points in local ramp space
-        const points = [
-            new THREE.Vector3(-hw, ht, -hl),
-            new THREE.Vector3(hw, ht, -hl),
-            new THREE.Vector3(hw, ht, hl),
-            new THREE.Vector3(-hw, ht, hl),
-            new THREE.Vector3(-hw, ht, -hl),
-        ];
-        
-        const edgeGeometry = new THREE.BufferGeometry().setFromPoints(points);
+    getGlowBars() {
+        const tilt = new THREE.Matrix4().makeRotationX(-this.angle);
+        const bars = outlineBars(this.width / 2, this.thickness / 2, this.rampLength / 2);
         
-        const edgeMaterial = new THREE.LineBasicMaterial({
-            color: PARKOUR.PLATFORM_EDGE_COLOR,
-            transparent: true,
-            opacity: 0.6,
-        });
-        
-        const edgeMesh = new THREE.Line(edgeGeometry, edgeMaterial);
-        edgeMesh.rotation.x = -angle;
-        // Position at local origin to match mesh
-        edgeMesh.position.set(0, 0, 0);
-        
-        this.group.add(edgeMesh);
-        this.edgeMesh = edgeMesh;
+        return {
+            color: null,
+            bars: bars.map(bar => bar.premultiply(tilt)),
+        };
+    }
+
+    /**
+     * Recolor for a zone theme
+     * @param {Object} theme - Zone theme (entry in PARKOUR_ZONES.THEMES)
+     */
+    applyPalette(theme) {
+        this.mesh.material = getRampMaterial(theme.RAMP_COLOR);
     }
 
     /**
@@ -128,6 +114,23 @@ export class RampPlatform {
         return this.heightEnd;
     }
 
+    /**
+     * Describe the walkable slope for the jump validator (chunk-local space)
+     * Rises from heightStart at -Z to heightEnd at +Z
+     */
+    getJumpSurface() {
+        return {
+            type: 'floor',
+            x: this.position.x,
+            z: this.position.z,
+            halfWidth: this.width / 2,
+            halfLength: this.length / 2,
+            yaw: this.rotation,
+            topStart: this.heightStart + this.thickness / 2,
+            topEnd: this.heightEnd + this.thickness / 2,
+        };
+    }
+
     /**
      * Update (for animations)
      */
@@ -136,19 +139,22 @@ export class RampPlatform {
     }
 
     /**
-     * Dispose resources
+     * Return to the pool (shared resources stay alive for the next chunk)
      */
     dispose() {
-        if (this.mesh) {
-            this.mesh.geometry.dispose();
-            this.mesh.material.dispose();
-        }
-        if (this.edgeMesh) {
-            this.edgeMesh.geometry.dispose();
-            this.edgeMesh.material.dispose();
-        }
+        platformAssets.release(this);
     }
 }
 
-export default RampPlatform;
+/**
+ * Shared ramp material for a color
+ */
+function getRampMaterial(color) {
+    return platformAssets.getMaterial(`ramp:${color}`, () => new THREE.MeshStandardMaterial({
+        color,
+        roughness: 0.6,
+        metalness: 0.4,
+    }));
+}
 
+export default RampPlatform;
@@ -1,11 +1,16 @@
 /**
  * WallRunSegment - Wall section for wall-running
  * 
- * A vertical wall that the player can run along.
+ * A vertical wall that the player can run along. Climb walls stand across the
+ * path instead, facing the approach with their +X face, and are run up head-on.
  */
 
 import * as THREE from 'three';
 import { PARKOUR, RENDER } from '../../config/Constants.js';
+import { platformAssets } from './PlatformAssets.js';
+
+// Glow strips running along the wall
+const STRIP_COUNT = 3;
 
 export class WallRunSegment {
     /**
@@ -15,112 +20,90 @@ export class WallRunSegment {
      * @param {THREE.Vector3} config.position - World position (base center)
      * @param {number} config.rotation - Y rotation in radians
      * @param {string} config.side - 'left' or 'right' relative to path
+     * @param {number} config.thickness - Wall thickness
+     * @param {boolean} config.climb - Wall is climbed head-on rather than run along
      */
     constructor(config) {
-        this.length = config.length || 10;
-        this.height = config.height || 5;
-        this.thickness = 0.5;
-        this.position = config.position || new THREE.Vector3();
-        this.rotation = config.rotation || 0;
-        this.side = config.side || 'left';
-        
         this.mesh = null;
         this.group = new THREE.Group();
-        this.time = 0;
+        
+        // Glow bars live in the chunk's GlowBatch (set by the ChunkManager)
+        this.glowBatch = null;
+        this.glowSlots = null;
         
         this.build();
+        this.configure(config);
     }
 
     /**
-     * Build the wall geometry
+     * Build the wall mesh (shared unit geometry, scaled in configure)
      */
     build() {
-        // Main wall
-        const geometry = new THREE.BoxGeometry(this.thickness, this.height, this.length);
-        
-        const material = new THREE.MeshStandardMaterial({
-            color: PARKOUR.WALL_COLOR,
-            roughness: 0.8,
-            metalness: 0.2,
-        });
-        
-        this.mesh = new THREE.Mesh(geometry, material);
-        this.mesh.position.y = this.height / 2;
+        this.mesh = new THREE.Mesh(platformAssets.getUnitBox(), getWallMaterial(PARKOUR.WALL_COLOR));
         this.mesh.castShadow = RENDER.ENABLE_SHADOWS;
         this.mesh.receiveShadow = RENDER.ENABLE_SHADOWS;
         
         this.group.add(this.mesh);
-        
-        // Add glowing strips
-        this.createGlowStrips();
-        
-        // Position and rotate
-        this.group.position.copy(this.position);
-        this.group.rotation.y = this.rotation;
     }
 
     /**
-     * Create animated glow strips on the wall
+     * Size and place the wall (also used when reusing a pooled instance)
+     * @param {Object} config - Wall configuration (see constructor)
      */
-    createGlowStrips() {
-        const stripCount = 3;
-        const stripHeight = 0.1;
-        const spacing = this.height / (stripCount + 1);
-        
-        this.strips = [];
+    configure(config) {
+        this.length = config.length || 10;
+        this.height = config.height || 5;
+        this.position = config.position || new THREE.Vector3();
+        this.rotation = config.rotation || 0;
+        this.side = config.side || 'left';
+        this.thickness = config.thickness || 0.5;
+        this.climb = config.climb || false;
+        this.time = 0;
         
-        for (let i = 0; i < stripCount; i++) {
-            const stripGeometry = new THREE.BoxGeometry(
-                this.thickness + 0.05,
-                stripHeight,
-                this.length
-            );
-            
-            const stripMaterial = new THREE.MeshBasicMaterial({
-                color: PARKOUR.PLATFORM_EDGE_COLOR,
-                transparent: true,
-                opacity: 0.7,
-            });
-            
-            const strip = new THREE.Mesh(stripGeometry, stripMaterial);
-            strip.position.y = spacing * (i + 1);
-            
-            this.group.add(strip);
-            this.strips.push(strip);
-        }
+        this.mesh.scale.set(this.thickness, this.height, this.length);
+        this.mesh.position.y = this.height / 2;
+        this.mesh.material = getWallMaterial(PARKOUR.WALL_COLOR);
         
-        // Add edge glow lines
-        this.createEdgeGlow();
+        // Position and rotate
+        this.group.position.copy(this.position);
+        this.group.rotation.y = this.rotation;
     }
 
     /**
-     * Create edge glow effect
+     * Glow strips along the wall plus its front edge (drawn by the chunk's GlowBatch)
+     * The first STRIP_COUNT bars are the strips, animated in update.
+     * @returns {{color: number|null, bars: Array<THREE.Matrix4>}} Bars in group space (null color = zone edge color)
      */
-    createEdgeGlow() {
+    getGlowBars() {
+        const t = PARKOUR.GLOW_THICKNESS;
+        const spacing = this.height / (STRIP_COUNT + 1);
         const hw = this.thickness / 2 + 0.02;
         const hh = this.height;
         const hl = this.length / 2;
+        const bars = [];
         
-        // Vertical edge lines
-        const points = [
-            // Front edge
-            new THREE.Vector3(hw, 0, -hl),
-            new THREE.Vector3(hw, hh, -hl),
-            new THREE.Vector3(hw, hh, hl),
-            new THREE.Vector3(hw, 0, hl),
-        ];
-        
-        const edgeGeometry = new THREE.BufferGeometry().setFromPoints(points);
+        for (let i = 0; i < STRIP_COUNT; i++) {
+            bars.push(new THREE.Matrix4()
+                .makeScale(this.thickness + 0.05, 0.1, this.length)
+                .setPosition(0, spacing * (i + 1), 0));
+        }
         
-        const edgeMaterial = new THREE.LineBasicMaterial({
-            color: PARKOUR.PLATFORM_EDGE_COLOR,
-            transparent: true,
-            opacity: 0.5,
-        });
+        // Front edge: up, across the top, back down
+        bars.push(
+            new THREE.Matrix4().makeScale(t, hh, t).setPosition(hw, hh / 2, -hl),
+            new THREE.Matrix4().makeScale(t, t, this.length).setPosition(hw, hh, 0),
+            new THREE.Matrix4().makeScale(t, hh, t).setPosition(hw, hh / 2, hl),
+        );
         
-        const edgeMesh = new THREE.Line(edgeGeometry, edgeMaterial);
-        this.group.add(edgeMesh);
-        this.edgeMesh = edgeMesh;
+        return { color: null, bars };
+    }
+
+    /**
+     * Recolor for a zone theme (glow bars take the zone edge color from the ChunkManager)
+     * @param {Object} theme - Zone theme (entry in PARKOUR_ZONES.THEMES)
+     */
+    applyPalette(theme) {
+        this.mesh.material = getWallMaterial(theme.WALL_COLOR);
     }
 
     /**
@@ -137,6 +120,23 @@ export class WallRunSegment {
         return this.mesh;
     }
 
+    /**
+     * Describe the wall for the jump validator (chunk-local space)
+     */
+    getJumpSurface() {
+        return {
+            type: 'wall',
+            climb: this.climb,
+            x: this.position.x,
+            z: this.position.z,
+            halfWidth: this.thickness / 2,
+            halfLength: this.length / 2,
+            yaw: this.rotation,
+            bottom: this.position.y,
+            top: this.position.y + this.height,
+        };
+    }
+
     /**
      * Update animation
      */
@@ -144,34 +144,33 @@ export class WallRunSegment {
         this.time += deltaTime;
         
         // Animate strips with flowing effect
-        if (this.strips) {
-            this.strips.forEach((strip, i) => {
+        if (this.glowSlots) {
+            for (let i = 0; i < STRIP_COUNT && i < this.glowSlots.length; i++) {
                 const phase = this.time * 2 + i * 0.5;
-                strip.material.opacity = 0.4 + Math.sin(phase) * 0.3;
-            });
+                this.glowBatch.setBrightness(this.glowSlots[i], 0.5 + Math.sin(phase) * 0.4);
+            }
         }
     }
 
     /**
-     * Dispose resources
+     * Return to the pool (shared resources stay alive for the next chunk)
      */
     dispose() {
-        if (this.mesh) {
-            this.mesh.geometry.dispose();
-            this.mesh.material.dispose();
-        }
-        if (this.strips) {
-            this.strips.forEach(strip => {
-                strip.geometry.dispose();
-                strip.material.dispose();
-            });
-        }
-        if (this.edgeMesh) {
-            this.edgeMesh.geometry.dispose();
-            this.edgeMesh.material.dispose();
-        }
+        this.glowBatch = null;
+        this.glowSlots = null;
+        platformAssets.release(this);
     }
 }
 
-export default WallRunSegment;
+/**
+ * Shared wall material for a color
+ */
+function getWallMaterial(color) {
+    return platformAssets.getMaterial(`wall:${color}`, () => new THREE.MeshStandardMaterial({
+        color,
+        roughness: 0.8,
+        metalness: 0.2,
+    }));
+}
 
+export default WallRunSegment;
@@ -0,0 +1,116 @@
+/**
+ * ZoneThemes - Themed zones along the parkour course
+ *
+ * The course moves through the PARKOUR_ZONES themes in order, switching every
+ * CHUNKS_PER_ZONE chunks. Tracks where each zone starts along the path so the
+ * look can be blended as the player crosses a boundary.
+ */
+
+import * as THREE from 'three';
+import { PARKOUR_ZONES } from '../../config/Constants.js';
+
+export class ZoneThemes {
+    constructor() {
+        this.themes = PARKOUR_ZONES.THEMES;
+
+        // Path distance each zone starts at: [{ distance, zone }], in course order
+        this.boundaries = [];
+
+        // Reusable blend result
+        this._blend = { from: 0, to: 0, t: 0 };
+    }
+
+    /**
+     * Zone index for the nth chunk of the course (the start chunk is 0)
+     * @param {number} chunkNumber - Chunk number along the course
+     * @returns {number} Index into the themes
+     */
+    getZoneForChunk(chunkNumber) {
+        return Math.floor(chunkNumber / PARKOUR_ZONES.CHUNKS_PER_ZONE) % this.themes.length;
+    }
+
+    /**
+     * Get a zone's theme settings
+     * @param {number} zone - Zone index
+     * @returns {Object} Entry in PARKOUR_ZONES.THEMES
+     */
+    getTheme(zone) {
+        return this.themes[zone];
+    }
+
+    /**
+     * Record a chunk being placed, noting a boundary when its zone differs
+     * from the one before
+     * @param {number} chunkNumber - Chunk number along the course
+     * @param {number} startDistance - Path distance the chunk starts at
+     * @returns {number} The chunk's zone index
+     */
+    recordChunk(chunkNumber, startDistance) {
+        const zone = this.getZoneForChunk(chunkNumber);
+        const last = this.boundaries[this.boundaries.length - 1];
+
+        if (!last || last.zone !== zone) {
+            this.boundaries.push({ distance: startDistance, zone });
+        }
+
+        return zone;
+    }
+
+    /**
+     * Which zones to blend between at a path distance
+     * @param {number} distance - Path distance of the player
+     * @returns {{from: number, to: number, t: number}} Zones and blend factor (0 = all "from")
+     */
+    sample(distance) {
+        const blend = this._blend;
+        const half = PARKOUR_ZONES.BLEND_DISTANCE / 2;
+        const boundaries = this.boundaries;
+
+        blend.from = blend.to = boundaries.length > 0 ? boundaries[0].zone : 0;
+        blend.t = 0;
+
+        for (let i = 1; i < boundaries.length; i++) {
+            const boundary = boundaries[i];
+            if (distance < boundary.distance - half) break;
+
+            // Past this boundary's blend window, or somewhere inside it
+            blend.from = boundaries[i - 1].zone;
+            blend.to = boundary.zone;
+            blend.t = THREE.MathUtils.smoothstep(distance, boundary.distance - half, boundary.distance + half);
+
+            if (blend.t >= 1) {
+                blend.from = boundary.zone;
+                blend.t = 0;
+            }
+        }
+
+        return blend;
+    }
+
+    /**
+     * Scale difficulty pattern weights by a zone's preferences
+     * @param {number} zone - Zone index
+     * @param {Object} patternWeights - Weights keyed by pattern name (modified in place)
+     * @returns {Object} The same weights object
+     */
+    applyPatternWeights(zone, patternWeights) {
+        const multipliers = this.themes[zone].PATTERN_WEIGHTS;
+
+        for (const [key, multiplier] of Object.entries(multipliers)) {
+            if (key in patternWeights) {
+                patternWeights[key] *= multiplier;
+            }
+        }
+
+        return patternWeights;
+    }
+
+    /**
+     * Forget recorded boundaries (new course)
+     */
+    reset() {
+        this.boundaries = [];
+    }
+}
+
+export default ZoneThemes;